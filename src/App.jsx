@@ -1,11 +1,24 @@
 // src/App.jsx
 
+import { useEffect } from 'react';
 import AppRouter from '@routes/AppRouter';
+import { Toaster } from '@components/ui/sonner';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import { useSettingsStore } from '@stores/useSettingsStore';
 
 function App() {
+  const theme = useSettingsStore((state) => state.theme);
+  const startConnectionMonitor = useConnectionStore(
+    (state) => state.startConnectionMonitor,
+  );
+
+  // App-wide: header indicator, offline guards and reconnect toasts
+  useEffect(() => startConnectionMonitor(), [startConnectionMonitor]);
+
   return (
     <>
       <AppRouter />
+      <Toaster theme={theme} position="top-right" />
     </>
   );
 }
@@ -16,6 +16,7 @@ import LoadingSpinner from '@components/common/LoadingSpinner';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
 import { usePrizeStore } from '@stores/usePrizeStore';
+import { useArchiveStore } from '@stores/useArchiveStore';
 import { toast } from 'sonner';
 import { Recycle, AlertTriangle } from 'lucide-react';
 
@@ -26,6 +27,7 @@ import { Recycle, AlertTriangle } from 'lucide-react';
  * Features:
  * - Self-contained state management (loading, error)
  * - Handles all factory reset logic internally (teams, prizes, game state)
+ * - Archives a completed game first; past events are never deleted
  * - Optional success callback for custom navigation/actions
  * - Toast notifications on success/failure
  * - Comprehensive warning messages
@@ -45,10 +47,14 @@ export default function FactoryResetDialog({ open, onOpenChange, onSuccess }) {
     (state) => state.deleteAllTeamsFromFirebase,
   );
   const resetPrizesToDefault = usePrizeStore((state) => state.resetToDefault);
+  const archiveCompletedGame = useArchiveStore(
+    (state) => state.archiveCompletedGame,
+  );
 
   /**
    * Handle factory reset confirmation
    * Orchestrates complete app reset in sequence:
+   * 0. Archive the game if it is completed
    * 1. Delete all teams from Firebase
    * 2. Reset prize structure to defaults
    * 3. Complete factory reset (question sets + Firebase)
@@ -60,6 +66,12 @@ export default function FactoryResetDialog({ open, onOpenChange, onSuccess }) {
     try {
       console.log('🏭 Starting factory reset process...');
 
+      // 0. Archive a completed game before its data is deleted
+      const archiveResult = await archiveCompletedGame();
+      if (!archiveResult.success) {
+        throw new Error('Failed to archive game: ' + archiveResult.error);
+      }
+
       // 1. Delete all teams from Firebase (also clears local store)
       const teamsResult = await deleteAllTeamsFromFirebase();
       if (!teamsResult.success) {
@@ -134,6 +146,10 @@ export default function FactoryResetDialog({ open, onOpenChange, onSuccess }) {
                 <li>• Prize structure (reset to defaults in Firebase)</li>
                 <li>• Game state (reset to defaults in Firebase)</li>
               </ul>
+              <p className="text-sm">
+                ✓ Past events on the History page are kept. A completed game is
+                archived before anything is deleted.
+              </p>
               <p className="font-semibold">
                 The app will be reset to its initial state as if freshly
                 installed.
@@ -0,0 +1,105 @@
+// src/components/game/ResultsExportButtons.jsx
+
+import { Button } from '@components/ui/button';
+import { cn } from '@lib/utils';
+import { useGameStore } from '@stores/useGameStore';
+import { useTeamsStore } from '@stores/useTeamsStore';
+import { usePrizeStore } from '@stores/usePrizeStore';
+import {
+  buildResultEntries,
+  buildResultsCsv,
+  buildResultsJson,
+  getResultsFilename,
+  downloadTextFile,
+} from '@utils/resultsExport';
+import { toast } from 'sonner';
+import { FileSpreadsheet, FileJson } from 'lucide-react';
+
+/**
+ * ResultsExportButtons Component
+ *
+ * Purpose: "Export CSV" / "Export JSON" downloads of the current results.
+ * Reads teams, game state and prizes from the stores, so it can be placed
+ * anywhere the data is still loaded (completion dialog, /reset).
+ *
+ * @param {string}  props.className - Extra classes for the button row
+ * @param {string}  props.size      - Button size
+ * @param {boolean} props.disabled  - Disable both buttons
+ */
+export default function ResultsExportButtons({
+  className,
+  size = 'default',
+  disabled = false,
+}) {
+  const teams = useTeamsStore((state) => state.teams);
+  const gameStatus = useGameStore((state) => state.gameStatus);
+  const playQueue = useGameStore((state) => state.playQueue);
+  const initializedAt = useGameStore((state) => state.initializedAt);
+  const startedAt = useGameStore((state) => state.startedAt);
+  const completedAt = useGameStore((state) => state.completedAt);
+  const lifelineRoster = useGameStore((state) => state.lifelineRoster);
+  const questionSetAssignments = useGameStore(
+    (state) => state.questionSetAssignments,
+  );
+  const prizeStructure = usePrizeStore((state) => state.prizeStructure);
+  const prizeMilestones = usePrizeStore((state) => state.milestones);
+
+  const hasTeams = Object.keys(teams).length > 0;
+
+  const getEntries = () =>
+    buildResultEntries(teams, lifelineRoster?.uses, questionSetAssignments);
+
+  const handleExportCsv = () => {
+    const filename = getResultsFilename('csv');
+    downloadTextFile(
+      buildResultsCsv(getEntries()),
+      filename,
+      'text/csv;charset=utf-8',
+    );
+    toast.success('Results exported', { description: filename });
+  };
+
+  const handleExportJson = () => {
+    const filename = getResultsFilename('json');
+    downloadTextFile(
+      buildResultsJson({
+        entries: getEntries(),
+        gameState: {
+          gameStatus,
+          playQueue,
+          initializedAt,
+          startedAt,
+          completedAt,
+        },
+        prizeStructure,
+        prizeMilestones,
+      }),
+      filename,
+      'application/json',
+    );
+    toast.success('Results exported', { description: filename });
+  };
+
+  return (
+    <div className={cn('flex gap-2', className)}>
+      <Button
+        variant="outline"
+        size={size}
+        className="flex-1 gap-2"
+        onClick={handleExportCsv}
+        disabled={disabled || !hasTeams}>
+        <FileSpreadsheet className="w-4 h-4" />
+        Export CSV
+      </Button>
+      <Button
+        variant="outline"
+        size={size}
+        className="flex-1 gap-2"
+        onClick={handleExportJson}
+        disabled={disabled || !hasTeams}>
+        <FileJson className="w-4 h-4" />
+        Export JSON
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// src/components/game/TeamLeaderboard.jsx
+
+import { Badge } from '@components/ui/badge';
+import { cn } from '@lib/utils';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+import { TEAM_STATUS } from '@constants/teamStates';
+import { rankTeams } from '@utils/gameplay/rankings';
+
+/**
+ * Medal emoji for top 3 places, supporting shared medals.
+ *
+ * @param {number} place - 1-based rank (shared ranks supported)
+ */
+function PositionBadge({ place }) {
+  if (place === 1)
+    return (
+      <span className="text-lg" aria-label="1st place">
+        🥇
+      </span>
+    );
+  if (place === 2)
+    return (
+      <span className="text-lg" aria-label="2nd place">
+        🥈
+      </span>
+    );
+  if (place === 3)
+    return (
+      <span className="text-lg" aria-label="3rd place">
+        🥉
+      </span>
+    );
+  return (
+    <span className="text-sm font-bold text-muted-foreground w-6 text-center">
+      {place}
+    </span>
+  );
+}
+
+/**
+ * TeamLeaderboard Component
+ *
+ * Purpose: Ranked list of teams by outcome and final prize (see rankTeams).
+ * Shared by the live GameCompletedDialog and archived events on /history.
+ *
+ * - All joint-first teams receive the gold highlight background
+ * - Multiple teams can share the same medal (2× 🥇, 3× 🥈, etc.)
+ *
+ * @param {Object} props.teams     - Teams object { teamId: teamData }
+ * @param {string} props.className - Extra classes for the list container
+ */
+export default function TeamLeaderboard({ teams, className }) {
+  const formatPrize = usePrizeFormatter();
+  const rankedTeams = rankTeams(teams);
+
+  return (
+    <div className={cn('space-y-2', className)}>
+      {rankedTeams.map((team) => {
+        const isCompleted = team.status === TEAM_STATUS.COMPLETED;
+        const isWalkedAway = team.status === TEAM_STATUS.WALKED_AWAY;
+        const isTopSpot = team.place === 1;
+
+        return (
+          <div
+            key={team.id}
+            className={cn(
+              'flex items-center gap-3 p-3 rounded-lg border',
+              isTopSpot
+                ? 'bg-yellow-50 dark:bg-yellow-950/30 border-yellow-200 dark:border-yellow-800'
+                : 'bg-muted/40',
+            )}>
+            {/* Position */}
+            <div className="w-7 flex items-center justify-center shrink-0">
+              <PositionBadge place={team.place} />
+            </div>
+
+            {/* Team Info */}
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-semibold truncate">{team.name}</p>
+              <Badge
+                variant={
+                  isCompleted || isWalkedAway ? 'default' : 'destructive'
+                }
+                className={cn(
+                  'text-xs mt-0.5',
+                  isCompleted && 'bg-green-600 hover:bg-green-600',
+                  isWalkedAway && 'bg-amber-600 hover:bg-amber-600',
+                )}>
+                {isCompleted
+                  ? 'Completed'
+                  : isWalkedAway
+                    ? 'Walked Away'
+                    : 'Eliminated'}
+              </Badge>
+            </div>
+
+            {/* Prize */}
+            <p
+              className={cn(
+                'text-sm font-bold font-mono shrink-0',
+                isCompleted
+                  ? 'text-green-600 dark:text-green-400'
+                  : isWalkedAway
+                    ? 'text-amber-600 dark:text-amber-400'
+                    : 'text-muted-foreground',
+              )}>
+              {formatPrize(team.currentPrize ?? 0)}
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
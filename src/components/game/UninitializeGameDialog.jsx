@@ -108,6 +108,7 @@ export default function UninitializeGameDialog({
                 <li>✓ All teams</li>
                 <li>✓ All question sets</li>
                 <li>✓ Prize structure</li>
+                <li>✓ Past events (a completed game is archived first)</li>
               </ul>
               <p className="font-semibold">What will be cleared:</p>
               <ul className="space-y-1 text-sm list-none">
@@ -0,0 +1,148 @@
+// src/components/history/ArchiveDetail.jsx
+
+import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
+import { Badge } from '@components/ui/badge';
+import TeamLeaderboard from '@components/game/TeamLeaderboard';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+import { getArchiveSummary } from '@utils/eventArchive';
+import { Archive, Clock, ListOrdered, Trophy } from 'lucide-react';
+
+/**
+ * Format an archive timestamp with date and time
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : '—';
+
+/**
+ * ArchiveDetail Component
+ *
+ * Purpose: Read-only view of one archived event on the /history page.
+ * Final standings reuse TeamLeaderboard, the same ranking shown live in
+ * GameCompletedDialog.
+ *
+ * @param {Object} props.archive - Archive (camelCase) from useArchiveStore
+ */
+export default function ArchiveDetail({ archive }) {
+  const formatPrize = usePrizeFormatter();
+  const { teamCount, totalPrize } = getArchiveSummary(archive);
+
+  const teams = archive.teams ?? {};
+  const playQueue = archive.playQueue ?? [];
+  const prizeStructure = archive.prizeStructure ?? [];
+  const prizeMilestones = archive.prizeMilestones ?? [];
+
+  const timestamps = [
+    { label: 'Initialized', value: archive.initializedAt },
+    { label: 'Started', value: archive.startedAt },
+    { label: 'Completed', value: archive.completedAt },
+    { label: 'Archived', value: archive.archivedAt },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Event Summary */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Archive className="w-5 h-5" />
+            {archive.eventId}
+            <Badge variant="outline" className="ml-auto">
+              Read-only
+            </Badge>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <p className="text-xs text-muted-foreground">Teams</p>
+            <p className="font-semibold">{teamCount}</p>
+          </div>
+          <div>
+            <p className="text-xs text-muted-foreground">Questions</p>
+            <p className="font-semibold">{prizeStructure.length}</p>
+          </div>
+          <div>
+            <p className="text-xs text-muted-foreground">Top Prize</p>
+            <p className="font-semibold font-mono">
+              {formatPrize(prizeStructure[prizeStructure.length - 1] ?? 0)}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-muted-foreground">Total Awarded</p>
+            <p className="font-semibold font-mono">{formatPrize(totalPrize)}</p>
+          </div>
+          {prizeMilestones.length > 0 && (
+            <div className="col-span-2 md:col-span-4">
+              <p className="text-xs text-muted-foreground">Milestones</p>
+              <p className="font-semibold">
+                {prizeMilestones
+                  .map((q) => `Q${q} (${formatPrize(prizeStructure[q - 1])})`)
+                  .join(', ')}
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Final Standings */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Trophy className="w-5 h-5 text-yellow-500" />
+              Final Standings
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <TeamLeaderboard teams={teams} />
+          </CardContent>
+        </Card>
+
+        <div className="space-y-6">
+          {/* Play Order */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ListOrdered className="w-5 h-5" />
+                Play Order
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ol className="space-y-1 text-sm">
+                {playQueue.map((teamId, index) => (
+                  <li key={teamId} className="flex justify-between gap-2">
+                    <span>
+                      {index + 1}. {teams[teamId]?.name ?? teamId}
+                    </span>
+                    <span className="text-xs text-muted-foreground font-mono">
+                      {archive.questionSetAssignments?.[teamId] ?? '—'}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </CardContent>
+          </Card>
+
+          {/* Timestamps */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Clock className="w-5 h-5" />
+                Timeline
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-1 text-sm">
+              {timestamps.map(({ label, value }) => (
+                <div key={label} className="flex justify-between gap-2">
+                  <span className="text-muted-foreground">{label}</span>
+                  <span>{formatTimestamp(value)}</span>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+// src/components/history/ArchiveList.jsx
+
+import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
+import { Badge } from '@components/ui/badge';
+import { cn } from '@lib/utils';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+import { getArchiveSummary } from '@utils/eventArchive';
+import { CalendarDays, Users, Trophy } from 'lucide-react';
+
+/**
+ * Format an archive timestamp as a short date
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+const formatEventDate = (timestamp) => {
+  if (!timestamp) return 'Unknown date';
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+/**
+ * ArchiveList Component
+ *
+ * Purpose: Selectable list of past events on the /history page.
+ * Each row shows the event date, team count, winner(s) and top prize.
+ *
+ * @param {Array<Object>} props.archives   - Archives sorted newest first
+ * @param {string|null}   props.selectedId - eventId of the selected archive
+ * @param {Function}      props.onSelect   - Called with an eventId
+ */
+export default function ArchiveList({ archives, selectedId, onSelect }) {
+  const formatPrize = usePrizeFormatter();
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarDays className="w-5 h-5" />
+          Past Events
+          <Badge variant="secondary" className="ml-auto">
+            {archives.length}
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {archives.map((archive) => {
+          const { teamCount, winners, topPrize } = getArchiveSummary(archive);
+          const isSelected = archive.eventId === selectedId;
+
+          return (
+            <button
+              key={archive.eventId}
+              type="button"
+              onClick={() => onSelect(archive.eventId)}
+              className={cn(
+                'w-full text-left p-3 rounded-lg border transition-colors',
+                isSelected
+                  ? 'border-primary bg-primary/5'
+                  : 'bg-muted/40 hover:bg-muted',
+              )}>
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-sm font-semibold">
+                  {formatEventDate(archive.completedAt)}
+                </p>
+                <span className="flex items-center gap-1 text-xs text-muted-foreground">
+                  <Users className="w-3 h-3" />
+                  {teamCount}
+                </span>
+              </div>
+              <div className="flex items-center justify-between gap-2 mt-1">
+                <p className="flex items-center gap-1 text-xs text-muted-foreground truncate">
+                  <Trophy className="w-3 h-3 shrink-0 text-yellow-500" />
+                  {winners.length > 0 ? winners.join(', ') : 'No teams'}
+                </p>
+                <p className="text-xs font-mono font-bold shrink-0">
+                  {formatPrize(topPrize)}
+                </p>
+              </div>
+            </button>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,60 @@
+// src/components/layout/ConnectionStatus.jsx
+
+import { useConnectionStore } from '@stores/useConnectionStore';
+import {
+  CONNECTION_STATUS,
+  CONNECTION_STATUS_META,
+} from '@constants/connection';
+import { cn } from '@lib/utils';
+import { Wifi, WifiOff, Loader2 } from 'lucide-react';
+
+const STATUS_CLASSES = {
+  green:
+    'border-green-500/50 text-green-700 dark:text-green-400 bg-green-50 dark:bg-green-950/20',
+  amber:
+    'border-amber-500/50 text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-950/20',
+  red: 'border-red-500 text-red-700 dark:text-red-400 bg-red-50 dark:bg-red-950/30',
+};
+
+const STATUS_ICONS = {
+  [CONNECTION_STATUS.CONNECTING]: Loader2,
+  [CONNECTION_STATUS.ONLINE]: Wifi,
+  [CONNECTION_STATUS.OFFLINE]: WifiOff,
+};
+
+/**
+ * ConnectionStatus Component
+ *
+ * Purpose: Header pill with the Firebase connection state and the number of
+ * writes still waiting for the server ("3 pending")
+ *
+ * @param {string} props.className - Extra classes for the pill
+ */
+export default function ConnectionStatus({ className }) {
+  const status = useConnectionStore((state) => state.status);
+  const pendingWrites = useConnectionStore((state) => state.pendingWrites);
+
+  const meta = CONNECTION_STATUS_META[status];
+  const Icon = STATUS_ICONS[status];
+
+  return (
+    <div
+      className={cn(
+        'flex items-center gap-1.5 rounded-full border px-2.5 py-1 text-xs font-medium',
+        STATUS_CLASSES[meta.color],
+        className,
+      )}
+      title={`Database ${meta.label.toLowerCase()}${pendingWrites > 0 ? ` — ${pendingWrites} change(s) pending sync` : ''}`}>
+      <Icon
+        className={cn(
+          'w-3.5 h-3.5',
+          status === CONNECTION_STATUS.CONNECTING && 'animate-spin',
+        )}
+      />
+      <span>{meta.label}</span>
+      {pendingWrites > 0 && (
+        <span className="font-mono">· {pendingWrites} pending</span>
+      )}
+    </div>
+  );
+}
@@ -8,7 +8,7 @@ export default function Footer() {
 
   return (
     <>
-      <footer className="border-t border-border/30 bg-muted/5 mt-auto">
+      <footer className="border-t border-border/30 bg-muted/5 mt-auto print:hidden">
         <div className="container mx-auto px-6 py-8">
           <div className="flex flex-col items-center justify-center space-y-4">
             {/* Copyright */}
@@ -3,6 +3,7 @@
 import { Link, useLocation } from 'react-router-dom';
 import { Button } from '@components/ui/button';
 import { ThemeToggle } from '@components/ui/theme-toggle';
+import ConnectionStatus from './ConnectionStatus';
 import { useAuth } from '@hooks/useAuth';
 import { getNavigationRoutes } from '@config/routes';
 import { LogOut, Menu } from 'lucide-react';
@@ -24,7 +25,7 @@ export default function Header({ onMenuClick }) {
   };
 
   return (
-    <header className="sticky top-0 z-50 w-full border-b bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
+    <header className="sticky top-0 z-50 w-full border-b bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60 print:hidden">
       <div className="container max-w-7xl mx-auto px-6">
         <div className="flex h-16 items-center justify-between">
           {/* Left: Logo + Navigation */}
@@ -55,8 +56,11 @@ export default function Header({ onMenuClick }) {
             )}
           </div>
 
-          {/* Right: Theme Toggle + User Info + Actions */}
+          {/* Right: Connection + Theme Toggle + User Info + Actions */}
           <div className="flex items-center gap-3">
+            {/* Database Connection + Pending Writes */}
+            {isAuthenticated && <ConnectionStatus />}
+
             {/* Theme Toggle */}
             <ThemeToggle />
 
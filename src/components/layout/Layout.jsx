@@ -20,7 +20,9 @@ export default function Layout({ children }) {
     <div className="relative min-h-screen flex flex-col">
       <Header onMenuClick={handleMenuOpen} />
 
-      <main className="flex-1 container mx-auto px-4 py-6">{children}</main>
+      <main className="flex-1 container mx-auto px-4 py-6 print:p-0">
+        {children}
+      </main>
 
       <Footer />
 
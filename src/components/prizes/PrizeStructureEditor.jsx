@@ -29,9 +29,11 @@ import {
   Info,
   AlertTriangle,
 } from 'lucide-react';
-import { formatPrize, getTotalPrizePool } from '@constants/prizeStructure';
+import { getTotalPrizePool } from '@constants/prizeStructure';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
 
 export default function PrizeStructureEditor({ onSaveSuccess }) {
+  const formatPrize = usePrizeFormatter();
   const [showDiscardConfirm, setShowDiscardConfirm] = useState(false);
   const [showDefaultConfirm, setShowDefaultConfirm] = useState(false);
   const [activeView, setActiveView] = useState('ladder');
@@ -91,7 +93,8 @@ export default function PrizeStructureEditor({ onSaveSuccess }) {
         <AlertDescription>
           Configure the prize structure for the competition. Changes will be
           saved to Firebase and synced to all displays. You can customize the
-          number of questions and prize values.
+          number of questions and prize values, and mark any level as a
+          milestone (guaranteed prize) with its award icon.
         </AlertDescription>
       </Alert>
 
@@ -278,8 +281,8 @@ export default function PrizeStructureEditor({ onSaveSuccess }) {
             <AlertDialogTitle>Use Default Prize Structure?</AlertDialogTitle>
             <AlertDialogDescription>
               This will replace the current prize structure with the default
-              20-level structure. Any unsaved changes will be lost. You will
-              still need to save to persist the change.
+              20-level structure and milestones. Any unsaved changes will be
+              lost. You will still need to save to persist the change.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
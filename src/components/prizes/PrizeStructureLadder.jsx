@@ -3,14 +3,18 @@
 import { usePrizeStore } from '@stores/usePrizeStore';
 import { Input } from '@components/ui/input';
 import { Badge } from '@components/ui/badge';
-import { formatPrize, MILESTONE_QUESTIONS } from '@constants/prizeStructure';
+import { Button } from '@components/ui/button';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
 import { Award } from 'lucide-react';
 
 export default function PrizeStructureLadder() {
+  const formatPrize = usePrizeFormatter();
   const editedPrizeStructure = usePrizeStore(
     (state) => state.editedPrizeStructure,
   );
+  const editedMilestones = usePrizeStore((state) => state.editedMilestones);
   const updatePrizeValue = usePrizeStore((state) => state.updatePrizeValue);
+  const toggleMilestone = usePrizeStore((state) => state.toggleMilestone);
 
   const handlePrizeChange = (index, value) => {
     const numValue = parseFloat(value);
@@ -21,7 +25,7 @@ export default function PrizeStructureLadder() {
 
   // Determine if a question is a milestone
   const isMilestone = (questionNumber) => {
-    return MILESTONE_QUESTIONS.includes(questionNumber);
+    return editedMilestones.includes(questionNumber);
   };
 
   return (
@@ -59,7 +63,16 @@ export default function PrizeStructureLadder() {
                   }>
                   Q{questionNumber}
                 </Badge>
-                {milestone && <Award className="w-4 h-4 text-amber-600" />}
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon-sm"
+                  onClick={() => toggleMilestone(questionNumber)}
+                  title={milestone ? 'Remove milestone' : 'Mark as milestone'}>
+                  <Award
+                    className={`w-4 h-4 ${milestone ? 'text-amber-600' : 'text-muted-foreground/40'}`}
+                  />
+                </Button>
               </div>
 
               {/* Prize Input */}
@@ -92,7 +105,7 @@ export default function PrizeStructureLadder() {
         <div className="flex items-center gap-4 text-sm text-muted-foreground">
           <div className="flex items-center gap-2">
             <Award className="w-4 h-4 text-amber-600" />
-            <span>Milestone Questions</span>
+            <span>Milestone Questions (click to toggle)</span>
           </div>
           <div className="flex items-center gap-2">
             <Badge variant="secondary" className="bg-muted-foreground/20">
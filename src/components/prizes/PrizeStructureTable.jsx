@@ -3,7 +3,8 @@
 import { usePrizeStore } from '@stores/usePrizeStore';
 import { Input } from '@components/ui/input';
 import { Badge } from '@components/ui/badge';
-import { formatPrize, MILESTONE_QUESTIONS } from '@constants/prizeStructure';
+import { Button } from '@components/ui/button';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
 import {
   Table,
   TableBody,
@@ -15,10 +16,13 @@ import {
 import { Award } from 'lucide-react';
 
 export default function PrizeStructureTable() {
+  const formatPrize = usePrizeFormatter();
   const editedPrizeStructure = usePrizeStore(
     (state) => state.editedPrizeStructure,
   );
+  const editedMilestones = usePrizeStore((state) => state.editedMilestones);
   const updatePrizeValue = usePrizeStore((state) => state.updatePrizeValue);
+  const toggleMilestone = usePrizeStore((state) => state.toggleMilestone);
 
   const handlePrizeChange = (index, value) => {
     const numValue = parseFloat(value);
@@ -29,7 +33,7 @@ export default function PrizeStructureTable() {
 
   // Determine if a question is a milestone
   const isMilestone = (questionNumber) => {
-    return MILESTONE_QUESTIONS.includes(questionNumber);
+    return editedMilestones.includes(questionNumber);
   };
 
   return (
@@ -40,7 +44,7 @@ export default function PrizeStructureTable() {
             <TableHead className="w-[100px]">Question</TableHead>
             <TableHead>Prize Amount (Rs.)</TableHead>
             <TableHead className="text-right">Formatted</TableHead>
-            <TableHead className="w-[100px]">Type</TableHead>
+            <TableHead className="w-[120px]">Type</TableHead>
           </TableRow>
         </TableHeader>
         <TableBody>
@@ -81,12 +85,22 @@ export default function PrizeStructureTable() {
                   {formatPrize(prize)}
                 </TableCell>
                 <TableCell>
-                  {milestone && (
-                    <div className="flex items-center gap-1 text-amber-600 dark:text-amber-400">
-                      <Award className="w-4 h-4" />
-                      <span className="text-xs">Milestone</span>
-                    </div>
-                  )}
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => toggleMilestone(questionNumber)}
+                    title={milestone ? 'Remove milestone' : 'Mark as milestone'}
+                    className={
+                      milestone
+                        ? 'gap-1 text-amber-600 dark:text-amber-400'
+                        : 'gap-1 text-muted-foreground'
+                    }>
+                    <Award className="w-4 h-4" />
+                    <span className="text-xs">
+                      {milestone ? 'Milestone' : 'Regular'}
+                    </span>
+                  </Button>
                 </TableCell>
               </TableRow>
             );
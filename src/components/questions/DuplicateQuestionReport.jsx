@@ -0,0 +1,123 @@
+// src/components/questions/DuplicateQuestionReport.jsx
+
+import { useState } from 'react';
+import { Badge } from '@components/ui/badge';
+import { Button } from '@components/ui/button';
+import QuestionSetViewer from '@components/questions/QuestionSetViewer';
+import { DUPLICATE_TYPES } from '@utils/questionDuplicates';
+import { Copy, Eye, GitCompare, Repeat } from 'lucide-react';
+
+/**
+ * Heading, icon and colour of each kind of finding
+ */
+const FINDING_STYLES = {
+  [DUPLICATE_TYPES.EXACT]: {
+    icon: Copy,
+    label: 'Duplicate question',
+    className: 'text-red-600',
+  },
+  [DUPLICATE_TYPES.SIMILAR]: {
+    icon: GitCompare,
+    label: 'Near-duplicate',
+    className: 'text-yellow-600',
+  },
+  [DUPLICATE_TYPES.SAME_ANSWER]: {
+    icon: Repeat,
+    label: 'Same correct answer',
+    className: 'text-blue-600',
+  },
+};
+
+/**
+ * Where a question sits, e.g. "Q5" or "Reserve 2"
+ */
+const formatPosition = ({ isReserve, number }) =>
+  isReserve ? `Reserve ${number}` : `Q${number}`;
+
+/**
+ * DuplicateQuestionReport Component
+ *
+ * Purpose: List duplicate, near-duplicate and same-answer findings with a
+ * one-click jump to each question in QuestionSetViewer
+ *
+ * @param {Object} props
+ * @param {Object} props.report - findDuplicateQuestions() result
+ * @param {string} [props.highlightSetId] - Set to highlight (e.g. just uploaded)
+ */
+export default function DuplicateQuestionReport({ report, highlightSetId }) {
+  const [viewing, setViewing] = useState(null);
+
+  if (!report || report.findings.length === 0) return null;
+
+  return (
+    <>
+      <div className="max-h-96 overflow-y-auto border rounded-lg">
+        <ul className="divide-y">
+          {report.findings.map((finding) => {
+            const style = FINDING_STYLES[finding.type];
+            const Icon = style.icon;
+
+            return (
+              <li key={finding.id} className="p-3 space-y-2">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <Icon className={`w-4 h-4 ${style.className}`} />
+                  <span className="text-sm font-medium">{style.label}</span>
+                  {finding.type === DUPLICATE_TYPES.SIMILAR && (
+                    <Badge variant="outline" className="text-xs">
+                      {Math.round(finding.similarity * 100)}% same words
+                    </Badge>
+                  )}
+                  {finding.type === DUPLICATE_TYPES.SAME_ANSWER && (
+                    <Badge variant="outline" className="text-xs">
+                      “{finding.answer}”
+                    </Badge>
+                  )}
+                  <Badge variant="secondary" className="text-xs">
+                    {finding.scope === 'cross-set'
+                      ? 'Across sets'
+                      : 'Within one set'}
+                  </Badge>
+                </div>
+
+                <ul className="space-y-1">
+                  {finding.questions.map((ref) => (
+                    <li
+                      key={`${ref.setId}-${ref.position}`}
+                      className={`flex items-center gap-2 text-xs rounded px-2 py-1 ${
+                        ref.setId === highlightSetId ? 'bg-muted' : ''
+                      }`}>
+                      <span className="font-mono shrink-0">
+                        {ref.setId} · {formatPosition(ref)}
+                      </span>
+                      <span className="text-muted-foreground truncate flex-1">
+                        {ref.text}
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 px-2 shrink-0"
+                        aria-label={`View ${ref.setId} ${formatPosition(ref)}`}
+                        onClick={() => setViewing(ref)}>
+                        <Eye className="w-3 h-3 mr-1" />
+                        View
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {viewing && (
+        <QuestionSetViewer
+          setId={viewing.setId}
+          initialPosition={viewing.position}
+          open
+          onOpenChange={(open) => !open && setViewing(null)}
+        />
+      )}
+    </>
+  );
+}
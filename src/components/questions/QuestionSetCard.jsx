@@ -21,12 +21,20 @@ import {
   AlertDialogTitle,
 } from '@components/ui/alert-dialog';
 import QuestionSetViewer from './QuestionSetViewer';
-import { FileJson, Trash2, Eye, Calendar, AlertTriangle } from 'lucide-react';
+import QuestionSetEditor from './QuestionSetEditor';
+import {
+  FileJson,
+  Trash2,
+  Eye,
+  Pencil,
+  Calendar,
+  AlertTriangle,
+} from 'lucide-react';
 
-// eslint-disable-next-line no-unused-vars
 export default function QuestionSetCard({ questionSet, onDelete, onRefresh }) {
   const [isDeleting, setIsDeleting] = useState(false);
   const [showViewer, setShowViewer] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 
   const handleDeleteConfirm = () => {
@@ -80,6 +88,15 @@ export default function QuestionSetCard({ questionSet, onDelete, onRefresh }) {
               <dd className="font-semibold">{questionSet.totalQuestions}</dd>
             </div>
 
+            {questionSet.totalReserveQuestions > 0 && (
+              <div className="flex justify-between">
+                <dt className="text-muted-foreground">Reserves:</dt>
+                <dd className="font-semibold">
+                  {questionSet.totalReserveQuestions}
+                </dd>
+              </div>
+            )}
+
             {questionSet.uploadedAt && (
               <div className="flex justify-between items-center">
                 <dt className="text-muted-foreground flex items-center gap-1">
@@ -104,6 +121,15 @@ export default function QuestionSetCard({ questionSet, onDelete, onRefresh }) {
             View
           </Button>
 
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1"
+            onClick={() => setShowEditor(true)}>
+            <Pencil className="w-4 h-4 mr-2" />
+            Edit
+          </Button>
+
           <Button
             variant="outline"
             size="sm"
@@ -121,6 +147,14 @@ export default function QuestionSetCard({ questionSet, onDelete, onRefresh }) {
         onOpenChange={setShowViewer}
       />
 
+      {/* Question Set Editor Modal */}
+      <QuestionSetEditor
+        setId={questionSet.setId}
+        open={showEditor}
+        onOpenChange={setShowEditor}
+        onSaved={onRefresh}
+      />
+
       {/* Delete Confirmation Dialog */}
       <AlertDialog open={showDeleteConfirm} onOpenChange={setShowDeleteConfirm}>
         <AlertDialogContent>
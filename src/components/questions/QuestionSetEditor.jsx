@@ -0,0 +1,571 @@
+// src/components/questions/QuestionSetEditor.jsx
+
+import { useState, useEffect, useMemo } from 'react';
+import { toast } from 'sonner';
+import { databaseService } from '@services/database.service';
+import { useConfigStore } from '@stores/useConfigStore';
+import { useQuestionsStore } from '@stores/useQuestionsStore';
+import { validateQuestionSet } from '@utils/validation';
+import {
+  toEditableQuestions,
+  createBlankQuestion,
+  moveItem,
+  buildEditedQuestionSet,
+  getQuestionSetEditLock,
+} from '@utils/questionSets';
+import { ANSWER_OPTIONS, QUESTION_DIFFICULTIES } from '@constants/config';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@components/ui/dialog';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Alert, AlertDescription } from '@components/ui/alert';
+import { ScrollArea } from '@components/ui/scroll-area';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import {
+  AlertCircle,
+  AlertTriangle,
+  GripVertical,
+  Lock,
+  Plus,
+  Save,
+  Trash2,
+} from 'lucide-react';
+
+const SELECT_CLASSES =
+  'border-input dark:bg-input/30 h-9 w-full rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+const TEXTAREA_CLASSES =
+  'border-input dark:bg-input/30 min-h-20 w-full rounded-md border bg-transparent px-3 py-2 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+const EMPTY_DRAFT = { setId: '', setName: '', questions: [] };
+
+const NO_LOCK = { isAssigned: false, isLocked: false, message: null };
+
+/**
+ * Read whether the set may be edited from the current game state
+ * @param {string} setId
+ * @returns {Promise<Object>} getQuestionSetEditLock result
+ */
+const fetchEditLock = async (setId) => {
+  const gameState = await databaseService.getGameState();
+  return gameState ? getQuestionSetEditLock(setId, gameState) : NO_LOCK;
+};
+
+/**
+ * QuestionSetEditor Component
+ *
+ * Purpose: Create a question set from scratch or edit a saved one
+ *
+ * Questions are validated live with the same rules as an upload and can be
+ * reordered by dragging them in the sidebar; anything past the configured
+ * questions per set is kept as a reserve. Editing is blocked while the set
+ * is assigned to a team in a game that is being played.
+ *
+ * @param {Object} props
+ * @param {string|null} props.setId - Set to edit, or null to create a new set
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state setter
+ * @param {Function} [props.onSaved] - Called with the set ID after saving
+ */
+export default function QuestionSetEditor({
+  setId,
+  open,
+  onOpenChange,
+  onSaved,
+}) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [editLock, setEditLock] = useState(NO_LOCK);
+
+  const questionsPerSet = useConfigStore(
+    (state) => state.config.questionsPerTeam,
+  );
+  const isNewSet = !setId;
+
+  // Load the set (or start a blank one) each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+
+    const loadDraft = async () => {
+      setIsLoading(true);
+      setLoadError(null);
+      setCurrentIndex(0);
+
+      try {
+        if (!setId) {
+          setDraft({ ...EMPTY_DRAFT, questions: [createBlankQuestion([])] });
+          setEditLock(NO_LOCK);
+          return;
+        }
+
+        const [questionSet, lock] = await Promise.all([
+          databaseService.getQuestionSet(setId),
+          fetchEditLock(setId),
+        ]);
+
+        if (!questionSet) {
+          setLoadError('Question set not found');
+          return;
+        }
+
+        setDraft({
+          setId: questionSet.setId ?? setId,
+          setName: questionSet.setName ?? '',
+          questions: toEditableQuestions(questionSet),
+        });
+        setEditLock(lock);
+      } catch (err) {
+        console.error('Failed to load question set for editing:', err);
+        setLoadError('Failed to load question set from Firebase');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadDraft();
+  }, [open, setId]);
+
+  const preparedSet = useMemo(
+    () => buildEditedQuestionSet(draft, questionsPerSet),
+    [draft, questionsPerSet],
+  );
+
+  const validation = useMemo(
+    () => validateQuestionSet(preparedSet, questionsPerSet),
+    [preparedSet, questionsPerSet],
+  );
+
+  // questionNumber is 1-based over played questions followed by reserves,
+  // which is the editor's list order
+  const errorsByIndex = useMemo(
+    () =>
+      Object.fromEntries(
+        (validation.questionErrors ?? []).map(({ questionNumber, errors }) => [
+          questionNumber - 1,
+          errors,
+        ]),
+      ),
+    [validation],
+  );
+
+  const currentQuestion = draft.questions[currentIndex];
+  const currentErrors = errorsByIndex[currentIndex];
+
+  const updateDraft = (updates) =>
+    setDraft((previous) => ({ ...previous, ...updates }));
+
+  const updateCurrentQuestion = (updates) =>
+    setDraft((previous) => ({
+      ...previous,
+      questions: previous.questions.map((question, index) =>
+        index === currentIndex ? { ...question, ...updates } : question,
+      ),
+    }));
+
+  const updateOption = (option, text) =>
+    updateCurrentQuestion({
+      options: { ...currentQuestion.options, [option]: text },
+    });
+
+  const handleAddQuestion = () => {
+    setDraft((previous) => ({
+      ...previous,
+      questions: [
+        ...previous.questions,
+        createBlankQuestion(previous.questions),
+      ],
+    }));
+    setCurrentIndex(draft.questions.length);
+  };
+
+  const handleRemoveQuestion = () => {
+    setDraft((previous) => ({
+      ...previous,
+      questions: previous.questions.filter(
+        (_, index) => index !== currentIndex,
+      ),
+    }));
+    setCurrentIndex(
+      Math.max(0, Math.min(currentIndex, draft.questions.length - 2)),
+    );
+  };
+
+  // Native drag and drop: the dragged question is moved onto the drop target
+  const handleDrop = (targetIndex) => {
+    if (dragIndex === null || dragIndex === targetIndex) {
+      setDragIndex(null);
+      return;
+    }
+
+    // Keep the selected question selected wherever it ends up
+    const positions = draft.questions.map((_, index) => index);
+
+    updateDraft({
+      questions: moveItem(draft.questions, dragIndex, targetIndex),
+    });
+    setCurrentIndex(
+      moveItem(positions, dragIndex, targetIndex).indexOf(currentIndex),
+    );
+    setDragIndex(null);
+  };
+
+  const handleSave = async () => {
+    if (!validation.isValid) return;
+
+    setIsSaving(true);
+
+    try {
+      const { setId: savedSetId } = preparedSet;
+
+      // Re-check against the live game state — it may have started since
+      // the editor was opened
+      const lock = await fetchEditLock(savedSetId);
+      setEditLock(lock);
+      if (lock.isLocked) {
+        toast.error('Question set is in play', { description: lock.message });
+        return;
+      }
+
+      let result;
+      if (isNewSet) {
+        const exists = await databaseService.questionSetExists(savedSetId);
+        if (exists) {
+          toast.error('Set ID already in use', {
+            description: `A question set with ID "${savedSetId}" already exists.`,
+          });
+          return;
+        }
+
+        result = await databaseService.saveQuestionSet(preparedSet);
+      } else {
+        const { setName, questions, reserveQuestions } = preparedSet;
+        result = await databaseService.updateQuestionSet(savedSetId, {
+          setName,
+          questions,
+          reserveQuestions,
+          totalQuestions: preparedSet.totalQuestions,
+          totalReserveQuestions: preparedSet.totalReserveQuestions,
+        });
+      }
+
+      if (!result.success) {
+        toast.error('Failed to save question set', {
+          description: result.error,
+        });
+        return;
+      }
+
+      // Drop the cached copy so the host view picks up the edits
+      const { loadedSets, refreshQuestionSet } = useQuestionsStore.getState();
+      if (loadedSets[savedSetId]) {
+        await refreshQuestionSet(savedSetId);
+      }
+
+      toast.success(isNewSet ? 'Question set created' : 'Question set saved', {
+        description: `${preparedSet.setName} (${preparedSet.totalQuestions} questions${
+          preparedSet.totalReserveQuestions > 0
+            ? `, ${preparedSet.totalReserveQuestions} reserve`
+            : ''
+        })`,
+      });
+      onSaved?.(savedSetId);
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Failed to save question set:', err);
+      toast.error('Failed to save question set', { description: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Question Set Not Found</DialogTitle>
+            <DialogDescription>{loadError}</DialogDescription>
+          </DialogHeader>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
+  const isReserve = currentIndex >= questionsPerSet;
+  const playedCount = Math.min(draft.questions.length, questionsPerSet);
+  const reserveCount = draft.questions.length - playedCount;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle>
+            {isNewSet ? 'New Question Set' : `Edit ${draft.setName || setId}`}
+          </DialogTitle>
+          <DialogDescription>
+            {playedCount} / {questionsPerSet} questions
+            {reserveCount > 0 && ` (+${reserveCount} reserve)`} • Drag questions
+            in the list to reorder them
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" text="Loading questions..." />
+          </div>
+        ) : (
+          <div className="flex flex-col flex-1 min-h-0 gap-4">
+            {/* Assignment lock / warning */}
+            {editLock.message && (
+              <Alert variant={editLock.isLocked ? 'destructive' : 'default'}>
+                {editLock.isLocked ? (
+                  <Lock className="h-4 w-4" />
+                ) : (
+                  <AlertTriangle className="h-4 w-4" />
+                )}
+                <AlertDescription>{editLock.message}</AlertDescription>
+              </Alert>
+            )}
+
+            {/* Set Details */}
+            <div className="grid sm:grid-cols-2 gap-4 shrink-0">
+              <div className="space-y-1.5">
+                <Label htmlFor="editor-set-id">Set ID</Label>
+                <Input
+                  id="editor-set-id"
+                  className="font-mono"
+                  placeholder="e.g. round-1-set-a"
+                  value={draft.setId}
+                  disabled={!isNewSet}
+                  onChange={(e) => updateDraft({ setId: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1.5">
+                <Label htmlFor="editor-set-name">Set Name</Label>
+                <Input
+                  id="editor-set-name"
+                  value={draft.setName}
+                  onChange={(e) => updateDraft({ setName: e.target.value })}
+                />
+              </div>
+            </div>
+
+            {/* Question List + Form */}
+            <div className="flex gap-4 flex-1 min-h-0">
+              {/* Question List */}
+              <div className="w-28 shrink-0 flex flex-col gap-2">
+                <ScrollArea className="flex-1 min-h-0 border rounded-lg">
+                  <div className="p-2 space-y-1">
+                    {draft.questions.map((question, index) => (
+                      <button
+                        key={`${question.id}-${index}`}
+                        type="button"
+                        draggable
+                        onDragStart={() => setDragIndex(index)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(index)}
+                        onDragEnd={() => setDragIndex(null)}
+                        onClick={() => setCurrentIndex(index)}
+                        className={`w-full flex items-center gap-1 text-xs py-1.5 px-1.5 rounded transition-colors cursor-grab ${
+                          index === currentIndex
+                            ? 'bg-primary text-primary-foreground font-semibold'
+                            : 'hover:bg-muted text-muted-foreground'
+                        } ${dragIndex === index ? 'opacity-50' : ''} ${
+                          index === questionsPerSet ? 'mt-3' : ''
+                        }`}>
+                        <GripVertical className="w-3 h-3 shrink-0" />
+                        <span className="flex-1 text-left">
+                          {index + 1}
+                          {index >= questionsPerSet && ' R'}
+                        </span>
+                        {errorsByIndex[index] && (
+                          <AlertCircle className="w-3 h-3 shrink-0 text-destructive" />
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </ScrollArea>
+                <Button variant="outline" size="sm" onClick={handleAddQuestion}>
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add
+                </Button>
+              </div>
+
+              {/* Question Form */}
+              <ScrollArea className="flex-1">
+                {currentQuestion ? (
+                  <div className="space-y-4 pr-2">
+                    {/* Question Header */}
+                    <div className="flex items-center gap-2">
+                      <Badge variant="outline">
+                        Question {currentIndex + 1}
+                      </Badge>
+                      <Badge variant="secondary" className="font-mono text-xs">
+                        ID: {currentQuestion.id}
+                      </Badge>
+                      {isReserve && <Badge variant="secondary">Reserve</Badge>}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="ml-auto text-destructive"
+                        onClick={handleRemoveQuestion}>
+                        <Trash2 className="w-4 h-4 mr-1" />
+                        Remove
+                      </Button>
+                    </div>
+
+                    {currentErrors && (
+                      <Alert variant="destructive">
+                        <AlertCircle className="h-4 w-4" />
+                        <AlertDescription>
+                          <ul className="list-disc pl-4">
+                            {currentErrors.map((error) => (
+                              <li key={error}>{error}</li>
+                            ))}
+                          </ul>
+                        </AlertDescription>
+                      </Alert>
+                    )}
+
+                    {/* Question Text */}
+                    <div className="space-y-1.5">
+                      <Label htmlFor="editor-question-text">Question</Label>
+                      <textarea
+                        id="editor-question-text"
+                        className={TEXTAREA_CLASSES}
+                        value={currentQuestion.text}
+                        onChange={(e) =>
+                          updateCurrentQuestion({ text: e.target.value })
+                        }
+                      />
+                    </div>
+
+                    {/* Options */}
+                    <div className="grid sm:grid-cols-2 gap-3">
+                      {ANSWER_OPTIONS.map((option) => (
+                        <div key={option} className="space-y-1.5">
+                          <Label htmlFor={`editor-option-${option}`}>
+                            Option {option}
+                          </Label>
+                          <Input
+                            id={`editor-option-${option}`}
+                            value={currentQuestion.options[option]}
+                            onChange={(e) =>
+                              updateOption(option, e.target.value)
+                            }
+                          />
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Answer + Metadata */}
+                    <div className="grid sm:grid-cols-3 gap-3">
+                      <div className="space-y-1.5">
+                        <Label htmlFor="editor-correct-answer">
+                          Correct Answer
+                        </Label>
+                        <select
+                          id="editor-correct-answer"
+                          className={SELECT_CLASSES}
+                          value={currentQuestion.correctAnswer}
+                          onChange={(e) =>
+                            updateCurrentQuestion({
+                              correctAnswer: e.target.value,
+                            })
+                          }>
+                          <option value="">Select…</option>
+                          {ANSWER_OPTIONS.map((option) => (
+                            <option key={option} value={option}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="space-y-1.5">
+                        <Label htmlFor="editor-difficulty">Difficulty</Label>
+                        <select
+                          id="editor-difficulty"
+                          className={SELECT_CLASSES}
+                          value={currentQuestion.difficulty}
+                          onChange={(e) =>
+                            updateCurrentQuestion({
+                              difficulty: e.target.value,
+                            })
+                          }>
+                          <option value="">None</option>
+                          {QUESTION_DIFFICULTIES.map((difficulty) => (
+                            <option key={difficulty} value={difficulty}>
+                              {difficulty}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="space-y-1.5">
+                        <Label htmlFor="editor-category">Category</Label>
+                        <Input
+                          id="editor-category"
+                          placeholder="Optional"
+                          value={currentQuestion.category}
+                          onChange={(e) =>
+                            updateCurrentQuestion({ category: e.target.value })
+                          }
+                        />
+                      </div>
+                    </div>
+                  </div>
+                ) : (
+                  <p className="text-sm text-muted-foreground py-12 text-center">
+                    No questions yet — add one to get started.
+                  </p>
+                )}
+              </ScrollArea>
+            </div>
+
+            {/* Set-level errors */}
+            {validation.errors && (
+              <Alert variant="destructive" className="shrink-0">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  <ul className="list-disc pl-4">
+                    {validation.errors.map((error) => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <DialogFooter className="shrink-0">
+              {validation.questionErrors && (
+                <p className="text-sm text-destructive mr-auto self-center">
+                  Questions to fix: {validation.questionErrors.length}
+                </p>
+              )}
+              <Button variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSave}
+                disabled={isSaving || !validation.isValid || editLock.isLocked}>
+                <Save className="w-4 h-4 mr-2" />
+                {isSaving ? 'Saving…' : 'Save Question Set'}
+              </Button>
+            </DialogFooter>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
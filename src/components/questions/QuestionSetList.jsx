@@ -28,7 +28,7 @@ export default function QuestionSetList({
         </div>
         <h3 className="text-lg font-semibold mb-2">No Question Sets</h3>
         <p className="text-muted-foreground mb-4">
-          Upload your first question set to get started
+          Upload or create your first question set to get started
         </p>
       </div>
     );
@@ -15,7 +15,24 @@ import { ScrollArea } from '@components/ui/scroll-area';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import { ChevronLeft, ChevronRight, CheckCircle2, Award } from 'lucide-react';
 
-export default function QuestionSetViewer({ setId, open, onOpenChange }) {
+/**
+ * QuestionSetViewer Component
+ *
+ * Purpose: Browse a question set read-only, reserves listed after the
+ * played questions (R1, R2, …)
+ *
+ * @param {Object} props
+ * @param {string} props.setId - Question set ID
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state setter
+ * @param {number} [props.initialPosition=0] - Question to open on, counting reserves after the played questions
+ */
+export default function QuestionSetViewer({
+  setId,
+  open,
+  onOpenChange,
+  initialPosition = 0,
+}) {
   const [questionSet, setQuestionSet] = useState(null);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
@@ -34,8 +51,12 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
         const set = await databaseService.getQuestionSet(setId);
 
         if (set) {
+          const total =
+            (set.questions?.length ?? 0) + (set.reserveQuestions?.length ?? 0);
           setQuestionSet(set);
-          setCurrentIndex(0);
+          setCurrentIndex(
+            initialPosition < total ? Math.max(0, initialPosition) : 0,
+          );
         } else {
           setError('Question set not found');
         }
@@ -48,7 +69,12 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
     };
 
     loadQuestionSet();
-  }, [open, setId]);
+  }, [open, setId, initialPosition]);
+
+  const questionCount = questionSet?.questions?.length ?? 0;
+  const allQuestions = questionSet
+    ? [...questionSet.questions, ...(questionSet.reserveQuestions ?? [])]
+    : [];
 
   const handlePrevious = () => {
     if (currentIndex > 0) {
@@ -57,7 +83,7 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
   };
 
   const handleNext = () => {
-    if (questionSet && currentIndex < questionSet.questions.length - 1) {
+    if (currentIndex < allQuestions.length - 1) {
       setCurrentIndex(currentIndex + 1);
     }
   };
@@ -82,7 +108,8 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
     );
   }
 
-  const currentQuestion = questionSet?.questions[currentIndex];
+  const currentQuestion = allQuestions[currentIndex];
+  const isReserve = currentIndex >= questionCount;
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
@@ -92,7 +119,10 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
           <DialogDescription>
             Viewing{' '}
             {questionSet?.totalQuestions || questionSet?.questions?.length}{' '}
-            questions • Set ID: {questionSet?.setId}
+            questions
+            {questionSet?.reserveQuestions?.length > 0 &&
+              ` (+${questionSet.reserveQuestions.length} reserve)`}{' '}
+            • Set ID: {questionSet?.setId}
           </DialogDescription>
         </DialogHeader>
 
@@ -107,7 +137,7 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
               {/* Question Number List */}
               <ScrollArea className="w-20 shrink-0 border rounded-lg">
                 <div className="p-2 space-y-1">
-                  {questionSet?.questions.map((_, index) => (
+                  {allQuestions.map((_, index) => (
                     <button
                       key={index}
                       onClick={() => handleQuestionSelect(index)}
@@ -116,7 +146,9 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
                           ? 'bg-primary text-primary-foreground font-semibold'
                           : 'hover:bg-muted text-muted-foreground'
                       }`}>
-                      {index + 1}
+                      {index < questionCount
+                        ? index + 1
+                        : `R${index - questionCount + 1}`}
                     </button>
                   ))}
                 </div>
@@ -129,7 +161,9 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
                     {/* Question Header */}
                     <div className="flex items-center gap-2">
                       <Badge variant="outline">
-                        Question {currentIndex + 1}
+                        {isReserve
+                          ? `Reserve ${currentIndex - questionCount + 1}`
+                          : `Question ${currentIndex + 1}`}
                       </Badge>
                       <Badge variant="secondary" className="font-mono text-xs">
                         ID: {currentQuestion.id}
@@ -208,17 +242,16 @@ export default function QuestionSetViewer({ setId, open, onOpenChange }) {
               </Button>
 
               <span className="text-sm text-muted-foreground">
-                {currentIndex + 1} / {questionSet?.questions.length}
+                {isReserve
+                  ? `Reserve ${currentIndex - questionCount + 1} / ${allQuestions.length - questionCount}`
+                  : `${currentIndex + 1} / ${questionCount}`}
               </span>
 
               <Button
                 variant="outline"
                 size="sm"
                 onClick={handleNext}
-                disabled={
-                  !questionSet ||
-                  currentIndex === questionSet.questions.length - 1
-                }>
+                disabled={currentIndex >= allQuestions.length - 1}>
                 Next
                 <ChevronRight className="w-4 h-4 ml-1" />
               </Button>
@@ -0,0 +1,306 @@
+// src/components/questions/QuestionSheetImportDialog.jsx
+
+import { useState, useEffect, useMemo } from 'react';
+import { toast } from 'sonner';
+import { databaseService } from '@services/database.service';
+import { useConfigStore } from '@stores/useConfigStore';
+import {
+  SHEET_FIELDS,
+  guessColumnMapping,
+  validateColumnMapping,
+  buildQuestionSetsFromRows,
+} from '@utils/questionSheetImport';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@components/ui/dialog';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Alert, AlertDescription } from '@components/ui/alert';
+import { ScrollArea } from '@components/ui/scroll-area';
+import { AlertCircle, CheckCircle2, Sheet, Upload } from 'lucide-react';
+
+const SELECT_CLASSES =
+  'border-input dark:bg-input/30 h-9 w-full rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+/**
+ * QuestionSheetImportDialog Component
+ *
+ * Purpose: Map the columns of a CSV/TSV question sheet to question fields,
+ * preview the sets it contains and save them
+ *
+ * A sheet with a set column becomes one question set per set ID; without
+ * one the whole sheet is a single set named here. Nothing is saved unless
+ * every set is valid and none of the set IDs exist yet.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.sheet - { fileName, headers, rows } from the uploader
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state setter
+ * @param {Function} props.onImported - Called with each saveQuestionSet result
+ */
+export default function QuestionSheetImportDialog({
+  sheet,
+  open,
+  onOpenChange,
+  onImported,
+}) {
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({ setId: '', setName: '' });
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const questionsPerSet = useConfigStore(
+    (state) => state.config.questionsPerTeam,
+  );
+
+  // Start from the guessed mapping for each new sheet
+  useEffect(() => {
+    if (!sheet) return;
+
+    setMapping(guessColumnMapping(sheet.headers));
+    setDefaults({
+      setId: sheet.fileName
+        .replace(/\.[^.]+$/, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-'),
+      setName: sheet.fileName.replace(/\.[^.]+$/, ''),
+    });
+    setError(null);
+  }, [sheet]);
+
+  const mappingValidation = useMemo(
+    () => validateColumnMapping(mapping, defaults),
+    [mapping, defaults],
+  );
+
+  const result = useMemo(() => {
+    if (!sheet || !mappingValidation.isValid) return null;
+    return buildQuestionSetsFromRows(sheet.rows, mapping, {
+      ...defaults,
+      questionsPerSet,
+    });
+  }, [sheet, mapping, defaults, mappingValidation, questionsPerSet]);
+
+  const handleMappingChange = (key, value) =>
+    setMapping((previous) => ({
+      ...previous,
+      [key]: value === '' ? null : Number(value),
+    }));
+
+  const handleImport = async () => {
+    if (!result?.isValid) return;
+
+    setIsImporting(true);
+    setError(null);
+
+    try {
+      const questionSets = result.sets.map(({ questionSet }) => questionSet);
+
+      // Check every set first so a sheet is imported whole or not at all
+      const existing = [];
+      for (const questionSet of questionSets) {
+        if (await databaseService.questionSetExists(questionSet.setId)) {
+          existing.push(questionSet.setId);
+        }
+      }
+
+      if (existing.length > 0) {
+        const setIds = existing.map((setId) => `'${setId}'`).join(', ');
+        setError(
+          `Already in database: ${setIds}. Rename these sets in the sheet or delete the existing sets first.`,
+        );
+        return;
+      }
+
+      for (const questionSet of questionSets) {
+        const saveResult = await databaseService.saveQuestionSet(questionSet);
+
+        if (!saveResult.success) {
+          setError(saveResult.error || `Failed to save '${questionSet.setId}'`);
+          return;
+        }
+
+        onImported?.(saveResult);
+      }
+
+      console.log(
+        `📥 Imported ${questionSets.length} question set(s) from "${sheet.fileName}"`,
+      );
+      toast.success(
+        `Imported ${questionSets.length} question set${questionSets.length === 1 ? '' : 's'}`,
+        { description: sheet.fileName },
+      );
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Failed to import question sheet:', err);
+      setError(`Failed to import "${sheet.fileName}": ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  if (!sheet) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl max-h-[90vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Sheet className="w-5 h-5" />
+            Import {sheet.fileName}
+          </DialogTitle>
+          <DialogDescription>
+            {sheet.rows.length} question row
+            {sheet.rows.length === 1 ? '' : 's'} • Choose the column for each
+            field. Line numbers refer to the sheet, header included.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ScrollArea className="flex-1 min-h-0">
+          <div className="space-y-6 pr-2">
+            {/* Column Mapping */}
+            <div className="grid sm:grid-cols-3 gap-3">
+              {SHEET_FIELDS.map(({ key, label, required }) => (
+                <div key={key} className="space-y-1.5">
+                  <Label htmlFor={`sheet-column-${key}`}>
+                    {label}
+                    {required && <span className="text-destructive">*</span>}
+                  </Label>
+                  <select
+                    id={`sheet-column-${key}`}
+                    className={SELECT_CLASSES}
+                    value={mapping[key] ?? ''}
+                    disabled={isImporting}
+                    onChange={(e) => handleMappingChange(key, e.target.value)}>
+                    <option value="">— Not in sheet —</option>
+                    {sheet.headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header.trim() || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {/* Single-set sheet */}
+            {mapping.setId == null && (
+              <div className="grid sm:grid-cols-2 gap-3 p-3 bg-muted/30 rounded-lg">
+                <p className="sm:col-span-2 text-xs text-muted-foreground">
+                  No set column — every row goes into one question set.
+                </p>
+                <div className="space-y-1.5">
+                  <Label htmlFor="sheet-set-id">Set ID</Label>
+                  <Input
+                    id="sheet-set-id"
+                    className="font-mono"
+                    value={defaults.setId}
+                    disabled={isImporting}
+                    onChange={(e) =>
+                      setDefaults({ ...defaults, setId: e.target.value })
+                    }
+                  />
+                </div>
+                {mapping.setName == null && (
+                  <div className="space-y-1.5">
+                    <Label htmlFor="sheet-set-name">Set Name</Label>
+                    <Input
+                      id="sheet-set-name"
+                      value={defaults.setName}
+                      disabled={isImporting}
+                      onChange={(e) =>
+                        setDefaults({ ...defaults, setName: e.target.value })
+                      }
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {mappingValidation.errors && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  <ul className="list-disc pl-4">
+                    {mappingValidation.errors.map((message) => (
+                      <li key={message}>{message}</li>
+                    ))}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {/* Sets Preview */}
+            {result && (
+              <div className="space-y-3">
+                <h4 className="text-sm font-medium">
+                  Question sets in this sheet ({result.sets.length})
+                </h4>
+                {result.sets.map(({ questionSet, errors, firstLine }) => (
+                  <div
+                    key={`${questionSet.setId}-${firstLine}`}
+                    className="p-3 border rounded-lg space-y-2">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      {errors ? (
+                        <AlertCircle className="w-4 h-4 text-destructive" />
+                      ) : (
+                        <CheckCircle2 className="w-4 h-4 text-green-600" />
+                      )}
+                      <span className="font-medium">{questionSet.setName}</span>
+                      <Badge variant="secondary" className="font-mono text-xs">
+                        {questionSet.setId || '(no set ID)'}
+                      </Badge>
+                      <span className="text-xs text-muted-foreground ml-auto">
+                        {questionSet.totalQuestions} questions
+                        {questionSet.totalReserveQuestions > 0 &&
+                          ` + ${questionSet.totalReserveQuestions} reserve`}
+                      </span>
+                    </div>
+                    {errors && (
+                      <ul className="text-xs text-destructive space-y-0.5 pl-6">
+                        {errors.map((message) => (
+                          <li key={message}>{message}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {error && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+          </div>
+        </ScrollArea>
+
+        <DialogFooter className="shrink-0">
+          <Button
+            variant="outline"
+            disabled={isImporting}
+            onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleImport}
+            disabled={isImporting || !result?.isValid}>
+            <Upload className="w-4 h-4 mr-2" />
+            {isImporting
+              ? 'Importing…'
+              : `Import ${result?.sets.length ?? 0} Set${result?.sets.length === 1 ? '' : 's'}`}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -3,11 +3,18 @@
 import { useState, useRef } from 'react';
 import { databaseService } from '@services/database.service';
 import { validateQuestionSet, getValidationSummary } from '@utils/validation';
-import { QUESTIONS_PER_SET } from '@constants/config';
+import { splitReserveQuestions } from '@utils/questionSets';
+import {
+  isQuestionSheetFile,
+  detectDelimiter,
+  parseDelimitedText,
+} from '@utils/questionSheetImport';
+import { useConfigStore } from '@stores/useConfigStore';
 import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
 import { Button } from '@components/ui/button';
 import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
 import { Progress } from '@components/ui/progress';
+import QuestionSheetImportDialog from './QuestionSheetImportDialog';
 import {
   Upload,
   FileJson,
@@ -15,6 +22,7 @@ import {
   CheckCircle2,
   Download,
   Info,
+  FileSpreadsheet,
 } from 'lucide-react';
 
 export default function QuestionUploader({ onUploadSuccess }) {
@@ -22,8 +30,14 @@ export default function QuestionUploader({ onUploadSuccess }) {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState(null);
+  const [sheet, setSheet] = useState(null);
+  const [showSheetImport, setShowSheetImport] = useState(false);
   const fileInputRef = useRef(null);
 
+  const questionsPerSet = useConfigStore(
+    (state) => state.config.questionsPerTeam,
+  );
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -39,14 +53,16 @@ export default function QuestionUploader({ onUploadSuccess }) {
     setIsDragging(false);
 
     const files = Array.from(e.dataTransfer.files);
-    const jsonFiles = files.filter((file) => file.type === 'application/json');
+    const acceptedFiles = files.filter(
+      (file) => file.type === 'application/json' || isQuestionSheetFile(file),
+    );
 
-    if (jsonFiles.length === 0) {
-      setError('Please drop JSON files only');
+    if (acceptedFiles.length === 0) {
+      setError('Please drop JSON, CSV or TSV files only');
       return;
     }
 
-    handleFiles(jsonFiles);
+    handleFiles(acceptedFiles);
   };
 
   const handleFileSelect = (e) => {
@@ -54,7 +70,60 @@ export default function QuestionUploader({ onUploadSuccess }) {
     handleFiles(files);
   };
 
-  const handleFiles = async (files) => {
+  const resetFileInput = () => {
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleFiles = (files) => {
+    const sheetFiles = files.filter(isQuestionSheetFile);
+    const jsonFiles = files.filter((file) => !isQuestionSheetFile(file));
+
+    if (sheetFiles.length > 1) {
+      setError('Import one CSV/TSV sheet at a time');
+      resetFileInput();
+      return;
+    }
+
+    if (sheetFiles.length === 1) {
+      openSheet(sheetFiles[0]);
+    }
+
+    if (jsonFiles.length > 0) {
+      uploadJsonFiles(jsonFiles);
+    }
+  };
+
+  /**
+   * Read a CSV/TSV sheet and open the column-mapping step
+   * @param {File} file
+   */
+  const openSheet = async (file) => {
+    setError(null);
+
+    try {
+      const text = await file.text();
+      const [header, ...rows] = parseDelimitedText(
+        text,
+        detectDelimiter(text, file.name),
+      );
+
+      if (!header || rows.length === 0) {
+        setError(`"${file.name}" has no question rows below the header row`);
+        return;
+      }
+
+      setSheet({ fileName: file.name, headers: header.cells, rows });
+      setShowSheetImport(true);
+    } catch (err) {
+      setError(`Failed to parse "${file.name}": ${err.message}`);
+    } finally {
+      resetFileInput();
+    }
+  };
+
+  const uploadJsonFiles = async (files) => {
     setError(null);
     setIsUploading(true);
     setUploadProgress(0);
@@ -70,27 +139,23 @@ export default function QuestionUploader({ onUploadSuccess }) {
         // Simulate progress
         setUploadProgress(((i + 0.5) / files.length) * 100);
 
-        // Trim questions array to QUESTIONS_PER_SET
-        const trimmedQuestions = questionSet.questions.slice(
-          0,
-          QUESTIONS_PER_SET,
+        // First questionsPerSet questions are played, extras become reserves
+        const preparedQuestionSet = splitReserveQuestions(
+          questionSet,
+          questionsPerSet,
         );
 
-        const trimmedQuestionSet = {
-          ...questionSet,
-          questions: trimmedQuestions,
-          totalQuestions: trimmedQuestions.length,
-        };
-
-        // Log if questions were trimmed
-        if (questionSet.questions.length > QUESTIONS_PER_SET) {
+        if (preparedQuestionSet.totalReserveQuestions > 0) {
           console.log(
-            `✂️ Trimmed question set from ${questionSet.questions.length} to ${QUESTIONS_PER_SET} questions`,
+            `🔄 Keeping ${preparedQuestionSet.totalReserveQuestions} reserve question(s) from "${file.name}"`,
           );
         }
 
         // Validate question set (includes validation)
-        const validation = validateQuestionSet(trimmedQuestionSet);
+        const validation = validateQuestionSet(
+          preparedQuestionSet,
+          questionsPerSet,
+        );
 
         if (!validation.isValid) {
           // Validation failed
@@ -102,12 +167,12 @@ export default function QuestionUploader({ onUploadSuccess }) {
 
         // Check if question set already exists in Firebase
         const exists = await databaseService.questionSetExists(
-          trimmedQuestionSet.setId,
+          preparedQuestionSet.setId,
         );
 
         if (exists) {
           setError(
-            `Question set '${trimmedQuestionSet.setId}' already exists in database. Please use a different ID or delete the existing set first.`,
+            `Question set '${preparedQuestionSet.setId}' already exists in database. Please use a different ID or delete the existing set first.`,
           );
           setIsUploading(false);
           return;
@@ -115,7 +180,7 @@ export default function QuestionUploader({ onUploadSuccess }) {
 
         // Save to Firebase
         const result =
-          await databaseService.saveQuestionSet(trimmedQuestionSet);
+          await databaseService.saveQuestionSet(preparedQuestionSet);
 
         if (!result.success) {
           setError(result.error || `Failed to upload "${file.name}"`);
@@ -142,9 +207,7 @@ export default function QuestionUploader({ onUploadSuccess }) {
     setUploadProgress(0);
 
     // Reset file input
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
+    resetFileInput();
   };
 
   const handleBrowseClick = () => {
@@ -201,7 +264,7 @@ export default function QuestionUploader({ onUploadSuccess }) {
           </h3>
 
           <p className="text-sm text-muted-foreground mb-4">
-            Drag and drop JSON files here, or click to browse
+            Drag and drop JSON files or a CSV/TSV sheet here, or click to browse
           </p>
 
           <Button
@@ -217,7 +280,7 @@ export default function QuestionUploader({ onUploadSuccess }) {
           <input
             ref={fileInputRef}
             type="file"
-            accept="application/json,.json"
+            accept="application/json,.json,text/csv,.csv,text/tab-separated-values,.tsv"
             multiple
             onChange={handleFileSelect}
             className="hidden"
@@ -249,7 +312,7 @@ export default function QuestionUploader({ onUploadSuccess }) {
       "difficulty": "easy",
       "category": "Geography"
     }
-    // ... ${QUESTIONS_PER_SET - 1} more questions
+    // ... ${questionsPerSet - 1} more questions
   ]
 }`}
               </pre>
@@ -264,8 +327,16 @@ export default function QuestionUploader({ onUploadSuccess }) {
             Upload Requirements
           </h4>
           <ul className="text-sm text-muted-foreground space-y-1">
-            <li>• File format: JSON (.json)</li>
-            <li>• At least {QUESTIONS_PER_SET} questions per set required</li>
+            <li>
+              • File format: JSON (.json), or a CSV/TSV sheet with one question
+              per row — columns are mapped before import, and a set column
+              splits one sheet into several sets
+            </li>
+            <li>• At least {questionsPerSet} questions per set required</li>
+            <li>
+              • Extra questions are kept as reserves for Switch the Question
+              (same <code>difficulty</code> is used as the replacement)
+            </li>
             <li>
               • Each question must have: text, 4 options (A/B/C/D), correct
               answer
@@ -305,9 +376,25 @@ export default function QuestionUploader({ onUploadSuccess }) {
               <Download className="w-4 h-4" />
               Multiple Sets (.zip)
             </a>
+
+            <a
+              href="/sample-data/sample-question-sets.csv"
+              download
+              className="flex-1 inline-flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-blue-900 dark:text-blue-100 bg-blue-100 dark:bg-blue-900 hover:bg-blue-200 dark:hover:bg-blue-800 rounded-md transition-colors">
+              <FileSpreadsheet className="w-4 h-4" />
+              Sheet (.csv)
+            </a>
           </div>
         </div>
       </CardContent>
+
+      {/* CSV/TSV Column Mapping */}
+      <QuestionSheetImportDialog
+        sheet={sheet}
+        open={showSheetImport}
+        onOpenChange={setShowSheetImport}
+        onImported={onUploadSuccess}
+      />
     </Card>
   );
 }
@@ -0,0 +1,87 @@
+// src/components/settings/CurrencySettingsCard.jsx
+
+import { useConfigStore } from '@stores/useConfigStore';
+import { formatPrize } from '@utils/gameplay/scoreCalculation';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Coins } from 'lucide-react';
+
+/**
+ * Sample amount shown in the formatting preview
+ */
+const PREVIEW_AMOUNT = 1250000;
+
+/**
+ * CurrencySettingsCard Component
+ *
+ * Purpose: Host editor for how prize amounts are displayed.
+ *
+ * Edits (saved from the settings page via useConfigStore):
+ * - config.currencySymbol     - prefix shown before amounts (e.g., 'Rs.')
+ * - config.numberFormatLocale - Intl locale used for grouping (e.g., 'en-IN')
+ *
+ * @param {Object} props
+ * @param {boolean} props.disabled - Lock editing (e.g. while a game is running)
+ */
+export default function CurrencySettingsCard({ disabled = false }) {
+  const editedConfig = useConfigStore((state) => state.editedConfig);
+  const updateConfigValue = useConfigStore((state) => state.updateConfigValue);
+
+  const { currencySymbol = '', numberFormatLocale = '' } = editedConfig;
+
+  // Invalid locales throw — the store validation reports them
+  let preview;
+  try {
+    preview = formatPrize(PREVIEW_AMOUNT, currencySymbol, numberFormatLocale);
+  } catch {
+    preview = '—';
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Coins className="w-5 h-5" />
+          Currency
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="currency-symbol" className="text-xs">
+              Symbol
+            </Label>
+            <Input
+              id="currency-symbol"
+              value={currencySymbol}
+              onChange={(e) =>
+                updateConfigValue('currencySymbol', e.target.value)
+              }
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="number-format-locale" className="text-xs">
+              Number locale
+            </Label>
+            <Input
+              id="number-format-locale"
+              placeholder="en-US"
+              value={numberFormatLocale}
+              onChange={(e) =>
+                updateConfigValue('numberFormatLocale', e.target.value.trim())
+              }
+              disabled={disabled}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between rounded-md border p-2">
+          <span className="text-xs text-muted-foreground">Preview</span>
+          <span className="text-sm font-semibold">{preview}</span>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,174 @@
+// src/components/settings/GameRulesSettingsCard.jsx
+
+import { useConfigStore } from '@stores/useConfigStore';
+import {
+  ELIMINATION_PRIZE_RULES,
+  DEFAULT_EVENT_NAME,
+  MAX_EVENT_NAME_LENGTH,
+} from '@constants/config';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { ListOrdered } from 'lucide-react';
+
+/**
+ * Elimination prize rule options shown as toggle buttons
+ */
+const ELIMINATION_RULE_OPTIONS = [
+  {
+    value: ELIMINATION_PRIZE_RULES.MILESTONE,
+    label: 'Milestone',
+    description: 'Fall back to the last milestone passed',
+  },
+  {
+    value: ELIMINATION_PRIZE_RULES.KEEP,
+    label: 'Keep',
+    description: 'Keep the prize banked so far',
+  },
+  {
+    value: ELIMINATION_PRIZE_RULES.ZERO,
+    label: 'Zero',
+    description: 'Lose everything',
+  },
+];
+
+/**
+ * Convert a number input value for the edited config ('' stays editable)
+ * @param {string} value - Raw input value
+ * @returns {number|string}
+ */
+const toNumberValue = (value) => (value === '' ? '' : Number(value));
+
+/**
+ * GameRulesSettingsCard Component
+ *
+ * Purpose: Host editor for the core game rules stored in Firebase config.
+ *
+ * Edits (saved from the settings page via useConfigStore):
+ * - config.eventName            - title of the printed report (/report)
+ * - config.questionsPerTeam     - questions each team plays
+ * - config.minTeams / maxTeams  - team limits checked during setup
+ * - config.eliminationPrizeRule - 'milestone' | 'keep' | 'zero'
+ *
+ * Milestones themselves are part of the prize structure (edited on /prizes).
+ *
+ * @param {Object} props
+ * @param {boolean} props.disabled - Lock editing (e.g. while a game is running)
+ */
+export default function GameRulesSettingsCard({ disabled = false }) {
+  const editedConfig = useConfigStore((state) => state.editedConfig);
+  const updateConfigValue = useConfigStore((state) => state.updateConfigValue);
+
+  const {
+    eventName = '',
+    questionsPerTeam,
+    minTeams,
+    maxTeams,
+    eliminationPrizeRule,
+  } = editedConfig;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ListOrdered className="w-5 h-5" />
+          Game Rules
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Event name */}
+        <div className="space-y-1">
+          <Label htmlFor="event-name" className="text-xs">
+            Event name
+          </Label>
+          <Input
+            id="event-name"
+            value={eventName}
+            maxLength={MAX_EVENT_NAME_LENGTH}
+            placeholder={DEFAULT_EVENT_NAME}
+            onChange={(e) => updateConfigValue('eventName', e.target.value)}
+            disabled={disabled}
+          />
+        </div>
+
+        {/* Counts */}
+        <div className="grid grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="questions-per-team" className="text-xs">
+              Questions per set
+            </Label>
+            <Input
+              id="questions-per-team"
+              type="number"
+              min={1}
+              value={questionsPerTeam ?? ''}
+              onChange={(e) =>
+                updateConfigValue(
+                  'questionsPerTeam',
+                  toNumberValue(e.target.value),
+                )
+              }
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="min-teams" className="text-xs">
+              Minimum teams
+            </Label>
+            <Input
+              id="min-teams"
+              type="number"
+              min={1}
+              value={minTeams ?? ''}
+              onChange={(e) =>
+                updateConfigValue('minTeams', toNumberValue(e.target.value))
+              }
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="max-teams" className="text-xs">
+              Maximum teams
+            </Label>
+            <Input
+              id="max-teams"
+              type="number"
+              min={1}
+              value={maxTeams ?? ''}
+              onChange={(e) =>
+                updateConfigValue('maxTeams', toNumberValue(e.target.value))
+              }
+              disabled={disabled}
+            />
+          </div>
+        </div>
+
+        {/* Elimination rule */}
+        <div className="space-y-2">
+          <Label className="text-sm">On elimination</Label>
+          <div className="grid grid-cols-3 gap-2">
+            {ELIMINATION_RULE_OPTIONS.map((option) => (
+              <Button
+                key={option.value}
+                type="button"
+                variant={
+                  eliminationPrizeRule === option.value ? 'default' : 'outline'
+                }
+                className="h-auto py-2 flex flex-col items-start text-left"
+                onClick={() =>
+                  updateConfigValue('eliminationPrizeRule', option.value)
+                }
+                disabled={disabled}>
+                <span className="text-sm font-semibold">{option.label}</span>
+                <span className="text-xs font-normal opacity-80 whitespace-normal">
+                  {option.description}
+                </span>
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
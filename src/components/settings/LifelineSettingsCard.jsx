@@ -0,0 +1,249 @@
+// src/components/settings/LifelineSettingsCard.jsx
+
+import { useEffect } from 'react';
+import { useConfigStore } from '@stores/useConfigStore';
+import { useGameStore } from '@stores/useGameStore';
+import {
+  LIFELINE_TYPE,
+  LIFELINE_META,
+  LIFELINE_RULE,
+  MAX_LIFELINE_USES,
+} from '@constants/teamStates';
+import { GAME_STATUS } from '@constants/gameStates';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Badge } from '@components/ui/badge';
+import { Alert, AlertDescription } from '@components/ui/alert';
+import { LifeBuoy, Save, RotateCcw, AlertTriangle } from 'lucide-react';
+import { cn } from '@lib/utils';
+
+/**
+ * Per-question rule options shown as toggle buttons
+ */
+const RULE_OPTIONS = [
+  {
+    value: LIFELINE_RULE.ONE_PER_QUESTION,
+    label: 'One per question',
+    description: 'Classic rules — a single lifeline per question',
+  },
+  {
+    value: LIFELINE_RULE.STACKABLE,
+    label: 'Stackable',
+    description: 'Several lifelines per question, each type once',
+  },
+];
+
+/**
+ * LifelineSettingsCard Component
+ *
+ * Purpose: Host editor for the lifeline roster stored in Firebase config.
+ *
+ * Edits (saved together via useConfigStore):
+ * - config.lifelinesEnabled - which lifelines teams get
+ * - config.lifelineUses     - uses per enabled lifeline (1 to MAX_LIFELINE_USES)
+ * - config.lifelineRule     - 'one-per-question' | 'stackable'
+ *
+ * The roster is copied onto every team when the game is initialized (and when
+ * a team is added or reset), so changes are locked while a game is running.
+ *
+ * @param {Object} props
+ * @param {boolean} props.showActions - Own load, errors and Save/Discard buttons;
+ *   false when embedded in a page that saves the whole config (GameSettings)
+ */
+export default function LifelineSettingsCard({ showActions = true }) {
+  const editedConfig = useConfigStore((state) => state.editedConfig);
+  const hasUnsavedChanges = useConfigStore((state) => state.hasUnsavedChanges);
+  const isSyncing = useConfigStore((state) => state.isSyncing);
+  const error = useConfigStore((state) => state.error);
+  const loadConfig = useConfigStore((state) => state.loadConfig);
+  const updateConfigValue = useConfigStore((state) => state.updateConfigValue);
+  const discardChanges = useConfigStore((state) => state.discardChanges);
+  const saveConfig = useConfigStore((state) => state.saveConfig);
+  const validateLifelineConfig = useConfigStore(
+    (state) => state.validateLifelineConfig,
+  );
+
+  const gameStatus = useGameStore((state) => state.gameStatus);
+  const isGameRunning =
+    gameStatus === GAME_STATUS.INITIALIZED ||
+    gameStatus === GAME_STATUS.ACTIVE ||
+    gameStatus === GAME_STATUS.PAUSED;
+
+  useEffect(() => {
+    if (showActions) loadConfig();
+  }, [showActions, loadConfig]);
+
+  const {
+    lifelinesEnabled = {},
+    lifelineUses = {},
+    lifelineRule,
+  } = editedConfig;
+  const validation = validateLifelineConfig();
+  const enabledCount = Object.values(LIFELINE_TYPE).filter(
+    (type) => lifelinesEnabled[type],
+  ).length;
+
+  const handleToggle = (type) => {
+    updateConfigValue('lifelinesEnabled', {
+      ...lifelinesEnabled,
+      [type]: !lifelinesEnabled[type],
+    });
+  };
+
+  const handleUsesChange = (type, value) => {
+    updateConfigValue('lifelineUses', {
+      ...lifelineUses,
+      [type]: value === '' ? '' : Number(value),
+    });
+  };
+
+  const handleSave = async () => {
+    if (!validation.isValid) return;
+    await saveConfig();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <span className="flex items-center gap-2">
+            <LifeBuoy className="w-5 h-5" />
+            Lifelines
+          </span>
+          <Badge variant="outline" className="text-xs">
+            {enabledCount} enabled
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isGameRunning && (
+          <Alert>
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription className="text-xs">
+              A game is in progress. Lifeline settings can be changed once it is
+              reset.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Roster */}
+        <div className="space-y-2">
+          {Object.values(LIFELINE_TYPE).map((type) => {
+            const meta = LIFELINE_META[type];
+            const isEnabled = !!lifelinesEnabled[type];
+
+            return (
+              <div
+                key={type}
+                className={cn(
+                  'flex items-center gap-3 p-2 rounded-md border',
+                  !isEnabled && 'opacity-60',
+                )}>
+                <Button
+                  type="button"
+                  size="sm"
+                  variant={isEnabled ? 'default' : 'outline'}
+                  className="w-20 shrink-0"
+                  onClick={() => handleToggle(type)}
+                  disabled={isGameRunning}>
+                  {isEnabled ? 'On' : 'Off'}
+                </Button>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium">
+                    {meta.icon} {meta.label}
+                  </p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {meta.description}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <Label
+                    htmlFor={`lifeline-uses-${type}`}
+                    className="text-xs text-muted-foreground">
+                    Uses
+                  </Label>
+                  <Input
+                    id={`lifeline-uses-${type}`}
+                    type="number"
+                    min={1}
+                    max={MAX_LIFELINE_USES}
+                    className="w-16 h-8"
+                    value={lifelineUses[type] ?? 1}
+                    onChange={(e) => handleUsesChange(type, e.target.value)}
+                    disabled={isGameRunning || !isEnabled}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Per-question rule */}
+        <div className="space-y-2">
+          <Label className="text-sm">Per question</Label>
+          <div className="grid grid-cols-2 gap-2">
+            {RULE_OPTIONS.map((option) => (
+              <Button
+                key={option.value}
+                type="button"
+                variant={lifelineRule === option.value ? 'default' : 'outline'}
+                className="h-auto py-2 flex flex-col items-start text-left"
+                onClick={() => updateConfigValue('lifelineRule', option.value)}
+                disabled={isGameRunning}>
+                <span className="text-sm font-semibold">{option.label}</span>
+                <span className="text-xs font-normal opacity-80 whitespace-normal">
+                  {option.description}
+                </span>
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        {showActions && (!validation.isValid || error) && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription className="text-xs">
+              <ul className="list-disc list-inside space-y-1">
+                {validation.errors.map((validationError, i) => (
+                  <li key={i}>{validationError}</li>
+                ))}
+                {error && <li>{error}</li>}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Actions */}
+        {showActions && (
+          <div className="flex items-center justify-end gap-2">
+            {hasUnsavedChanges && (
+              <Badge variant="secondary" className="text-xs">
+                Unsaved
+              </Badge>
+            )}
+            {hasUnsavedChanges && (
+              <Button variant="outline" size="sm" onClick={discardChanges}>
+                <RotateCcw className="w-4 h-4 mr-1" />
+                Discard
+              </Button>
+            )}
+            <Button
+              size="sm"
+              onClick={handleSave}
+              disabled={
+                !hasUnsavedChanges ||
+                !validation.isValid ||
+                isSyncing ||
+                isGameRunning
+              }>
+              <Save className="w-4 h-4 mr-1" />
+              {isSyncing ? 'Saving...' : 'Save Changes'}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,223 @@
+// src/components/settings/TimerSettingsCard.jsx
+
+import { useConfigStore } from '@stores/useConfigStore';
+import { TIMER_EXPIRY_ACTIONS } from '@constants/config';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Timer, Plus, Trash2 } from 'lucide-react';
+import { cn } from '@lib/utils';
+
+/**
+ * Expiry action options shown as toggle buttons
+ */
+const EXPIRY_ACTION_OPTIONS = [
+  {
+    value: TIMER_EXPIRY_ACTIONS.WARN,
+    label: 'Warn',
+    description: 'Notify the host only',
+  },
+  {
+    value: TIMER_EXPIRY_ACTIONS.SKIP,
+    label: 'Skip',
+    description: 'Offer to skip the question',
+  },
+  {
+    value: TIMER_EXPIRY_ACTIONS.ELIMINATE,
+    label: 'Eliminate',
+    description: 'Offer to eliminate the team',
+  },
+];
+
+/**
+ * Convert a number input value for the edited config ('' stays editable)
+ * @param {string} value - Raw input value
+ * @returns {number|string}
+ */
+const toNumberValue = (value) => (value === '' ? '' : Number(value));
+
+/**
+ * TimerSettingsCard Component
+ *
+ * Purpose: Host editor for the per-question answer timer.
+ *
+ * Edits (saved from the settings page via useConfigStore):
+ * - config.timerEnabled      - whether the timer starts with each question
+ * - config.timerDuration     - seconds used before the first tier
+ * - config.timerTiers        - [{ fromQuestion, seconds }], in any order
+ * - config.timerExpiryAction - 'warn' | 'skip' | 'eliminate'
+ *
+ * @param {Object} props
+ * @param {boolean} props.disabled - Lock editing (e.g. while a game is running)
+ */
+export default function TimerSettingsCard({ disabled = false }) {
+  const editedConfig = useConfigStore((state) => state.editedConfig);
+  const updateConfigValue = useConfigStore((state) => state.updateConfigValue);
+
+  const {
+    timerEnabled,
+    timerDuration,
+    timerTiers = [],
+    timerExpiryAction,
+  } = editedConfig;
+
+  const updateTiers = (tiers) => updateConfigValue('timerTiers', tiers);
+
+  const handleTierChange = (index, field, value) => {
+    updateTiers(
+      timerTiers.map((tier, i) =>
+        i === index ? { ...tier, [field]: toNumberValue(value) } : tier,
+      ),
+    );
+  };
+
+  const handleAddTier = () => {
+    const lastFrom = Math.max(
+      0,
+      ...timerTiers.map((tier) => Number(tier.fromQuestion) || 0),
+    );
+    updateTiers([
+      ...timerTiers,
+      { fromQuestion: lastFrom + 1, seconds: Number(timerDuration) || 30 },
+    ]);
+  };
+
+  const handleRemoveTier = (index) => {
+    updateTiers(timerTiers.filter((_, i) => i !== index));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <span className="flex items-center gap-2">
+            <Timer className="w-5 h-5" />
+            Answer Timer
+          </span>
+          <Button
+            type="button"
+            size="sm"
+            variant={timerEnabled ? 'default' : 'outline'}
+            className="w-20"
+            onClick={() => updateConfigValue('timerEnabled', !timerEnabled)}
+            disabled={disabled}>
+            {timerEnabled ? 'On' : 'Off'}
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className={cn('space-y-4', !timerEnabled && 'opacity-60')}>
+        {/* Default duration */}
+        <div className="flex items-center justify-between gap-3">
+          <Label htmlFor="timer-duration" className="text-sm">
+            Default duration (seconds)
+          </Label>
+          <Input
+            id="timer-duration"
+            type="number"
+            min={1}
+            className="w-24 h-8"
+            value={timerDuration ?? ''}
+            onChange={(e) =>
+              updateConfigValue('timerDuration', toNumberValue(e.target.value))
+            }
+            disabled={disabled}
+          />
+        </div>
+
+        {/* Tiers */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label className="text-sm">Tiers</Label>
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={handleAddTier}
+              disabled={disabled}>
+              <Plus className="w-4 h-4 mr-1" />
+              Add Tier
+            </Button>
+          </div>
+          {timerTiers.length === 0 && (
+            <p className="text-xs text-muted-foreground">
+              No tiers — every question uses the default duration.
+            </p>
+          )}
+          {timerTiers.map((tier, index) => (
+            <div
+              key={index}
+              className="flex items-center gap-2 p-2 rounded-md border">
+              <Label
+                htmlFor={`timer-tier-from-${index}`}
+                className="text-xs text-muted-foreground">
+                From Q
+              </Label>
+              <Input
+                id={`timer-tier-from-${index}`}
+                type="number"
+                min={1}
+                className="w-16 h-8"
+                value={tier.fromQuestion ?? ''}
+                onChange={(e) =>
+                  handleTierChange(index, 'fromQuestion', e.target.value)
+                }
+                disabled={disabled}
+              />
+              <Label
+                htmlFor={`timer-tier-seconds-${index}`}
+                className="text-xs text-muted-foreground">
+                Seconds
+              </Label>
+              <Input
+                id={`timer-tier-seconds-${index}`}
+                type="number"
+                min={1}
+                className="w-20 h-8"
+                value={tier.seconds ?? ''}
+                onChange={(e) =>
+                  handleTierChange(index, 'seconds', e.target.value)
+                }
+                disabled={disabled}
+              />
+              <Button
+                type="button"
+                size="icon-sm"
+                variant="ghost"
+                className="ml-auto"
+                onClick={() => handleRemoveTier(index)}
+                disabled={disabled}>
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        {/* Expiry action */}
+        <div className="space-y-2">
+          <Label className="text-sm">When time runs out</Label>
+          <div className="grid grid-cols-3 gap-2">
+            {EXPIRY_ACTION_OPTIONS.map((option) => (
+              <Button
+                key={option.value}
+                type="button"
+                variant={
+                  timerExpiryAction === option.value ? 'default' : 'outline'
+                }
+                className="h-auto py-2 flex flex-col items-start text-left"
+                onClick={() =>
+                  updateConfigValue('timerExpiryAction', option.value)
+                }
+                disabled={disabled}>
+                <span className="text-sm font-semibold">{option.label}</span>
+                <span className="text-xs font-normal opacity-80 whitespace-normal">
+                  {option.description}
+                </span>
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -4,6 +4,7 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useSetupVerification } from '@hooks/useSetupVerification';
 import { loadSampleData } from '@utils/sampleDataLoader';
+import DuplicateQuestionReport from '@components/questions/DuplicateQuestionReport';
 import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
 import { Button } from '@components/ui/button';
 import { Badge } from '@components/ui/badge';
@@ -123,7 +124,7 @@ export default function SetupVerification({ refreshKey = 0, onRefresh }) {
   const navigate = useNavigate();
 
   // Use refreshKey from parent (managed in Home.jsx)
-  const { isReady, hasWarnings, checks, summary } =
+  const { isReady, hasWarnings, checks, summary, duplicateReport } =
     useSetupVerification(refreshKey);
 
   // Sample data loading state
@@ -386,6 +387,7 @@ export default function SetupVerification({ refreshKey = 0, onRefresh }) {
             checks={questionsChecks}
             onConfigure={() => navigate('/questions')}
           />
+          <DuplicateQuestionReport report={duplicateReport} />
 
           {/* Prizes Group */}
           <CheckGroup
@@ -16,11 +16,18 @@ const Home = lazy(() => import('@pages/Home'));
 const Login = lazy(() => import('@pages/Login'));
 const NotFound = lazy(() => import('@pages/NotFound'));
 const PrizeManagement = lazy(() => import('@pages/PrizeManagement'));
+const GameSettings = lazy(() => import('@pages/GameSettings'));
+const History = lazy(() => import('@pages/History'));
+const Report = lazy(() => import('@pages/Report'));
+const GameLog = lazy(() => import('@pages/GameLog'));
 const QuestionManagement = lazy(() => import('@pages/QuestionManagement'));
+const QuestionBank = lazy(() => import('@pages/question-bank'));
 const TeamManagement = lazy(() => import('@pages/TeamManagement'));
 const Play = lazy(() => import('@/pages/play'));
 const Reset = lazy(() => import('@pages/Reset'));
 const DatabaseViewer = lazy(() => import('@pages/db'));
+const Vote = lazy(() => import('@pages/Vote'));
+const Rehearsal = lazy(() => import('@pages/rehearsal'));
 
 /**
  * Complete route configuration
@@ -53,6 +60,19 @@ export const ROUTE_CONFIG = {
     sitemap_changefreq: 'weekly',
   },
 
+  // Question Bank — reusable questions, kept between events
+  QUESTION_BANK: {
+    path: '/question-bank',
+    component: QuestionBank,
+    title: 'Question Bank',
+    description: 'Generate question sets from a reusable bank',
+    showInNav: true,
+    category: 'main',
+    requiresAuth: true, // Protected route
+    sitemap_priority: 0.6,
+    sitemap_changefreq: 'weekly',
+  },
+
   // Team Management
   TEAMS: {
     path: '/teams',
@@ -79,6 +99,58 @@ export const ROUTE_CONFIG = {
     sitemap_changefreq: 'weekly',
   },
 
+  // Game Settings
+  SETTINGS: {
+    path: '/settings',
+    component: GameSettings,
+    title: 'Settings',
+    description: 'Configure game rules',
+    showInNav: true,
+    category: 'main',
+    requiresAuth: true,
+    sitemap_priority: 0.6,
+    sitemap_changefreq: 'monthly',
+  },
+
+  // Past Events
+  HISTORY: {
+    path: '/history',
+    component: History,
+    title: 'History',
+    description: 'Browse past events',
+    showInNav: true,
+    category: 'main',
+    requiresAuth: true,
+    sitemap_priority: 0.5,
+    sitemap_changefreq: 'weekly',
+  },
+
+  // Printable Event Report
+  REPORT: {
+    path: '/report',
+    component: Report,
+    title: 'Report',
+    description: 'Printable event summary',
+    showInNav: true,
+    category: 'main',
+    requiresAuth: true,
+    sitemap_priority: 0.5,
+    sitemap_changefreq: 'weekly',
+  },
+
+  // Game Event Journal
+  GAME_LOG: {
+    path: '/game-log',
+    component: GameLog,
+    title: 'Game Log',
+    description: 'Timeline of host actions',
+    showInNav: true,
+    category: 'main',
+    requiresAuth: true,
+    sitemap_priority: 0.3,
+    sitemap_changefreq: 'weekly',
+  },
+
   // Game Play
   PLAY: {
     path: '/play',
@@ -118,6 +190,31 @@ export const ROUTE_CONFIG = {
     // Excluded from sitemap intentionally
   },
 
+  // Rehearsal — simulated game run before the event
+  REHEARSAL: {
+    path: '/rehearsal',
+    component: Rehearsal,
+    title: 'Rehearsal',
+    description: 'Play a simulated game and report every write',
+    showInNav: false, // Reached from the Home page next to Initialize Game
+    category: 'main',
+    requiresAuth: true, // Protected route
+    bypassGameStatusCheck: true, // A live run moves the game through every state
+    // Excluded from sitemap intentionally
+  },
+
+  // Audience voting — opened on audience phones during Ask the Audience
+  VOTE: {
+    path: '/vote',
+    component: Vote,
+    title: 'Vote',
+    description: 'Ask the Audience voting page',
+    showInNav: false,
+    requiresAuth: false, // Public route — audience devices are not logged in
+    bypassGameStatusCheck: true, // Must stay reachable while a game is active
+    // Excluded from sitemap intentionally
+  },
+
   // Auth routes
   LOGIN: {
     path: '/login',
@@ -3,7 +3,11 @@
 /**
  * Application Configuration Constants
  * Centralized configuration for the quiz competition system
- * Single source of truth for app-wide settings
+ *
+ * Game rules here (team limits, questions per set, currency, timers) are
+ * COMPILED DEFAULTS: they seed the Firebase `config` node, which the host edits
+ * on /settings. Stores read the live values from useConfigStore. Milestones
+ * seed the `prize-milestones` node, edited with the prize structure on /prizes.
  */
 
 // ============================================================================
@@ -65,6 +69,12 @@ export const ANSWER_OPTIONS = ['A', 'B', 'C', 'D'];
  */
 export const ANSWER_OPTIONS_COUNT = ANSWER_OPTIONS.length;
 
+/**
+ * Question difficulty levels (optional on a question)
+ * Switch the Question replaces a question with a reserve of the same difficulty
+ */
+export const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
 // ============================================================================
 // PRIZE CONFIGURATION
 // ============================================================================
@@ -80,11 +90,43 @@ export const MIN_PRIZE_LEVELS = 1;
 export const DEFAULT_PRIZE_LEVELS = TOTAL_QUESTIONS;
 
 /**
- * Milestone question numbers (1-indexed)
- * These are significant checkpoints in the game
+ * Default milestone question numbers (1-indexed)
+ * Seeds the `prize-milestones` node; hosts toggle milestones per level on /prizes
  */
 export const MILESTONE_QUESTIONS = [5, 10, 15, 20];
 
+/**
+ * Rules for what a team keeps when eliminated by a wrong answer
+ * - milestone: fall back to the prize of the last milestone passed (WWBAM rules)
+ * - keep: keep the prize banked before the wrong answer
+ * - zero: lose everything
+ */
+export const ELIMINATION_PRIZE_RULES = {
+  MILESTONE: 'milestone',
+  KEEP: 'keep',
+  ZERO: 'zero',
+};
+
+/**
+ * Active elimination prize rule
+ * Can be overridden by VITE_ELIMINATION_PRIZE_RULE environment variable
+ * Falls back to 'milestone' if env var is not set or invalid
+ */
+export const ELIMINATION_PRIZE_RULE = (() => {
+  const envValue = import.meta.env.VITE_ELIMINATION_PRIZE_RULE;
+
+  if (
+    envValue !== undefined &&
+    envValue !== '' &&
+    Object.values(ELIMINATION_PRIZE_RULES).includes(envValue)
+  ) {
+    console.log(`📋 ELIMINATION_PRIZE_RULE set from env: ${envValue}`);
+    return envValue;
+  }
+
+  return ELIMINATION_PRIZE_RULES.MILESTONE;
+})();
+
 // ============================================================================
 // LIFELINE CONFIGURATION
 // ============================================================================
@@ -142,6 +184,63 @@ export const DEFAULT_TIMER_ENABLED = false;
  */
 export const DEFAULT_TIMER_DURATION_SECONDS = PHONE_A_FRIEND_DURATION;
 
+/**
+ * Per-question answer timer tiers
+ * Each tier applies from `fromQuestion` until the next tier starts.
+ * Questions before the first tier fall back to DEFAULT_TIMER_DURATION_SECONDS.
+ */
+export const DEFAULT_TIMER_TIERS = [
+  { fromQuestion: 1, seconds: 30 }, // Q1–Q5
+  { fromQuestion: 6, seconds: 45 }, // Q6+
+];
+
+/**
+ * What the host is offered when the answer timer runs out
+ * - eliminate: team is eliminated (milestone fallback applies)
+ * - skip: question is skipped, team stays in the hot seat
+ * - warn: host is only notified and decides manually
+ */
+export const TIMER_EXPIRY_ACTIONS = {
+  ELIMINATE: 'eliminate',
+  SKIP: 'skip',
+  WARN: 'warn',
+};
+
+/**
+ * Default action on answer timer expiry
+ */
+export const DEFAULT_TIMER_EXPIRY_ACTION = TIMER_EXPIRY_ACTIONS.WARN;
+
+/**
+ * Get the answer timer duration for a question
+ * @param {number} questionNumber - Question number (1-based)
+ * @param {Array<{ fromQuestion: number, seconds: number }>} tiers - Timer tiers
+ * @param {number} [fallbackSeconds=DEFAULT_TIMER_DURATION_SECONDS] - Used before the first tier
+ * @returns {number} Duration in seconds
+ */
+export const getTimerDurationForQuestion = (
+  questionNumber,
+  tiers = DEFAULT_TIMER_TIERS,
+  fallbackSeconds = DEFAULT_TIMER_DURATION_SECONDS,
+) => {
+  const tier = [...(tiers ?? [])]
+    .sort((a, b) => b.fromQuestion - a.fromQuestion)
+    .find((t) => questionNumber >= t.fromQuestion);
+
+  return tier?.seconds ?? fallbackSeconds;
+};
+
+// ============================================================================
+// ANSWER LOCK
+// ============================================================================
+
+/**
+ * Seconds after "Lock Answer" during which the host can revert the lock
+ * (mis-tap recovery). The lock also stops being revertable once the host
+ * loads the next question or moves to the next team.
+ */
+export const LOCK_UNDO_WINDOW_SECONDS = 15;
+
 // ============================================================================
 // VALIDATION CONFIGURATION
 // ============================================================================
@@ -186,6 +285,20 @@ export const MIN_SET_ID_LENGTH = 3;
  */
 export const MAX_SET_ID_LENGTH = 50;
 
+// ============================================================================
+// EVENT CONFIGURATION
+// ============================================================================
+
+/**
+ * Default event name shown on the printed report
+ */
+export const DEFAULT_EVENT_NAME = 'Quiz Competition';
+
+/**
+ * Maximum event name length
+ */
+export const MAX_EVENT_NAME_LENGTH = 80;
+
 // ============================================================================
 // CURRENCY CONFIGURATION
 // ============================================================================
@@ -262,10 +375,14 @@ export const MAX_FILES_PER_UPLOAD = 20;
 /**
  * Check if a question number is a milestone
  * @param {number} questionNumber - Question number (1-indexed)
+ * @param {Array<number>} [milestones=MILESTONE_QUESTIONS] - Milestone question numbers
  * @returns {boolean} True if milestone
  */
-export const isMilestoneQuestion = (questionNumber) => {
-  return MILESTONE_QUESTIONS.includes(questionNumber);
+export const isMilestoneQuestion = (
+  questionNumber,
+  milestones = MILESTONE_QUESTIONS,
+) => {
+  return milestones.includes(questionNumber);
 };
 
 /**
@@ -0,0 +1,60 @@
+// src/constants/connection.js
+
+/**
+ * Connection Constants
+ * Firebase connection states shown in the header and game status bar, and
+ * the database backend selection
+ */
+
+/**
+ * Connection status enumeration
+ * @readonly
+ * @enum {string}
+ */
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting', // Not connected yet since the app loaded
+  ONLINE: 'online',
+  OFFLINE: 'offline', // Was connected, connection lost
+};
+
+/**
+ * Connection status metadata
+ * Provides display labels and colors for the header indicator
+ */
+export const CONNECTION_STATUS_META = {
+  [CONNECTION_STATUS.CONNECTING]: { label: 'Connecting', color: 'amber' },
+  [CONNECTION_STATUS.ONLINE]: { label: 'Online', color: 'green' },
+  [CONNECTION_STATUS.OFFLINE]: { label: 'Offline', color: 'red' },
+};
+
+/**
+ * Database backends behind database.service
+ * - firebase: Realtime Database (or the emulator in development)
+ * - memory: in-memory tree, lost on reload (rehearsals, automated tests)
+ * - local-storage: in-memory tree saved to this browser's localStorage
+ */
+export const DATABASE_BACKENDS = {
+  FIREBASE: 'firebase',
+  MEMORY: 'memory',
+  LOCAL_STORAGE: 'local-storage',
+};
+
+/**
+ * Active database backend
+ * Can be overridden by VITE_DATABASE_BACKEND environment variable
+ * Falls back to 'firebase' if env var is not set or invalid
+ */
+export const DATABASE_BACKEND = (() => {
+  const envValue = import.meta.env.VITE_DATABASE_BACKEND;
+
+  if (
+    envValue !== undefined &&
+    envValue !== '' &&
+    Object.values(DATABASE_BACKENDS).includes(envValue)
+  ) {
+    console.log(`📋 DATABASE_BACKEND set from env: ${envValue}`);
+    return envValue;
+  }
+
+  return DATABASE_BACKENDS.FIREBASE;
+})();
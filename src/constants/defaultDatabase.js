@@ -8,16 +8,30 @@
  * Imports from existing constant files to maintain single source of truth
  */
 
-import { DEFAULT_PRIZE_STRUCTURE } from '@constants/prizeStructure';
 import {
+  DEFAULT_PRIZE_STRUCTURE,
+  DEFAULT_PRIZE_MILESTONES,
+} from '@constants/prizeStructure';
+import {
+  MIN_TEAMS,
   MAX_TEAMS,
   QUESTIONS_PER_SET,
+  CURRENCY_SYMBOL,
+  NUMBER_FORMAT_LOCALE,
+  DEFAULT_EVENT_NAME,
+  ELIMINATION_PRIZE_RULE,
   DEFAULT_TIMER_ENABLED,
   DEFAULT_TIMER_DURATION_SECONDS,
+  DEFAULT_TIMER_TIERS,
+  DEFAULT_TIMER_EXPIRY_ACTION,
   getDefaultDisplaySettings,
 } from '@constants/config';
 import { DEFAULT_GAME_STATUS as GAME_STATUS_DEFAULT } from '@constants/gameStates';
-import { DEFAULT_LIFELINES_ENABLED } from '@constants/teamStates';
+import {
+  DEFAULT_LIFELINES_ENABLED,
+  DEFAULT_LIFELINE_USES,
+  DEFAULT_LIFELINE_RULE,
+} from '@constants/teamStates';
 
 /**
  * Default game state structure
@@ -36,31 +50,55 @@ export const DEFAULT_GAME_STATE = {
   questionSetAssignments: {},
   initializedAt: null,
   startedAt: null,
+  completedAt: null,
   lastUpdated: 0,
   selectedOption: null,
   optionWasCorrect: null,
   activeLifeline: null,
+  audiencePoll: null,
+  questionTimer: null,
+  questionShownAt: null,
+  questionLifelines: null,
+  usedReserveQuestions: [],
+  skippedQuestions: [],
+  lifelineRoster: null,
   displayFinalResults: false,
 };
 
 /**
- * Default prize structure
+ * Default prize structure and milestones
  * Re-exported from prizeStructure.js for convenience
  */
-export { DEFAULT_PRIZE_STRUCTURE };
+export { DEFAULT_PRIZE_STRUCTURE, DEFAULT_PRIZE_MILESTONES };
 
 /**
  * Default configuration
+ * Compiled defaults for the config node; once the host saves settings
+ * (configuredAt is set) Firebase is the source of truth.
  */
 export const DEFAULT_CONFIG = {
+  // Event name (printed report)
+  eventName: DEFAULT_EVENT_NAME,
+
   // Team configuration
+  minTeams: MIN_TEAMS,
   maxTeams: MAX_TEAMS,
 
   // Question configuration
   questionsPerTeam: QUESTIONS_PER_SET,
 
-  // Lifeline configuration (from teamStates.js)
+  // Prize configuration (from config.js)
+  // Prize kept on elimination: 'milestone' | 'keep' | 'zero'
+  eliminationPrizeRule: ELIMINATION_PRIZE_RULE,
+
+  // Currency formatting (from config.js)
+  currencySymbol: CURRENCY_SYMBOL,
+  numberFormatLocale: NUMBER_FORMAT_LOCALE,
+
+  // Lifeline configuration (from teamStates.js) — editable by the host
   lifelinesEnabled: DEFAULT_LIFELINES_ENABLED,
+  lifelineUses: DEFAULT_LIFELINE_USES,
+  lifelineRule: DEFAULT_LIFELINE_RULE,
 
   // Display settings (from config.js)
   displaySettings: getDefaultDisplaySettings(),
@@ -68,6 +106,11 @@ export const DEFAULT_CONFIG = {
   // Timer configuration (from config.js)
   timerEnabled: DEFAULT_TIMER_ENABLED,
   timerDuration: DEFAULT_TIMER_DURATION_SECONDS,
+  timerTiers: DEFAULT_TIMER_TIERS,
+  timerExpiryAction: DEFAULT_TIMER_EXPIRY_ACTION,
+
+  // Set when the host first saves settings (null = compiled defaults in use)
+  configuredAt: null,
 };
 
 /**
@@ -93,6 +136,7 @@ export const getDefaultDatabaseStructure = () => {
     gameState: DEFAULT_GAME_STATE,
     teams: {},
     prizeStructure: DEFAULT_PRIZE_STRUCTURE,
+    prizeMilestones: DEFAULT_PRIZE_MILESTONES,
     config: DEFAULT_CONFIG,
   };
 };
@@ -0,0 +1,73 @@
+// src/constants/gameLog.js
+
+/**
+ * Game Log Constants
+ * Action types recorded in the append-only `game-log` journal
+ */
+
+/**
+ * Game log action types
+ * @readonly
+ * @enum {string}
+ */
+export const GAME_LOG_ACTION = {
+  GAME_INITIALIZED: 'game-initialized',
+  GAME_STARTED: 'game-started',
+  GAME_PAUSED: 'game-paused',
+  GAME_RESUMED: 'game-resumed',
+  GAME_COMPLETED: 'game-completed',
+  TEAM_ADVANCED: 'team-advanced',
+  ANSWER_LOCKED: 'answer-locked',
+  ANSWER_LOCK_REVERTED: 'answer-lock-reverted',
+  QUESTION_SKIPPED: 'question-skipped',
+  LIFELINE_ACTIVATED: 'lifeline-activated',
+  GAME_UNINITIALIZED: 'game-uninitialized',
+  CONTROL_TAKEN_OVER: 'control-taken-over',
+  FACTORY_RESET: 'factory-reset',
+};
+
+/**
+ * Game log action metadata
+ * Provides display labels and icons for the timeline viewer
+ */
+export const GAME_LOG_ACTION_META = {
+  [GAME_LOG_ACTION.GAME_INITIALIZED]: { label: 'Game Initialized', icon: '🎲' },
+  [GAME_LOG_ACTION.GAME_STARTED]: { label: 'Game Started', icon: '🎮' },
+  [GAME_LOG_ACTION.GAME_PAUSED]: { label: 'Game Paused', icon: '⏸️' },
+  [GAME_LOG_ACTION.GAME_RESUMED]: { label: 'Game Resumed', icon: '▶️' },
+  [GAME_LOG_ACTION.GAME_COMPLETED]: { label: 'Game Completed', icon: '🏁' },
+  [GAME_LOG_ACTION.TEAM_ADVANCED]: { label: 'Next Team', icon: '➡️' },
+  [GAME_LOG_ACTION.ANSWER_LOCKED]: { label: 'Answer Locked', icon: '🔒' },
+  [GAME_LOG_ACTION.ANSWER_LOCK_REVERTED]: {
+    label: 'Lock Reverted',
+    icon: '↩️',
+  },
+  [GAME_LOG_ACTION.QUESTION_SKIPPED]: { label: 'Question Skipped', icon: '⏭️' },
+  [GAME_LOG_ACTION.LIFELINE_ACTIVATED]: {
+    label: 'Lifeline Activated',
+    icon: '🛟',
+  },
+  [GAME_LOG_ACTION.GAME_UNINITIALIZED]: {
+    label: 'Game Uninitialized',
+    icon: '🔄',
+  },
+  [GAME_LOG_ACTION.CONTROL_TAKEN_OVER]: {
+    label: 'Control Taken Over',
+    icon: '🎛️',
+  },
+  [GAME_LOG_ACTION.FACTORY_RESET]: { label: 'Factory Reset', icon: '🏭' },
+};
+
+/**
+ * Get metadata for a game log action
+ * @param {string} action - Game log action type
+ * @returns {Object} Action metadata (falls back to the raw type)
+ */
+export const getGameLogActionMeta = (action) =>
+  GAME_LOG_ACTION_META[action] ?? { label: action, icon: '•' };
+
+/**
+ * Most recent entries loaded by the timeline viewer
+ * The journal itself is never trimmed.
+ */
+export const GAME_LOG_VIEW_LIMIT = 500;
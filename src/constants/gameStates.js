@@ -58,15 +58,49 @@ export const GAME_STATUS_META = {
 /**
  * Valid state transitions
  * Defines which state changes are allowed
+ *
+ * Enforced by useGameStore (and a Firebase transaction on
+ * game-state/game-status) for every status change except the factory reset,
+ * which restores the defaults wholesale. Reverting an answer lock uses
+ * GAME_STATE_REVERT_TRANSITIONS instead.
  */
 export const GAME_STATE_TRANSITIONS = {
   [GAME_STATUS.NOT_STARTED]: [GAME_STATUS.INITIALIZED],
   [GAME_STATUS.INITIALIZED]: [GAME_STATUS.ACTIVE, GAME_STATUS.NOT_STARTED],
-  [GAME_STATUS.ACTIVE]: [GAME_STATUS.PAUSED, GAME_STATUS.COMPLETED],
-  [GAME_STATUS.PAUSED]: [GAME_STATUS.ACTIVE, GAME_STATUS.COMPLETED],
+  [GAME_STATUS.ACTIVE]: [
+    GAME_STATUS.PAUSED,
+    GAME_STATUS.COMPLETED,
+    GAME_STATUS.NOT_STARTED, // ← Allow reset (uninitialize mid-game)
+  ],
+  [GAME_STATUS.PAUSED]: [
+    GAME_STATUS.ACTIVE,
+    GAME_STATUS.COMPLETED,
+    GAME_STATUS.NOT_STARTED, // ← Allow reset (uninitialize mid-game)
+  ],
   [GAME_STATUS.COMPLETED]: [GAME_STATUS.NOT_STARTED],
 };
 
+/**
+ * Extra moves allowed only when reverting an answer lock
+ * The lock that answered the last question completed the game; undoing it
+ * re-opens the game. Normal controls can never make this move.
+ */
+export const GAME_STATE_REVERT_TRANSITIONS = {
+  [GAME_STATUS.COMPLETED]: [GAME_STATUS.ACTIVE],
+};
+
+/**
+ * Check if reverting an answer lock may move the game between two states
+ * Staying in the same state is allowed (the lock did not change it).
+ * @param {string} fromState - State the lock left the game in
+ * @param {string} toState - State before the lock
+ * @returns {boolean} True if the revert is allowed
+ */
+export const isValidRevertTransition = (fromState, toState) => {
+  if (fromState === toState) return true;
+  return GAME_STATE_REVERT_TRANSITIONS[fromState]?.includes(toState) ?? false;
+};
+
 /**
  * Check if a state transition is valid
  * @param {string} fromState - Current state
@@ -112,3 +146,17 @@ export const getValidNextStates = (currentState) => {
  * Default game state
  */
 export const DEFAULT_GAME_STATUS = GAME_STATUS.NOT_STARTED;
+
+/**
+ * Per-question answer timer status (stored at game-state/question-timer/status)
+ * - running: counting down from started-at
+ * - paused: frozen while the game is paused (elapsed holds time used so far)
+ * - expired: time ran out, waiting for the host to decide
+ * @readonly
+ * @enum {string}
+ */
+export const QUESTION_TIMER_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  EXPIRED: 'expired',
+};
@@ -44,12 +44,22 @@ export const DEFAULT_PRIZE_STRUCTURE = [
   10000, // Question 20 - Maximum Prize
 ];
 
+/**
+ * Default milestones stored alongside the default prize structure
+ * Question numbers (1-indexed), ascending
+ */
+export const DEFAULT_PRIZE_MILESTONES = [...MILESTONE_QUESTIONS];
+
 /**
  * Check if a question number is a milestone
- * @param {number} questionNumber - Question number (1-20)
+ * @param {number} questionNumber - Question number (1-indexed)
+ * @param {Array<number>} [milestones=DEFAULT_PRIZE_MILESTONES] - Milestones from usePrizeStore
  * @returns {boolean} True if question is a milestone
  */
-export const isMilestoneQuestion = checkMilestone;
+export const isMilestoneQuestion = (
+  questionNumber,
+  milestones = DEFAULT_PRIZE_MILESTONES,
+) => checkMilestone(questionNumber, milestones);
 
 /**
  * Get prize amount for a specific question number
@@ -90,13 +100,18 @@ export const getPrizeByIndex = (
  * Format prize amount for display
  * @param {number} amount - Prize amount
  * @param {string} [currency=CURRENCY_SYMBOL] - Currency symbol
+ * @param {string} [locale=NUMBER_FORMAT_LOCALE] - Locale for digit grouping
  * @returns {string} Formatted prize string (e.g., "Rs.1,000,000")
  */
-export const formatPrize = (amount, currency = CURRENCY_SYMBOL) => {
+export const formatPrize = (
+  amount,
+  currency = CURRENCY_SYMBOL,
+  locale = NUMBER_FORMAT_LOCALE,
+) => {
   if (typeof amount !== 'number' || isNaN(amount)) {
     return `${currency}0`;
   }
-  return `${currency}${amount.toLocaleString(NUMBER_FORMAT_LOCALE)}`;
+  return `${currency}${amount.toLocaleString(locale)}`;
 };
 
 /**
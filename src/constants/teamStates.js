@@ -19,6 +19,7 @@ export const TEAM_STATUS = {
   ACTIVE: 'active',
   ELIMINATED: 'eliminated',
   COMPLETED: 'completed',
+  WALKED_AWAY: 'walked-away',
 };
 
 /**
@@ -70,14 +71,25 @@ export const TEAM_STATUS_META = {
     darkTextColor: 'dark:text-green-400',
     icon: '✅',
   },
+  [TEAM_STATUS.WALKED_AWAY]: {
+    label: 'Walked Away',
+    description: 'Team quit and banked their current prize',
+    color: 'amber',
+    bgColor: 'bg-amber-500/10',
+    textColor: 'text-amber-600',
+    borderColor: 'border-amber-500/20',
+    darkBgColor: 'dark:bg-amber-500/20',
+    darkTextColor: 'dark:text-amber-400',
+    icon: '🚶',
+  },
 };
 
 /**
  * Valid team status transitions
  * Defines which status changes are allowed
  *
- * NOTE: Terminal states (completed/eliminated) can transition back to waiting
- * for game reset/uninitialize scenarios
+ * NOTE: Terminal states (completed/eliminated/walked-away) can transition back
+ * to waiting for game reset/uninitialize scenarios
  */
 export const TEAM_STATUS_TRANSITIONS = {
   [TEAM_STATUS.WAITING]: [
@@ -87,6 +99,7 @@ export const TEAM_STATUS_TRANSITIONS = {
   [TEAM_STATUS.ACTIVE]: [
     TEAM_STATUS.ELIMINATED,
     TEAM_STATUS.COMPLETED,
+    TEAM_STATUS.WALKED_AWAY,
     TEAM_STATUS.WAITING,
   ],
   [TEAM_STATUS.ELIMINATED]: [
@@ -95,6 +108,38 @@ export const TEAM_STATUS_TRANSITIONS = {
   [TEAM_STATUS.COMPLETED]: [
     TEAM_STATUS.WAITING, // ← Allow reset to waiting (for game uninitialize)
   ],
+  [TEAM_STATUS.WALKED_AWAY]: [
+    TEAM_STATUS.WAITING, // ← Allow reset to waiting (for game uninitialize)
+  ],
+};
+
+/**
+ * Extra status changes allowed only when reverting an answer lock
+ * A wrong lock eliminates the team and a final correct lock completes it;
+ * undoing either puts the team back on the hot seat.
+ */
+export const TEAM_STATUS_REVERT_TRANSITIONS = {
+  [TEAM_STATUS.ELIMINATED]: [TEAM_STATUS.ACTIVE],
+  [TEAM_STATUS.COMPLETED]: [TEAM_STATUS.ACTIVE],
+};
+
+/**
+ * Statuses that end a team's turn on the hot seat
+ * A team in any of these states has finished playing for this game
+ */
+export const TERMINAL_TEAM_STATUSES = [
+  TEAM_STATUS.ELIMINATED,
+  TEAM_STATUS.COMPLETED,
+  TEAM_STATUS.WALKED_AWAY,
+];
+
+/**
+ * Check if a team status is terminal (team has finished playing)
+ * @param {string} status - Team status
+ * @returns {boolean} True if the team has finished its turn
+ */
+export const isTerminalTeamStatus = (status) => {
+  return TERMINAL_TEAM_STATUSES.includes(status);
 };
 
 /**
@@ -111,6 +156,20 @@ export const isValidTeamTransition = (fromStatus, toStatus) => {
   return TEAM_STATUS_TRANSITIONS[fromStatus].includes(toStatus);
 };
 
+/**
+ * Check if reverting an answer lock may change a team's status
+ * Keeping the same status is allowed (a correct, non-final lock).
+ * @param {string} fromStatus - Status the lock left the team in
+ * @param {string} toStatus - Status before the lock
+ * @returns {boolean} True if the revert is allowed
+ */
+export const isValidTeamRevertTransition = (fromStatus, toStatus) => {
+  if (fromStatus === toStatus) return true;
+  return (
+    TEAM_STATUS_REVERT_TRANSITIONS[fromStatus]?.includes(toStatus) ?? false
+  );
+};
+
 /**
  * Get metadata for a team status
  * @param {string} status - Team status
@@ -147,7 +206,8 @@ export const DEFAULT_TEAM_STATUS = TEAM_STATUS.WAITING;
 export const LIFELINE_TYPE = {
   PHONE_A_FRIEND: 'phoneAFriend',
   FIFTY_FIFTY: 'fiftyFifty',
-  AUDIENCE_POLL: 'audiencePoll', // Future feature
+  AUDIENCE_POLL: 'audiencePoll',
+  SWITCH_QUESTION: 'switchQuestion',
 };
 
 /**
@@ -160,6 +220,7 @@ export const LIFELINE_TYPE_KEBAB = {
   PHONE_A_FRIEND: 'phone-a-friend',
   FIFTY_FIFTY: 'fifty-fifty',
   AUDIENCE_POLL: 'audience-poll',
+  SWITCH_QUESTION: 'switch-question',
 };
 
 /**
@@ -172,6 +233,7 @@ export const lifelineToKebab = (camelType) => {
     [LIFELINE_TYPE.PHONE_A_FRIEND]: LIFELINE_TYPE_KEBAB.PHONE_A_FRIEND,
     [LIFELINE_TYPE.FIFTY_FIFTY]: LIFELINE_TYPE_KEBAB.FIFTY_FIFTY,
     [LIFELINE_TYPE.AUDIENCE_POLL]: LIFELINE_TYPE_KEBAB.AUDIENCE_POLL,
+    [LIFELINE_TYPE.SWITCH_QUESTION]: LIFELINE_TYPE_KEBAB.SWITCH_QUESTION,
   };
   return mapping[camelType] || camelType;
 };
@@ -186,17 +248,19 @@ export const lifelineToCamel = (kebabType) => {
     [LIFELINE_TYPE_KEBAB.PHONE_A_FRIEND]: LIFELINE_TYPE.PHONE_A_FRIEND,
     [LIFELINE_TYPE_KEBAB.FIFTY_FIFTY]: LIFELINE_TYPE.FIFTY_FIFTY,
     [LIFELINE_TYPE_KEBAB.AUDIENCE_POLL]: LIFELINE_TYPE.AUDIENCE_POLL,
+    [LIFELINE_TYPE_KEBAB.SWITCH_QUESTION]: LIFELINE_TYPE.SWITCH_QUESTION,
   };
   return mapping[kebabType] || kebabType;
 };
 
 /**
- * Default lifeline state for new teams (all available)
+ * Default lifeline state for new teams (uses left per lifeline)
  */
 export const DEFAULT_LIFELINES = {
-  [LIFELINE_TYPE.PHONE_A_FRIEND]: true,
-  [LIFELINE_TYPE.FIFTY_FIFTY]: true,
-  // AUDIENCE_POLL not included by default (future feature)
+  [LIFELINE_TYPE.PHONE_A_FRIEND]: 1,
+  [LIFELINE_TYPE.FIFTY_FIFTY]: 1,
+  [LIFELINE_TYPE.AUDIENCE_POLL]: 1,
+  [LIFELINE_TYPE.SWITCH_QUESTION]: 1,
 };
 
 /**
@@ -205,7 +269,102 @@ export const DEFAULT_LIFELINES = {
 export const DEFAULT_LIFELINES_ENABLED = {
   phoneAFriend: true,
   fiftyFifty: true,
-  audiencePoll: false, // Future feature, disabled by default
+  audiencePoll: true,
+  switchQuestion: true,
+};
+
+/**
+ * Default number of uses each team gets per lifeline (game config)
+ */
+export const DEFAULT_LIFELINE_USES = {
+  phoneAFriend: 1,
+  fiftyFifty: 1,
+  audiencePoll: 1,
+  switchQuestion: 1,
+};
+
+/**
+ * Most uses the host can give a single lifeline
+ */
+export const MAX_LIFELINE_USES = 3;
+
+/**
+ * How many lifelines a team may use on the same question (game config)
+ * - one-per-question: classic WWBAM, a single lifeline per question
+ * - stackable: several lifelines per question, each type at most once
+ * @readonly
+ * @enum {string}
+ */
+export const LIFELINE_RULE = {
+  ONE_PER_QUESTION: 'one-per-question',
+  STACKABLE: 'stackable',
+};
+
+export const DEFAULT_LIFELINE_RULE = LIFELINE_RULE.ONE_PER_QUESTION;
+
+/**
+ * Build a team's lifelines-available map from the game config
+ * Only enabled lifelines are included, each with its configured uses.
+ *
+ * @param {Object} lifelinesEnabled - { phoneAFriend: bool, ... }
+ * @param {Object} lifelineUses - { phoneAFriend: number, ... }
+ * @returns {Object} { phoneAFriend: 1, fiftyFifty: 1, ... }
+ */
+export const buildTeamLifelines = (
+  lifelinesEnabled = DEFAULT_LIFELINES_ENABLED,
+  lifelineUses = DEFAULT_LIFELINE_USES,
+) => {
+  return Object.fromEntries(
+    Object.values(LIFELINE_TYPE)
+      .filter((type) => lifelinesEnabled?.[type])
+      .map((type) => [type, lifelineUses?.[type] ?? 1]),
+  );
+};
+
+/**
+ * Uses a team has left of a lifeline
+ * Teams created before per-lifeline use counts store booleans.
+ *
+ * @param {Object} lifelinesAvailable - Team's lifelines-available map
+ * @param {string} lifelineType - Lifeline type (camelCase)
+ * @returns {number} Uses left (0 when used up or not in the team's roster)
+ */
+export const getLifelineUsesLeft = (lifelinesAvailable, lifelineType) => {
+  const value = lifelinesAvailable?.[lifelineType];
+  if (value === true) return 1;
+  return typeof value === 'number' ? value : 0;
+};
+
+/**
+ * List the lifelines in a team's roster for badges
+ *
+ * @param {Object} lifelinesAvailable - Team's lifelines-available map
+ * @returns {Array<{ type: string, meta: Object, usesLeft: number, available: boolean }>}
+ */
+export const getTeamLifelineRoster = (lifelinesAvailable) => {
+  return Object.values(LIFELINE_TYPE)
+    .filter((type) => lifelinesAvailable?.[type] !== undefined)
+    .map((type) => {
+      const usesLeft = getLifelineUsesLeft(lifelinesAvailable, type);
+      return {
+        type,
+        meta: LIFELINE_META[type],
+        usesLeft,
+        available: usesLeft > 0,
+      };
+    });
+};
+
+/**
+ * Ask the Audience poll status (stored at game-state/audience-poll/status)
+ * - open: audience votes are being collected
+ * - closed: voting finished, percentages written for the display
+ * @readonly
+ * @enum {string}
+ */
+export const AUDIENCE_POLL_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
 };
 
 /**
@@ -230,6 +389,12 @@ export const LIFELINE_META = {
     icon: '👥',
     color: 'purple',
   },
+  [LIFELINE_TYPE.SWITCH_QUESTION]: {
+    label: 'Switch',
+    description: 'Replace the question with a reserve question',
+    icon: '🔄',
+    color: 'teal',
+  },
 };
 
 /**
@@ -249,3 +414,31 @@ export const getLifelineMeta = (lifelineType) => {
 export const isValidLifelineType = (lifelineType) => {
   return Object.values(LIFELINE_TYPE).includes(lifelineType);
 };
+
+// ============================================================================
+// QUESTION HISTORY
+// ============================================================================
+
+/**
+ * Outcome of a question in a team's answer history (teams/{id}/history)
+ * @readonly
+ * @enum {string}
+ */
+export const QUESTION_OUTCOME = {
+  CORRECT: 'correct',
+  INCORRECT: 'incorrect',
+  SKIPPED: 'skipped',
+  TIMED_OUT: 'timed-out',
+  WALKED_AWAY: 'walked-away',
+};
+
+/**
+ * Question outcome labels for UI rendering
+ */
+export const QUESTION_OUTCOME_META = {
+  [QUESTION_OUTCOME.CORRECT]: { label: 'Correct', icon: '✅' },
+  [QUESTION_OUTCOME.INCORRECT]: { label: 'Incorrect', icon: '❌' },
+  [QUESTION_OUTCOME.SKIPPED]: { label: 'Skipped', icon: '⏭️' },
+  [QUESTION_OUTCOME.TIMED_OUT]: { label: 'Timed Out', icon: '⌛' },
+  [QUESTION_OUTCOME.WALKED_AWAY]: { label: 'Walked Away', icon: '🚶' },
+};
@@ -15,7 +15,6 @@ import {
   MIN_OPTION_TEXT_LENGTH,
   MIN_SET_ID_LENGTH,
   MAX_SET_ID_LENGTH,
-  QUESTIONS_PER_SET,
 } from './config';
 
 // ============================================================================
@@ -163,13 +162,6 @@ export const isPositiveNumber = (value) => {
   return typeof value === 'number' && value > 0;
 };
 
-/**
- * Validate that a question set has the required number of questions
- */
-export const isValidQuestionCount = (count) => {
-  return count === QUESTIONS_PER_SET;
-};
-
 // ============================================================================
 // ERROR MESSAGES
 // ============================================================================
@@ -202,5 +194,4 @@ export const VALIDATION_ERRORS = {
   SET_ID_INVALID:
     'Set ID must be 3-50 alphanumeric characters with hyphens/underscores',
   SET_NAME_REQUIRED: 'Set name is required',
-  QUESTION_COUNT_INVALID: `Question set must have exactly ${QUESTIONS_PER_SET} questions`,
 };
@@ -0,0 +1,23 @@
+// src/hooks/usePrizeFormatter.js
+
+import { useCallback } from 'react';
+import { useConfigStore } from '@stores/useConfigStore';
+import { formatPrize } from '@utils/gameplay/scoreCalculation';
+
+/**
+ * Prize formatter bound to the currency settings in config
+ * Re-renders the caller when the host changes the symbol or locale.
+ *
+ * @returns {(amount: number) => string} Formats an amount (e.g., "Rs.2,500")
+ */
+export const usePrizeFormatter = () => {
+  const currencySymbol = useConfigStore((state) => state.config.currencySymbol);
+  const numberFormatLocale = useConfigStore(
+    (state) => state.config.numberFormatLocale,
+  );
+
+  return useCallback(
+    (amount) => formatPrize(amount, currencySymbol, numberFormatLocale),
+    [currencySymbol, numberFormatLocale],
+  );
+};
@@ -0,0 +1,46 @@
+// src/hooks/useQuestionDuplicates.js
+
+import { useMemo, useState, useEffect } from 'react';
+import { databaseService } from '@services/database.service';
+import { findDuplicateQuestions } from '@utils/questionDuplicates';
+
+/**
+ * Question Duplicates Hook
+ * Loads every question set and checks them for duplicate questions
+ *
+ * @param {number} refreshKey - Optional key to trigger re-analysis (e.g., after uploads)
+ * @returns {{ report: Object, isLoading: boolean }} findDuplicateQuestions() result
+ */
+export const useQuestionDuplicates = (refreshKey = 0) => {
+  const [questionSets, setQuestionSets] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // refreshKey dependency is intentional - forces re-read when incremented
+  useEffect(() => {
+    const loadQuestionSets = async () => {
+      setIsLoading(true);
+      try {
+        setQuestionSets(await databaseService.getAllQuestionSets());
+      } catch (error) {
+        console.error(
+          'Failed to load question sets for duplicate check:',
+          error,
+        );
+        setQuestionSets(null);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadQuestionSets();
+  }, [refreshKey]);
+
+  const report = useMemo(
+    () => findDuplicateQuestions(questionSets),
+    [questionSets],
+  );
+
+  return { report, isLoading };
+};
+
+export default useQuestionDuplicates;
@@ -4,7 +4,9 @@ import { useMemo, useState, useEffect } from 'react';
 import { useTeamsStore } from '@stores/useTeamsStore';
 import { usePrizeStore } from '@stores/usePrizeStore';
 import { useGameStore } from '@stores/useGameStore';
+import { useConfigStore } from '@stores/useConfigStore';
 import { databaseService } from '@services/database.service';
+import { useQuestionDuplicates } from '@hooks/useQuestionDuplicates';
 import { GAME_STATUS } from '@constants/gameStates';
 import { validateCompleteSetup } from '@utils/setupValidation';
 
@@ -33,6 +35,9 @@ export const useSetupVerification = (refreshKey = 0) => {
   // Get game state to check if initialized
   const gameStatus = useGameStore((state) => state.gameStatus);
 
+  // Team limits and questions per set from the config node
+  const config = useConfigStore((state) => state.config);
+
   // Question sets metadata state
   const [questionSetsMetadata, setQuestionSetsMetadata] = useState([]);
   const [isLoadingMetadata, setIsLoadingMetadata] = useState(true);
@@ -56,6 +61,10 @@ export const useSetupVerification = (refreshKey = 0) => {
     loadMetadata();
   }, [refreshKey]); // ← Intentional: triggers re-read when refreshKey changes
 
+  // Duplicate questions across and within the sets (a warning only)
+  const { report: duplicateReport, isLoading: isLoadingDuplicates } =
+    useQuestionDuplicates(refreshKey);
+
   // Check if game is initialized
   const isGameInitialized = gameStatus !== GAME_STATUS.NOT_STARTED;
 
@@ -65,8 +74,17 @@ export const useSetupVerification = (refreshKey = 0) => {
       teamsObject,
       questionSetsMetadata,
       prizeStructure,
+      config,
+      isLoadingDuplicates ? null : duplicateReport,
     );
-  }, [teamsObject, questionSetsMetadata, prizeStructure]);
+  }, [
+    teamsObject,
+    questionSetsMetadata,
+    prizeStructure,
+    config,
+    duplicateReport,
+    isLoadingDuplicates,
+  ]);
 
   return {
     // Standard validation result
@@ -88,6 +106,7 @@ export const useSetupVerification = (refreshKey = 0) => {
     teams: Object.values(teamsObject),
     questionSets: questionSetsMetadata,
     prizeStructure: prizeStructure,
+    duplicateReport,
   };
 };
 
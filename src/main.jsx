@@ -27,7 +27,8 @@ const initializeFirebaseSystems = async () => {
     await new Promise((resolve) => setTimeout(resolve, 1000));
 
     // Sync config with Firebase
-    // Ensures /config node reflects current app configuration (including env vars)
+    // Seeds /config from the app configuration (including env vars) until the
+    // host saves settings on /settings; after that Firebase is the source of truth
     // This will gracefully skip if user is not authenticated
     const result = await syncConfigWithFirebase();
 
@@ -40,6 +41,12 @@ const initializeFirebaseSystems = async () => {
         case 'initialized':
           console.log('📝 Config initialized in Firebase');
           break;
+        case 'backfilled':
+          console.log(
+            '📝 Missing config keys added:',
+            Object.keys(result.missing),
+          );
+          break;
         case 'skipped':
           // Silently skipped (user not authenticated or permission denied)
           // Config will sync after login via useAuth hook
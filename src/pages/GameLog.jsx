@@ -0,0 +1,237 @@
+// src/pages/GameLog.jsx
+
+import { useState, useEffect } from 'react';
+import { useGameLogStore } from '@stores/useGameLogStore';
+import { useTeamsStore } from '@stores/useTeamsStore';
+import { Badge } from '@components/ui/badge';
+import { Card, CardContent } from '@components/ui/card';
+import { Label } from '@components/ui/label';
+import {
+  GAME_LOG_ACTION,
+  GAME_LOG_VIEW_LIMIT,
+  getGameLogActionMeta,
+} from '@constants/gameLog';
+import { ScrollText, NotebookPen } from 'lucide-react';
+
+const ALL = 'all';
+
+const SELECT_CLASSES =
+  'border-input dark:bg-input/30 h-9 w-full rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+/**
+ * Format a before/after snippet as "key: value" pairs
+ * @param {Object|null} snippet
+ * @returns {string}
+ */
+const formatSnippet = (snippet) =>
+  Object.entries(snippet ?? {})
+    .map(
+      ([key, value]) =>
+        `${key}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`,
+    )
+    .join(', ');
+
+/**
+ * One journal entry on the timeline
+ */
+function GameLogEntry({ entry, teamName }) {
+  const meta = getGameLogActionMeta(entry.type);
+
+  return (
+    <li className="relative pl-6 pb-4 border-l last:pb-0">
+      <span className="absolute -left-1.5 top-1.5 w-3 h-3 rounded-full bg-primary" />
+      <div className="flex flex-wrap items-center gap-2">
+        <Badge variant="outline" className="gap-1">
+          {meta.icon} {meta.label}
+        </Badge>
+        {teamName && <span className="text-sm font-medium">{teamName}</span>}
+        {entry.questionNumber != null && (
+          <span className="text-xs text-muted-foreground">
+            Q{entry.questionNumber}
+          </span>
+        )}
+        <span className="ml-auto text-xs text-muted-foreground font-mono">
+          {entry.timestamp
+            ? new Date(entry.timestamp).toLocaleString()
+            : 'pending'}
+        </span>
+      </div>
+      <dl className="mt-1 text-xs space-y-0.5">
+        {entry.before && (
+          <div>
+            <dt className="inline text-muted-foreground">Before: </dt>
+            <dd className="inline font-mono break-all">
+              {formatSnippet(entry.before)}
+            </dd>
+          </div>
+        )}
+        {entry.after && (
+          <div>
+            <dt className="inline text-muted-foreground">After: </dt>
+            <dd className="inline font-mono break-all">
+              {formatSnippet(entry.after)}
+            </dd>
+          </div>
+        )}
+        {entry.details && (
+          <div>
+            <dt className="inline text-muted-foreground">Details: </dt>
+            <dd className="inline font-mono break-all">
+              {formatSnippet(entry.details)}
+            </dd>
+          </div>
+        )}
+        <div>
+          <dt className="inline text-muted-foreground">By: </dt>
+          <dd className="inline">
+            {entry.actorEmail ?? entry.actorUid ?? 'unknown'}
+          </dd>
+        </div>
+      </dl>
+    </li>
+  );
+}
+
+/**
+ * Game Log Page
+ * Timeline of the append-only `game-log` journal
+ *
+ * Every state-changing host action (initialize, start, next team, lock,
+ * skip, lifelines, pause/resume, uninitialize, factory reset) is appended
+ * with the acting host, a before/after snippet and a server timestamp.
+ * Entries stream in live; the journal survives factory resets.
+ */
+export default function GameLog() {
+  const [teamFilter, setTeamFilter] = useState(ALL);
+  const [typeFilter, setTypeFilter] = useState(ALL);
+
+  // Stores
+  const entries = useGameLogStore((state) => state.entries);
+  const isLoading = useGameLogStore((state) => state.isLoading);
+  const startGameLogListener = useGameLogStore(
+    (state) => state.startGameLogListener,
+  );
+  const teams = useTeamsStore((state) => state.teams);
+  const startTeamsListener = useTeamsStore((state) => state.startTeamsListener);
+
+  // ============================================================
+  // REAL-TIME SYNC
+  // ============================================================
+
+  useEffect(() => {
+    const unsubscribers = [startGameLogListener(), startTeamsListener()];
+
+    return () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe?.());
+    };
+  }, [startGameLogListener, startTeamsListener]);
+
+  // ============================================================
+  // FILTERING
+  // ============================================================
+
+  // Teams may have been deleted since they were logged — fall back to the ID
+  const getTeamName = (teamId) =>
+    teamId ? (teams[teamId]?.name ?? teamId) : null;
+
+  const loggedTeamIds = [
+    ...new Set(entries.map((entry) => entry.teamId).filter(Boolean)),
+  ];
+
+  const visibleEntries = entries
+    .filter(
+      (entry) =>
+        (teamFilter === ALL || entry.teamId === teamFilter) &&
+        (typeFilter === ALL || entry.type === typeFilter),
+    )
+    .reverse();
+
+  // ============================================================
+  // RENDER
+  // ============================================================
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-5xl">
+      {/* Page Header */}
+      <div className="mb-8">
+        <div className="flex items-center gap-3 mb-2">
+          <ScrollText className="w-8 h-8 text-primary" />
+          <h1 className="text-3xl font-bold">Game Log</h1>
+        </div>
+        <p className="text-muted-foreground">
+          Every state-changing host action, newest first (last{' '}
+          {GAME_LOG_VIEW_LIMIT} entries)
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="grid sm:grid-cols-2 gap-4 mb-6">
+        <div className="space-y-1.5">
+          <Label htmlFor="game-log-team">Team</Label>
+          <select
+            id="game-log-team"
+            className={SELECT_CLASSES}
+            value={teamFilter}
+            onChange={(e) => setTeamFilter(e.target.value)}>
+            <option value={ALL}>All teams</option>
+            {loggedTeamIds.map((teamId) => (
+              <option key={teamId} value={teamId}>
+                {getTeamName(teamId)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1.5">
+          <Label htmlFor="game-log-type">Action</Label>
+          <select
+            id="game-log-type"
+            className={SELECT_CLASSES}
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}>
+            <option value={ALL}>All actions</option>
+            {Object.values(GAME_LOG_ACTION).map((type) => (
+              <option key={type} value={type}>
+                {getGameLogActionMeta(type).label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+            <p className="text-muted-foreground">Loading game log...</p>
+          </div>
+        </div>
+      ) : visibleEntries.length === 0 ? (
+        /* Empty State */
+        <div className="flex flex-col items-center justify-center py-12 text-center">
+          <NotebookPen className="w-12 h-12 text-muted-foreground mb-4" />
+          <p className="font-semibold">No log entries</p>
+          <p className="text-sm text-muted-foreground">
+            {entries.length === 0
+              ? 'Host actions are recorded here as the game is run.'
+              : 'No entries match the selected filters.'}
+          </p>
+        </div>
+      ) : (
+        <Card>
+          <CardContent>
+            <ol className="ml-1.5">
+              {visibleEntries.map((entry) => (
+                <GameLogEntry
+                  key={entry.id}
+                  entry={entry}
+                  teamName={getTeamName(entry.teamId)}
+                />
+              ))}
+            </ol>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+// src/pages/GameSettings.jsx
+
+import { useState, useEffect } from 'react';
+import { useConfigStore } from '@stores/useConfigStore';
+import { useGameStore } from '@stores/useGameStore';
+import { GAME_STATUS } from '@constants/gameStates';
+import GameRulesSettingsCard from '@components/settings/GameRulesSettingsCard';
+import CurrencySettingsCard from '@components/settings/CurrencySettingsCard';
+import TimerSettingsCard from '@components/settings/TimerSettingsCard';
+import LifelineSettingsCard from '@components/settings/LifelineSettingsCard';
+import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import {
+  Settings,
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle2,
+  Save,
+  RotateCcw,
+} from 'lucide-react';
+
+/**
+ * Game Settings Page
+ * Edit the game rules stored in the Firebase config node at runtime
+ *
+ * Changes are saved together. The first save marks the event as configured,
+ * after which Firebase (not the compiled defaults) is the source of truth.
+ * Settings are locked while a game is running.
+ */
+export default function GameSettings() {
+  const [saveSuccess, setSaveSuccess] = useState(false);
+
+  // Config Store
+  const loadConfig = useConfigStore((state) => state.loadConfig);
+  const startConfigListener = useConfigStore(
+    (state) => state.startConfigListener,
+  );
+  const configuredAt = useConfigStore((state) => state.config.configuredAt);
+  const hasUnsavedChanges = useConfigStore((state) => state.hasUnsavedChanges);
+  const isLoading = useConfigStore((state) => state.isLoading);
+  const isSyncing = useConfigStore((state) => state.isSyncing);
+  const error = useConfigStore((state) => state.error);
+  const discardChanges = useConfigStore((state) => state.discardChanges);
+  const saveConfig = useConfigStore((state) => state.saveConfig);
+  const validateConfig = useConfigStore((state) => state.validateConfig);
+
+  // Subscribing to editedConfig re-runs validation on every edit
+  useConfigStore((state) => state.editedConfig);
+  const validation = validateConfig();
+
+  const gameStatus = useGameStore((state) => state.gameStatus);
+  const isGameRunning =
+    gameStatus === GAME_STATUS.INITIALIZED ||
+    gameStatus === GAME_STATUS.ACTIVE ||
+    gameStatus === GAME_STATUS.PAUSED;
+
+  // ============================================================
+  // INITIAL LOAD & REAL-TIME SYNC
+  // ============================================================
+
+  useEffect(() => {
+    loadConfig();
+
+    console.log('⚙️ Game Settings: Starting real-time listener...');
+    const unsubscribe = startConfigListener();
+
+    return () => {
+      console.log('⚙️ Game Settings: Stopping real-time listener');
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [loadConfig, startConfigListener]);
+
+  // ============================================================
+  // HANDLERS
+  // ============================================================
+
+  const handleSave = async () => {
+    if (!validation.isValid) return;
+
+    const result = await saveConfig();
+    if (result.success) {
+      setSaveSuccess(true);
+
+      // Clear success message after 5 seconds
+      setTimeout(() => {
+        setSaveSuccess(false);
+      }, 5000);
+    }
+  };
+
+  // ============================================================
+  // RENDER
+  // ============================================================
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-7xl">
+      {/* Page Header */}
+      <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-3 mb-2">
+            <Settings className="w-8 h-8 text-primary" />
+            <h1 className="text-3xl font-bold">Game Settings</h1>
+          </div>
+          <p className="text-muted-foreground">
+            {configuredAt
+              ? `Configured ${new Date(configuredAt).toLocaleString()} — these settings are the source of truth for all hosts`
+              : 'Using the built-in defaults. Saving makes these settings the source of truth for all hosts'}
+          </p>
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center gap-2">
+          {hasUnsavedChanges && (
+            <Badge variant="secondary" className="text-xs">
+              Unsaved
+            </Badge>
+          )}
+          {hasUnsavedChanges && (
+            <Button variant="outline" onClick={discardChanges}>
+              <RotateCcw className="w-4 h-4 mr-1" />
+              Discard
+            </Button>
+          )}
+          <Button
+            onClick={handleSave}
+            disabled={
+              !hasUnsavedChanges ||
+              !validation.isValid ||
+              isSyncing ||
+              isGameRunning
+            }>
+            <Save className="w-4 h-4 mr-1" />
+            {isSyncing ? 'Saving...' : 'Save Changes'}
+          </Button>
+        </div>
+      </div>
+
+      {/* Success Alert */}
+      {saveSuccess && (
+        <Alert className="mb-6 border-green-500 bg-green-50 dark:bg-green-950">
+          <CheckCircle2 className="h-4 w-4 text-green-600" />
+          <AlertTitle className="text-green-600">Saved Successfully</AlertTitle>
+          <AlertDescription className="text-green-600">
+            Settings have been synced to Firebase. All hosts will see the
+            updates in real-time.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Game Running Alert */}
+      {isGameRunning && (
+        <Alert className="mb-6">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertTitle>Game in progress</AlertTitle>
+          <AlertDescription>
+            Settings can be changed once the game is reset.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Error Alert */}
+      {(!validation.isValid || error) && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertCircle className="h-4 w-4" />
+          <AlertTitle>{error ? 'Error' : 'Fix these before saving'}</AlertTitle>
+          <AlertDescription>
+            <ul className="list-disc list-inside space-y-1">
+              {validation.errors.map((validationError, i) => (
+                <li key={i}>{validationError}</li>
+              ))}
+              {error && <li>{error}</li>}
+            </ul>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Loading State */}
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+            <p className="text-muted-foreground">Loading settings...</p>
+          </div>
+        </div>
+      ) : (
+        <div className="grid gap-6 lg:grid-cols-2">
+          <div className="space-y-6">
+            <GameRulesSettingsCard disabled={isGameRunning} />
+            <CurrencySettingsCard disabled={isGameRunning} />
+          </div>
+          <div className="space-y-6">
+            <TimerSettingsCard disabled={isGameRunning} />
+            <LifelineSettingsCard showActions={false} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
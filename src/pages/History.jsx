@@ -0,0 +1,95 @@
+// src/pages/History.jsx
+
+import { useState, useEffect } from 'react';
+import { useArchiveStore } from '@stores/useArchiveStore';
+import ArchiveList from '@components/history/ArchiveList';
+import ArchiveDetail from '@components/history/ArchiveDetail';
+import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
+import { History as HistoryIcon, AlertCircle, Archive } from 'lucide-react';
+
+/**
+ * History Page
+ * Browse past events archived from the `archives` node
+ *
+ * A completed game is archived automatically before it is uninitialized or
+ * factory reset. Archives are read-only; nothing on this page writes.
+ */
+export default function History() {
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Archive Store
+  const loadArchives = useArchiveStore((state) => state.loadArchives);
+  const archives = useArchiveStore((state) => state.archives);
+  const isLoading = useArchiveStore((state) => state.isLoading);
+  const error = useArchiveStore((state) => state.error);
+
+  const sortedArchives = Object.values(archives).sort(
+    (a, b) => (b.completedAt ?? 0) - (a.completedAt ?? 0),
+  );
+  const selectedArchive = archives[selectedId] ?? sortedArchives[0] ?? null;
+
+  // ============================================================
+  // INITIAL LOAD
+  // ============================================================
+
+  useEffect(() => {
+    loadArchives();
+  }, [loadArchives]);
+
+  // ============================================================
+  // RENDER
+  // ============================================================
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-7xl">
+      {/* Page Header */}
+      <div className="mb-8">
+        <div className="flex items-center gap-3 mb-2">
+          <HistoryIcon className="w-8 h-8 text-primary" />
+          <h1 className="text-3xl font-bold">Event History</h1>
+        </div>
+        <p className="text-muted-foreground">
+          Final standings and settings of past events, archived when each
+          completed game was reset
+        </p>
+      </div>
+
+      {/* Error Alert */}
+      {error && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertCircle className="h-4 w-4" />
+          <AlertTitle>Error</AlertTitle>
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Loading State */}
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+            <p className="text-muted-foreground">Loading past events...</p>
+          </div>
+        </div>
+      ) : sortedArchives.length === 0 ? (
+        /* Empty State */
+        <div className="flex flex-col items-center justify-center py-12 text-center">
+          <Archive className="w-12 h-12 text-muted-foreground mb-4" />
+          <p className="font-semibold">No past events yet</p>
+          <p className="text-sm text-muted-foreground">
+            Completed games appear here once they are uninitialized or reset.
+          </p>
+        </div>
+      ) : (
+        <div className="grid lg:grid-cols-[20rem_1fr] gap-6 items-start">
+          <ArchiveList
+            archives={sortedArchives}
+            selectedId={selectedArchive?.eventId}
+            onSelect={setSelectedId}
+          />
+          {selectedArchive && <ArchiveDetail archive={selectedArchive} />}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -28,6 +28,7 @@ import {
   BarChart,
   RotateCcw,
   Rocket,
+  Clapperboard,
 } from 'lucide-react';
 import { GAME_STATUS } from '@constants/gameStates';
 
@@ -190,7 +191,7 @@ export default function Home() {
 
             {/* Initialize Game Button - Show when ready and not initialized */}
             {isReady && (
-              <div className="flex justify-center">
+              <div className="flex flex-col items-center gap-3">
                 <Button
                   size="lg"
                   className="w-full max-w-md"
@@ -198,6 +199,14 @@ export default function Home() {
                   <Rocket className="w-5 h-5 mr-2" />
                   Initialize Game
                 </Button>
+                {/* Simulated run before the real one */}
+                <Button
+                  variant="outline"
+                  className="w-full max-w-md"
+                  onClick={() => navigate('/rehearsal')}>
+                  <Clapperboard className="w-4 h-4 mr-2" />
+                  Rehearsal
+                </Button>
               </div>
             )}
           </>
@@ -1,16 +1,34 @@
 // src/pages/QuestionManagement.jsx
 
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { databaseService } from '@services/database.service';
 import QuestionUploader from '@components/questions/QuestionUploader';
 import QuestionSetList from '@components/questions/QuestionSetList';
+import QuestionSetEditor from '@components/questions/QuestionSetEditor';
+import DuplicateQuestionReport from '@components/questions/DuplicateQuestionReport';
+import { useQuestionDuplicates } from '@hooks/useQuestionDuplicates';
+import { getFindingsForSet } from '@utils/questionDuplicates';
+import { Button } from '@components/ui/button';
 import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
-import { AlertCircle, FileJson } from 'lucide-react';
+import {
+  AlertCircle,
+  AlertTriangle,
+  FileJson,
+  Library,
+  Plus,
+} from 'lucide-react';
 
 export default function QuestionManagement() {
   const [questionSets, setQuestionSets] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [uploadSuccess, setUploadSuccess] = useState(null);
+  const [showEditor, setShowEditor] = useState(false);
+  const [lastUploadedSetId, setLastUploadedSetId] = useState(null);
+
+  // Re-run the duplicate check whenever the sets change
+  const [refreshKey, setRefreshKey] = useState(0);
+  const { report: duplicateReport } = useQuestionDuplicates(refreshKey);
 
   // Load question sets from Firebase on mount
   useEffect(() => {
@@ -29,9 +47,15 @@ export default function QuestionManagement() {
     }
   };
 
+  const refreshQuestionSets = () => {
+    loadQuestionSets();
+    setRefreshKey((key) => key + 1);
+  };
+
   const handleUploadSuccess = (result) => {
     setUploadSuccess(result.setId);
-    loadQuestionSets(); // Refresh list
+    setLastUploadedSetId(result.setId);
+    refreshQuestionSets(); // Refresh list and duplicate check
 
     // Clear success message after 5 seconds
     setTimeout(() => {
@@ -39,11 +63,15 @@ export default function QuestionManagement() {
     }, 5000);
   };
 
+  const uploadFindings = uploadSuccess
+    ? getFindingsForSet(duplicateReport, uploadSuccess)
+    : [];
+
   const handleDelete = async (setId) => {
     const result = await databaseService.deleteQuestionSet(setId);
 
     if (result.success) {
-      loadQuestionSets(); // Refresh list
+      refreshQuestionSets(); // Refresh list and duplicate check
     } else {
       console.error('Failed to delete question set:', result.error);
     }
@@ -52,14 +80,28 @@ export default function QuestionManagement() {
   return (
     <div className="container mx-auto py-8 px-4 max-w-7xl">
       {/* Header */}
-      <div className="mb-8">
-        <div className="flex items-center gap-3 mb-2">
-          <FileJson className="w-8 h-8 text-primary" />
-          <h1 className="text-3xl font-bold">Question Management</h1>
+      <div className="mb-8 flex items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-3 mb-2">
+            <FileJson className="w-8 h-8 text-primary" />
+            <h1 className="text-3xl font-bold">Question Management</h1>
+          </div>
+          <p className="text-muted-foreground">
+            Upload, write and edit question sets for the quiz competition
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" asChild>
+            <Link to="/question-bank">
+              <Library className="w-4 h-4 mr-2" />
+              From Question Bank
+            </Link>
+          </Button>
+          <Button onClick={() => setShowEditor(true)}>
+            <Plus className="w-4 h-4 mr-2" />
+            New Question Set
+          </Button>
         </div>
-        <p className="text-muted-foreground">
-          Upload and manage question sets for the quiz competition
-        </p>
       </div>
 
       {/* Success Alert */}
@@ -70,6 +112,8 @@ export default function QuestionManagement() {
           <AlertDescription className="text-green-600">
             Question set "{uploadSuccess}" has been uploaded successfully to
             Firebase.
+            {uploadFindings.length > 0 &&
+              ` ${uploadFindings.length} possible duplicate(s) involve this set — see below.`}
           </AlertDescription>
         </Alert>
       )}
@@ -79,15 +123,45 @@ export default function QuestionManagement() {
         <QuestionUploader onUploadSuccess={handleUploadSuccess} />
       </div>
 
+      {/* Duplicate Questions */}
+      {duplicateReport.findings.length > 0 && (
+        <div className="mb-8 space-y-3">
+          <div className="flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5 text-yellow-600" />
+            <h2 className="text-lg font-semibold">
+              Possible Duplicates ({duplicateReport.findings.length})
+            </h2>
+          </div>
+          <p className="text-sm text-muted-foreground">
+            Repeated or reworded questions, and correct answers that come up
+            more than once, across all sets including reserves.
+            {lastUploadedSetId &&
+              ` Rows from "${lastUploadedSetId}" are highlighted.`}
+          </p>
+          <DuplicateQuestionReport
+            report={duplicateReport}
+            highlightSetId={lastUploadedSetId}
+          />
+        </div>
+      )}
+
       {/* Question Sets List */}
       <div>
         <QuestionSetList
           questionSets={questionSets}
           isLoading={isLoading}
           onDelete={handleDelete}
-          onRefresh={loadQuestionSets}
+          onRefresh={refreshQuestionSets}
         />
       </div>
+
+      {/* New Question Set */}
+      <QuestionSetEditor
+        setId={null}
+        open={showEditor}
+        onOpenChange={setShowEditor}
+        onSaved={refreshQuestionSets}
+      />
     </div>
   );
 }
@@ -0,0 +1,343 @@
+// src/pages/Report.jsx
+
+import { useEffect } from 'react';
+import { useGameStore } from '@stores/useGameStore';
+import { useTeamsStore } from '@stores/useTeamsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { usePrizeStore } from '@stores/usePrizeStore';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@components/ui/table';
+import {
+  buildResultEntries,
+  describeLifelinesUsed,
+} from '@utils/resultsExport';
+import { buildEventStats } from '@utils/eventReport';
+import { getCurrentEnvironment } from '@utils/firebaseEnvironment';
+import { getTeamStatusMeta } from '@constants/teamStates';
+import { getGameStateMeta } from '@constants/gameStates';
+import { DEFAULT_EVENT_NAME } from '@constants/config';
+import { Printer, FileText } from 'lucide-react';
+
+/**
+ * Format a timestamp for the report
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : '—';
+
+/**
+ * Labelled statistic tile
+ */
+function StatTile({ label, value }) {
+  return (
+    <div className="rounded-lg border p-3 break-inside-avoid">
+      <p className="text-xs text-muted-foreground">{label}</p>
+      <p className="text-lg font-bold font-mono">{value}</p>
+    </div>
+  );
+}
+
+/**
+ * Report section with a heading
+ */
+function ReportSection({ title, className, children }) {
+  return (
+    <section className={className}>
+      <h2 className="text-lg font-semibold border-b pb-1 mb-3">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Event Report Page
+ * Print-optimized summary of the current event (PRD P8-REQ-010)
+ *
+ * Generated live from the teams, game-state, config and prize nodes.
+ * "Print / Save as PDF" opens the browser print dialog; choosing
+ * "Save as PDF" as the destination produces the PDF. The app chrome is
+ * hidden when printing and the report always prints in the light theme.
+ */
+export default function Report() {
+  const formatPrize = usePrizeFormatter();
+
+  // Stores
+  const teams = useTeamsStore((state) => state.teams);
+  const startTeamsListener = useTeamsStore((state) => state.startTeamsListener);
+  const gameStatus = useGameStore((state) => state.gameStatus);
+  const playQueue = useGameStore((state) => state.playQueue);
+  const startedAt = useGameStore((state) => state.startedAt);
+  const completedAt = useGameStore((state) => state.completedAt);
+  const lifelineRoster = useGameStore((state) => state.lifelineRoster);
+  const questionSetAssignments = useGameStore(
+    (state) => state.questionSetAssignments,
+  );
+  const startGameListener = useGameStore((state) => state.startGameListener);
+  const eventName = useConfigStore((state) => state.config.eventName);
+  const startConfigListener = useConfigStore(
+    (state) => state.startConfigListener,
+  );
+  const prizeStructure = usePrizeStore((state) => state.prizeStructure);
+  const milestones = usePrizeStore((state) => state.milestones);
+  const startPrizeListener = usePrizeStore((state) => state.startPrizeListener);
+
+  // ============================================================
+  // REAL-TIME SYNC
+  // ============================================================
+
+  useEffect(() => {
+    const unsubscribers = [
+      startGameListener(),
+      startTeamsListener(),
+      startConfigListener(),
+      startPrizeListener(),
+    ];
+
+    return () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe?.());
+    };
+  }, [
+    startGameListener,
+    startTeamsListener,
+    startConfigListener,
+    startPrizeListener,
+  ]);
+
+  /**
+   * Print in the light theme regardless of the host's theme
+   */
+  useEffect(() => {
+    const root = document.documentElement;
+    let wasDark = false;
+
+    const handleBeforePrint = () => {
+      wasDark = root.classList.contains('dark');
+      root.classList.remove('dark');
+    };
+    const handleAfterPrint = () => {
+      if (wasDark) root.classList.add('dark');
+    };
+
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', handleBeforePrint);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, []);
+
+  // ============================================================
+  // REPORT DATA
+  // ============================================================
+
+  const entries = buildResultEntries(
+    teams,
+    lifelineRoster?.uses,
+    questionSetAssignments,
+  );
+  const stats = buildEventStats(entries);
+  const playOrder = new Map(playQueue.map((teamId, i) => [teamId, i + 1]));
+  const eventDate = completedAt ?? startedAt;
+
+  // ============================================================
+  // RENDER
+  // ============================================================
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-5xl print:p-0 print:max-w-none">
+      {/* Toolbar - not printed */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8 print:hidden">
+        <div>
+          <div className="flex items-center gap-3 mb-2">
+            <FileText className="w-8 h-8 text-primary" />
+            <h1 className="text-3xl font-bold">Event Report</h1>
+          </div>
+          <p className="text-muted-foreground">
+            Printable summary. Choose &quot;Save as PDF&quot; in the print
+            dialog to download a PDF.
+          </p>
+        </div>
+        <Button onClick={() => window.print()} className="gap-2 shrink-0">
+          <Printer className="w-4 h-4" />
+          Print / Save as PDF
+        </Button>
+      </div>
+
+      <article className="space-y-8">
+        {/* Report Header */}
+        <header className="border-b pb-4">
+          <h1 className="text-2xl font-bold">
+            {eventName?.trim() || DEFAULT_EVENT_NAME}
+          </h1>
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-muted-foreground mt-2">
+            <span>
+              Date:{' '}
+              {eventDate
+                ? new Date(eventDate).toLocaleDateString()
+                : 'Not started'}
+            </span>
+            <span>Environment: {getCurrentEnvironment()}</span>
+            <span>Status: {getGameStateMeta(gameStatus).label}</span>
+            <span>Generated: {new Date().toLocaleString()}</span>
+          </div>
+        </header>
+
+        {/* Aggregate Stats */}
+        <ReportSection title="Summary">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <StatTile label="Teams" value={stats.teamCount} />
+            <StatTile
+              label="Total Paid Out"
+              value={formatPrize(stats.totalPaidOut)}
+            />
+            <StatTile
+              label="Average Prize"
+              value={formatPrize(stats.averagePrize)}
+            />
+            <StatTile
+              label="Questions Answered"
+              value={stats.questionsAnswered}
+            />
+            <StatTile label="Lifelines Used" value={stats.lifelinesUsed} />
+            <StatTile label="Completed" value={stats.completedCount} />
+            <StatTile label="Walked Away" value={stats.walkedAwayCount} />
+            <StatTile label="Eliminated" value={stats.eliminatedCount} />
+          </div>
+        </ReportSection>
+
+        {/* Final Standings */}
+        <ReportSection title="Final Standings">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-12">Place</TableHead>
+                <TableHead>Team</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Questions</TableHead>
+                <TableHead className="text-right">Prize</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {entries.map((entry) => (
+                <TableRow key={entry.teamId} className="break-inside-avoid">
+                  <TableCell className="font-bold">{entry.place}</TableCell>
+                  <TableCell className="font-medium">{entry.name}</TableCell>
+                  <TableCell>
+                    <Badge variant="outline">
+                      {getTeamStatusMeta(entry.status)?.label ?? entry.status}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-right font-mono">
+                    {entry.questionsAnswered}
+                  </TableCell>
+                  <TableCell className="text-right font-mono font-semibold">
+                    {formatPrize(entry.prize)}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </ReportSection>
+
+        {/* Per-Team Details - starts a new printed page */}
+        <ReportSection title="Team Details" className="break-before-page">
+          <div className="space-y-3">
+            {entries.map((entry) => (
+              <div
+                key={entry.teamId}
+                className="rounded-lg border p-3 text-sm break-inside-avoid">
+                <div className="flex justify-between gap-2 font-semibold">
+                  <span>
+                    {entry.place}. {entry.name}
+                  </span>
+                  <span className="font-mono">{formatPrize(entry.prize)}</span>
+                </div>
+                <dl className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1 mt-2 text-xs">
+                  <div>
+                    <dt className="inline text-muted-foreground">
+                      Participants:{' '}
+                    </dt>
+                    <dd className="inline">{entry.participants || '—'}</dd>
+                  </div>
+                  <div>
+                    <dt className="inline text-muted-foreground">Played: </dt>
+                    <dd className="inline">
+                      {playOrder.has(entry.teamId)
+                        ? `#${playOrder.get(entry.teamId)}`
+                        : '—'}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="inline text-muted-foreground">
+                      Question set:{' '}
+                    </dt>
+                    <dd className="inline font-mono">
+                      {entry.questionSetId ?? '—'}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="inline text-muted-foreground">Started: </dt>
+                    <dd className="inline">
+                      {formatTimestamp(entry.startedAt)}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="inline text-muted-foreground">Finished: </dt>
+                    <dd className="inline">
+                      {formatTimestamp(entry.finishedAt)}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="inline text-muted-foreground">
+                      Lifelines:{' '}
+                    </dt>
+                    <dd className="inline">
+                      {describeLifelinesUsed(entry.lifelinesUsed) || 'None'}
+                    </dd>
+                  </div>
+                </dl>
+              </div>
+            ))}
+          </div>
+        </ReportSection>
+
+        {/* Prize Structure */}
+        <ReportSection title="Prize Structure" className="break-inside-avoid">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-x-6 gap-y-1 text-sm">
+            {prizeStructure.map((prize, index) => {
+              const question = index + 1;
+              const isMilestone = milestones.includes(question);
+
+              return (
+                <div
+                  key={question}
+                  className="flex justify-between gap-2 border-b border-dashed py-0.5">
+                  <span className={isMilestone ? 'font-bold' : undefined}>
+                    Q{question}
+                    {isMilestone && ' ★'}
+                  </span>
+                  <span className="font-mono">{formatPrize(prize)}</span>
+                </div>
+              );
+            })}
+          </div>
+          {milestones.length > 0 && (
+            <p className="text-xs text-muted-foreground mt-2">
+              ★ Milestone (guaranteed prize)
+            </p>
+          )}
+        </ReportSection>
+      </article>
+    </div>
+  );
+}
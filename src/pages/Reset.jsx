@@ -14,6 +14,7 @@ import { Badge } from '@components/ui/badge';
 import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
 import UninitializeGameDialog from '@components/game/UninitializeGameDialog';
 import FactoryResetDialog from '@components/game/FactoryResetDialog';
+import ResultsExportButtons from '@components/game/ResultsExportButtons';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
 import {
@@ -22,6 +23,7 @@ import {
   AlertTriangle,
   ShieldAlert,
   Info,
+  Download,
 } from 'lucide-react';
 import { GAME_STATUS } from '@constants/gameStates';
 
@@ -147,6 +149,23 @@ export default function Reset() {
         </CardContent>
       </Card>
 
+      {/* Export Results - before anything is cleared */}
+      <Card className="border-muted">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Download className="w-5 h-5" />
+            Export Results
+          </CardTitle>
+          <CardDescription>
+            Download the current standings before resetting. Team progress is
+            cleared by both operations below.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ResultsExportButtons />
+        </CardContent>
+      </Card>
+
       {/* Reset Operations */}
       <div className="grid gap-6">
         {/* Uninitialize Card */}
@@ -5,6 +5,7 @@ import { useTeamsStore } from '@stores/useTeamsStore';
 import TeamForm from '@components/teams/TeamForm';
 import TeamUploader from '@components/teams/TeamUploader';
 import TeamConfigList from '@components/teams/TeamConfigList';
+import LifelineSettingsCard from '@components/settings/LifelineSettingsCard';
 import { Card, CardContent, CardHeader, CardTitle } from '@components/ui/card';
 import { Alert, AlertDescription } from '@components/ui/alert';
 import { Users, AlertCircle, Upload } from 'lucide-react';
@@ -126,9 +127,9 @@ export default function TeamManagement() {
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Left Column - Team Form */}
-        <div className="lg:col-span-1">
-          <Card className="sticky top-4">
+        {/* Left Column - Team Form + Lifeline Settings */}
+        <div className="lg:col-span-1 space-y-6">
+          <Card>
             <CardHeader>
               <CardTitle>
                 {editingTeam ? 'Edit Team' : 'Add New Team'}
@@ -143,6 +144,8 @@ export default function TeamManagement() {
               />
             </CardContent>
           </Card>
+
+          <LifelineSettingsCard />
         </div>
 
         {/* Right Column - Team List */}
@@ -0,0 +1,113 @@
+// src/pages/Vote.jsx
+
+import { useState, useEffect } from 'react';
+import { Button } from '@components/ui/button';
+import { Users, CheckCircle2, Loader2 } from 'lucide-react';
+import { databaseService } from '@services/database.service';
+import { AUDIENCE_POLL_STATUS } from '@constants/teamStates';
+import { STORAGE_PREFIX } from '@constants/config';
+
+/**
+ * localStorage key remembering which poll this device already voted in
+ * (stores the poll's opened-at timestamp)
+ */
+const VOTED_POLL_KEY = `${STORAGE_PREFIX}audience-vote`;
+
+/**
+ * Vote Page
+ *
+ * Purpose: Local voting page for the Ask the Audience lifeline.
+ * Audience members open /vote on their phones (same network as the host)
+ * and tap an option while the poll is open. No login required — database
+ * rules only accept single-vote increments while the poll is open. The
+ * one-vote-per-device check is this page's localStorage flag, so the poll
+ * trusts the local network (see docs/DATABASE_ARCHITECTURE.md).
+ *
+ * States:
+ * - No poll / poll closed: waiting message
+ * - Poll open: one large button per option still on screen
+ * - Already voted in this poll: thank-you message
+ */
+export default function Vote() {
+  const [poll, setPoll] = useState(undefined); // undefined = loading
+  const [votedPollId, setVotedPollId] = useState(() =>
+    localStorage.getItem(VOTED_POLL_KEY),
+  );
+  const [isVoting, setIsVoting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = databaseService.onAudiencePollChange(setPoll);
+    return unsubscribe;
+  }, []);
+
+  const pollId = poll?.openedAt ? String(poll.openedAt) : null;
+  const isOpen = poll?.status === AUDIENCE_POLL_STATUS.OPEN;
+  const hasVoted = !!pollId && votedPollId === pollId;
+  const optionKeys = Object.keys(poll?.options ?? {}).sort();
+
+  const handleVote = async (option) => {
+    setIsVoting(true);
+    setError(null);
+
+    try {
+      await databaseService.castAudiencePollVote(option);
+      localStorage.setItem(VOTED_POLL_KEY, pollId);
+      setVotedPollId(pollId);
+    } catch (err) {
+      console.error('Failed to cast vote:', err);
+      setError('Your vote could not be counted. The poll may have closed.');
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-[60vh] space-y-8 text-center max-w-md mx-auto">
+      <div className="space-y-2">
+        <Users className="w-12 h-12 mx-auto text-purple-500" />
+        <h1 className="text-3xl font-bold text-foreground">Ask the Audience</h1>
+      </div>
+
+      {poll === undefined ? (
+        <Loader2 className="w-8 h-8 animate-spin text-muted-foreground" />
+      ) : !isOpen ? (
+        <p className="text-lg text-muted-foreground">
+          No poll is open right now. Keep this page open — voting starts when
+          the host asks the audience.
+        </p>
+      ) : hasVoted ? (
+        <div className="space-y-2">
+          <CheckCircle2 className="w-10 h-10 mx-auto text-green-500" />
+          <p className="text-lg font-semibold">Thanks — your vote is in!</p>
+          <p className="text-sm text-muted-foreground">
+            Results will appear on the main screen.
+          </p>
+        </div>
+      ) : (
+        <div className="w-full space-y-3">
+          <p className="text-sm text-muted-foreground">
+            Tap the answer you think is correct. One vote per device.
+          </p>
+          {optionKeys.map((key) => (
+            <Button
+              key={key}
+              onClick={() => handleVote(key)}
+              disabled={isVoting}
+              size="lg"
+              variant="outline"
+              className="w-full h-auto py-4 justify-start gap-4 text-left">
+              <span className="text-xl font-bold text-purple-600 dark:text-purple-400">
+                {key.toUpperCase()}
+              </span>
+              <span className="text-base whitespace-normal">
+                {poll.options[key]}
+              </span>
+            </Button>
+          ))}
+          {error && <p className="text-sm text-destructive">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
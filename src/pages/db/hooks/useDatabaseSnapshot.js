@@ -1,9 +1,7 @@
 // src/pages/db/hooks/useDatabaseSnapshot.js
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { ref, onValue, off } from 'firebase/database';
-import { database } from '@config/firebase';
-import { DB_PATHS } from '@services/database.service';
+import { DB_PATHS, databaseService } from '@services/database.service';
 
 /**
  * Node definitions for the DB viewer.
@@ -15,12 +13,26 @@ const DB_NODES = [
   { key: 'gameState', label: 'game-state', path: DB_PATHS.GAME_STATE },
   { key: 'teams', label: 'teams', path: DB_PATHS.TEAMS },
   { key: 'questionSets', label: 'question-sets', path: DB_PATHS.QUESTION_SETS },
+  { key: 'questionBank', label: 'question-bank', path: DB_PATHS.QUESTION_BANK },
   {
     key: 'prizeStructure',
     label: 'prize-structure',
     path: DB_PATHS.PRIZE_STRUCTURE,
   },
+  {
+    key: 'prizeMilestones',
+    label: 'prize-milestones',
+    path: DB_PATHS.PRIZE_MILESTONES,
+  },
   { key: 'config', label: 'config', path: DB_PATHS.CONFIG },
+  { key: 'archives', label: 'archives', path: DB_PATHS.ARCHIVES },
+  { key: 'gameLog', label: 'game-log', path: DB_PATHS.GAME_LOG },
+  { key: 'hostSessions', label: 'host-sessions', path: DB_PATHS.HOST_SESSIONS },
+  {
+    key: 'gameController',
+    label: 'game-controller',
+    path: DB_PATHS.GAME_CONTROLLER,
+  },
   { key: 'allowedHosts', label: 'allowed-hosts', path: DB_PATHS.ALLOWED_HOSTS },
 ];
 
@@ -28,7 +40,7 @@ const DB_NODES = [
  * useDatabaseSnapshot
  *
  * Attaches a real-time `onValue` listener to every root DB node.
- * Any change pushed to Firebase is reflected instantly — same mechanism
+ * Any change pushed to the database is reflected instantly — same mechanism
  * the public display would use.
  *
  * Listeners are attached on mount and cleaned up on unmount.
@@ -64,11 +76,7 @@ export function useDatabaseSnapshot() {
     setError(null);
 
     DB_NODES.forEach(({ key, path }) => {
-      const nodeRef = ref(database, path);
-
-      const handler = (snapshot) => {
-        const value = snapshot.exists() ? snapshot.val() : null;
-
+      const handler = (value) => {
         setData((prev) => ({ ...prev, [key]: value }));
         setLoadedNodes((prev) => new Set([...prev, key]));
         setLastUpdated(new Date());
@@ -79,10 +87,10 @@ export function useDatabaseSnapshot() {
         setError(err.message || `Failed to listen to /${path}`);
       };
 
-      onValue(nodeRef, handler, errorHandler);
-
       // Store cleanup function
-      unsubscribeRefs.current.push(() => off(nodeRef, 'value', handler));
+      unsubscribeRefs.current.push(
+        databaseService.onRawNodeChange(path, handler, errorHandler),
+      );
     });
   }, []);
 
@@ -2,12 +2,12 @@
 
 import { useState } from 'react';
 import { Badge } from '@components/ui/badge';
+import { Button } from '@components/ui/button';
 import { ScrollArea } from '@components/ui/scroll-area';
-import { formatPrize } from '@utils/gameplay/scoreCalculation';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
 import {
-  LIFELINE_TYPE,
-  LIFELINE_META,
   getTeamStatusMeta,
+  getTeamLifelineRoster,
 } from '@constants/teamStates';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
@@ -19,8 +19,10 @@ import {
   Users,
   Trophy,
   ListOrdered,
+  History,
 } from 'lucide-react';
 import { cn } from '@lib/utils';
+import TeamHistoryDialog from './dialogs/TeamHistoryDialog';
 
 /**
  * AllTeamsPanel Component
@@ -38,13 +40,16 @@ import { cn } from '@lib/utils';
  * - Assigned question set
  * - Questions answered + current prize
  * - Lifeline availability
+ * - "Question History" button opening TeamHistoryDialog
  *
  * Data sources:
  * - useGameStore: playQueue, questionSetAssignments, currentTeamId
  * - useTeamsStore: teams
  */
 export default function AllTeamsPanel() {
+  const formatPrize = usePrizeFormatter();
   const [expandedTeamId, setExpandedTeamId] = useState(null);
+  const [historyTeamId, setHistoryTeamId] = useState(null);
 
   const currentTeamId = useGameStore((state) => state.currentTeamId);
   const playQueue = useGameStore((state) => state.playQueue);
@@ -66,172 +71,186 @@ export default function AllTeamsPanel() {
     setExpandedTeamId((prev) => (prev === teamId ? null : teamId));
   };
 
+  const historyTeam = historyTeamId
+    ? { ...teams[historyTeamId], id: historyTeamId }
+    : null;
+
   return (
-    <ScrollArea className="h-64 pr-2">
-      <div className="space-y-1">
-        {playQueue.map((teamId, index) => {
-          const team = teams[teamId];
-          if (!team) return null;
-
-          const isActive = teamId === currentTeamId;
-          const isExpanded = expandedTeamId === teamId;
-          const statusMeta = getTeamStatusMeta(team.status);
-          const assignedSetId = questionSetAssignments?.[teamId] ?? '—';
-          const lifelinesAvailable = team.lifelinesAvailable || {};
-
-          const lifelines = [
-            {
-              type: LIFELINE_TYPE.PHONE_A_FRIEND,
-              meta: LIFELINE_META[LIFELINE_TYPE.PHONE_A_FRIEND],
-              available:
-                lifelinesAvailable[LIFELINE_TYPE.PHONE_A_FRIEND] ?? true,
-            },
-            {
-              type: LIFELINE_TYPE.FIFTY_FIFTY,
-              meta: LIFELINE_META[LIFELINE_TYPE.FIFTY_FIFTY],
-              available: lifelinesAvailable[LIFELINE_TYPE.FIFTY_FIFTY] ?? true,
-            },
-          ];
-
-          return (
-            <div
-              key={teamId}
-              className={cn(
-                'rounded-lg border transition-all duration-150',
-                isActive
-                  ? 'border-blue-500/50 bg-blue-50/50 dark:bg-blue-950/20'
-                  : 'border-border bg-muted/20 hover:bg-muted/40',
-              )}>
-              {/* Collapsed Row — always visible */}
-              <button
-                onClick={() => toggleExpand(teamId)}
-                className="w-full flex items-center gap-3 px-3 py-2.5 text-left">
-                {/* Position */}
-                <span
-                  className={cn(
-                    'flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold shrink-0',
-                    isActive
-                      ? 'bg-blue-500 text-white'
-                      : 'bg-muted-foreground/20 text-muted-foreground',
-                  )}>
-                  {index + 1}
-                </span>
-
-                {/* Team Name */}
-                <span className="flex-1 text-sm font-medium truncate">
-                  {team.name}
-                </span>
-
-                {/* Status + Prize */}
-                <div className="flex flex-col items-end shrink-0 min-w-0">
+    <>
+      <ScrollArea className="h-64 pr-2">
+        <div className="space-y-1">
+          {playQueue.map((teamId, index) => {
+            const team = teams[teamId];
+            if (!team) return null;
+
+            const isActive = teamId === currentTeamId;
+            const isExpanded = expandedTeamId === teamId;
+            const statusMeta = getTeamStatusMeta(team.status);
+            const assignedSetId = questionSetAssignments?.[teamId] ?? '—';
+            const lifelines = getTeamLifelineRoster(team.lifelinesAvailable);
+
+            return (
+              <div
+                key={teamId}
+                className={cn(
+                  'rounded-lg border transition-all duration-150',
+                  isActive
+                    ? 'border-blue-500/50 bg-blue-50/50 dark:bg-blue-950/20'
+                    : 'border-border bg-muted/20 hover:bg-muted/40',
+                )}>
+                {/* Collapsed Row — always visible */}
+                <button
+                  onClick={() => toggleExpand(teamId)}
+                  className="w-full flex items-center gap-3 px-3 py-2.5 text-left">
+                  {/* Position */}
                   <span
                     className={cn(
-                      'text-xs font-semibold',
-                      statusMeta.textColor,
-                      statusMeta.darkTextColor,
+                      'flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold shrink-0',
+                      isActive
+                        ? 'bg-blue-500 text-white'
+                        : 'bg-muted-foreground/20 text-muted-foreground',
                     )}>
-                    {statusMeta.icon} {statusMeta.label}
+                    {index + 1}
                   </span>
-                  <span className="text-xs text-muted-foreground">
-                    {formatPrize(team.currentPrize || 0)}
+
+                  {/* Team Name */}
+                  <span className="flex-1 text-sm font-medium truncate">
+                    {team.name}
                   </span>
-                </div>
-
-                {/* Expand Toggle */}
-                <span className="text-muted-foreground shrink-0">
-                  {isExpanded ? (
-                    <ChevronDown className="w-4 h-4" />
-                  ) : (
-                    <ChevronRight className="w-4 h-4" />
-                  )}
-                </span>
-              </button>
-
-              {/* Expanded Details */}
-              {isExpanded && (
-                <div className="px-3 pb-3 pt-1 border-t border-border/50 space-y-2">
-                  <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
-                    {/* Participants */}
-                    {team.participants && (
-                      <div className="col-span-2 flex items-start gap-1.5">
-                        <Users className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
+
+                  {/* Status + Prize */}
+                  <div className="flex flex-col items-end shrink-0 min-w-0">
+                    <span
+                      className={cn(
+                        'text-xs font-semibold',
+                        statusMeta.textColor,
+                        statusMeta.darkTextColor,
+                      )}>
+                      {statusMeta.icon} {statusMeta.label}
+                    </span>
+                    <span className="text-xs text-muted-foreground">
+                      {formatPrize(team.currentPrize || 0)}
+                    </span>
+                  </div>
+
+                  {/* Expand Toggle */}
+                  <span className="text-muted-foreground shrink-0">
+                    {isExpanded ? (
+                      <ChevronDown className="w-4 h-4" />
+                    ) : (
+                      <ChevronRight className="w-4 h-4" />
+                    )}
+                  </span>
+                </button>
+
+                {/* Expanded Details */}
+                {isExpanded && (
+                  <div className="px-3 pb-3 pt-1 border-t border-border/50 space-y-2">
+                    <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
+                      {/* Participants */}
+                      {team.participants && (
+                        <div className="col-span-2 flex items-start gap-1.5">
+                          <Users className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
+                          <div>
+                            <dt className="text-muted-foreground">Members</dt>
+                            <dd className="font-medium">{team.participants}</dd>
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Contact */}
+                      {team.contact && (
+                        <div className="flex items-start gap-1.5">
+                          <Phone className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
+                          <div>
+                            <dt className="text-muted-foreground">Contact</dt>
+                            <dd className="font-medium font-mono">
+                              {team.contact}
+                            </dd>
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Question Set */}
+                      <div className="flex items-start gap-1.5">
+                        <BookOpen className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
                         <div>
-                          <dt className="text-muted-foreground">Members</dt>
-                          <dd className="font-medium">{team.participants}</dd>
+                          <dt className="text-muted-foreground">
+                            Question Set
+                          </dt>
+                          <dd className="font-medium">{assignedSetId}</dd>
                         </div>
                       </div>
-                    )}
 
-                    {/* Contact */}
-                    {team.contact && (
+                      {/* Questions Answered */}
                       <div className="flex items-start gap-1.5">
-                        <Phone className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
+                        <ListOrdered className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
                         <div>
-                          <dt className="text-muted-foreground">Contact</dt>
-                          <dd className="font-medium font-mono">
-                            {team.contact}
+                          <dt className="text-muted-foreground">Questions</dt>
+                          <dd className="font-medium">
+                            {team.questionsAnswered || 0} answered
                           </dd>
                         </div>
                       </div>
-                    )}
 
-                    {/* Question Set */}
-                    <div className="flex items-start gap-1.5">
-                      <BookOpen className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
-                      <div>
-                        <dt className="text-muted-foreground">Question Set</dt>
-                        <dd className="font-medium">{assignedSetId}</dd>
-                      </div>
-                    </div>
-
-                    {/* Questions Answered */}
-                    <div className="flex items-start gap-1.5">
-                      <ListOrdered className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
-                      <div>
-                        <dt className="text-muted-foreground">Questions</dt>
-                        <dd className="font-medium">
-                          {team.questionsAnswered || 0} answered
-                        </dd>
+                      {/* Current Prize */}
+                      <div className="flex items-start gap-1.5">
+                        <Trophy className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
+                        <div>
+                          <dt className="text-muted-foreground">Prize</dt>
+                          <dd className="font-medium text-green-600 dark:text-green-400">
+                            {formatPrize(team.currentPrize || 0)}
+                          </dd>
+                        </div>
                       </div>
-                    </div>
-
-                    {/* Current Prize */}
-                    <div className="flex items-start gap-1.5">
-                      <Trophy className="w-3.5 h-3.5 text-muted-foreground mt-0.5 shrink-0" />
-                      <div>
-                        <dt className="text-muted-foreground">Prize</dt>
-                        <dd className="font-medium text-green-600 dark:text-green-400">
-                          {formatPrize(team.currentPrize || 0)}
+
+                      {/* Lifelines */}
+                      <div className="col-span-2">
+                        <dt className="text-muted-foreground mb-1">
+                          Lifelines
+                        </dt>
+                        <dd className="flex gap-1.5">
+                          {lifelines.map(
+                            ({ type, meta, available, usesLeft }) => (
+                              <Badge
+                                key={type}
+                                variant={available ? 'outline' : 'secondary'}
+                                className={cn(
+                                  'text-xs gap-1',
+                                  available
+                                    ? 'border-green-500 text-green-700 dark:text-green-400'
+                                    : 'opacity-40 line-through',
+                                )}>
+                                {meta.icon} {meta.label}
+                                {usesLeft > 1 && ` ×${usesLeft}`}
+                              </Badge>
+                            ),
+                          )}
                         </dd>
                       </div>
-                    </div>
-
-                    {/* Lifelines */}
-                    <div className="col-span-2">
-                      <dt className="text-muted-foreground mb-1">Lifelines</dt>
-                      <dd className="flex gap-1.5">
-                        {lifelines.map(({ type, meta, available }) => (
-                          <Badge
-                            key={type}
-                            variant={available ? 'outline' : 'secondary'}
-                            className={cn(
-                              'text-xs gap-1',
-                              available
-                                ? 'border-green-500 text-green-700 dark:text-green-400'
-                                : 'opacity-40 line-through',
-                            )}>
-                            {meta.icon} {meta.label}
-                          </Badge>
-                        ))}
-                      </dd>
-                    </div>
-                  </dl>
-                </div>
-              )}
-            </div>
-          );
-        })}
-      </div>
-    </ScrollArea>
+                    </dl>
+
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="w-full gap-1.5 h-7 text-xs"
+                      onClick={() => setHistoryTeamId(teamId)}>
+                      <History className="w-3.5 h-3.5" />
+                      Question History ({team.history?.length ?? 0})
+                    </Button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </ScrollArea>
+
+      <TeamHistoryDialog
+        open={!!historyTeam}
+        onOpenChange={(open) => !open && setHistoryTeamId(null)}
+        team={historyTeam}
+      />
+    </>
   );
 }
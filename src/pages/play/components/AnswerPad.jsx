@@ -8,6 +8,7 @@ import { Badge } from '@components/ui/badge';
 import { Alert, AlertDescription } from '@components/ui/alert';
 import { Lock, CheckCircle2, XCircle, AlertTriangle, Eye } from 'lucide-react';
 import { cn } from '@lib/utils';
+import RevertLockButton from './RevertLockButton';
 
 /**
  * Answer Pad Component
@@ -199,6 +200,9 @@ export default function AnswerPad() {
           {isLocking ? 'Locking...' : 'Lock Answer'}
         </Button>
 
+        {/* Revert Last Lock (short window after a lock) */}
+        <RevertLockButton />
+
         {/* Error Alert */}
         {error && (
           <Alert variant="destructive">
@@ -3,10 +3,16 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useGameControls } from '../hooks/useGameControls';
+import { useQuestionTimer } from '../hooks/useQuestionTimer';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import { useHostSessionStore } from '@stores/useHostSessionStore';
 import { GAME_STATUS } from '@constants/gameStates';
-import { TEAM_STATUS } from '@constants/teamStates';
+import { CONNECTION_STATUS } from '@constants/connection';
+import { isTerminalTeamStatus } from '@constants/teamStates';
+import { TIMER_EXPIRY_ACTIONS } from '@constants/config';
 import { Button } from '@components/ui/button';
 import { Alert, AlertDescription } from '@components/ui/alert';
 import {
@@ -21,9 +27,12 @@ import {
   RotateCcw,
   CheckCircle2,
   Loader2,
+  DoorOpen,
 } from 'lucide-react';
 import { cn } from '@lib/utils';
 import SkipQuestionDialog from './dialogs/SkipQuestionDialog';
+import WalkAwayDialog from './dialogs/WalkAwayDialog';
+import TimerExpiredDialog from './dialogs/TimerExpiredDialog';
 import TeamStatusDialog from './dialogs/TeamStatusDialog';
 import GameCompletedDialog from './dialogs/GameCompletedDialog';
 
@@ -36,16 +45,19 @@ import GameCompletedDialog from './dialogs/GameCompletedDialog';
  * 1. Primary Action    - Context-aware: "Load Question X" → "Load Last Question" → "Next Team"
  * 2. "Push to Display" - Push question to Firebase (visible to public)
  * 3. "Hide Question"   - Retract question from public view
- * 4. "Skip Question"   - Opens SkipQuestionDialog for confirmation
- * 5. "Pause / Resume"  - Game state toggles
+ * 4. "Skip Question"   - Opens SkipQuestionDialog (reason + optional reserve)
+ * 5. "Walk Away"       - Opens WalkAwayDialog; team quits with current prize
+ * 6. "Pause / Resume"  - Game state toggles
  *
  * Recovery Section:
- * 6. "Sync Questions"  - Mid-game recovery: re-fetches question set assignments
+ * 7. "Sync Questions"  - Mid-game recovery: re-fetches question set assignments
  *    from Firebase and pre-loads all question sets.
  *
  * Dialogs mounted here (rendered as portals, visual position irrelevant):
  * - SkipQuestionDialog    — confirms before skipping
- * - TeamStatusDialog      — auto-opens on team elimination/completion
+ * - WalkAwayDialog        — confirms before the team walks away
+ * - TimerExpiredDialog    — auto-opens when the answer timer runs out
+ * - TeamStatusDialog      — auto-opens on team elimination/completion/walk away
  * - GameCompletedDialog   — auto-opens when game status = COMPLETED
  */
 export default function GameControls() {
@@ -61,6 +73,7 @@ export default function GameControls() {
     canHideQuestion,
     canNextTeam,
     canSkipQuestion,
+    canWalkAway,
     canPause,
     canResume,
     nextQuestionNumber,
@@ -75,7 +88,10 @@ export default function GameControls() {
     handleShowQuestion,
     handleHideQuestion,
     handleNextTeam,
+    findSubstituteQuestion,
     executeSkipQuestion,
+    executeWalkAway,
+    executeTimeoutElimination,
     handlePause,
     handleResume,
     handleSyncQuestions,
@@ -90,6 +106,13 @@ export default function GameControls() {
   const playQueue = useGameStore((state) => state.playQueue);
   const teams = useTeamsStore((state) => state.teams);
   const pushFinalResults = useGameStore((state) => state.pushFinalResults);
+  const timerExpiryAction = useConfigStore(
+    (state) => state.config.timerExpiryAction,
+  );
+  const isOffline = useConnectionStore(
+    (state) => state.status !== CONNECTION_STATUS.ONLINE,
+  );
+  const isController = useHostSessionStore((state) => state.isController);
 
   const currentTeam = teams[currentTeamId];
 
@@ -105,6 +128,14 @@ export default function GameControls() {
 
   const [showSkipDialog, setShowSkipDialog] = useState(false);
   const [isSkipping, setIsSkipping] = useState(false);
+  const [skipSubstitute, setSkipSubstitute] = useState(null);
+  const [isFindingSubstitute, setIsFindingSubstitute] = useState(false);
+
+  const [showWalkAwayDialog, setShowWalkAwayDialog] = useState(false);
+  const [isWalkingAway, setIsWalkingAway] = useState(false);
+
+  const [showTimerExpiredDialog, setShowTimerExpiredDialog] = useState(false);
+  const [isApplyingTimeout, setIsApplyingTimeout] = useState(false);
 
   const [showTeamStatusDialog, setShowTeamStatusDialog] = useState(false);
   const [teamStatusSnapshot, setTeamStatusSnapshot] = useState(null);
@@ -124,20 +155,30 @@ export default function GameControls() {
   useEffect(() => {
     if (!currentTeam) return;
 
-    const isTerminal =
-      currentTeam.status === TEAM_STATUS.ELIMINATED ||
-      currentTeam.status === TEAM_STATUS.COMPLETED;
-
-    if (isTerminal) {
+    if (isTerminalTeamStatus(currentTeam.status)) {
       setTeamStatusSnapshot({
         name: currentTeam.name,
         status: currentTeam.status,
         finalPrize: currentTeam.currentPrize ?? 0,
+        prizeBeforeElimination: currentTeam.prizeBeforeElimination ?? null,
       });
       setShowTeamStatusDialog(true);
+    } else {
+      // A reverted lock puts the team back in play
+      setShowTeamStatusDialog(false);
     }
   }, [currentTeam?.status]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  /**
+   * Auto-open TimerExpiredDialog when the answer timer runs out.
+   * Only the controlling session watches for expiry, so this is the single
+   * instance (across all open /play tabs) that marks the timer expired in
+   * Firebase. Read-only sessions just see the expired status sync in.
+   */
+  useQuestionTimer({
+    onExpire: isController ? () => setShowTimerExpiredDialog(true) : undefined,
+  });
+
   /**
    * Auto-open GameCompletedDialog when the game is fully finished.
    */
@@ -145,6 +186,9 @@ export default function GameControls() {
     if (gameStatus === GAME_STATUS.COMPLETED) {
       setShowTeamStatusDialog(false);
       setShowGameCompletedDialog(true);
+    } else {
+      // A reverted lock can re-open a completed game
+      setShowGameCompletedDialog(false);
     }
   }, [gameStatus]);
 
@@ -175,17 +219,61 @@ export default function GameControls() {
   // DIALOG HANDLERS
   // ============================================================
 
-  const handleSkipConfirm = useCallback(async () => {
-    setIsSkipping(true);
+  const handleOpenSkipDialog = useCallback(async () => {
+    setSkipSubstitute(null);
+    setShowSkipDialog(true);
+    setIsFindingSubstitute(true);
+    try {
+      setSkipSubstitute(await findSubstituteQuestion());
+    } catch (err) {
+      console.error('Reserve lookup failed:', err);
+    } finally {
+      setIsFindingSubstitute(false);
+    }
+  }, [findSubstituteQuestion]);
+
+  const handleSkipConfirm = useCallback(
+    async (options) => {
+      setIsSkipping(true);
+      try {
+        await executeSkipQuestion(options);
+        setShowSkipDialog(false);
+      } catch (err) {
+        console.error('Skip failed:', err);
+      } finally {
+        setIsSkipping(false);
+      }
+    },
+    [executeSkipQuestion],
+  );
+
+  const handleWalkAwayConfirm = useCallback(async () => {
+    setIsWalkingAway(true);
     try {
-      await executeSkipQuestion();
-      setShowSkipDialog(false);
+      await executeWalkAway();
+      setShowWalkAwayDialog(false);
     } catch (err) {
-      console.error('Skip failed:', err);
+      console.error('Walk away failed:', err);
     } finally {
-      setIsSkipping(false);
+      setIsWalkingAway(false);
     }
-  }, [executeSkipQuestion]);
+  }, [executeWalkAway]);
+
+  const handleTimerExpiredConfirm = useCallback(async () => {
+    setIsApplyingTimeout(true);
+    try {
+      if (timerExpiryAction === TIMER_EXPIRY_ACTIONS.ELIMINATE) {
+        await executeTimeoutElimination();
+      } else if (timerExpiryAction === TIMER_EXPIRY_ACTIONS.SKIP) {
+        await executeSkipQuestion({ reason: 'Answer timer expired' });
+      }
+      setShowTimerExpiredDialog(false);
+    } catch (err) {
+      console.error('Timeout action failed:', err);
+    } finally {
+      setIsApplyingTimeout(false);
+    }
+  }, [timerExpiryAction, executeTimeoutElimination, executeSkipQuestion]);
 
   const handleTeamStatusProceed = useCallback(async () => {
     setIsAdvancingTeam(true);
@@ -266,7 +354,7 @@ export default function GameControls() {
 
           {/* Skip Question */}
           <Button
-            onClick={() => setShowSkipDialog(true)}
+            onClick={handleOpenSkipDialog}
             disabled={!canSkipQuestion || isLoading}
             variant="outline"
             size="lg"
@@ -275,6 +363,17 @@ export default function GameControls() {
             Skip Question
           </Button>
 
+          {/* Walk Away */}
+          <Button
+            onClick={() => setShowWalkAwayDialog(true)}
+            disabled={!canWalkAway || isLoading}
+            variant="outline"
+            size="lg"
+            className="w-full gap-2 mb-2">
+            <DoorOpen className="w-4 h-4" />
+            Walk Away
+          </Button>
+
           {/* Pause / Resume */}
           {canPause && (
             <Button
@@ -367,21 +466,45 @@ export default function GameControls() {
         open={showSkipDialog}
         onOpenChange={setShowSkipDialog}
         onConfirm={handleSkipConfirm}
+        substitute={skipSubstitute}
+        isFindingSubstitute={isFindingSubstitute}
         isLastQuestion={isCurrentQuestionLast}
         isLoading={isSkipping}
       />
 
-      {/* Team Eliminated / Completed */}
+      {/* Walk Away Confirmation */}
+      <WalkAwayDialog
+        open={showWalkAwayDialog}
+        onOpenChange={setShowWalkAwayDialog}
+        onConfirm={handleWalkAwayConfirm}
+        teamName={currentTeam?.name}
+        bankedPrize={currentTeam?.currentPrize ?? 0}
+        isLoading={isWalkingAway}
+      />
+
+      {/* Answer Timer Expired */}
+      <TimerExpiredDialog
+        open={showTimerExpiredDialog}
+        onOpenChange={setShowTimerExpiredDialog}
+        action={timerExpiryAction}
+        onConfirm={handleTimerExpiredConfirm}
+        teamName={currentTeam?.name}
+        isLoading={isApplyingTimeout}
+      />
+
+      {/* Team Eliminated / Completed / Walked Away */}
       {teamStatusSnapshot && (
         <TeamStatusDialog
           open={showTeamStatusDialog}
           teamName={teamStatusSnapshot.name}
           teamStatus={teamStatusSnapshot.status}
           finalPrize={teamStatusSnapshot.finalPrize}
+          prizeBeforeElimination={teamStatusSnapshot.prizeBeforeElimination}
           nextTeamName={nextTeam?.name}
           isLastTeam={isLastTeamInQueue}
           onProceed={handleTeamStatusProceed}
           isLoading={isAdvancingTeam}
+          isOffline={isOffline}
         />
       )}
 
@@ -1,12 +1,40 @@
 // src/pages/play/components/GameStatusBar.jsx
 
 import { Badge } from '@components/ui/badge';
-import { formatPrize } from '@utils/gameplay/scoreCalculation';
-import { QUESTIONS_PER_SET } from '@constants/config';
-import { LIFELINE_TYPE, LIFELINE_META } from '@constants/teamStates';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+import { getTeamLifelineRoster } from '@constants/teamStates';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
-import { Users, BookOpen, ListOrdered, Trophy } from 'lucide-react';
+import { useConfigStore } from '@stores/useConfigStore';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import { CONNECTION_STATUS } from '@constants/connection';
+import { Users, BookOpen, ListOrdered, Trophy, WifiOff } from 'lucide-react';
+
+/**
+ * Red strip shown while the Firebase connection is down
+ * Lock Answer and Next Team stay disabled until it is back.
+ */
+function ConnectionLostNotice() {
+  const status = useConnectionStore((state) => state.status);
+  const pendingWrites = useConnectionStore((state) => state.pendingWrites);
+
+  if (status !== CONNECTION_STATUS.OFFLINE) return null;
+
+  return (
+    <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-md bg-red-600 text-white text-sm font-medium">
+      <WifiOff className="w-4 h-4 shrink-0" />
+      <span>
+        🔴 Connection Lost — reconnecting. Lock Answer and Next Team are
+        disabled until the connection is back.
+      </span>
+      {pendingWrites > 0 && (
+        <span className="ml-auto font-mono text-xs whitespace-nowrap">
+          {pendingWrites} change{pendingWrites === 1 ? '' : 's'} pending sync
+        </span>
+      )}
+    </div>
+  );
+}
 
 /**
  * Game Status Bar Component
@@ -16,11 +44,15 @@ import { Users, BookOpen, ListOrdered, Trophy } from 'lucide-react';
  * Displays (5 sections):
  * 1. Team name + participants
  * 2. Assigned question set ID
- * 3. Question progress (x / QUESTIONS_PER_SET)
+ * 3. Question progress (x / config.questionsPerTeam)
  * 4. Current prize amount
- * 5. Lifeline availability (Phone-a-Friend, 50/50)
+ * 5. Lifeline availability (team's roster, with uses left)
+ *
+ * A red "Connection Lost" strip with the pending write count is shown on
+ * top while Firebase is unreachable.
  */
 export default function GameStatusBar() {
+  const formatPrize = usePrizeFormatter();
   const currentTeamId = useGameStore((state) => state.currentTeamId);
   const currentQuestionNumber = useGameStore(
     (state) => state.currentQuestionNumber,
@@ -29,12 +61,17 @@ export default function GameStatusBar() {
     (state) => state.questionSetAssignments,
   );
 
+  const questionsPerSet = useConfigStore(
+    (state) => state.config.questionsPerTeam,
+  );
+
   const teams = useTeamsStore((state) => state.teams);
   const currentTeam = teams[currentTeamId];
 
   if (!currentTeam) {
     return (
       <div className="p-4 bg-muted/30 rounded-lg border">
+        <ConnectionLostNotice />
         <p className="text-sm text-muted-foreground text-center">
           No active team
         </p>
@@ -44,23 +81,11 @@ export default function GameStatusBar() {
 
   const currentPrize = currentTeam.currentPrize || 0;
   const assignedSetId = questionSetAssignments?.[currentTeamId] ?? '—';
-  const lifelinesAvailable = currentTeam.lifelinesAvailable || {};
-
-  const lifelines = [
-    {
-      type: LIFELINE_TYPE.PHONE_A_FRIEND,
-      meta: LIFELINE_META[LIFELINE_TYPE.PHONE_A_FRIEND],
-      available: lifelinesAvailable[LIFELINE_TYPE.PHONE_A_FRIEND] ?? true,
-    },
-    {
-      type: LIFELINE_TYPE.FIFTY_FIFTY,
-      meta: LIFELINE_META[LIFELINE_TYPE.FIFTY_FIFTY],
-      available: lifelinesAvailable[LIFELINE_TYPE.FIFTY_FIFTY] ?? true,
-    },
-  ];
+  const lifelines = getTeamLifelineRoster(currentTeam.lifelinesAvailable);
 
   return (
     <div className="p-4 bg-linear-to-r from-blue-50 to-purple-50 dark:from-blue-950/20 dark:to-purple-950/20 rounded-lg border shadow-sm">
+      <ConnectionLostNotice />
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
         {/* 1. Team Name + Members */}
         <div className="flex items-center gap-3">
@@ -105,7 +130,7 @@ export default function GameStatusBar() {
             <p className="text-sm font-bold">
               {currentQuestionNumber}
               <span className="text-muted-foreground font-normal">
-                /{QUESTIONS_PER_SET}
+                /{questionsPerSet}
               </span>
             </p>
           </div>
@@ -133,7 +158,7 @@ export default function GameStatusBar() {
               Lifelines
             </p>
             <div className="flex gap-2">
-              {lifelines.map(({ type, meta, available }) => (
+              {lifelines.map(({ type, meta, available, usesLeft }) => (
                 <Badge
                   key={type}
                   variant={available ? 'outline' : 'secondary'}
@@ -144,6 +169,7 @@ export default function GameStatusBar() {
                   }`}>
                   <span>{meta.icon}</span>
                   <span className="hidden sm:inline">{meta.label}</span>
+                  {usesLeft > 1 && <span>×{usesLeft}</span>}
                 </Badge>
               ))}
             </div>
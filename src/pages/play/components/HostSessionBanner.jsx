@@ -0,0 +1,86 @@
+// src/pages/play/components/HostSessionBanner.jsx
+
+import { useState } from 'react';
+import { useHostSessionStore } from '@stores/useHostSessionStore';
+import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
+import { Button } from '@components/ui/button';
+import { toast } from 'sonner';
+import { Eye, MonitorSmartphone } from 'lucide-react';
+
+/**
+ * HostSessionBanner Component
+ *
+ * Purpose: Concurrent host warning for the play page (PRD P7-REQ-014)
+ *
+ * - Controller with other tabs/devices open: a note that they are view only
+ * - Read-only session: "Another host session detected" with the current
+ *   controller and a "Take over" button
+ * - Single session: renders nothing
+ */
+export default function HostSessionBanner() {
+  const sessionId = useHostSessionStore((state) => state.sessionId);
+  const sessions = useHostSessionStore((state) => state.sessions);
+  const controller = useHostSessionStore((state) => state.controller);
+  const isController = useHostSessionStore((state) => state.isController);
+  const isLoading = useHostSessionStore((state) => state.isLoading);
+  const takeOverControl = useHostSessionStore((state) => state.takeOverControl);
+
+  const [isTakingOver, setIsTakingOver] = useState(false);
+
+  if (isLoading) return null;
+
+  const otherSessionCount = Object.keys(sessions).filter(
+    (id) => id !== sessionId,
+  ).length;
+
+  const handleTakeOver = async () => {
+    setIsTakingOver(true);
+    const result = await takeOverControl();
+    setIsTakingOver(false);
+
+    if (result.success) {
+      toast.success('You are now controlling the game');
+    } else {
+      toast.error('Could not take over', { description: result.error });
+    }
+  };
+
+  if (isController) {
+    if (otherSessionCount === 0) return null;
+
+    return (
+      <Alert>
+        <MonitorSmartphone className="h-4 w-4" />
+        <AlertDescription>
+          You are controlling the game. {otherSessionCount} other host session
+          {otherSessionCount === 1 ? ' is' : 's are'} open in view-only mode.
+        </AlertDescription>
+      </Alert>
+    );
+  }
+
+  // Lease vacant — this tab is claiming it
+  if (!controller || !sessions[controller.sessionId]) return null;
+
+  return (
+    <Alert className="bg-amber-50 dark:bg-amber-950/20 border-amber-500">
+      <Eye className="h-4 w-4" />
+      <AlertTitle>Another host session detected</AlertTitle>
+      <AlertDescription>
+        <div className="flex flex-wrap items-center justify-between gap-3 w-full">
+          <span className="text-sm">
+            {controller?.email ?? 'Another host'} is controlling the game. This
+            tab is view only — controls are disabled.
+          </span>
+          <Button
+            size="sm"
+            onClick={handleTakeOver}
+            disabled={isTakingOver}
+            className="bg-amber-600 hover:bg-amber-700 text-white">
+            {isTakingOver ? 'Taking over...' : 'Take over'}
+          </Button>
+        </div>
+      </AlertDescription>
+    </Alert>
+  );
+}
@@ -4,14 +4,19 @@ import { useState } from 'react';
 import { useLifelineManagement } from '../hooks/useLifelineManagement';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
-import { LIFELINE_TYPE } from '@constants/teamStates';
+import {
+  LIFELINE_TYPE,
+  LIFELINE_RULE,
+  AUDIENCE_POLL_STATUS,
+} from '@constants/teamStates';
 import { Button } from '@components/ui/button';
 import { Badge } from '@components/ui/badge';
 import { Alert, AlertDescription } from '@components/ui/alert';
-import { Phone, Scissors, AlertTriangle } from 'lucide-react';
+import { Phone, Scissors, Users, Shuffle, AlertTriangle } from 'lucide-react';
 import { cn } from '@lib/utils';
 import PhoneAFriendDialog from './dialogs/PhoneAFriendDialog';
 import LifelineConfirmDialog from './dialogs/LifelineConfirmDialog';
+import AudiencePollDialog from './dialogs/AudiencePollDialog';
 
 /**
  * Lifeline Panel Component
@@ -24,18 +29,21 @@ import LifelineConfirmDialog from './dialogs/LifelineConfirmDialog';
  * WWBAM Rules:
  * - Lifelines are DECISION TOOLS (not safety nets)
  * - Must be used BEFORE locking answer
- * - ONE lifeline per question maximum
- * - Team chooses: Phone-a-Friend OR 50/50 (not both)
+ * - ONE lifeline per question maximum, unless config.lifelineRule is
+ *   'stackable' (each lifeline type still once per question)
+ * - Only lifelines in the team's roster (enabled in config) are shown
  *
  * States:
- * - Available: Button enabled, full color, green badge
- * - Active (Phone): Blue "Active" badge
+ * - Available: Button enabled, full color, green badge (with uses left if > 1)
+ * - Active (Phone / Audience poll open): Blue "Active" badge
  * - Used globally: Disabled, greyed out, red "Used" badge
+ * - Switch with no reserve left at this difficulty: "No Reserve" badge
  * - Used this question: Both locked, "Locked" badge
  * - After answer locked: Both disabled
  */
 export default function LifelinePanel() {
   const [isResuming, setIsResuming] = useState(false);
+  const [isClosingPoll, setIsClosingPoll] = useState(false);
 
   // ============================================================
   // LIFELINE MANAGEMENT HOOK
@@ -45,15 +53,26 @@ export default function LifelinePanel() {
     isActivating,
     activationError,
     lifelineUsedThisQuestion,
+    lifelinesUsedThisQuestion,
+    lifelineRule,
+    lifelineRoster,
     isPhoneAvailable,
     isFiftyFiftyAvailable,
+    isAudiencePollAvailable,
+    isSwitchQuestionAvailable,
+    hasReserveQuestion,
     canUsePhone,
     canUseFiftyFifty,
+    canUseAudiencePoll,
+    canUseSwitchQuestion,
     phoneTimer,
     startPhoneTimer,
     activateFiftyFifty,
     activatePhoneAFriend,
     resumeFromPhoneAFriend,
+    activateAudiencePoll,
+    closeAudiencePoll,
+    activateSwitchQuestion,
   } = useLifelineManagement();
 
   // ============================================================
@@ -61,10 +80,28 @@ export default function LifelinePanel() {
   // ============================================================
 
   const activeLifeline = useGameStore((state) => state.activeLifeline);
+  const audiencePoll = useGameStore((state) => state.audiencePoll);
   const currentTeamId = useGameStore((state) => state.currentTeamId);
   const currentTeam = useTeamsStore((state) => state.teams[currentTeamId]);
 
+  const isStackable = lifelineRule === LIFELINE_RULE.STACKABLE;
+  const isInRoster = (type) =>
+    lifelineRoster.some((lifeline) => lifeline.type === type);
+  const getUsesLeft = (type) =>
+    lifelineRoster.find((lifeline) => lifeline.type === type)?.usesLeft ?? 0;
+
   const isPhoneActive = activeLifeline === 'phone-a-friend';
+  const isPollOpen = audiencePoll?.status === AUDIENCE_POLL_STATUS.OPEN;
+  const anyLifelineAvailable =
+    isPhoneAvailable ||
+    isFiftyFiftyAvailable ||
+    isAudiencePollAvailable ||
+    isSwitchQuestionAvailable;
+  const canUseAnyLifeline =
+    canUsePhone ||
+    canUseFiftyFifty ||
+    canUseAudiencePoll ||
+    canUseSwitchQuestion;
 
   // ============================================================
   // CONFIRMATION DIALOG STATE
@@ -76,6 +113,10 @@ export default function LifelinePanel() {
     setPendingLifeline(LIFELINE_TYPE.PHONE_A_FRIEND);
   const handleFiftyFiftyClick = () =>
     setPendingLifeline(LIFELINE_TYPE.FIFTY_FIFTY);
+  const handleAudiencePollClick = () =>
+    setPendingLifeline(LIFELINE_TYPE.AUDIENCE_POLL);
+  const handleSwitchQuestionClick = () =>
+    setPendingLifeline(LIFELINE_TYPE.SWITCH_QUESTION);
   const handleConfirmCancel = () => setPendingLifeline(null);
 
   // ============================================================
@@ -92,6 +133,12 @@ export default function LifelinePanel() {
     } else if (lifeline === LIFELINE_TYPE.FIFTY_FIFTY) {
       const result = await activateFiftyFifty();
       if (result.success) console.log('✂️ 50/50 activated:', result);
+    } else if (lifeline === LIFELINE_TYPE.AUDIENCE_POLL) {
+      const result = await activateAudiencePoll();
+      if (result.success) console.log('👥 Ask the Audience activated');
+    } else if (lifeline === LIFELINE_TYPE.SWITCH_QUESTION) {
+      const result = await activateSwitchQuestion();
+      if (result.success) console.log('🔄 Question switched:', result);
     }
   };
 
@@ -103,6 +150,14 @@ export default function LifelinePanel() {
     setIsResuming(false);
   };
 
+  const handleClosePoll = async (votes) => {
+    setIsClosingPoll(true);
+    const result = await closeAudiencePoll(votes);
+    if (!result.success)
+      console.error('Failed to close audience poll:', result.error);
+    setIsClosingPoll(false);
+  };
+
   // ============================================================
   // HELPERS
   // ============================================================
@@ -110,7 +165,7 @@ export default function LifelinePanel() {
   /**
    * Resolve the status badge for a lifeline button
    */
-  const getLifelineBadge = ({ isAvailable, isActive, canUse }) => {
+  const getLifelineBadge = ({ isAvailable, isActive, canUse, usesLeft }) => {
     if (isActive)
       return (
         <Badge className="text-xs bg-blue-600 hover:bg-blue-600">Active</Badge>
@@ -130,7 +185,7 @@ export default function LifelinePanel() {
     if (canUse)
       return (
         <Badge className="text-xs bg-green-600 hover:bg-green-600">
-          Available
+          {usesLeft > 1 ? `Available ×${usesLeft}` : 'Available'}
         </Badge>
       );
     return null;
@@ -147,52 +202,117 @@ export default function LifelinePanel() {
         {lifelineUsedThisQuestion && (
           <div className="flex justify-center">
             <Badge variant="secondary" className="text-xs">
-              1 Used This Question
+              {lifelinesUsedThisQuestion.length} Used This Question
             </Badge>
           </div>
         )}
 
         {/* ── Phone-a-Friend ──────────────────────────────────── */}
-        <Button
-          onClick={handlePhoneClick}
-          disabled={!canUsePhone || isActivating || isPhoneActive}
-          variant={canUsePhone ? 'default' : 'outline'}
-          className={cn(
-            'w-full h-auto py-3 px-3 flex flex-col items-center gap-1.5 transition-all',
-            !isPhoneAvailable && 'opacity-50 cursor-not-allowed',
-            canUsePhone && 'ring-2 ring-blue-500 hover:ring-blue-600',
-          )}>
-          <Phone className="w-5 h-5 shrink-0" />
-          <span className="text-xs font-semibold leading-tight text-center">
-            Phone-a-Friend
-          </span>
-          {getLifelineBadge({
-            isAvailable: isPhoneAvailable,
-            isActive: isPhoneActive,
-            canUse: canUsePhone,
-          })}
-        </Button>
+        {isInRoster(LIFELINE_TYPE.PHONE_A_FRIEND) && (
+          <Button
+            onClick={handlePhoneClick}
+            disabled={!canUsePhone || isActivating || isPhoneActive}
+            variant={canUsePhone ? 'default' : 'outline'}
+            className={cn(
+              'w-full h-auto py-3 px-3 flex flex-col items-center gap-1.5 transition-all',
+              !isPhoneAvailable && 'opacity-50 cursor-not-allowed',
+              canUsePhone && 'ring-2 ring-blue-500 hover:ring-blue-600',
+            )}>
+            <Phone className="w-5 h-5 shrink-0" />
+            <span className="text-xs font-semibold leading-tight text-center">
+              Phone-a-Friend
+            </span>
+            {getLifelineBadge({
+              isAvailable: isPhoneAvailable,
+              isActive: isPhoneActive,
+              canUse: canUsePhone,
+              usesLeft: getUsesLeft(LIFELINE_TYPE.PHONE_A_FRIEND),
+            })}
+          </Button>
+        )}
 
         {/* ── 50/50 ───────────────────────────────────────────── */}
-        <Button
-          onClick={handleFiftyFiftyClick}
-          disabled={!canUseFiftyFifty || isActivating}
-          variant={canUseFiftyFifty ? 'default' : 'outline'}
-          className={cn(
-            'w-full h-auto py-3 px-3 flex flex-col items-center gap-1.5 transition-all',
-            !isFiftyFiftyAvailable && 'opacity-50 cursor-not-allowed',
-            canUseFiftyFifty && 'ring-2 ring-yellow-500 hover:ring-yellow-600',
-          )}>
-          <Scissors className="w-5 h-5 shrink-0" />
-          <span className="text-xs font-semibold leading-tight text-center">
-            50 / 50
-          </span>
-          {getLifelineBadge({
-            isAvailable: isFiftyFiftyAvailable,
-            isActive: false,
-            canUse: canUseFiftyFifty,
-          })}
-        </Button>
+        {isInRoster(LIFELINE_TYPE.FIFTY_FIFTY) && (
+          <Button
+            onClick={handleFiftyFiftyClick}
+            disabled={!canUseFiftyFifty || isActivating}
+            variant={canUseFiftyFifty ? 'default' : 'outline'}
+            className={cn(
+              'w-full h-auto py-3 px-3 flex flex-col items-center gap-1.5 transition-all',
+              !isFiftyFiftyAvailable && 'opacity-50 cursor-not-allowed',
+              canUseFiftyFifty &&
+                'ring-2 ring-yellow-500 hover:ring-yellow-600',
+            )}>
+            <Scissors className="w-5 h-5 shrink-0" />
+            <span className="text-xs font-semibold leading-tight text-center">
+              50 / 50
+            </span>
+            {getLifelineBadge({
+              isAvailable: isFiftyFiftyAvailable,
+              isActive: false,
+              canUse: canUseFiftyFifty,
+              usesLeft: getUsesLeft(LIFELINE_TYPE.FIFTY_FIFTY),
+            })}
+          </Button>
+        )}
+
+        {/* ── Ask the Audience ────────────────────────────────── */}
+        {isInRoster(LIFELINE_TYPE.AUDIENCE_POLL) && (
+          <Button
+            onClick={handleAudiencePollClick}
+            disabled={!canUseAudiencePoll || isActivating || isPollOpen}
+            variant={canUseAudiencePoll ? 'default' : 'outline'}
+            className={cn(
+              'w-full h-auto py-3 px-3 flex flex-col items-center gap-1.5 transition-all',
+              !isAudiencePollAvailable && 'opacity-50 cursor-not-allowed',
+              canUseAudiencePoll &&
+                'ring-2 ring-purple-500 hover:ring-purple-600',
+            )}>
+            <Users className="w-5 h-5 shrink-0" />
+            <span className="text-xs font-semibold leading-tight text-center">
+              Ask the Audience
+            </span>
+            {getLifelineBadge({
+              isAvailable: isAudiencePollAvailable,
+              isActive: isPollOpen,
+              canUse: canUseAudiencePoll,
+              usesLeft: getUsesLeft(LIFELINE_TYPE.AUDIENCE_POLL),
+            })}
+          </Button>
+        )}
+
+        {/* ── Switch the Question ─────────────────────────────── */}
+        {isInRoster(LIFELINE_TYPE.SWITCH_QUESTION) && (
+          <Button
+            onClick={handleSwitchQuestionClick}
+            disabled={!canUseSwitchQuestion || isActivating}
+            variant={canUseSwitchQuestion ? 'default' : 'outline'}
+            className={cn(
+              'w-full h-auto py-3 px-3 flex flex-col items-center gap-1.5 transition-all',
+              !isSwitchQuestionAvailable && 'opacity-50 cursor-not-allowed',
+              canUseSwitchQuestion &&
+                'ring-2 ring-teal-500 hover:ring-teal-600',
+            )}>
+            <Shuffle className="w-5 h-5 shrink-0" />
+            <span className="text-xs font-semibold leading-tight text-center">
+              Switch Question
+            </span>
+            {isSwitchQuestionAvailable &&
+            !hasReserveQuestion &&
+            (isStackable || !lifelineUsedThisQuestion) ? (
+              <Badge variant="secondary" className="text-xs">
+                No Reserve
+              </Badge>
+            ) : (
+              getLifelineBadge({
+                isAvailable: isSwitchQuestionAvailable,
+                isActive: false,
+                canUse: canUseSwitchQuestion,
+                usesLeft: getUsesLeft(LIFELINE_TYPE.SWITCH_QUESTION),
+              })
+            )}
+          </Button>
+        )}
 
         {/* ── Error ───────────────────────────────────────────── */}
         {activationError && (
@@ -205,25 +325,28 @@ export default function LifelinePanel() {
         )}
 
         {/* ── Status / Rule Reminder ──────────────────────────── */}
-        {!canUsePhone &&
-          !canUseFiftyFifty &&
+        {!canUseAnyLifeline &&
           !isActivating &&
-          !isPhoneActive && (
+          !isPhoneActive &&
+          !isPollOpen && (
             <Alert className="bg-muted/50">
               <AlertDescription className="text-xs text-muted-foreground text-center">
-                {lifelineUsedThisQuestion
-                  ? '⚠️ One lifeline per question.'
-                  : !isPhoneAvailable && !isFiftyFiftyAvailable
+                {lifelineUsedThisQuestion && anyLifelineAvailable
+                  ? isStackable
+                    ? '⚠️ Each lifeline once per question.'
+                    : '⚠️ One lifeline per question.'
+                  : !anyLifelineAvailable
                     ? '❌ All lifelines used'
                     : '🔒 Push question to display first'}
               </AlertDescription>
             </Alert>
           )}
 
-        {(canUsePhone || canUseFiftyFifty) && (
+        {canUseAnyLifeline && (
           <Alert className="bg-yellow-50 dark:bg-yellow-950/20 border-yellow-300 dark:border-yellow-700">
             <AlertDescription className="text-xs text-yellow-800 dark:text-yellow-200 text-center">
-              <strong>WWBAM:</strong> Use BEFORE locking. One per question.
+              <strong>WWBAM:</strong> Use BEFORE locking.{' '}
+              {isStackable ? 'Lifelines can be combined.' : 'One per question.'}
             </AlertDescription>
           </Alert>
         )}
@@ -247,6 +370,13 @@ export default function LifelinePanel() {
         onResume={handleResume}
         isResuming={isResuming}
       />
+
+      <AudiencePollDialog
+        open={isPollOpen}
+        poll={audiencePoll}
+        onClose={handleClosePoll}
+        isClosing={isClosingPoll}
+      />
     </>
   );
 }
@@ -6,6 +6,7 @@ import { Badge } from '@components/ui/badge';
 import { Alert, AlertDescription } from '@components/ui/alert';
 import { Eye, EyeOff, CheckCircle2, Info } from 'lucide-react';
 import { cn } from '@lib/utils';
+import QuestionTimer from './QuestionTimer';
 
 /**
  * Question Panel Component
@@ -14,6 +15,7 @@ import { cn } from '@lib/utils';
  *
  * Displays:
  * - Question number
+ * - Answer timer countdown (when enabled)
  * - Question text
  * - Four answer options (A, B, C, D) - DISPLAY ONLY, non-interactive
  * - Correct answer indicator (HOST VIEW ONLY - always visible to host)
@@ -92,6 +94,8 @@ export default function QuestionPanel() {
             </Badge>
           )}
         </div>
+
+        <QuestionTimer />
       </div>
 
       {/* Question Text */}
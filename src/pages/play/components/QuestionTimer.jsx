@@ -0,0 +1,69 @@
+// src/pages/play/components/QuestionTimer.jsx
+
+import { Timer, TimerOff, Pause } from 'lucide-react';
+import { useQuestionTimer } from '../hooks/useQuestionTimer';
+import { cn } from '@lib/utils';
+
+/**
+ * Seconds left at which the countdown turns red
+ */
+const WARNING_THRESHOLD_SECONDS = 10;
+
+/**
+ * QuestionTimer Component
+ *
+ * Purpose: Compact countdown of the per-question answer timer, shown in the
+ * QuestionPanel header. Display only — expiry is handled by GameControls.
+ *
+ * States:
+ * - No timer for this question: renders nothing
+ * - Running: MM:SS with a shrinking bar (red in the last 10 seconds)
+ * - Paused: frozen value with a pause icon
+ * - Expired: "Time's up"
+ */
+export default function QuestionTimer() {
+  const {
+    isActive,
+    isPaused,
+    hasExpired,
+    secondsRemaining,
+    display,
+    progressPct,
+  } = useQuestionTimer();
+
+  if (!isActive) return null;
+
+  const isWarning =
+    !hasExpired && secondsRemaining <= WARNING_THRESHOLD_SECONDS;
+  const Icon = hasExpired ? TimerOff : isPaused ? Pause : Timer;
+
+  return (
+    <div
+      className={cn(
+        'flex items-center gap-2 px-3 py-1 rounded-md border text-sm font-mono',
+        hasExpired
+          ? 'border-red-300 bg-red-50 text-red-700 dark:border-red-800 dark:bg-red-950/30 dark:text-red-400'
+          : isWarning
+            ? 'border-red-200 text-red-600 dark:border-red-800 dark:text-red-400'
+            : 'border-border text-foreground',
+      )}>
+      <Icon className="w-4 h-4" />
+      {hasExpired ? (
+        <span className="font-sans font-semibold">Time&apos;s up</span>
+      ) : (
+        <>
+          <span className="font-semibold tabular-nums">{display}</span>
+          <div className="w-16 h-1.5 bg-muted rounded-full overflow-hidden">
+            <div
+              className={cn(
+                'h-full rounded-full transition-all',
+                isWarning ? 'bg-red-500' : 'bg-primary',
+              )}
+              style={{ width: `${progressPct}%` }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+// src/pages/play/components/RevertLockButton.jsx
+
+import { useState, useEffect } from 'react';
+import { useGameStore } from '@stores/useGameStore';
+import { useHostSessionStore } from '@stores/useHostSessionStore';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import { CONNECTION_STATUS } from '@constants/connection';
+import { LOCK_UNDO_WINDOW_SECONDS } from '@constants/config';
+import { Button } from '@components/ui/button';
+import { cn } from '@lib/utils';
+import { toast } from 'sonner';
+import { Undo2 } from 'lucide-react';
+
+/**
+ * RevertLockButton Component
+ *
+ * Purpose: "Revert last lock" for a mis-tapped answer, shown only while the
+ * undo window is open (LOCK_UNDO_WINDOW_SECONDS after "Lock Answer").
+ *
+ * Placed under the AnswerPad and inside the dialogs a lock can open
+ * (TeamStatusDialog on elimination/completion, GameCompletedDialog when the
+ * lock ended the game). The snapshot lives in useGameStore.lockUndo and is
+ * local to the host who locked, and only offered while that tab is still
+ * the game controller. Held while offline, like the other irreversible
+ * controls.
+ *
+ * @param {string} props.className - Extra classes for the button
+ */
+export default function RevertLockButton({ className }) {
+  const lockUndo = useGameStore((state) => state.lockUndo);
+  const revertLastLock = useGameStore((state) => state.revertLastLock);
+  const isController = useHostSessionStore((state) => state.isController);
+  const isOffline = useConnectionStore(
+    (state) => state.status !== CONNECTION_STATUS.ONLINE,
+  );
+
+  const [now, setNow] = useState(() => Date.now());
+  const [isReverting, setIsReverting] = useState(false);
+
+  // Tick once a second while the window is open
+  useEffect(() => {
+    if (!lockUndo) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [lockUndo]);
+
+  // `now` may predate the lock until the first tick — cap to the window
+  const secondsLeft = lockUndo
+    ? Math.min(
+        LOCK_UNDO_WINDOW_SECONDS,
+        Math.ceil((lockUndo.expiresAt - now) / 1000),
+      )
+    : 0;
+
+  // Hidden on read-only sessions (another tab took over)
+  if (secondsLeft <= 0 || !isController) return null;
+
+  const handleRevert = async () => {
+    setIsReverting(true);
+    const result = await revertLastLock();
+    setIsReverting(false);
+
+    if (result.success) {
+      toast.success('Answer lock reverted', {
+        description: `Question ${lockUndo.questionNumber} is open again`,
+      });
+    } else {
+      toast.error('Could not revert lock', { description: result.error });
+    }
+  };
+
+  return (
+    <Button
+      onClick={handleRevert}
+      disabled={isReverting || isOffline}
+      variant="outline"
+      size="sm"
+      className={cn(
+        'w-full gap-2 border-amber-500 text-amber-700 dark:text-amber-400',
+        className,
+      )}>
+      <Undo2 className="w-4 h-4" />
+      {isReverting
+        ? 'Reverting...'
+        : isOffline
+          ? 'Waiting for connection...'
+          : `Revert last lock (${secondsLeft}s)`}
+    </Button>
+  );
+}
@@ -0,0 +1,170 @@
+// src/pages/play/components/dialogs/AudiencePollDialog.jsx
+
+import { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@components/ui/dialog';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import { Users, CheckCircle2, RotateCcw } from 'lucide-react';
+import { calculatePollPercentages } from '@utils/gameplay/lifelineLogic';
+import { ROUTE_CONFIG } from '@config/routes';
+
+/**
+ * AudiencePollDialog Component
+ *
+ * Purpose: Host-facing dialog shown while the Ask the Audience poll is open.
+ *
+ * Layout:
+ * ┌─────────────────────────────────────┐
+ * │ 👥 Ask the Audience                 │
+ * ├─────────────────────────────────────┤
+ * │  Voting page: https://…/vote        │
+ * │                                     │
+ * │  A  Paris      [ 12 ]   ━━━━  48%   │
+ * │  B  London     [  8 ]   ━━    32%   │
+ * │  …                                  │
+ * │                                     │
+ * │  [Close Poll & Show Results]        │
+ * └─────────────────────────────────────┘
+ *
+ * Behaviours:
+ * - Cannot be dismissed by clicking outside or pressing Escape
+ * - Tallies start from the live votes collected by the voting page
+ * - Host can type over any tally (e.g. show-of-hands count); edited
+ *   options stop following the live count until "Use live votes" is clicked
+ * - Percentage preview updates as tallies change
+ *
+ * @param {boolean}  props.open       - Whether dialog is visible
+ * @param {Object}   props.poll       - game-state/audience-poll (camelCase)
+ * @param {Function} props.onClose    - Called with final votes when host closes the poll
+ * @param {boolean}  props.isClosing  - Disable button while closing
+ */
+export default function AudiencePollDialog({
+  open,
+  poll,
+  onClose,
+  isClosing = false,
+}) {
+  // Host-entered tallies, keyed by option — overrides the live count
+  const [manualTallies, setManualTallies] = useState({});
+
+  const options = poll?.options ?? {};
+  const liveVotes = poll?.votes ?? {};
+  const optionKeys = Object.keys(options).sort();
+
+  const tallies = Object.fromEntries(
+    optionKeys.map((key) => [
+      key,
+      manualTallies[key] !== undefined
+        ? manualTallies[key]
+        : (liveVotes[key] ?? 0),
+    ]),
+  );
+  const percentages = calculatePollPercentages(tallies);
+  const totalVotes = Object.values(tallies).reduce((sum, n) => sum + n, 0);
+
+  const votingUrl = `${window.location.origin}${ROUTE_CONFIG.VOTE.path}`;
+
+  const handleTallyChange = (key, value) => {
+    const parsed = parseInt(value, 10);
+    setManualTallies((prev) => ({
+      ...prev,
+      [key]: isNaN(parsed) || parsed < 0 ? 0 : parsed,
+    }));
+  };
+
+  const handleClose = async () => {
+    await onClose(tallies);
+    setManualTallies({});
+  };
+
+  return (
+    <Dialog
+      open={open}
+      // Prevent accidental dismiss — host must close the poll
+      onOpenChange={() => {}}>
+      <DialogContent
+        showCloseButton={false}
+        className="max-w-md"
+        onPointerDownOutside={(e) => e.preventDefault()}
+        onEscapeKeyDown={(e) => e.preventDefault()}>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-purple-600 dark:text-purple-400">
+            <Users className="w-5 h-5" />
+            Ask the Audience
+          </DialogTitle>
+          <DialogDescription>
+            Audience members can vote at{' '}
+            <span className="font-mono text-foreground break-all">
+              {votingUrl}
+            </span>
+            . Enter or adjust tallies below, then close the poll.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3 py-2">
+          {optionKeys.map((key) => (
+            <div key={key} className="flex items-center gap-3">
+              <span className="w-6 text-sm font-bold text-center">
+                {key.toUpperCase()}
+              </span>
+              <span className="flex-1 min-w-0 text-sm truncate">
+                {options[key]}
+              </span>
+              <Input
+                type="number"
+                min={0}
+                value={tallies[key]}
+                onChange={(e) => handleTallyChange(key, e.target.value)}
+                className="w-20 text-right font-mono"
+                aria-label={`Votes for option ${key.toUpperCase()}`}
+              />
+              <div className="w-24 flex items-center gap-2">
+                <div className="flex-1 h-2 bg-muted rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-purple-500 rounded-full transition-all"
+                    style={{ width: `${percentages[key]}%` }}
+                  />
+                </div>
+                <span className="w-9 text-xs font-mono text-right">
+                  {percentages[key]}%
+                </span>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between text-xs text-muted-foreground">
+            <span>{totalVotes} vote(s) counted</span>
+            {Object.keys(manualTallies).length > 0 && (
+              <Button
+                onClick={() => setManualTallies({})}
+                variant="ghost"
+                size="sm"
+                className="h-auto py-1 text-xs">
+                <RotateCcw className="w-3 h-3 mr-1" />
+                Use live votes
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button
+            onClick={handleClose}
+            disabled={isClosing}
+            size="lg"
+            className="w-full gap-2 bg-purple-600 hover:bg-purple-700 dark:bg-purple-600 dark:hover:bg-purple-700 text-white">
+            <CheckCircle2 className="w-4 h-4" />
+            {isClosing ? 'Closing...' : 'Close Poll & Show Results'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -10,7 +10,7 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from '@components/ui/alert-dialog';
-import { Phone, Scissors } from 'lucide-react';
+import { Phone, Scissors, Users, Shuffle } from 'lucide-react';
 import { LIFELINE_TYPE } from '@constants/teamStates';
 
 /**
@@ -36,12 +36,32 @@ const LIFELINE_CONFIG = {
       'Two incorrect answer options will be removed, leaving the correct answer and one incorrect option. This cannot be reversed.',
     consequence: 'Public display updates immediately to show only 2 options.',
   },
+  [LIFELINE_TYPE.AUDIENCE_POLL]: {
+    icon: Users,
+    label: 'Ask the Audience',
+    iconClass: 'text-purple-500',
+    actionClass: 'bg-purple-600 hover:bg-purple-700 text-white',
+    description:
+      'A poll opens for the options currently on screen. The audience votes on the /vote page, or you enter a show-of-hands tally yourself.',
+    consequence:
+      'Poll dialog opens. Closing the poll shows the vote percentages on the public display.',
+  },
+  [LIFELINE_TYPE.SWITCH_QUESTION]: {
+    icon: Shuffle,
+    label: 'Switch the Question',
+    iconClass: 'text-teal-500',
+    actionClass: 'bg-teal-600 hover:bg-teal-700 text-white',
+    description:
+      "The current question is replaced by an unused reserve question of the same difficulty from this team's set. The original question is not revealed.",
+    consequence:
+      'Public display shows the new question immediately. A running answer timer restarts.',
+  },
 };
 
 /**
  * LifelineConfirmDialog Component
  *
- * Purpose: Confirmation dialog before activating either lifeline.
+ * Purpose: Confirmation dialog before activating any lifeline.
  * Lifelines are permanently marked as used in Firebase — this prevents
  * accidental activation.
  *
@@ -1,5 +1,6 @@
 // src/pages/play/components/dialogs/SkipQuestionDialog.jsx
 
+import { useState } from 'react';
 import {
   AlertDialog,
   AlertDialogAction,
@@ -10,7 +11,15 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from '@components/ui/alert-dialog';
-import { SkipForward, AlertTriangle } from 'lucide-react';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import {
+  SkipForward,
+  AlertTriangle,
+  Replace,
+  Loader2,
+  Layers,
+} from 'lucide-react';
 
 /**
  * SkipQuestionDialog Component
@@ -21,23 +30,38 @@ import { SkipForward, AlertTriangle } from 'lucide-react';
  * Behaviours:
  * - Warns that the action cannot be undone
  * - Notes that no prize credit is awarded for skipped questions
+ * - Asks for a reason, logged with the skip (optional)
+ * - When a reserve question is available, offers "Skip & Replace" so the
+ *   team keeps the same question slot
  * - If it's the last question, warns the team will be marked completed
+ *   unless the question is replaced
  *
- * @param {boolean}  props.open           - Whether dialog is visible
- * @param {Function} props.onOpenChange   - Toggle open state
- * @param {Function} props.onConfirm      - Called when host confirms skip
- * @param {boolean}  props.isLastQuestion - Show extra warning if this is the final question
- * @param {boolean}  props.isLoading      - Disable confirm while processing
+ * @param {boolean}  props.open                - Whether dialog is visible
+ * @param {Function} props.onOpenChange        - Toggle open state
+ * @param {Function} props.onConfirm           - Called with { reason, substitute } when host confirms
+ * @param {Object}   props.substitute          - Reserve from findSubstituteQuestion(), or null
+ * @param {boolean}  props.isFindingSubstitute - Reserve lookup still running
+ * @param {boolean}  props.isLastQuestion      - Show extra warning if this is the final question
+ * @param {boolean}  props.isLoading           - Disable confirm while processing
  */
 export default function SkipQuestionDialog({
   open,
   onOpenChange,
   onConfirm,
+  substitute = null,
+  isFindingSubstitute = false,
   isLastQuestion = false,
   isLoading = false,
 }) {
+  const [reason, setReason] = useState('');
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) setReason('');
+    onOpenChange(nextOpen);
+  };
+
   return (
-    <AlertDialog open={open} onOpenChange={onOpenChange}>
+    <AlertDialog open={open} onOpenChange={handleOpenChange}>
       <AlertDialogContent>
         <AlertDialogHeader>
           <AlertDialogTitle className="flex items-center gap-2">
@@ -45,19 +69,56 @@ export default function SkipQuestionDialog({
             Skip This Question?
           </AlertDialogTitle>
           <AlertDialogDescription asChild>
-            <div className="space-y-2 text-sm text-muted-foreground">
+            <div className="space-y-3 text-sm text-muted-foreground">
               <p>
                 This action{' '}
                 <strong className="text-foreground">cannot be undone</strong>.
                 The team will not receive any prize credit for skipping.
               </p>
+
+              <div className="space-y-1.5">
+                <Label htmlFor="skip-reason" className="text-foreground">
+                  Reason
+                </Label>
+                <Input
+                  id="skip-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="e.g. Wrong answer key, duplicate question"
+                  disabled={isLoading}
+                />
+              </div>
+
+              {isFindingSubstitute ? (
+                <p className="flex items-center gap-2 text-xs">
+                  <Loader2 className="w-3 h-3 animate-spin" />
+                  Looking for a reserve question...
+                </p>
+              ) : substitute ? (
+                <div className="flex items-start gap-2 p-3 rounded-md bg-teal-50 dark:bg-teal-950/30 border border-teal-200 dark:border-teal-800 text-teal-800 dark:text-teal-300">
+                  <Layers className="w-4 h-4 mt-0.5 shrink-0" />
+                  <p className="text-xs">
+                    A reserve question is available from{' '}
+                    {substitute.fromSharedPool
+                      ? 'the shared reserve pool'
+                      : "this team's question set"}
+                    . Replacing keeps the team on this question number.
+                  </p>
+                </div>
+              ) : (
+                <p className="text-xs">
+                  No unused reserve question at this difficulty — the team will
+                  move on to the next question.
+                </p>
+              )}
+
               {isLastQuestion && (
                 <div className="flex items-start gap-2 p-3 rounded-md bg-orange-50 dark:bg-orange-950/30 border border-orange-200 dark:border-orange-800 text-orange-800 dark:text-orange-300">
                   <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
                   <p className="text-xs">
                     This is the team&apos;s <strong>last question</strong>.
-                    Skipping it will mark them as completed with their current
-                    prize.
+                    Skipping it without a replacement will mark them as
+                    completed with their current prize.
                   </p>
                 </div>
               )}
@@ -67,12 +128,25 @@ export default function SkipQuestionDialog({
         <AlertDialogFooter>
           <AlertDialogCancel disabled={isLoading}>Cancel</AlertDialogCancel>
           <AlertDialogAction
-            onClick={onConfirm}
-            disabled={isLoading}
-            className="bg-orange-600 hover:bg-orange-700 text-white">
+            onClick={() => onConfirm({ reason, substitute: null })}
+            disabled={isLoading || isFindingSubstitute}
+            className={
+              substitute
+                ? 'bg-transparent border border-orange-600 text-orange-600 hover:bg-orange-50 dark:hover:bg-orange-950/30'
+                : 'bg-orange-600 hover:bg-orange-700 text-white'
+            }>
             <SkipForward className="w-4 h-4 mr-2" />
             {isLoading ? 'Skipping...' : 'Skip Question'}
           </AlertDialogAction>
+          {substitute && (
+            <AlertDialogAction
+              onClick={() => onConfirm({ reason, substitute })}
+              disabled={isLoading}
+              className="bg-teal-600 hover:bg-teal-700 text-white">
+              <Replace className="w-4 h-4 mr-2" />
+              {isLoading ? 'Replacing...' : 'Skip & Replace'}
+            </AlertDialogAction>
+          )}
         </AlertDialogFooter>
       </AlertDialogContent>
     </AlertDialog>
@@ -0,0 +1,196 @@
+// src/pages/play/components/dialogs/TeamHistoryDialog.jsx
+
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@components/ui/dialog';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@components/ui/table';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+import { useGameStore } from '@stores/useGameStore';
+import {
+  getTeamStatusMeta,
+  QUESTION_OUTCOME_META,
+} from '@constants/teamStates';
+import {
+  countHistoryOutcomes,
+  formatTimeToLock,
+} from '@utils/gameplay/questionHistory';
+import {
+  buildTeamReportCsv,
+  buildTeamReportJson,
+  describeEntryLifelines,
+  getTeamReportFilename,
+  downloadTextFile,
+} from '@utils/resultsExport';
+import { toast } from 'sonner';
+import { FileSpreadsheet, FileJson } from 'lucide-react';
+
+/**
+ * TeamHistoryDialog Component
+ *
+ * Purpose: Question-by-question breakdown of one team's round
+ * (PRD P8-REQ-011), opened from the All Teams panel.
+ *
+ * Shows:
+ * - Outcome summary (correct / incorrect / skipped / ...)
+ * - One row per recorded question: selected vs correct option, outcome,
+ *   lifelines used and time to lock
+ * - Individual CSV / JSON export of the team report
+ *
+ * @param {boolean}  props.open         - Whether dialog is visible
+ * @param {Function} props.onOpenChange - Called when dialog is dismissed
+ * @param {Object}   props.team         - Team (camelCase, with id) or null
+ */
+export default function TeamHistoryDialog({ open, onOpenChange, team }) {
+  const formatPrize = usePrizeFormatter();
+  const questionSetId = useGameStore(
+    (state) => state.questionSetAssignments[team?.id] ?? null,
+  );
+
+  if (!team) return null;
+
+  const history = team.history ?? [];
+  const statusMeta = getTeamStatusMeta(team.status);
+  const outcomeCounts = countHistoryOutcomes(history);
+
+  const handleExportCsv = () => {
+    const filename = getTeamReportFilename(team.name, 'csv');
+    downloadTextFile(
+      buildTeamReportCsv(history),
+      filename,
+      'text/csv;charset=utf-8',
+    );
+    toast.success('Team report exported', { description: filename });
+  };
+
+  const handleExportJson = () => {
+    const filename = getTeamReportFilename(team.name, 'json');
+    downloadTextFile(
+      buildTeamReportJson(team, questionSetId),
+      filename,
+      'application/json',
+    );
+    toast.success('Team report exported', { description: filename });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>{team.name}</DialogTitle>
+          <DialogDescription>
+            {statusMeta.icon} {statusMeta.label} · {team.questionsAnswered || 0}{' '}
+            answered · {formatPrize(team.currentPrize || 0)}
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Outcome Summary */}
+        {history.length > 0 && (
+          <div className="flex flex-wrap gap-1.5">
+            {Object.entries(outcomeCounts)
+              .filter(([, count]) => count > 0)
+              .map(([outcome, count]) => (
+                <Badge key={outcome} variant="outline" className="gap-1">
+                  {QUESTION_OUTCOME_META[outcome].icon}{' '}
+                  {QUESTION_OUTCOME_META[outcome].label} ×{count}
+                </Badge>
+              ))}
+          </div>
+        )}
+
+        {/* Question-by-Question Table */}
+        {history.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-6">
+            No questions recorded yet
+          </p>
+        ) : (
+          <div className="max-h-80 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-12">Q#</TableHead>
+                  <TableHead>Question</TableHead>
+                  <TableHead className="text-center">Selected</TableHead>
+                  <TableHead className="text-center">Correct</TableHead>
+                  <TableHead>Outcome</TableHead>
+                  <TableHead>Lifelines</TableHead>
+                  <TableHead className="text-right">Time</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {history.map((entry, index) => {
+                  const outcomeMeta = QUESTION_OUTCOME_META[entry.outcome];
+
+                  return (
+                    <TableRow key={`${entry.questionNumber}-${index}`}>
+                      <TableCell className="font-bold">
+                        {entry.questionNumber}
+                      </TableCell>
+                      <TableCell className="font-mono text-xs">
+                        {entry.questionId ?? '—'}
+                        {entry.reason && (
+                          <p className="font-sans text-muted-foreground truncate max-w-48">
+                            {entry.reason}
+                          </p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-center font-mono">
+                        {entry.selectedOption ?? '—'}
+                      </TableCell>
+                      <TableCell className="text-center font-mono">
+                        {entry.correctOption ?? '—'}
+                      </TableCell>
+                      <TableCell className="text-xs">
+                        {outcomeMeta
+                          ? `${outcomeMeta.icon} ${outcomeMeta.label}`
+                          : entry.outcome}
+                      </TableCell>
+                      <TableCell className="text-xs">
+                        {describeEntryLifelines(entry.lifelinesUsed) || '—'}
+                      </TableCell>
+                      <TableCell className="text-right font-mono text-xs">
+                        {formatTimeToLock(entry.timeToLockMs)}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button
+            variant="outline"
+            className="gap-2"
+            onClick={handleExportCsv}
+            disabled={history.length === 0}>
+            <FileSpreadsheet className="w-4 h-4" />
+            Export CSV
+          </Button>
+          <Button
+            variant="outline"
+            className="gap-2"
+            onClick={handleExportJson}
+            disabled={history.length === 0}>
+            <FileJson className="w-4 h-4" />
+            Export JSON
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
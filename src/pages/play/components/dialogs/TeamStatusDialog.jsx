@@ -10,44 +10,59 @@ import {
 } from '@components/ui/dialog';
 import { Button } from '@components/ui/button';
 import { Badge } from '@components/ui/badge';
-import { Trophy, XCircle, Users, ArrowRight } from 'lucide-react';
+import { Trophy, XCircle, Users, ArrowRight, DoorOpen } from 'lucide-react';
 import { cn } from '@lib/utils';
-import { formatPrize } from '@utils/gameplay/scoreCalculation';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
 import { TEAM_STATUS } from '@constants/teamStates';
+import RevertLockButton from '../RevertLockButton';
 
 /**
  * TeamStatusDialog Component
  *
- * Purpose: Auto-opens when a team reaches a terminal state (eliminated or completed).
+ * Purpose: Auto-opens when a team reaches a terminal state (eliminated,
+ * completed or walked away).
  * Serves as both a notification and the deliberate "proceed to next team" gate.
  *
  * Behaviours:
  * - Cannot be dismissed by clicking outside — host must take an explicit action
- * - Shows team outcome (eliminated/completed) with final prize
+ * - Shows team outcome (eliminated/completed/walked away) with final prize
+ * - On elimination, shows the prize held before the wrong answer and what the
+ *   team falls back to (see config.eliminationPrizeRule)
  * - Shows next team name if one exists
  * - Single CTA: "Next Team" (or "Acknowledge" if it's the last team in queue)
+ * - "Revert last lock" while the undo window of a mis-tapped lock is open
  *
  * @param {boolean}  props.open          - Whether dialog is visible
  * @param {string}   props.teamName      - Current team's name
- * @param {string}   props.teamStatus    - TEAM_STATUS.ELIMINATED | TEAM_STATUS.COMPLETED
+ * @param {string}   props.teamStatus    - TEAM_STATUS.ELIMINATED | COMPLETED | WALKED_AWAY
  * @param {number}   props.finalPrize    - Team's final prize amount
+ * @param {number}   [props.prizeBeforeElimination] - Prize held before elimination
  * @param {string}   [props.nextTeamName]- Name of the next team (if any)
  * @param {boolean}  props.isLastTeam    - True if no more teams in queue
  * @param {Function} props.onProceed     - Called when host clicks proceed / acknowledge
  * @param {boolean}  props.isLoading     - Disable action while transitioning
+ * @param {boolean}  [props.isOffline]   - Hold "Next Team" until reconnected
  */
 export default function TeamStatusDialog({
   open,
   teamName,
   teamStatus,
   finalPrize,
+  prizeBeforeElimination,
   nextTeamName,
   isLastTeam = false,
   onProceed,
   isLoading = false,
+  isOffline = false,
 }) {
+  const formatPrize = usePrizeFormatter();
   const isEliminated = teamStatus === TEAM_STATUS.ELIMINATED;
   const isCompleted = teamStatus === TEAM_STATUS.COMPLETED;
+  const isWalkedAway = teamStatus === TEAM_STATUS.WALKED_AWAY;
+  const hasFallenBack =
+    isEliminated &&
+    prizeBeforeElimination != null &&
+    prizeBeforeElimination !== finalPrize;
 
   return (
     <Dialog
@@ -63,8 +78,10 @@ export default function TeamStatusDialog({
           <DialogTitle className="sr-only">Team Status Update</DialogTitle>
           <DialogDescription className="sr-only">
             {isEliminated
-              ? `${teamName} has been eliminated with a final prize of ${formatPrize(finalPrize)}.`
-              : `${teamName} has completed their round with a final prize of ${formatPrize(finalPrize)}.`}
+              ? `${teamName} has been eliminated and falls back to ${formatPrize(finalPrize)}.`
+              : isWalkedAway
+                ? `${teamName} has walked away with a final prize of ${formatPrize(finalPrize)}.`
+                : `${teamName} has completed their round with a final prize of ${formatPrize(finalPrize)}.`}
           </DialogDescription>
         </DialogHeader>
 
@@ -74,10 +91,14 @@ export default function TeamStatusDialog({
             'flex flex-col items-center gap-3 py-6 rounded-lg',
             isEliminated
               ? 'bg-red-50 dark:bg-red-950/30'
-              : 'bg-green-50 dark:bg-green-950/30',
+              : isWalkedAway
+                ? 'bg-amber-50 dark:bg-amber-950/30'
+                : 'bg-green-50 dark:bg-green-950/30',
           )}>
           {isEliminated ? (
             <XCircle className="w-14 h-14 text-red-500" />
+          ) : isWalkedAway ? (
+            <DoorOpen className="w-14 h-14 text-amber-500" />
           ) : (
             <Trophy className="w-14 h-14 text-yellow-500" />
           )}
@@ -89,8 +110,13 @@ export default function TeamStatusDialog({
               className={cn(
                 'text-sm px-3 py-0.5',
                 isCompleted && 'bg-green-600 hover:bg-green-600',
+                isWalkedAway && 'bg-amber-600 hover:bg-amber-600',
               )}>
-              {isEliminated ? '❌ Eliminated' : '✅ Completed'}
+              {isEliminated
+                ? '❌ Eliminated'
+                : isWalkedAway
+                  ? '🚶 Walked Away'
+                  : '✅ Completed'}
             </Badge>
           </div>
 
@@ -104,10 +130,20 @@ export default function TeamStatusDialog({
                 'text-2xl font-bold font-mono',
                 isEliminated
                   ? 'text-red-600 dark:text-red-400'
-                  : 'text-green-600 dark:text-green-400',
+                  : isWalkedAway
+                    ? 'text-amber-600 dark:text-amber-400'
+                    : 'text-green-600 dark:text-green-400',
               )}>
               {formatPrize(finalPrize)}
             </p>
+            {hasFallenBack && (
+              <p className="text-xs text-muted-foreground mt-1">
+                <span className="line-through">
+                  {formatPrize(prizeBeforeElimination)}
+                </span>{' '}
+                falls back to {formatPrize(finalPrize)}
+              </p>
+            )}
           </div>
         </div>
 
@@ -128,10 +164,11 @@ export default function TeamStatusDialog({
           </p>
         )}
 
-        <DialogFooter>
+        <DialogFooter className="flex-col sm:flex-col">
+          <RevertLockButton />
           <Button
             onClick={onProceed}
-            disabled={isLoading}
+            disabled={isLoading || (isOffline && !isLastTeam)}
             className="w-full gap-2"
             size="lg">
             <ArrowRight className="w-4 h-4" />
@@ -139,7 +176,9 @@ export default function TeamStatusDialog({
               ? 'Loading...'
               : isLastTeam
                 ? 'View Final Results'
-                : 'Next Team'}
+                : isOffline
+                  ? 'Waiting for connection...'
+                  : 'Next Team'}
           </Button>
         </DialogFooter>
       </DialogContent>
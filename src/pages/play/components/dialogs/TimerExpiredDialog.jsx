@@ -0,0 +1,106 @@
+// src/pages/play/components/dialogs/TimerExpiredDialog.jsx
+
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@components/ui/alert-dialog';
+import { TimerOff, XCircle, SkipForward } from 'lucide-react';
+import { TIMER_EXPIRY_ACTIONS } from '@constants/config';
+
+/**
+ * Confirm button per configured expiry action ('warn' has none)
+ */
+const ACTION_CONFIG = {
+  [TIMER_EXPIRY_ACTIONS.ELIMINATE]: {
+    label: 'Eliminate Team',
+    loadingLabel: 'Eliminating...',
+    icon: XCircle,
+    className: 'bg-red-600 hover:bg-red-700 text-white',
+    description:
+      'The correct answer is revealed and the team is eliminated, falling back to their guaranteed prize.',
+  },
+  [TIMER_EXPIRY_ACTIONS.SKIP]: {
+    label: 'Skip Question',
+    loadingLabel: 'Skipping...',
+    icon: SkipForward,
+    className: 'bg-orange-600 hover:bg-orange-700 text-white',
+    description:
+      'The question is retracted without revealing the answer and the team moves on with no prize credit.',
+  },
+};
+
+/**
+ * TimerExpiredDialog Component
+ *
+ * Purpose: Prompt shown to the host when the per-question answer timer runs out.
+ *
+ * Behaviours:
+ * - Offers the outcome configured in config.timerExpiryAction
+ *   ('eliminate' or 'skip'); 'warn' only notifies the host
+ * - "Keep Playing" always dismisses the prompt — the host can still
+ *   lock an answer given on the buzzer
+ *
+ * @param {boolean}  props.open         - Whether dialog is visible
+ * @param {Function} props.onOpenChange - Toggle open state
+ * @param {string}   props.action       - 'eliminate' | 'skip' | 'warn'
+ * @param {Function} props.onConfirm    - Called when host applies the action
+ * @param {string}   props.teamName     - Current team's name
+ * @param {boolean}  props.isLoading    - Disable buttons while processing
+ */
+export default function TimerExpiredDialog({
+  open,
+  onOpenChange,
+  action,
+  onConfirm,
+  teamName,
+  isLoading = false,
+}) {
+  const config = ACTION_CONFIG[action];
+  const ActionIcon = config?.icon;
+
+  return (
+    <AlertDialog open={open} onOpenChange={onOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle className="flex items-center gap-2">
+            <TimerOff className="w-5 h-5 text-red-500" />
+            Time&apos;s Up!
+          </AlertDialogTitle>
+          <AlertDialogDescription asChild>
+            <div className="space-y-3 text-sm text-muted-foreground">
+              <p>{teamName ?? 'The team'} ran out of time on this question.</p>
+              {config ? (
+                <p>{config.description}</p>
+              ) : (
+                <p>
+                  No automatic outcome is configured. Lock the team&apos;s
+                  answer, skip, or let them walk away as you see fit.
+                </p>
+              )}
+            </div>
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel disabled={isLoading}>
+            Keep Playing
+          </AlertDialogCancel>
+          {config && (
+            <AlertDialogAction
+              onClick={onConfirm}
+              disabled={isLoading}
+              className={config.className}>
+              <ActionIcon className="w-4 h-4 mr-2" />
+              {isLoading ? config.loadingLabel : config.label}
+            </AlertDialogAction>
+          )}
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
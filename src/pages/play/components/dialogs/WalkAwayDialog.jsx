@@ -0,0 +1,82 @@
+// src/pages/play/components/dialogs/WalkAwayDialog.jsx
+
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@components/ui/alert-dialog';
+import { DoorOpen } from 'lucide-react';
+import { usePrizeFormatter } from '@hooks/usePrizeFormatter';
+
+/**
+ * WalkAwayDialog Component
+ *
+ * Purpose: Confirmation dialog before the hot-seat team walks away.
+ *
+ * Behaviours:
+ * - Shows the prize the team will leave with
+ * - Warns that the action cannot be undone
+ * - Notes that any loaded question is retracted without revealing the answer
+ *
+ * @param {boolean}  props.open         - Whether dialog is visible
+ * @param {Function} props.onOpenChange - Toggle open state
+ * @param {Function} props.onConfirm    - Called when host confirms walk away
+ * @param {string}   props.teamName     - Current team's name
+ * @param {number}   props.bankedPrize  - Prize the team will keep
+ * @param {boolean}  props.isLoading    - Disable confirm while processing
+ */
+export default function WalkAwayDialog({
+  open,
+  onOpenChange,
+  onConfirm,
+  teamName,
+  bankedPrize = 0,
+  isLoading = false,
+}) {
+  const formatPrize = usePrizeFormatter();
+  return (
+    <AlertDialog open={open} onOpenChange={onOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle className="flex items-center gap-2">
+            <DoorOpen className="w-5 h-5 text-amber-500" />
+            Walk Away?
+          </AlertDialogTitle>
+          <AlertDialogDescription asChild>
+            <div className="space-y-3 text-sm text-muted-foreground">
+              <div className="text-center p-3 rounded-md bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800">
+                <p className="text-xs uppercase tracking-wide text-amber-800 dark:text-amber-300">
+                  {teamName ?? 'Team'} leaves with
+                </p>
+                <p className="text-2xl font-bold font-mono text-amber-700 dark:text-amber-400">
+                  {formatPrize(bankedPrize)}
+                </p>
+              </div>
+              <p>
+                This action{' '}
+                <strong className="text-foreground">cannot be undone</strong>.
+                Any question on screen is retracted without revealing the
+                answer, and the team&apos;s round ends here.
+              </p>
+            </div>
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel disabled={isLoading}>Cancel</AlertDialogCancel>
+          <AlertDialogAction
+            onClick={onConfirm}
+            disabled={isLoading}
+            className="bg-amber-600 hover:bg-amber-700 text-white">
+            <DoorOpen className="w-4 h-4 mr-2" />
+            {isLoading ? 'Walking Away...' : 'Walk Away'}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
@@ -5,9 +5,25 @@ import { useGameStore } from '@stores/useGameStore';
 import { useQuestionsStore } from '@stores/useQuestionsStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
 import { usePrizeStore } from '@stores/usePrizeStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { logGameEvent } from '@stores/useGameLogStore';
+import {
+  useHostSessionStore,
+  assertGameController,
+} from '@stores/useHostSessionStore';
+import {
+  useConnectionStore,
+  isDatabaseOnline,
+} from '@stores/useConnectionStore';
 import { databaseService } from '@services/database.service';
-import { getPrizeForQuestion } from '@utils/gameplay/scoreCalculation';
-import { QUESTIONS_PER_SET } from '@constants/config';
+import {
+  getPrizeForQuestion,
+  getEliminationPrize,
+} from '@utils/gameplay/scoreCalculation';
+import { buildQuestionHistoryEntry } from '@utils/gameplay/questionHistory';
+import { QUESTION_OUTCOME } from '@constants/teamStates';
+import { GAME_LOG_ACTION } from '@constants/gameLog';
+import { CONNECTION_STATUS } from '@constants/connection';
 
 /**
  * useAnswerSelection Hook
@@ -21,8 +37,17 @@ import { QUESTIONS_PER_SET } from '@constants/config';
  * 4. Host clicks "Lock Answer"
  * 5. Hook validates against correct answer from localStorage
  * 6. If correct: Update prize, increment question, celebrate
- * 7. If incorrect: Eliminate team immediately (WWBAM rules)
+ * 7. If incorrect: Eliminate team immediately, falling back to the
+ *    guaranteed prize per config.eliminationPrizeRule (WWBAM rules)
  * 8. Sync result to Firebase (reveal answer, update team)
+ * 9. Append the result to the team's answer history (teams/{id}/history)
+ *
+ * Before anything is written the pre-lock state is captured
+ * (captureLockSnapshot) so a mis-tapped lock can be reverted for a short
+ * window via useGameStore.revertLastLock (see RevertLockButton).
+ *
+ * Locking is refused unless this tab holds the controller lease
+ * (useHostSessionStore) and the database connection is up.
  */
 
 /**
@@ -59,14 +84,31 @@ export function useAnswerSelection() {
   const currentQuestionNumber = useGameStore(
     (state) => state.currentQuestionNumber,
   );
+  const clearQuestionTimer = useGameStore((state) => state.clearQuestionTimer);
+  const captureLockSnapshot = useGameStore(
+    (state) => state.captureLockSnapshot,
+  );
 
   // Teams Store (for updating team progress)
   const moveToNextQuestion = useTeamsStore((state) => state.moveToNextQuestion);
   const completeTeam = useTeamsStore((state) => state.completeTeam);
   const eliminateTeam = useTeamsStore((state) => state.eliminateTeam);
+  const recordQuestionResult = useTeamsStore(
+    (state) => state.recordQuestionResult,
+  );
 
   // Prize Store (for prize calculation)
   const prizeStructure = usePrizeStore((state) => state.prizeStructure);
+  const milestones = usePrizeStore((state) => state.milestones);
+
+  // Config Store (game rules set on /settings)
+  const config = useConfigStore((state) => state.config);
+
+  // Controller lease
+  const isController = useHostSessionStore((state) => state.isController);
+  const isOnline = useConnectionStore(
+    (state) => state.status === CONNECTION_STATUS.ONLINE,
+  );
 
   /**
    * Select an answer option (A/B/C/D)
@@ -102,6 +144,16 @@ export function useAnswerSelection() {
     setLockError(null);
 
     try {
+      // Read-only sessions never write a lock
+      assertGameController();
+
+      // A lock is irreversible — don't queue it while offline
+      if (!isDatabaseOnline()) {
+        throw new Error(
+          'Connection lost — wait until the connection is back to lock',
+        );
+      }
+
       // Validate locally first
       const validationResult = validateSelectedAnswer();
 
@@ -112,6 +164,12 @@ export function useAnswerSelection() {
       const { result } = validationResult;
       const { isCorrect, correctAnswer } = result;
 
+      // Keep the pre-lock state so a mis-tap can be reverted
+      captureLockSnapshot(currentTeamId);
+
+      // Answer is in — stop the answer timer before revealing
+      await clearQuestionTimer();
+
       // Reveal answer in Firebase
       await databaseService.revealAnswer(
         correctAnswer,
@@ -119,6 +177,42 @@ export function useAnswerSelection() {
         result.isCorrect,
       );
 
+      const team = useTeamsStore.getState().teams[currentTeamId];
+      logGameEvent(GAME_LOG_ACTION.ANSWER_LOCKED, {
+        teamId: currentTeamId,
+        questionNumber: currentQuestionNumber,
+        before: {
+          currentPrize: team?.currentPrize ?? 0,
+          questionsAnswered: team?.questionsAnswered ?? 0,
+        },
+        after: {
+          selectedOption: result.selectedAnswer,
+          correctOption: correctAnswer,
+          optionWasCorrect: isCorrect,
+        },
+        details: { questionId: hostQuestion?.id ?? null },
+      });
+
+      // Record before the team moves on — history is not fatal to the lock
+      const historyResult = await recordQuestionResult(
+        currentTeamId,
+        buildQuestionHistoryEntry({
+          outcome: isCorrect
+            ? QUESTION_OUTCOME.CORRECT
+            : QUESTION_OUTCOME.INCORRECT,
+          question: hostQuestion,
+          selectedOption: result.selectedAnswer,
+          correctOption: correctAnswer,
+          gameState: useGameStore.getState(),
+        }),
+      );
+      if (!historyResult.success) {
+        console.warn(
+          'Answer was not recorded in history:',
+          historyResult.error,
+        );
+      }
+
       if (isCorrect) {
         // CORRECT ANSWER FLOW
         console.log('✅ Correct answer! Updating team progress...');
@@ -136,12 +230,12 @@ export function useAnswerSelection() {
         // questions were skipped earlier, it lags behind the real position.
         // currentQuestionNumber is advanced by BOTH answers AND skips, making
         // it the reliable source of truth for "where are we in the set".
-        const isLastQuestion = currentQuestionNumber >= QUESTIONS_PER_SET;
+        const isLastQuestion = currentQuestionNumber >= config.questionsPerTeam;
 
         if (isLastQuestion) {
           // Team completed all questions - mark as completed
           console.log(
-            `🏆 Team completed all ${QUESTIONS_PER_SET} questions! Final prize: Rs.${newPrize}`,
+            `🏆 Team completed all ${config.questionsPerTeam} questions! Final prize: Rs.${newPrize}`,
           );
 
           const completeResult = await completeTeam(
@@ -185,13 +279,27 @@ export function useAnswerSelection() {
         // INCORRECT ANSWER FLOW — WWBAM rules: wrong answer = immediate elimination
         console.log('❌ Incorrect answer! Eliminating team (WWBAM rules)...');
 
-        const eliminateResult = await eliminateTeam(currentTeamId);
+        const team = useTeamsStore.getState().teams[currentTeamId];
+        const eliminationPrize = getEliminationPrize({
+          currentPrize: team?.currentPrize,
+          questionNumber: currentQuestionNumber,
+          prizeStructure,
+          rule: config.eliminationPrizeRule,
+          milestones,
+        });
+
+        const eliminateResult = await eliminateTeam(
+          currentTeamId,
+          eliminationPrize,
+        );
 
         if (!eliminateResult.success) {
           throw new Error('Failed to eliminate team');
         }
 
-        console.log(`🚫 Team ${currentTeamId} eliminated`);
+        console.log(
+          `🚫 Team ${currentTeamId} eliminated — falls back to Rs.${eliminationPrize}`,
+        );
 
         // Check if this was the last team — if so, complete the game automatically
         const playQueue = useGameStore.getState().playQueue;
@@ -212,20 +320,32 @@ export function useAnswerSelection() {
     }
   }, [
     validateSelectedAnswer,
+    clearQuestionTimer,
+    captureLockSnapshot,
+    hostQuestion,
     currentTeamId,
     currentQuestionNumber,
     prizeStructure,
+    milestones,
+    config,
     moveToNextQuestion,
     completeTeam,
     eliminateTeam,
+    recordQuestionResult,
   ]);
 
   /**
    * Can lock answer?
-   * Only if answer is selected and not already locked
+   * Only if answer is selected and not already locked, on the controlling
+   * session, while connected
    */
   const canLock =
-    !!selectedAnswer && !validationResult && !isLocking && !!hostQuestion;
+    isController &&
+    isOnline &&
+    !!selectedAnswer &&
+    !validationResult &&
+    !isLocking &&
+    !!hostQuestion;
 
   return {
     // State
@@ -3,7 +3,12 @@
 import { useState } from 'react';
 import { useQuestionsStore } from '@stores/useQuestionsStore';
 import { useGameStore } from '@stores/useGameStore';
+import { useConfigStore } from '@stores/useConfigStore';
 import { databaseService } from '@services/database.service';
+import {
+  findReserveQuestion,
+  getReserveQuestionKey,
+} from '@utils/gameplay/lifelineLogic';
 
 /**
  * useCurrentQuestion Hook
@@ -30,6 +35,11 @@ import { databaseService } from '@services/database.service';
  *                     stores LOCALLY only, CLEARS game-state + lifeline state
  * 2. showQuestion() - Pushes to game-state WITHOUT answer, sets visibility=true (public can see)
  * 3. revealAnswer() - Pushes correct answer to game-state (public can see answer)
+ * 4. switchQuestion() - Swaps the host question for an unused reserve question
+ *                       (Switch the Question lifeline) and pushes it atomically
+ * 5. findSubstituteQuestion() / substituteQuestion() - Skip with substitution:
+ *                       a reserve takes over the skipped question's slot
+ *                       LOCALLY; host pushes it like any loaded question
  *
  * Security Model:
  * - question-sets node: Contains answers, only readable by authenticated hosts
@@ -42,6 +52,11 @@ export function useCurrentQuestion() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Config Store
+  const questionsPerTeam = useConfigStore(
+    (state) => state.config.questionsPerTeam,
+  );
+
   // Questions Store
   const hostQuestion = useQuestionsStore((state) => state.hostQuestion);
   const loadHostQuestion = useQuestionsStore((state) => state.loadHostQuestion);
@@ -61,6 +76,9 @@ export function useCurrentQuestion() {
   const clearFilteredOptions = useQuestionsStore(
     (state) => state.clearFilteredOptions,
   );
+  const replaceHostQuestion = useQuestionsStore(
+    (state) => state.replaceHostQuestion,
+  );
   const loadedSets = useQuestionsStore((state) => state.loadedSets);
 
   // Game Store - NOTE: We'll read fresh state each time, not capture in closure
@@ -153,7 +171,7 @@ export function useCurrentQuestion() {
    * Host must click "Push to Display" to push to Firebase game-state
    * Clears previous question state AND lifeline state from Firebase game-state
    *
-   * @param {number} questionNumber - Question number (1-20)
+   * @param {number} questionNumber - Question number (1 to config.questionsPerTeam)
    * @returns {Promise<void>}
    */
   const loadQuestion = async (questionNumber) => {
@@ -162,9 +180,9 @@ export function useCurrentQuestion() {
 
     try {
       // Validate question number
-      if (questionNumber < 1 || questionNumber > 20) {
+      if (questionNumber < 1 || questionNumber > questionsPerTeam) {
         throw new Error(
-          `Invalid question number: ${questionNumber}. Must be 1-20.`,
+          `Invalid question number: ${questionNumber}. Must be 1-${questionsPerTeam}.`,
         );
       }
 
@@ -268,6 +286,10 @@ export function useCurrentQuestion() {
         selectedOption: null, // Reset selected option
         optionWasCorrect: null, // Reset correctness flag
         activeLifeline: null, // Clear active lifeline when moving to next question
+        audiencePoll: null, // Clear previous audience poll results
+        questionTimer: null, // Answer timer restarts when the question is pushed
+        questionShownAt: null, // Set when the question is first pushed
+        questionLifelines: null, // Lifelines used on this question (team history)
       });
 
       console.log(
@@ -312,9 +334,13 @@ export function useCurrentQuestion() {
       }
 
       // Push to Firebase WITHOUT correct answer
+      // Re-pushing after a hide keeps the original shown-at (time to lock)
+      const { currentQuestionNumber, questionShownAt } =
+        useGameStore.getState();
       await databaseService.setCurrentQuestion(
         publicQuestion,
-        useGameStore.getState().currentQuestionNumber,
+        currentQuestionNumber,
+        questionShownAt ?? Date.now(),
       );
 
       console.log('✅ Question pushed to display (PUBLIC - no answer)');
@@ -348,6 +374,175 @@ export function useCurrentQuestion() {
     }
   };
 
+  /**
+   * Switch the loaded question for a reserve question (Switch the Question)
+   *
+   * Picks the next unused reserve of the same difficulty from the team's
+   * question set, keeps the current question number, then in one atomic
+   * Firebase update pushes it to game-state/current-question, records it as
+   * used and spends one of the team's uses of the lifeline.
+   *
+   * SECURITY: The reserve's correct answer stays HOST-ONLY
+   *
+   * @param {number} [remainingUses=0] - Switch uses the team has left after this one
+   * @returns {Promise<{ replacedQuestionId: string, question: Object }>}
+   */
+  const switchQuestion = async (remainingUses = 0) => {
+    try {
+      if (!hostQuestion) {
+        throw new Error('No question loaded');
+      }
+
+      const assignmentResult = await getFreshQuestionSetAssignment();
+
+      if (!assignmentResult.success) {
+        throw new Error(
+          assignmentResult.error || 'Failed to get question set assignment',
+        );
+      }
+
+      const questionSetId = assignmentResult.questionSetId;
+      const { currentTeamId, currentQuestionNumber, usedReserveQuestions } =
+        useGameStore.getState();
+
+      const reserve = findReserveQuestion({
+        setId: questionSetId,
+        reserveQuestions:
+          useQuestionsStore.getState().loadedSets[questionSetId]
+            ?.reserveQuestions,
+        difficulty: hostQuestion.difficulty,
+        usedReserveKeys: usedReserveQuestions,
+      });
+
+      if (!reserve) {
+        throw new Error(
+          `No unused reserve question left${hostQuestion.difficulty ? ` at ${hostQuestion.difficulty} difficulty` : ''}`,
+        );
+      }
+
+      // Reserve takes over the current slot in the question ladder
+      const replacement = { ...reserve, number: currentQuestionNumber };
+
+      await databaseService.activateSwitchQuestionLifeline(
+        currentTeamId,
+        {
+          question: replacement,
+          usedReserveQuestions: [
+            ...usedReserveQuestions,
+            getReserveQuestionKey(questionSetId, reserve.id),
+          ],
+        },
+        remainingUses,
+      );
+
+      replaceHostQuestion(replacement);
+
+      console.log(
+        `🔄 Question ${currentQuestionNumber} switched: ${hostQuestion.id} → ${reserve.id}`,
+      );
+      console.log(
+        `🔒 Correct answer (${replacement.correctAnswer}) is HOST-ONLY (not in Firebase)`,
+      );
+
+      return { replacedQuestionId: hostQuestion.id, question: replacement };
+    } catch (err) {
+      console.error('Failed to switch question:', err);
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  /**
+   * Find a reserve question to stand in for a skipped question
+   *
+   * Looks in the team's own question set first, then falls back to the
+   * shared reserve pool (reserves of every other uploaded set). Reserves
+   * already used this game are never picked twice. Changes no state.
+   *
+   * @returns {Promise<{ setId: string, question: Object, fromSharedPool: boolean }|null>}
+   *          Reserve or null if none left
+   */
+  const findSubstituteQuestion = async () => {
+    if (!hostQuestion) return null;
+
+    const assignmentResult = await getFreshQuestionSetAssignment();
+
+    if (!assignmentResult.success) {
+      throw new Error(
+        assignmentResult.error || 'Failed to get question set assignment',
+      );
+    }
+
+    const ownSetId = assignmentResult.questionSetId;
+    const { usedReserveQuestions } = useGameStore.getState();
+
+    const findIn = (setId, reserveQuestions) =>
+      findReserveQuestion({
+        setId,
+        reserveQuestions,
+        difficulty: hostQuestion.difficulty,
+        usedReserveKeys: usedReserveQuestions,
+      });
+
+    const ownReserve = findIn(
+      ownSetId,
+      useQuestionsStore.getState().loadedSets[ownSetId]?.reserveQuestions,
+    );
+
+    if (ownReserve) {
+      return { setId: ownSetId, question: ownReserve, fromSharedPool: false };
+    }
+
+    // Shared pool — reserves of the other uploaded sets
+    const allSets = (await databaseService.getAllQuestionSets()) ?? {};
+
+    for (const [setId, questionSet] of Object.entries(allSets)) {
+      if (setId === ownSetId) continue;
+
+      const poolReserve = findIn(setId, questionSet.reserveQuestions);
+      if (poolReserve) {
+        console.log(`🔎 Substitute found in shared reserve pool (${setId})`);
+        return { setId, question: poolReserve, fromSharedPool: true };
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Put a substitute reserve question into the host view
+   *
+   * The reserve keeps the current question number so the team still faces
+   * config.questionsPerTeam questions. Only the host view changes here — the
+   * caller records the skip, and the host pushes the question to display.
+   *
+   * SECURITY: The reserve's correct answer stays HOST-ONLY
+   *
+   * @param {{ setId: string, question: Object }} substitute - From findSubstituteQuestion()
+   * @returns {{ reserveKey: string, question: Object }}
+   */
+  const substituteQuestion = (substitute) => {
+    const { currentQuestionNumber } = useGameStore.getState();
+    const replacement = {
+      ...substitute.question,
+      number: currentQuestionNumber,
+    };
+
+    replaceHostQuestion(replacement);
+
+    console.log(
+      `🔁 Question ${currentQuestionNumber} substituted with reserve ${substitute.question.id} from ${substitute.setId}`,
+    );
+
+    return {
+      reserveKey: getReserveQuestionKey(
+        substitute.setId,
+        substitute.question.id,
+      ),
+      question: replacement,
+    };
+  };
+
   /**
    * Clear current question from host view
    * Resets local question state only, does not affect Firebase
@@ -369,6 +564,9 @@ export function useCurrentQuestion() {
     loadQuestion,
     showQuestion,
     hideQuestion,
+    switchQuestion,
+    findSubstituteQuestion,
+    substituteQuestion,
     clearQuestion,
   };
 }
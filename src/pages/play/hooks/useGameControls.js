@@ -4,9 +4,27 @@ import { useMemo, useCallback, useState } from 'react';
 import { useGameStore } from '@stores/useGameStore';
 import { useQuestionsStore } from '@stores/useQuestionsStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
+import { usePrizeStore } from '@stores/usePrizeStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import {
+  useHostSessionStore,
+  assertGameController,
+} from '@stores/useHostSessionStore';
+import {
+  useConnectionStore,
+  isDatabaseOnline,
+} from '@stores/useConnectionStore';
+import { databaseService } from '@services/database.service';
 import { GAME_STATUS } from '@constants/gameStates';
-import { TEAM_STATUS } from '@constants/teamStates';
-import { QUESTIONS_PER_SET } from '@constants/config';
+import { CONNECTION_STATUS } from '@constants/connection';
+import {
+  TEAM_STATUS,
+  QUESTION_OUTCOME,
+  isTerminalTeamStatus,
+} from '@constants/teamStates';
+import { getTimerDurationForQuestion } from '@constants/config';
+import { getEliminationPrize } from '@utils/gameplay/scoreCalculation';
+import { buildQuestionHistoryEntry } from '@utils/gameplay/questionHistory';
 import { useCurrentQuestion } from './useCurrentQuestion';
 
 /**
@@ -20,6 +38,22 @@ const isLastTeamInQueue = (teamId, queue) => {
   return queue.indexOf(teamId) === queue.length - 1;
 };
 
+/**
+ * Append a question result to the team's answer history
+ * Not fatal — the game flow continues if the write fails.
+ * @param {string} teamId - Team ID
+ * @param {Object} entry - From buildQuestionHistoryEntry()
+ */
+const recordQuestionHistory = async (teamId, entry) => {
+  const result = await useTeamsStore
+    .getState()
+    .recordQuestionResult(teamId, entry);
+
+  if (!result.success) {
+    console.warn('Question was not recorded in history:', result.error);
+  }
+};
+
 /**
  * useGameControls Hook
  *
@@ -35,13 +69,29 @@ const isLastTeamInQueue = (teamId, queue) => {
  * - Load Question: Enabled when team is active, data is ready, and no pending result
  * - Push to Display: Enabled when question loaded, not visible, not revealed
  * - Hide Question: Enabled when question visible and not revealed
- * - Next Team: Enabled when team is eliminated or completed
+ * - Next Team: Enabled when team is eliminated, completed or walked away
  * - Skip Question: Enabled when game is active, question is loaded, and answer not yet validated
+ * - Walk Away: Enabled when game is active and the team is still playing
  * - Pause/Resume: Based on current game status
+ * - All of the above: Only while this tab holds the controller lease
+ *   (useHostSessionStore); every write handler re-checks it
+ * - Next Team additionally waits while the connection is down
+ *
+ * Answer timer (when config.timerEnabled):
+ * - Starts the first time a question is pushed to display; re-pushing after
+ *   a hide keeps the running timer
+ * - Duration comes from config.timerTiers for the current question number
+ * - executeTimeoutElimination is the "eliminate" outcome of TimerExpiredDialog
  *
  * NOTE: Skip confirmation (previously window.confirm) is now handled by
  * SkipQuestionDialog in GameControls. This hook exposes `executeSkipQuestion`
- * as the raw action — no confirmation logic here.
+ * as the raw action — no confirmation logic here. When the host picks a
+ * reserve (findSubstituteQuestion), the reserve takes over the skipped slot
+ * so the team still faces config.questionsPerTeam questions; every skip is logged
+ * with its reason in game-state/skipped-questions.
+ *
+ * Skips, walk-aways and timeouts on a loaded question are also appended to
+ * the team's answer history (teams/{id}/history), like locked answers.
  *
  * UPDATED (BUG FIX - 2026/02/22):
  * - handleNextTeam is now async and properly awaits nextTeam() so that
@@ -82,7 +132,11 @@ export function useGameControls() {
   const resumeGame = useGameStore((state) => state.resumeGame);
   const nextTeam = useGameStore((state) => state.nextTeam);
   const skipQuestion = useGameStore((state) => state.skipQuestion);
+  const logSkippedQuestion = useGameStore((state) => state.logSkippedQuestion);
+  const clearQuestionState = useGameStore((state) => state.clearQuestionState);
   const completeGame = useGameStore((state) => state.completeGame);
+  const questionTimer = useGameStore((state) => state.questionTimer);
+  const startQuestionTimer = useGameStore((state) => state.startQuestionTimer);
 
   // Questions Store
   const hostQuestion = useQuestionsStore((state) => state.hostQuestion);
@@ -96,6 +150,16 @@ export function useGameControls() {
   const currentTeam = teams[currentTeamId];
   const skipTeamQuestion = useTeamsStore((state) => state.skipTeamQuestion);
   const completeTeam = useTeamsStore((state) => state.completeTeam);
+  const walkAwayTeam = useTeamsStore((state) => state.walkAwayTeam);
+  const eliminateTeam = useTeamsStore((state) => state.eliminateTeam);
+
+  // Prize Store (for timeout elimination fallback)
+  const prizeStructure = usePrizeStore((state) => state.prizeStructure);
+  const milestones = usePrizeStore((state) => state.milestones);
+
+  // Config Store (game rules set on /settings)
+  const config = useConfigStore((state) => state.config);
+  const questionsPerSet = config.questionsPerTeam;
 
   // Current Question Hook
   const {
@@ -103,10 +167,20 @@ export function useGameControls() {
     showQuestion,
     hideQuestion,
     clearQuestion,
+    findSubstituteQuestion,
+    substituteQuestion,
     isLoading: questionLoading,
     error: questionError,
   } = useCurrentQuestion();
 
+  // Controller lease — only the primary host session may write
+  const isController = useHostSessionStore((state) => state.isController);
+
+  // Next Team can't be undone — it waits for the connection
+  const isOnline = useConnectionStore(
+    (state) => state.status === CONNECTION_STATUS.ONLINE,
+  );
+
   // ============================================================
   // SYNC STATE (for mid-game question set recovery)
   // ============================================================
@@ -123,7 +197,7 @@ export function useGameControls() {
    * Can Load Question?
    * Enabled when:
    * - Game is active
-   * - Current team exists AND is still active (not eliminated or completed)
+   * - Current team exists AND is still active (not in a terminal status)
    * - Game data is ready
    * - Current team has a question set assigned
    * - Question number hasn't exceeded the max
@@ -139,14 +213,9 @@ export function useGameControls() {
     if (gameStatus !== GAME_STATUS.ACTIVE) return false;
     if (!currentTeam) return false;
 
-    if (
-      currentTeam.status === TEAM_STATUS.ELIMINATED ||
-      currentTeam.status === TEAM_STATUS.COMPLETED
-    ) {
-      return false;
-    }
+    if (isTerminalTeamStatus(currentTeam.status)) return false;
 
-    if (currentQuestionNumber >= QUESTIONS_PER_SET) return false;
+    if (currentQuestionNumber >= questionsPerSet) return false;
 
     if (!isDataReady) {
       console.log('⏳ Game data not ready yet - cannot load question');
@@ -170,6 +239,7 @@ export function useGameControls() {
     gameStatus,
     currentTeam,
     currentQuestionNumber,
+    questionsPerSet,
     hostQuestion,
     validationResult,
     isDataReady,
@@ -189,16 +259,16 @@ export function useGameControls() {
    * Used by GameControls to show "Load Last Question" label instead of "Load Question X".
    */
   const isNextQuestionLast = useMemo(() => {
-    return nextQuestionNumber === QUESTIONS_PER_SET;
-  }, [nextQuestionNumber]);
+    return nextQuestionNumber === questionsPerSet;
+  }, [nextQuestionNumber, questionsPerSet]);
 
   /**
    * Is the currently loaded question the last one for this team?
    * Used by SkipQuestionDialog to show an extra warning.
    */
   const isCurrentQuestionLast = useMemo(() => {
-    return currentQuestionNumber >= QUESTIONS_PER_SET;
-  }, [currentQuestionNumber]);
+    return currentQuestionNumber >= questionsPerSet;
+  }, [currentQuestionNumber, questionsPerSet]);
 
   /**
    * Can Push to Display?
@@ -221,15 +291,13 @@ export function useGameControls() {
 
   /**
    * Can Next Team?
-   * - Current team is eliminated OR completed
+   * - Current team is eliminated, completed OR walked away
    * - There are more teams in queue
    */
   const canNextTeam = useMemo(() => {
     if (!currentTeam) return false;
 
-    const isTerminal =
-      currentTeam.status === TEAM_STATUS.ELIMINATED ||
-      currentTeam.status === TEAM_STATUS.COMPLETED;
+    const isTerminal = isTerminalTeamStatus(currentTeam.status);
 
     const currentIndex = playQueue.indexOf(currentTeamId);
     const hasNextTeam = currentIndex < playQueue.length - 1;
@@ -253,6 +321,20 @@ export function useGameControls() {
     return true;
   }, [gameStatus, hostQuestion, validationResult, currentTeam]);
 
+  /**
+   * Can Walk Away?
+   * - Game is active
+   * - Team is still actively playing
+   * - No answer is locked and awaiting its outcome (a validated correct
+   *   answer is fine — the prize is already banked)
+   */
+  const canWalkAway = useMemo(() => {
+    if (gameStatus !== GAME_STATUS.ACTIVE) return false;
+    if (!currentTeam || currentTeam.status !== TEAM_STATUS.ACTIVE) return false;
+    if (validationResult && !validationResult.isCorrect) return false;
+    return true;
+  }, [gameStatus, currentTeam, validationResult]);
+
   /**
    * Can Pause?
    * - Game is active
@@ -292,6 +374,8 @@ export function useGameControls() {
    */
   const handleLoadQuestion = async () => {
     try {
+      assertGameController();
+
       if (!isDataReady) {
         console.log('⏳ Data not ready - attempting to sync from Firebase...');
         const syncResult = await ensureDataReady();
@@ -328,10 +412,25 @@ export function useGameControls() {
 
   /**
    * Push question to public display (Firebase)
+   * Starts the answer timer on the first push of this question.
    */
   const handleShowQuestion = async () => {
     try {
+      assertGameController();
       await showQuestion();
+
+      if (config.timerEnabled && !questionTimer && !answerRevealed) {
+        const duration = getTimerDurationForQuestion(
+          currentQuestionNumber,
+          config.timerTiers,
+          config.timerDuration,
+        );
+        const timerResult = await startQuestionTimer(duration);
+
+        if (!timerResult.success) {
+          console.warn('Answer timer failed to start:', timerResult.error);
+        }
+      }
     } catch (err) {
       console.error('Failed to Push to Display:', err);
       throw err;
@@ -343,6 +442,7 @@ export function useGameControls() {
    */
   const handleHideQuestion = async () => {
     try {
+      assertGameController();
       await hideQuestion();
     } catch (err) {
       console.error('Failed to hide question:', err);
@@ -364,6 +464,16 @@ export function useGameControls() {
    * "Load Question" click reads the correct (new) team ID.
    */
   const handleNextTeam = useCallback(async () => {
+    if (!useHostSessionStore.getState().isController) {
+      console.warn('Next team ignored — this session is read-only');
+      return;
+    }
+
+    if (!isDatabaseOnline()) {
+      console.warn('Next team ignored — connection lost');
+      return;
+    }
+
     try {
       const result = await nextTeam();
 
@@ -386,84 +496,306 @@ export function useGameControls() {
    * Full flow:
    * 1. Hides question from public display if currently visible
    * 2. Clears question state in game store (counter stays)
-   * 3. Advances team's question index (no prize credit for skip)
-   * 4. If last question: marks team completed, ends game if last team
+   * 3. Logs the skipped question + reason to game-state/skipped-questions
+   *    and the team's answer history
+   * 4. With a substitute: reserve takes over the same slot in the host view,
+   *    team's question index is NOT advanced — done
+   * 5. Otherwise advances team's question index (no prize credit for skip)
+   * 6. If last question: marks team completed, ends game if last team
+   *
+   * @param {Object} [options]
+   * @param {string} [options.reason]     - Why the question was skipped
+   * @param {Object} [options.substitute] - Reserve from findSubstituteQuestion()
    */
-  const executeSkipQuestion = useCallback(async () => {
+  const executeSkipQuestion = useCallback(
+    async ({ reason = null, substitute = null } = {}) => {
+      // Snapshot mutable values before any async boundary
+      const teamIdSnapshot = currentTeamId;
+      const teamSnapshot = currentTeam;
+      const queueSnapshot = [...playQueue];
+      const skippedQuestionSnapshot = hostQuestion;
+      // Built before the skip clears shown-at and the question's lifelines
+      const historyEntry = buildQuestionHistoryEntry({
+        outcome: QUESTION_OUTCOME.SKIPPED,
+        question: hostQuestion,
+        gameState: useGameStore.getState(),
+        reason: reason?.trim() || null,
+      });
+
+      try {
+        assertGameController();
+
+        // Step 1: Hide from public display if currently visible
+        if (questionVisible) {
+          await hideQuestion();
+        }
+
+        // Step 2: Clear question state in game store (counter preserved)
+        await skipQuestion();
+
+        // Step 3: Clear host question from questions store
+        clearQuestion();
+        clearHostQuestion();
+
+        // Step 4: Substitute a reserve into the same slot
+        const substitution = substitute ? substituteQuestion(substitute) : null;
+
+        const logResult = await logSkippedQuestion(
+          {
+            teamId: teamIdSnapshot,
+            questionNumber: useGameStore.getState().currentQuestionNumber,
+            questionId: skippedQuestionSnapshot?.id ?? null,
+            questionSetId:
+              useGameStore.getState().questionSetAssignments?.[
+                teamIdSnapshot
+              ] ?? null,
+            reason: reason?.trim() || null,
+          },
+          substitution?.reserveKey ?? null,
+        );
+
+        if (!logResult.success) {
+          // Skip itself went through — a missing log entry is not fatal
+          console.warn('Skip was not logged:', logResult.error);
+        }
+
+        await recordQuestionHistory(teamIdSnapshot, historyEntry);
+
+        if (substitution) {
+          console.log('⏭️ Question skipped — reserve ready to push');
+          return;
+        }
+
+        // Step 5: Advance team's question index in teams store
+        const skipResult = await skipTeamQuestion(teamIdSnapshot);
+
+        if (!skipResult.success) {
+          throw new Error(
+            skipResult.error || 'Failed to advance team question',
+          );
+        }
+
+        // Step 6: Handle last-question completion
+        const skippedQuestionNumber =
+          useGameStore.getState().currentQuestionNumber;
+        const isLastQuestion = skippedQuestionNumber >= questionsPerSet;
+
+        if (isLastQuestion) {
+          const finalPrize = teamSnapshot?.currentPrize ?? 0;
+          const finalQuestionIndex = teamSnapshot?.currentQuestionIndex ?? 0;
+
+          const completeResult = await completeTeam(
+            teamIdSnapshot,
+            finalPrize,
+            finalQuestionIndex,
+          );
+
+          if (!completeResult.success) {
+            throw new Error('Failed to mark team as completed after last skip');
+          }
+
+          console.log(
+            `🏁 Team ${teamIdSnapshot} marked completed after skipping last question (prize: Rs.${finalPrize})`,
+          );
+
+          // Step 7: If this was also the last team in queue, end the game
+          if (isLastTeamInQueue(teamIdSnapshot, queueSnapshot)) {
+            const gameCompleteResult = await completeGame();
+            if (!gameCompleteResult.success) {
+              throw new Error(
+                'Failed to complete game after last team finished',
+              );
+            }
+            console.log('🏆 Game completed automatically — all teams finished');
+          }
+        }
+
+        console.log('⏭️ Question skipped successfully');
+      } catch (err) {
+        console.error('Failed to skip question:', err);
+        throw err;
+      }
+    },
+    [
+      currentTeamId,
+      currentTeam,
+      playQueue,
+      hostQuestion,
+      questionVisible,
+      hideQuestion,
+      skipQuestion,
+      logSkippedQuestion,
+      skipTeamQuestion,
+      clearQuestion,
+      clearHostQuestion,
+      substituteQuestion,
+      completeTeam,
+      completeGame,
+      questionsPerSet,
+    ],
+  );
+
+  /**
+   * Execute walk away — raw action without confirmation.
+   *
+   * Confirmation is handled upstream by WalkAwayDialog in GameControls.
+   *
+   * Full flow:
+   * 1. Hides question from public display if currently visible
+   * 2. Records the question in the team's history (unless a correct answer
+   *    is already locked), then clears question state in game store and
+   *    host view (no answer revealed)
+   * 3. Marks team as walked-away, banking their current prize
+   * 4. Ends the game if this was the last team in queue
+   */
+  const executeWalkAway = useCallback(async () => {
     // Snapshot mutable values before any async boundary
     const teamIdSnapshot = currentTeamId;
-    const teamSnapshot = currentTeam;
     const queueSnapshot = [...playQueue];
 
     try {
+      assertGameController();
+
       // Step 1: Hide from public display if currently visible
       if (questionVisible) {
         await hideQuestion();
       }
 
-      // Step 2: Clear question state in game store (counter preserved)
-      await skipQuestion();
+      // Step 2: Retract the question without revealing the answer. A locked
+      // correct answer was already recorded as such — only clear it.
+      if (hostQuestion) {
+        if (!validationResult) {
+          await recordQuestionHistory(
+            teamIdSnapshot,
+            buildQuestionHistoryEntry({
+              outcome: QUESTION_OUTCOME.WALKED_AWAY,
+              question: hostQuestion,
+              gameState: useGameStore.getState(),
+            }),
+          );
+        }
+        await clearQuestionState();
+        clearQuestion();
+        clearHostQuestion();
+      }
 
-      // Step 3: Clear host question from questions store
-      clearQuestion();
-      clearHostQuestion();
+      // Step 3: Bank the current prize and mark the team
+      const walkAwayResult = await walkAwayTeam(teamIdSnapshot);
 
-      // Step 4: Advance team's question index in teams store
-      const skipResult = await skipTeamQuestion(teamIdSnapshot);
+      if (!walkAwayResult.success) {
+        throw new Error(walkAwayResult.error || 'Failed to walk away team');
+      }
 
-      if (!skipResult.success) {
-        throw new Error(skipResult.error || 'Failed to advance team question');
+      // Step 4: If this was the last team in queue, end the game
+      if (isLastTeamInQueue(teamIdSnapshot, queueSnapshot)) {
+        const gameCompleteResult = await completeGame();
+        if (!gameCompleteResult.success) {
+          throw new Error('Failed to complete game after last team finished');
+        }
+        console.log('🏆 Game completed automatically — all teams finished');
       }
 
-      // Step 5: Handle last-question completion
-      const skippedQuestionNumber =
-        useGameStore.getState().currentQuestionNumber;
-      const isLastQuestion = skippedQuestionNumber >= QUESTIONS_PER_SET;
+      console.log('🚶 Walk away processed successfully');
+    } catch (err) {
+      console.error('Failed to walk away:', err);
+      throw err;
+    }
+  }, [
+    currentTeamId,
+    playQueue,
+    questionVisible,
+    hostQuestion,
+    validationResult,
+    hideQuestion,
+    clearQuestionState,
+    clearQuestion,
+    clearHostQuestion,
+    walkAwayTeam,
+    completeGame,
+  ]);
 
-      if (isLastQuestion) {
-        const finalPrize = teamSnapshot?.currentPrize ?? 0;
-        const finalQuestionIndex = teamSnapshot?.currentQuestionIndex ?? 0;
+  /**
+   * Execute timeout elimination — "eliminate" outcome of an expired answer timer.
+   *
+   * Confirmation is handled upstream by TimerExpiredDialog in GameControls.
+   *
+   * Full flow:
+   * 1. Reveals the correct answer with no team selection and records the
+   *    timeout in the team's history
+   * 2. Eliminates the team, falling back per config.eliminationPrizeRule
+   * 3. Ends the game if this was the last team in queue
+   */
+  const executeTimeoutElimination = useCallback(async () => {
+    // Snapshot mutable values before any async boundary
+    const teamIdSnapshot = currentTeamId;
+    const queueSnapshot = [...playQueue];
+    const questionNumberSnapshot = currentQuestionNumber;
 
-        const completeResult = await completeTeam(
+    try {
+      assertGameController();
+
+      // Step 1: Reveal the answer — nothing was selected
+      if (hostQuestion) {
+        await databaseService.revealAnswer(
+          hostQuestion.correctAnswer,
+          null,
+          false,
+        );
+        await recordQuestionHistory(
           teamIdSnapshot,
-          finalPrize,
-          finalQuestionIndex,
+          buildQuestionHistoryEntry({
+            outcome: QUESTION_OUTCOME.TIMED_OUT,
+            question: hostQuestion,
+            correctOption: hostQuestion.correctAnswer,
+            gameState: useGameStore.getState(),
+          }),
         );
+      }
 
-        if (!completeResult.success) {
-          throw new Error('Failed to mark team as completed after last skip');
-        }
+      // Step 2: Eliminate with the guaranteed prize
+      const eliminationPrize = getEliminationPrize({
+        currentPrize: currentTeam?.currentPrize,
+        questionNumber: questionNumberSnapshot,
+        prizeStructure,
+        rule: config.eliminationPrizeRule,
+        milestones,
+      });
+
+      const eliminateResult = await eliminateTeam(
+        teamIdSnapshot,
+        eliminationPrize,
+      );
 
-        console.log(
-          `🏁 Team ${teamIdSnapshot} marked completed after skipping last question (prize: Rs.${finalPrize})`,
-        );
+      if (!eliminateResult.success) {
+        throw new Error(eliminateResult.error || 'Failed to eliminate team');
+      }
 
-        // Step 6: If this was also the last team in queue, end the game
-        if (isLastTeamInQueue(teamIdSnapshot, queueSnapshot)) {
-          const gameCompleteResult = await completeGame();
-          if (!gameCompleteResult.success) {
-            throw new Error('Failed to complete game after last team finished');
-          }
-          console.log('🏆 Game completed automatically — all teams finished');
+      // Step 3: If this was the last team in queue, end the game
+      if (isLastTeamInQueue(teamIdSnapshot, queueSnapshot)) {
+        const gameCompleteResult = await completeGame();
+        if (!gameCompleteResult.success) {
+          throw new Error('Failed to complete game after last team finished');
         }
+        console.log('🏆 Game completed automatically — all teams finished');
       }
 
-      console.log('⏭️ Question skipped successfully');
+      console.log(
+        `⌛ Team ${teamIdSnapshot} eliminated on timeout — falls back to Rs.${eliminationPrize}`,
+      );
     } catch (err) {
-      console.error('Failed to skip question:', err);
+      console.error('Failed to eliminate team on timeout:', err);
       throw err;
     }
   }, [
     currentTeamId,
     currentTeam,
     playQueue,
-    questionVisible,
-    hideQuestion,
-    skipQuestion,
-    skipTeamQuestion,
-    clearQuestion,
-    clearHostQuestion,
-    completeTeam,
+    currentQuestionNumber,
+    hostQuestion,
+    prizeStructure,
+    milestones,
+    config,
+    eliminateTeam,
     completeGame,
   ]);
 
@@ -471,6 +803,8 @@ export function useGameControls() {
    * Pause game
    */
   const handlePause = () => {
+    if (!useHostSessionStore.getState().isController) return;
+
     pauseGame();
     console.log('⏸️ Game paused');
   };
@@ -479,6 +813,8 @@ export function useGameControls() {
    * Resume game
    */
   const handleResume = () => {
+    if (!useHostSessionStore.getState().isController) return;
+
     resumeGame();
     console.log('▶️ Game resumed');
   };
@@ -525,14 +861,15 @@ export function useGameControls() {
   }, [syncQuestionSets]);
 
   return {
-    // Button States
-    canLoadQuestion,
-    canShowQuestion,
-    canHideQuestion,
-    canNextTeam,
-    canSkipQuestion,
-    canPause,
-    canResume,
+    // Button States (all disabled while another session is the controller)
+    canLoadQuestion: isController && canLoadQuestion,
+    canShowQuestion: isController && canShowQuestion,
+    canHideQuestion: isController && canHideQuestion,
+    canNextTeam: isController && isOnline && canNextTeam,
+    canSkipQuestion: isController && canSkipQuestion,
+    canWalkAway: isController && canWalkAway,
+    canPause: isController && canPause,
+    canResume: isController && canResume,
 
     // Question Numbers & Flags
     nextQuestionNumber,
@@ -557,7 +894,10 @@ export function useGameControls() {
     handleShowQuestion,
     handleHideQuestion,
     handleNextTeam,
+    findSubstituteQuestion,
     executeSkipQuestion,
+    executeWalkAway,
+    executeTimeoutElimination,
     handlePause,
     handleResume,
     handleSyncQuestions,
@@ -1,14 +1,46 @@
 // src/pages/play/hooks/useLifelineManagement.js
 
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
 import { useQuestionsStore } from '@stores/useQuestionsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { logGameEvent } from '@stores/useGameLogStore';
+import { useHostSessionStore } from '@stores/useHostSessionStore';
 import { databaseService } from '@services/database.service';
-import { applyFiftyFifty } from '@utils/gameplay/lifelineLogic';
-import { LIFELINE_TYPE } from '@constants/teamStates';
+import {
+  applyFiftyFifty,
+  calculatePollPercentages,
+  findReserveQuestion,
+} from '@utils/gameplay/lifelineLogic';
+import {
+  LIFELINE_TYPE,
+  LIFELINE_RULE,
+  getLifelineUsesLeft,
+  getTeamLifelineRoster,
+} from '@constants/teamStates';
 import { ANSWER_OPTIONS } from '@constants/config';
+import { GAME_STATUS } from '@constants/gameStates';
+import { GAME_LOG_ACTION } from '@constants/gameLog';
 import { usePhoneTimer } from './usePhoneTimer';
+import { useCurrentQuestion } from './useCurrentQuestion';
+
+/**
+ * Record a lifeline activation in the game log
+ * @param {string} lifelineType - LIFELINE_TYPE value
+ * @param {number} usesLeft - Team's uses of the lifeline before activation
+ */
+const logLifelineActivation = (lifelineType, usesLeft) => {
+  const { currentTeamId, currentQuestionNumber } = useGameStore.getState();
+
+  logGameEvent(GAME_LOG_ACTION.LIFELINE_ACTIVATED, {
+    teamId: currentTeamId,
+    questionNumber: currentQuestionNumber,
+    before: { usesLeft },
+    after: { usesLeft: usesLeft - 1 },
+    details: { lifeline: lifelineType },
+  });
+};
 
 /**
  * Lifeline Management Hook - WWBAM Style
@@ -17,9 +49,12 @@ import { usePhoneTimer } from './usePhoneTimer';
  *
  * WWBAM Rules:
  * - Lifelines are DECISION TOOLS, not safety nets
- * - Team can use ONE lifeline per question BEFORE locking answer
+ * - Lifelines are used BEFORE locking answer
  * - Once answer is locked, wrong answer = direct elimination (no lifeline rescue)
- * - Lifeline usage: Phone-a-Friend OR 50/50 (not both in same question)
+ * - config.lifelineRule decides how many per question:
+ *   - 'one-per-question' (default): Phone-a-Friend OR 50/50 OR Ask the
+ *     Audience OR Switch the Question
+ *   - 'stackable': several per question, each lifeline type at most once
  *
  * Phone-a-Friend Flow:
  * 1. Host activates → Firebase updated, game PAUSED
@@ -29,12 +64,27 @@ import { usePhoneTimer } from './usePhoneTimer';
  * 5. Timer expires → auto-resume OR host clicks "Resume Game" manually
  * 6. Resume → Firebase active-lifeline cleared, game set back to ACTIVE
  *
+ * Ask the Audience Flow:
+ * 1. Host activates → poll node opened at game-state/audience-poll
+ * 2. Audience votes on the local voting page (/vote) and/or host enters tallies
+ * 3. Host closes the poll → vote counts + percentages written for the display
+ *
+ * Switch the Question Flow:
+ * 1. Only offered while the team's set has an unused reserve at the same difficulty
+ * 2. Host activates → reserve replaces the question on display (atomic update)
+ * 3. A running answer timer restarts with full time for the new question
+ *
  * CRITICAL - LIFELINE PERSISTENCE:
- * Team lifeline availability (lifelinesAvailable) is stored in Firebase under:
- *   teams/{teamId}/lifelines-available/phoneAFriend: boolean
- *   teams/{teamId}/lifelines-available/fiftyFifty: boolean
+ * Team lifeline availability (lifelinesAvailable) is stored in Firebase as
+ * uses left per lifeline in the team's roster (built from config):
+ *   teams/{teamId}/lifelines-available/phone-a-friend: number
+ *   teams/{teamId}/lifelines-available/fifty-fifty: number
+ *   teams/{teamId}/lifelines-available/audience-poll: number
+ *   teams/{teamId}/lifelines-available/switch-question: number
+ * Lifelines disabled in config are absent; older teams may store booleans.
  *
- * Once a lifeline is used (set to false), it PERSISTS across all questions for that team.
+ * Each activation spends one use; at 0 the lifeline is gone for that team
+ * across all remaining questions.
  */
 export function useLifelineManagement() {
   // ============================================================
@@ -43,8 +93,15 @@ export function useLifelineManagement() {
 
   const [isActivating, setIsActivating] = useState(false);
   const [activationError, setActivationError] = useState(null);
-  const [lifelineUsedThisQuestion, setLifelineUsedThisQuestion] =
-    useState(false);
+  // Lifeline types used on the current question
+  const [lifelinesUsedThisQuestion, setLifelinesUsedThisQuestion] = useState(
+    [],
+  );
+  const lifelineUsedThisQuestion = lifelinesUsedThisQuestion.length > 0;
+
+  const markUsedThisQuestion = useCallback((lifelineType) => {
+    setLifelinesUsedThisQuestion((prev) => [...prev, lifelineType]);
+  }, []);
 
   // ============================================================
   // STORE STATE
@@ -58,14 +115,30 @@ export function useLifelineManagement() {
   const answerRevealed = useGameStore((state) => state.answerRevealed);
   const pauseGame = useGameStore((state) => state.pauseGame);
   const resumeGame = useGameStore((state) => state.resumeGame);
+  const startQuestionTimer = useGameStore((state) => state.startQuestionTimer);
+  const questionSetAssignments = useGameStore(
+    (state) => state.questionSetAssignments,
+  );
+  const usedReserveQuestions = useGameStore(
+    (state) => state.usedReserveQuestions,
+  );
 
   const teams = useTeamsStore((state) => state.teams);
   const currentTeam = teams[currentTeamId];
 
+  const lifelineRule = useConfigStore((state) => state.config.lifelineRule);
+
+  // Read-only sessions cannot activate lifelines
+  const isController = useHostSessionStore((state) => state.isController);
+
   const hostQuestion = useQuestionsStore((state) => state.hostQuestion);
   const setFilteredOptions = useQuestionsStore(
     (state) => state.setFilteredOptions,
   );
+  const filteredOptions = useQuestionsStore((state) => state.filteredOptions);
+  const loadedSets = useQuestionsStore((state) => state.loadedSets);
+
+  const { switchQuestion } = useCurrentQuestion();
 
   // ============================================================
   // PHONE TIMER
@@ -101,7 +174,7 @@ export function useLifelineManagement() {
   // ============================================================
 
   useEffect(() => {
-    setLifelineUsedThisQuestion(false);
+    setLifelinesUsedThisQuestion([]);
     setActivationError(null);
     phoneTimer.reset();
     // phoneTimer.reset is stable — safe to include
@@ -113,24 +186,50 @@ export function useLifelineManagement() {
   // ============================================================
 
   /**
-   * Check if Phone-a-Friend is available for the current team.
+   * Uses the current team has left of a lifeline.
    * Reads from live Firebase-synced team data.
    */
-  const isPhoneAvailable = useCallback(() => {
-    if (!currentTeam?.lifelinesAvailable) return false;
-    return (
-      currentTeam.lifelinesAvailable[LIFELINE_TYPE.PHONE_A_FRIEND] === true
-    );
-  }, [currentTeam]);
+  const getUsesLeft = useCallback(
+    (lifelineType) =>
+      getLifelineUsesLeft(currentTeam?.lifelinesAvailable, lifelineType),
+    [currentTeam],
+  );
+
+  const isPhoneAvailable = getUsesLeft(LIFELINE_TYPE.PHONE_A_FRIEND) > 0;
+  const isFiftyFiftyAvailable = getUsesLeft(LIFELINE_TYPE.FIFTY_FIFTY) > 0;
+  const isAudiencePollAvailable = getUsesLeft(LIFELINE_TYPE.AUDIENCE_POLL) > 0;
+  const isSwitchQuestionAvailable =
+    getUsesLeft(LIFELINE_TYPE.SWITCH_QUESTION) > 0;
 
   /**
-   * Check if 50/50 is available for the current team.
-   * Reads from live Firebase-synced team data.
+   * Lifelines in the current team's roster (for rendering buttons)
+   */
+  const lifelineRoster = useMemo(
+    () => getTeamLifelineRoster(currentTeam?.lifelinesAvailable),
+    [currentTeam],
+  );
+
+  /**
+   * Whether the team's question set still has a reserve question matching
+   * the loaded question's difficulty.
    */
-  const isFiftyFiftyAvailable = useCallback(() => {
-    if (!currentTeam?.lifelinesAvailable) return false;
-    return currentTeam.lifelinesAvailable[LIFELINE_TYPE.FIFTY_FIFTY] === true;
-  }, [currentTeam]);
+  const hasReserveQuestion = useMemo(() => {
+    if (!hostQuestion) return false;
+
+    const setId = questionSetAssignments?.[currentTeamId];
+    return !!findReserveQuestion({
+      setId,
+      reserveQuestions: loadedSets[setId]?.reserveQuestions,
+      difficulty: hostQuestion.difficulty,
+      usedReserveKeys: usedReserveQuestions,
+    });
+  }, [
+    hostQuestion,
+    questionSetAssignments,
+    currentTeamId,
+    loadedSets,
+    usedReserveQuestions,
+  ]);
 
   /**
    * Check if a lifeline can be used right now.
@@ -138,26 +237,35 @@ export function useLifelineManagement() {
    */
   const canUseLifeline = useCallback(
     (lifelineType) => {
+      if (!isController) return false;
       if (!questionVisible) return false;
       if (answerRevealed) return false;
       if (!hostQuestion) return false;
-      if (lifelineUsedThisQuestion) return false;
 
-      if (lifelineType === LIFELINE_TYPE.PHONE_A_FRIEND) {
-        return isPhoneAvailable();
-      } else if (lifelineType === LIFELINE_TYPE.FIFTY_FIFTY) {
-        return isFiftyFiftyAvailable();
+      if (lifelineRule === LIFELINE_RULE.STACKABLE) {
+        if (lifelinesUsedThisQuestion.includes(lifelineType)) return false;
+      } else if (lifelineUsedThisQuestion) {
+        return false;
       }
 
-      return false;
+      if (getUsesLeft(lifelineType) < 1) return false;
+
+      if (lifelineType === LIFELINE_TYPE.SWITCH_QUESTION) {
+        return hasReserveQuestion;
+      }
+
+      return Object.values(LIFELINE_TYPE).includes(lifelineType);
     },
     [
+      isController,
       questionVisible,
       answerRevealed,
       hostQuestion,
+      lifelineRule,
+      lifelinesUsedThisQuestion,
       lifelineUsedThisQuestion,
-      isPhoneAvailable,
-      isFiftyFiftyAvailable,
+      getUsesLeft,
+      hasReserveQuestion,
     ],
   );
 
@@ -213,14 +321,19 @@ export function useLifelineManagement() {
       // Atomic Firebase update:
       // 1. game-state/active-lifeline = 'fifty-fifty'
       // 2. game-state/current-question/options = filteredOptionsObj
-      // 3. teams/{teamId}/lifelines-available/fiftyFifty = false (PERMANENT)
+      // 3. teams/{teamId}/lifelines-available/fiftyFifty -= 1 (PERMANENT)
       await databaseService.activateFiftyFiftyLifeline(
         currentTeamId,
         filteredOptionsObj,
+        getUsesLeft(LIFELINE_TYPE.FIFTY_FIFTY) - 1,
       );
 
       setFilteredOptions(result.remainingOptions);
-      setLifelineUsedThisQuestion(true);
+      markUsedThisQuestion(LIFELINE_TYPE.FIFTY_FIFTY);
+      logLifelineActivation(
+        LIFELINE_TYPE.FIFTY_FIFTY,
+        getUsesLeft(LIFELINE_TYPE.FIFTY_FIFTY),
+      );
 
       // Clear active-lifeline flag after a short delay
       setTimeout(async () => {
@@ -241,7 +354,14 @@ export function useLifelineManagement() {
       setIsActivating(false);
       return { success: false, error: error.message };
     }
-  }, [canUseLifeline, hostQuestion, currentTeamId, setFilteredOptions]);
+  }, [
+    canUseLifeline,
+    hostQuestion,
+    currentTeamId,
+    getUsesLeft,
+    setFilteredOptions,
+    markUsedThisQuestion,
+  ]);
 
   // ============================================================
   // PHONE-A-FRIEND ACTIVATION
@@ -262,13 +382,20 @@ export function useLifelineManagement() {
     try {
       // Atomic Firebase update:
       // 1. game-state/active-lifeline = 'phone-a-friend'
-      // 2. teams/{teamId}/lifelines-available/phoneAFriend = false (PERMANENT)
-      await databaseService.activatePhoneAFriendLifeline(currentTeamId);
+      // 2. teams/{teamId}/lifelines-available/phoneAFriend -= 1 (PERMANENT)
+      await databaseService.activatePhoneAFriendLifeline(
+        currentTeamId,
+        getUsesLeft(LIFELINE_TYPE.PHONE_A_FRIEND) - 1,
+      );
 
       // Pause the game so no other actions can be taken during the call
       await pauseGame();
 
-      setLifelineUsedThisQuestion(true);
+      markUsedThisQuestion(LIFELINE_TYPE.PHONE_A_FRIEND);
+      logLifelineActivation(
+        LIFELINE_TYPE.PHONE_A_FRIEND,
+        getUsesLeft(LIFELINE_TYPE.PHONE_A_FRIEND),
+      );
 
       console.log('📞 Phone-a-Friend activated — game paused');
       setIsActivating(false);
@@ -280,7 +407,13 @@ export function useLifelineManagement() {
       setIsActivating(false);
       return { success: false, error: error.message };
     }
-  }, [canUseLifeline, currentTeamId, pauseGame]);
+  }, [
+    canUseLifeline,
+    currentTeamId,
+    getUsesLeft,
+    pauseGame,
+    markUsedThisQuestion,
+  ]);
 
   // ============================================================
   // RESUME FROM PHONE-A-FRIEND
@@ -292,14 +425,17 @@ export function useLifelineManagement() {
    *
    * Actions:
    * 1. Clear active-lifeline in Firebase → null
-   * 2. Resume game status → ACTIVE
+   * 2. Resume game status → ACTIVE (unless the host already resumed —
+   *    ACTIVE → ACTIVE is not a valid transition)
    * 3. Reset the local countdown timer
    */
   const resumeFromPhoneAFriend = useCallback(async () => {
     try {
       await databaseService.clearLifelineTimer();
       await databaseService.clearActiveLifeline();
-      await resumeGame();
+      if (useGameStore.getState().gameStatus === GAME_STATUS.PAUSED) {
+        await resumeGame();
+      }
       phoneTimer.reset();
 
       console.log('✅ Resumed from Phone-a-Friend — game active');
@@ -313,6 +449,154 @@ export function useLifelineManagement() {
   // Wire the resume callback into the timer's expiry ref
   resumeCallbackRef.current = resumeFromPhoneAFriend;
 
+  // ============================================================
+  // ASK THE AUDIENCE ACTIVATION
+  // ============================================================
+
+  const activateAudiencePoll = useCallback(async () => {
+    if (!canUseLifeline(LIFELINE_TYPE.AUDIENCE_POLL)) {
+      console.warn('Cannot use Ask the Audience at this time');
+      return {
+        success: false,
+        error: 'Cannot use Ask the Audience at this time',
+      };
+    }
+
+    setIsActivating(true);
+    setActivationError(null);
+
+    try {
+      // Poll only the options still on screen (respects a prior 50/50)
+      const visibleOptions = filteredOptions ?? ANSWER_OPTIONS;
+      const pollOptions = {};
+
+      visibleOptions.forEach((option) => {
+        const lowercaseKey = option.toLowerCase();
+        const optionValue = hostQuestion.options[lowercaseKey];
+
+        if (optionValue !== undefined && optionValue !== null) {
+          pollOptions[lowercaseKey] = optionValue;
+        }
+      });
+
+      // Atomic Firebase update:
+      // 1. game-state/audience-poll = { status: 'open', votes: {...}, ... }
+      // 2. game-state/active-lifeline = 'audience-poll'
+      // 3. teams/{teamId}/lifelines-available/audiencePoll -= 1 (PERMANENT)
+      await databaseService.activateAudiencePollLifeline(
+        currentTeamId,
+        {
+          questionNumber: currentQuestionNumber,
+          options: pollOptions,
+        },
+        getUsesLeft(LIFELINE_TYPE.AUDIENCE_POLL) - 1,
+      );
+
+      markUsedThisQuestion(LIFELINE_TYPE.AUDIENCE_POLL);
+      logLifelineActivation(
+        LIFELINE_TYPE.AUDIENCE_POLL,
+        getUsesLeft(LIFELINE_TYPE.AUDIENCE_POLL),
+      );
+
+      console.log('👥 Ask the Audience activated — poll open');
+      setIsActivating(false);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to activate Ask the Audience:', error);
+      setActivationError(error.message);
+      setIsActivating(false);
+      return { success: false, error: error.message };
+    }
+  }, [
+    canUseLifeline,
+    filteredOptions,
+    hostQuestion,
+    currentTeamId,
+    currentQuestionNumber,
+    getUsesLeft,
+    markUsedThisQuestion,
+  ]);
+
+  /**
+   * Close the audience poll and publish percentages to the display.
+   *
+   * @param {Object<string, number>} votes - Final vote count per option key
+   * @returns {Promise<{ success: boolean, results?: Object, error?: string }>}
+   */
+  const closeAudiencePoll = useCallback(async (votes) => {
+    try {
+      const results = calculatePollPercentages(votes);
+      await databaseService.closeAudiencePoll(votes, results);
+
+      console.log('✅ Audience poll closed — results on display');
+      return { success: true, results };
+    } catch (error) {
+      console.error('Failed to close audience poll:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  // ============================================================
+  // SWITCH THE QUESTION ACTIVATION
+  // ============================================================
+
+  const activateSwitchQuestion = useCallback(async () => {
+    if (!canUseLifeline(LIFELINE_TYPE.SWITCH_QUESTION)) {
+      console.warn('Cannot use Switch the Question at this time');
+      return {
+        success: false,
+        error: 'Cannot use Switch the Question at this time',
+      };
+    }
+
+    setIsActivating(true);
+    setActivationError(null);
+
+    try {
+      // Atomic Firebase update:
+      // 1. game-state/current-question = reserve question (no answer)
+      // 2. game-state/used-reserve-questions += reserve key
+      // 3. teams/{teamId}/lifelines-available/switchQuestion -= 1 (PERMANENT)
+      const result = await switchQuestion(
+        getUsesLeft(LIFELINE_TYPE.SWITCH_QUESTION) - 1,
+      );
+
+      // New question gets the full answer time
+      const { questionTimer } = useGameStore.getState();
+      if (questionTimer) {
+        await startQuestionTimer(questionTimer.duration);
+      }
+
+      markUsedThisQuestion(LIFELINE_TYPE.SWITCH_QUESTION);
+      logLifelineActivation(
+        LIFELINE_TYPE.SWITCH_QUESTION,
+        getUsesLeft(LIFELINE_TYPE.SWITCH_QUESTION),
+      );
+
+      // Clear active-lifeline flag after a short delay
+      setTimeout(async () => {
+        await databaseService.clearActiveLifeline();
+      }, 1000);
+
+      console.log('🔄 Switch the Question activated');
+      setIsActivating(false);
+
+      return { success: true, question: result.question };
+    } catch (error) {
+      console.error('Failed to activate Switch the Question:', error);
+      setActivationError(error.message);
+      setIsActivating(false);
+      return { success: false, error: error.message };
+    }
+  }, [
+    canUseLifeline,
+    switchQuestion,
+    getUsesLeft,
+    startQuestionTimer,
+    markUsedThisQuestion,
+  ]);
+
   // ============================================================
   // RETURN HOOK INTERFACE
   // ============================================================
@@ -322,12 +606,20 @@ export function useLifelineManagement() {
     isActivating,
     activationError,
     lifelineUsedThisQuestion,
+    lifelinesUsedThisQuestion,
+    lifelineRule,
 
     // Availability (live from Firebase-synced team data)
-    isPhoneAvailable: isPhoneAvailable(),
-    isFiftyFiftyAvailable: isFiftyFiftyAvailable(),
+    lifelineRoster,
+    isPhoneAvailable,
+    isFiftyFiftyAvailable,
+    isAudiencePollAvailable,
+    isSwitchQuestionAvailable,
+    hasReserveQuestion,
     canUsePhone: canUseLifeline(LIFELINE_TYPE.PHONE_A_FRIEND),
     canUseFiftyFifty: canUseLifeline(LIFELINE_TYPE.FIFTY_FIFTY),
+    canUseAudiencePoll: canUseLifeline(LIFELINE_TYPE.AUDIENCE_POLL),
+    canUseSwitchQuestion: canUseLifeline(LIFELINE_TYPE.SWITCH_QUESTION),
 
     // Phone timer (exposed for PhoneAFriendDialog)
     phoneTimer,
@@ -337,5 +629,8 @@ export function useLifelineManagement() {
     activateFiftyFifty,
     activatePhoneAFriend,
     resumeFromPhoneAFriend,
+    activateAudiencePoll,
+    closeAudiencePoll,
+    activateSwitchQuestion,
   };
 }
@@ -0,0 +1,111 @@
+// src/pages/play/hooks/useQuestionTimer.js
+
+import { useState, useEffect, useRef } from 'react';
+import { useGameStore } from '@stores/useGameStore';
+import { QUESTION_TIMER_STATUS } from '@constants/gameStates';
+import { formatTimerDisplay } from '@utils/gameplay/lifelineLogic';
+
+/**
+ * Milliseconds left on an answer timer
+ * @param {Object|null} timer - game-state/question-timer (camelCase)
+ * @param {number} now - Current time in ms
+ * @returns {number} Remaining ms (never negative)
+ */
+const getRemainingMs = (timer, now) => {
+  if (!timer) return 0;
+  if (timer.status === QUESTION_TIMER_STATUS.EXPIRED) return 0;
+
+  const running =
+    timer.status === QUESTION_TIMER_STATUS.RUNNING && timer.startedAt
+      ? Math.max(0, now - timer.startedAt)
+      : 0;
+
+  return Math.max(0, timer.duration * 1000 - (timer.elapsed || 0) - running);
+};
+
+/**
+ * useQuestionTimer Hook
+ *
+ * Purpose: Countdown view over the per-question answer timer.
+ *
+ * Design decisions:
+ * - The timer lives in game-state/question-timer (written by useGameStore),
+ *   so host and display derive the same remaining time after reconnects
+ * - This hook only ticks locally to re-render; it never writes while running
+ * - When `onExpire` is given, the hook marks the timer expired in Firebase
+ *   and fires the callback once — only one mounted instance should pass it
+ *   (GameControls), display-only instances omit it
+ *
+ * @param {Object}   options
+ * @param {Function} options.onExpire - Callback fired once when time runs out
+ *
+ * @returns {Object} Timer state
+ * @returns {boolean} returns.isActive         - Whether a timer exists for this question
+ * @returns {boolean} returns.isRunning        - Counting down
+ * @returns {boolean} returns.isPaused         - Frozen while game is paused
+ * @returns {boolean} returns.hasExpired       - Time ran out
+ * @returns {number}  returns.secondsRemaining - Whole seconds left (rounded up)
+ * @returns {string}  returns.display          - Formatted MM:SS string
+ * @returns {number}  returns.totalSeconds     - Full duration in seconds
+ * @returns {number}  returns.progressPct      - 0–100, decreasing as time runs out
+ */
+export function useQuestionTimer({ onExpire } = {}) {
+  const questionTimer = useGameStore((state) => state.questionTimer);
+  const expireQuestionTimer = useGameStore(
+    (state) => state.expireQuestionTimer,
+  );
+
+  const [now, setNow] = useState(() => Date.now());
+
+  // Keep onExpire stable without re-registering the interval
+  const onExpireRef = useRef(onExpire);
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  }, [onExpire]);
+
+  // Guards against firing twice before the expired status syncs back
+  const expiredForRef = useRef(null);
+
+  const isRunning = questionTimer?.status === QUESTION_TIMER_STATUS.RUNNING;
+
+  // Tick only while running
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  const remainingMs = getRemainingMs(questionTimer, now);
+
+  // Expiry detection — only for the instance that owns the callback
+  useEffect(() => {
+    if (!onExpireRef.current || !isRunning || remainingMs > 0) return;
+
+    const timerKey = `${questionTimer.duration}:${questionTimer.startedAt}`;
+    if (expiredForRef.current === timerKey) return;
+    expiredForRef.current = timerKey;
+
+    expireQuestionTimer().then(
+      (result) => result.success && onExpireRef.current?.(),
+    );
+  }, [isRunning, remainingMs, questionTimer, expireQuestionTimer]);
+
+  const totalSeconds = questionTimer?.duration ?? 0;
+  const secondsRemaining = Math.ceil(remainingMs / 1000);
+
+  return {
+    isActive: !!questionTimer,
+    isRunning,
+    isPaused: questionTimer?.status === QUESTION_TIMER_STATUS.PAUSED,
+    hasExpired:
+      questionTimer?.status === QUESTION_TIMER_STATUS.EXPIRED ||
+      (isRunning && remainingMs === 0),
+    secondsRemaining,
+    display: formatTimerDisplay(secondsRemaining),
+    totalSeconds,
+    progressPct: totalSeconds
+      ? Math.round((remainingMs / (totalSeconds * 1000)) * 100)
+      : 0,
+  };
+}
@@ -9,6 +9,8 @@ import { Alert, AlertDescription } from '@components/ui/alert';
 import { useGameStore } from '@stores/useGameStore';
 import { useTeamsStore } from '@stores/useTeamsStore';
 import { useQuestionsStore } from '@stores/useQuestionsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { useHostSessionStore } from '@stores/useHostSessionStore';
 import { GAME_STATUS } from '@constants/gameStates';
 import { ArrowLeft, Loader2, AlertTriangle } from 'lucide-react';
 import { cn } from '@lib/utils';
@@ -18,6 +20,7 @@ import AnswerPad from './components/AnswerPad';
 import LifelinePanel from './components/LifelinePanel';
 import AllTeamsPanel from './components/AllTeamsPanel';
 import GameControls from './components/GameControls';
+import HostSessionBanner from './components/HostSessionBanner';
 
 /**
  * Play Page - Main Gameplay Interface
@@ -39,6 +42,10 @@ import GameControls from './components/GameControls';
  * - GameCompletedDialog (in GameControls) now handles completion UX
  * - User sees dialog first, then navigates to home via "Back to Dashboard" button
  *
+ * ADDED: Concurrent host sessions (PRD P7-REQ-014)
+ * - Each tab registers under host-sessions; one holds the controller lease
+ * - Other tabs are read-only until they "Take over" (HostSessionBanner)
+ *
  * UPDATED: Bottom row layout
  * - TeamStatusCard replaced by AllTeamsPanel (scrollable all-teams table)
  * - GameStatusBar now shows full current-team details (members, set, lifelines, prize)
@@ -73,6 +80,16 @@ export default function Play() {
   // Teams Store State
   const startTeamsListener = useTeamsStore((state) => state.startTeamsListener);
 
+  // Config Store State
+  const startConfigListener = useConfigStore(
+    (state) => state.startConfigListener,
+  );
+
+  // Host Session Store State
+  const startHostSession = useHostSessionStore(
+    (state) => state.startHostSession,
+  );
+
   // Questions Store State
   const validationResult = useQuestionsStore((state) => state.validationResult);
   const selectedAnswer = useQuestionsStore((state) => state.selectedAnswer);
@@ -119,11 +136,13 @@ export default function Play() {
   // ============================================================
 
   /**
-   * Start Firebase real-time listeners for game state and teams
+   * Start Firebase real-time listeners for game state, teams and config
    *
    * CRITICAL: Teams listener is required for lifeline availability sync
    * When a lifeline is used, Firebase updates teams/{teamId}/lifelines-available
    * Without this listener, the UI wouldn't know the lifeline was used until refresh
+   *
+   * Config listener keeps the lifeline rule (one-per-question / stackable) live
    */
   useEffect(() => {
     console.log('🎮 Play Page: Starting Firebase listeners...');
@@ -138,7 +157,11 @@ export default function Play() {
       '✅ Teams listener started (lifeline availability sync enabled)',
     );
 
-    // Cleanup both listeners on unmount
+    // Start config listener (lifeline rule)
+    const unsubscribeConfig = startConfigListener();
+    console.log('✅ Config listener started');
+
+    // Cleanup all listeners on unmount
     return () => {
       console.log('🎮 Play Page: Stopping Firebase listeners');
 
@@ -151,8 +174,22 @@ export default function Play() {
         unsubscribeTeams();
         console.log('🛑 Teams listener stopped');
       }
+
+      if (unsubscribeConfig) {
+        unsubscribeConfig();
+        console.log('🛑 Config listener stopped');
+      }
     };
-  }, [startGameListener, startTeamsListener]);
+  }, [startGameListener, startTeamsListener, startConfigListener]);
+
+  /**
+   * Register this tab as a host session and follow the controller lease
+   * Only the controlling session may drive the game; see HostSessionBanner.
+   */
+  useEffect(() => {
+    const unsubscribeHostSession = startHostSession();
+    return () => unsubscribeHostSession();
+  }, [startHostSession]);
 
   // ============================================================
   // NAVIGATION GUARD
@@ -296,6 +333,9 @@ export default function Play() {
         </Alert>
       )}
 
+      {/* Concurrent host warning / Take over */}
+      <HostSessionBanner />
+
       {/* Top Bar - Game Status (team info, set, progress, prize, lifelines) */}
       <GameStatusBar />
 
@@ -0,0 +1,94 @@
+// src/pages/question-bank/components/BankImportCard.jsx
+
+import { useRef, useState } from 'react';
+import { Upload, AlertCircle } from 'lucide-react';
+import { Button } from '@components/ui/button';
+import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@components/ui/card';
+
+const MAX_LISTED_ERRORS = 20;
+
+/**
+ * BankImportCard Component
+ *
+ * Purpose: Add questions to the bank from a JSON file or a CSV/TSV sheet
+ *
+ * @param {Object} props
+ * @param {Function} props.onImport - Called with a File, resolves to { success, errors }
+ */
+export default function BankImportCard({ onImport }) {
+  const [isImporting, setIsImporting] = useState(false);
+  const [errors, setErrors] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFileSelect = async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    setIsImporting(true);
+    setErrors(null);
+
+    const result = await onImport(file);
+    setErrors(result.errors?.length > 0 ? result.errors : null);
+
+    setIsImporting(false);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Add Questions</CardTitle>
+        <CardDescription>
+          JSON (an array of questions or a question set) or a CSV/TSV sheet with
+          Question, A, B, C, D, Correct Answer and optional Difficulty, Category
+          and Source columns. Questions already in the bank are skipped.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Button
+          variant="outline"
+          disabled={isImporting}
+          onClick={() => fileInputRef.current?.click()}>
+          <Upload className="w-4 h-4 mr-2" />
+          {isImporting ? 'Importing…' : 'Import File'}
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json,text/csv,.csv,text/tab-separated-values,.tsv"
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+
+        {errors && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>
+              {errors.length} problem{errors.length === 1 ? '' : 's'} — these
+              questions were not added
+            </AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc pl-4 text-xs">
+                {errors.slice(0, MAX_LISTED_ERRORS).map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+                {errors.length > MAX_LISTED_ERRORS && (
+                  <li>…and {errors.length - MAX_LISTED_ERRORS} more</li>
+                )}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,197 @@
+// src/pages/question-bank/components/BankQuestionTable.jsx
+
+import { useMemo, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { Badge } from '@components/ui/badge';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@components/ui/table';
+import { QUESTION_DIFFICULTIES } from '@constants/config';
+import { normalizeQuestionText } from '@utils/questionBank';
+
+const SELECT_CLASSES =
+  'border-input dark:bg-input/30 h-9 rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+// Rendering thousands of rows slows the page down; filters narrow the rest
+const MAX_VISIBLE_ROWS = 100;
+
+/**
+ * BankQuestionTable Component
+ *
+ * Purpose: Browse, filter and delete bank questions
+ *
+ * @param {Object} props
+ * @param {Object} props.bank - Bank questions keyed by ID (camelCase)
+ * @param {Object} props.summary - summarizeQuestionBank result
+ * @param {Set<string>} props.usedIds - Bank IDs used by this event's sets
+ * @param {Function} props.onDelete - Called with a bank question ID
+ */
+export default function BankQuestionTable({
+  bank,
+  summary,
+  usedIds,
+  onDelete,
+}) {
+  const [difficulty, setDifficulty] = useState('');
+  const [category, setCategory] = useState('');
+  const [search, setSearch] = useState('');
+
+  const questions = useMemo(() => {
+    const query = normalizeQuestionText(search);
+
+    return Object.values(bank)
+      .filter(
+        (question) =>
+          (!difficulty || (question.difficulty || 'untagged') === difficulty) &&
+          (!category || (question.category || 'Uncategorized') === category) &&
+          (!query || normalizeQuestionText(question.text).includes(query)),
+      )
+      .sort((a, b) => a.text.localeCompare(b.text));
+  }, [bank, difficulty, category, search]);
+
+  const difficultyKeys = [...QUESTION_DIFFICULTIES, 'untagged'].filter(
+    (key) => summary.byDifficulty[key],
+  );
+  const categoryKeys = Object.keys(summary.byCategory).sort();
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Bank ({summary.total})</CardTitle>
+        <CardDescription>
+          {summary.available} not used by this event&apos;s question sets
+        </CardDescription>
+        <div className="flex flex-wrap gap-2 pt-2">
+          {difficultyKeys.map((key) => (
+            <Badge key={key} variant="secondary" className="capitalize">
+              {key}: {summary.byDifficulty[key]}
+            </Badge>
+          ))}
+          {categoryKeys.map((key) => (
+            <Badge key={key} variant="outline">
+              {key}: {summary.byCategory[key]}
+            </Badge>
+          ))}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Filters */}
+        <div className="flex flex-wrap gap-2">
+          <Input
+            placeholder="Search questions…"
+            className="max-w-xs"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <select
+            aria-label="Difficulty"
+            className={SELECT_CLASSES}
+            value={difficulty}
+            onChange={(e) => setDifficulty(e.target.value)}>
+            <option value="">All difficulties</option>
+            {difficultyKeys.map((key) => (
+              <option key={key} value={key}>
+                {key}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Category"
+            className={SELECT_CLASSES}
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}>
+            <option value="">All categories</option>
+            {categoryKeys.map((key) => (
+              <option key={key} value={key}>
+                {key}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {questions.length === 0 ? (
+          <p className="text-sm text-muted-foreground py-6 text-center">
+            {summary.total === 0
+              ? 'The bank is empty. Import a file to add questions.'
+              : 'No questions match these filters.'}
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Question</TableHead>
+                <TableHead>Answer</TableHead>
+                <TableHead>Difficulty</TableHead>
+                <TableHead>Category</TableHead>
+                <TableHead>Source</TableHead>
+                <TableHead className="text-right">Used</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {questions.slice(0, MAX_VISIBLE_ROWS).map((question) => (
+                <TableRow key={question.id}>
+                  <TableCell className="whitespace-normal max-w-md">
+                    {question.text}
+                    {usedIds.has(question.id) && (
+                      <Badge variant="outline" className="ml-2 text-xs">
+                        In this event
+                      </Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="whitespace-normal">
+                    <span className="font-mono mr-1">
+                      {question.correctAnswer}:
+                    </span>
+                    {question.options?.[question.correctAnswer.toLowerCase()] ??
+                      question.options?.[question.correctAnswer]}
+                  </TableCell>
+                  <TableCell className="capitalize">
+                    {question.difficulty || '—'}
+                  </TableCell>
+                  <TableCell>{question.category || '—'}</TableCell>
+                  <TableCell className="text-xs text-muted-foreground">
+                    {question.source || '—'}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {question.timesUsed ?? 0}
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      aria-label="Delete question"
+                      onClick={() => onDelete(question.id)}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {questions.length > MAX_VISIBLE_ROWS && (
+          <p className="text-xs text-muted-foreground">
+            Showing {MAX_VISIBLE_ROWS} of {questions.length} — narrow the
+            filters to see the rest.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
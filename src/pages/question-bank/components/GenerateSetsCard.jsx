@@ -0,0 +1,213 @@
+// src/pages/question-bank/components/GenerateSetsCard.jsx
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Wand2, AlertCircle, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Alert, AlertDescription, AlertTitle } from '@components/ui/alert';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@components/ui/card';
+import { useConfigStore } from '@stores/useConfigStore';
+import { QUESTION_DIFFICULTIES } from '@constants/config';
+import {
+  DEFAULT_GENERATOR_OPTIONS,
+  getDifficultyForQuestion,
+} from '@utils/questionBank';
+
+/**
+ * Question number range of each difficulty band, e.g. "easy 1–7"
+ * @param {number} questionsPerSet
+ * @returns {string}
+ */
+const describeRamp = (questionsPerSet) =>
+  QUESTION_DIFFICULTIES.map((difficulty) => {
+    const numbers = Array.from(
+      { length: questionsPerSet },
+      (_, i) => i + 1,
+    ).filter(
+      (number) =>
+        getDifficultyForQuestion(number, questionsPerSet) === difficulty,
+    );
+    return numbers.length > 0
+      ? `${difficulty} ${numbers[0]}–${numbers[numbers.length - 1]}`
+      : null;
+  })
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * GenerateSetsCard Component
+ *
+ * Purpose: Build N balanced question sets from the bank in one step
+ *
+ * @param {Object} props
+ * @param {number} props.available - Bank questions not used by this event's sets
+ * @param {number} props.missingSets - Teams without a question set yet
+ * @param {Function} props.onGenerate - Called with generator options, resolves to its result
+ */
+export default function GenerateSetsCard({
+  available,
+  missingSets,
+  onGenerate,
+}) {
+  const questionsPerSet = useConfigStore(
+    (state) => state.config.questionsPerTeam,
+  );
+
+  // null follows the teams still missing a set until the host picks a number
+  const [setCount, setSetCount] = useState(null);
+  const [setIdPrefix, setSetIdPrefix] = useState(
+    DEFAULT_GENERATOR_OPTIONS.setIdPrefix,
+  );
+  const [setNamePrefix, setSetNamePrefix] = useState(
+    DEFAULT_GENERATOR_OPTIONS.setNamePrefix,
+  );
+  const [reservesPerDifficulty, setReservesPerDifficulty] = useState(
+    DEFAULT_GENERATOR_OPTIONS.reservesPerDifficulty,
+  );
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const countInput = setCount ?? Math.max(1, missingSets);
+  const count = Math.max(0, Math.floor(Number(countInput) || 0));
+  const reserves = Math.max(0, Math.floor(Number(reservesPerDifficulty) || 0));
+  const needed = count * questionsPerSet;
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    setResult(null);
+
+    const generated = await onGenerate({
+      setCount: count,
+      questionsPerSet,
+      reservesPerDifficulty: reserves,
+      setIdPrefix: setIdPrefix.trim(),
+      setNamePrefix: setNamePrefix.trim(),
+    });
+
+    setResult(generated);
+    setIsGenerating(false);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Generate Question Sets</CardTitle>
+        <CardDescription>
+          Each set ramps by question number ({describeRamp(questionsPerSet)}),
+          spreads categories and gets {reserves} reserve
+          {reserves === 1 ? '' : 's'} per difficulty. No bank question is used
+          twice in this event&apos;s sets, and the least-used questions go
+          first.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid sm:grid-cols-4 gap-4">
+          <div className="space-y-1.5">
+            <Label htmlFor="generate-count">Sets</Label>
+            <Input
+              id="generate-count"
+              type="number"
+              min={1}
+              value={countInput}
+              disabled={isGenerating}
+              onChange={(e) => setSetCount(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="generate-reserves">Reserves per difficulty</Label>
+            <Input
+              id="generate-reserves"
+              type="number"
+              min={0}
+              value={reservesPerDifficulty}
+              disabled={isGenerating}
+              onChange={(e) => setReservesPerDifficulty(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="generate-id-prefix">Set ID prefix</Label>
+            <Input
+              id="generate-id-prefix"
+              className="font-mono"
+              value={setIdPrefix}
+              disabled={isGenerating}
+              onChange={(e) => setSetIdPrefix(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="generate-name-prefix">Set name prefix</Label>
+            <Input
+              id="generate-name-prefix"
+              value={setNamePrefix}
+              disabled={isGenerating}
+              onChange={(e) => setSetNamePrefix(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <p className="text-sm text-muted-foreground">
+          Needs {needed} questions ({count} × {questionsPerSet}) plus reserves —{' '}
+          {available} available.
+          {missingSets > 0 &&
+            ` ${missingSets} team${missingSets === 1 ? ' has' : 's have'} no question set yet.`}
+        </p>
+
+        <Button
+          onClick={handleGenerate}
+          disabled={isGenerating || count < 1 || needed > available}>
+          <Wand2 className="w-4 h-4 mr-2" />
+          {isGenerating
+            ? 'Generating…'
+            : `Generate ${count} Set${count === 1 ? '' : 's'}`}
+        </Button>
+
+        {result && !result.success && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Sets not generated</AlertTitle>
+            <AlertDescription>{result.error}</AlertDescription>
+          </Alert>
+        )}
+
+        {result?.success && (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            <AlertTitle>
+              {result.sets.length} set{result.sets.length === 1 ? '' : 's'}{' '}
+              ready
+            </AlertTitle>
+            <AlertDescription>
+              <p className="font-mono text-xs">
+                {result.sets.map(({ setId }) => setId).join(', ')}
+              </p>
+              <Link to="/questions" className="text-sm underline">
+                Review them on the Questions page
+              </Link>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {result?.warnings?.length > 0 && (
+          <Alert>
+            <AlertTriangle className="h-4 w-4 text-yellow-600" />
+            <AlertDescription>
+              <ul className="list-disc pl-4">
+                {result.warnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
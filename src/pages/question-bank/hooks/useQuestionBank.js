@@ -0,0 +1,186 @@
+// src/pages/question-bank/hooks/useQuestionBank.js
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { databaseService } from '@services/database.service';
+import {
+  parseBankImportFile,
+  removeBankDuplicates,
+  summarizeQuestionBank,
+  getUsedBankQuestionIds,
+  generateQuestionSets,
+} from '@utils/questionBank';
+
+/**
+ * useQuestionBank Hook
+ *
+ * Purpose: Data and actions for the Question Bank page
+ *
+ * Loads the bank together with the question sets and teams on hand: the
+ * sets tell which bank questions this event already uses, the teams how
+ * many sets are still missing.
+ *
+ * @returns {{
+ *   bank: Object,
+ *   summary: Object,
+ *   usedIds: Set<string>,
+ *   existingSetIds: string[],
+ *   missingSets: number,
+ *   isLoading: boolean,
+ *   importFile: Function,
+ *   deleteQuestion: Function,
+ *   generateSets: Function,
+ *   reload: Function,
+ * }}
+ */
+export function useQuestionBank() {
+  const [bank, setBank] = useState({});
+  const [questionSets, setQuestionSets] = useState({});
+  const [teamCount, setTeamCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [nextBank, nextSets, teams] = await Promise.all([
+        databaseService.getQuestionBank(),
+        databaseService.getAllQuestionSets(),
+        databaseService.getTeams(),
+      ]);
+      setBank(nextBank);
+      setQuestionSets(nextSets ?? {});
+      setTeamCount(Object.keys(teams ?? {}).length);
+    } catch (error) {
+      console.error('Failed to load question bank:', error);
+      toast.error('Failed to load question bank', {
+        description: error.message,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const usedIds = useMemo(
+    () => getUsedBankQuestionIds(questionSets),
+    [questionSets],
+  );
+  const summary = useMemo(
+    () => summarizeQuestionBank(bank, usedIds),
+    [bank, usedIds],
+  );
+  const existingSetIds = useMemo(
+    () => Object.keys(questionSets),
+    [questionSets],
+  );
+
+  /**
+   * Add the valid, new questions of a JSON/CSV/TSV file to the bank
+   * @param {File} file
+   * @returns {Promise<{ success: boolean, errors?: string[] }>}
+   */
+  const importFile = useCallback(
+    async (file) => {
+      let parsed;
+      try {
+        parsed = parseBankImportFile(await file.text(), file.name);
+      } catch (error) {
+        return {
+          success: false,
+          errors: [`Failed to parse "${file.name}": ${error.message}`],
+        };
+      }
+
+      const { questions, skipped } = removeBankDuplicates(
+        parsed.questions,
+        bank,
+      );
+
+      if (questions.length > 0) {
+        const result = await databaseService.addQuestionsToBank(questions);
+        if (!result.success) {
+          return { success: false, errors: [result.error] };
+        }
+      }
+
+      const notes = [
+        skipped > 0 && `${skipped} already in the bank`,
+        parsed.errors.length > 0 && `${parsed.errors.length} invalid`,
+      ].filter(Boolean);
+      toast.success(`Added ${questions.length} question(s) to the bank`, {
+        description: notes.length > 0 ? `Skipped: ${notes.join(', ')}` : null,
+      });
+
+      await reload();
+      return { success: true, errors: parsed.errors };
+    },
+    [bank, reload],
+  );
+
+  /**
+   * Remove a question from the bank (generated sets keep their copy)
+   * @param {string} questionId - Bank question ID
+   */
+  const deleteQuestion = useCallback(async (questionId) => {
+    const result = await databaseService.deleteBankQuestion(questionId);
+    if (!result.success) {
+      toast.error('Failed to delete question', {
+        description: result.error,
+      });
+      return;
+    }
+
+    setBank((previous) => {
+      const next = { ...previous };
+      delete next[questionId];
+      return next;
+    });
+  }, []);
+
+  /**
+   * Generate sets from the bank and save them to question-sets
+   * @param {Object} options - generateQuestionSets options (setCount, …)
+   * @returns {Promise<Object>} generateQuestionSets result, success false if the write fails
+   */
+  const generateSets = useCallback(
+    async (options) => {
+      const generated = generateQuestionSets(bank, {
+        ...options,
+        existingSetIds,
+        excludeIds: usedIds,
+      });
+      if (!generated.success) return generated;
+
+      const saved = await databaseService.saveGeneratedQuestionSets(
+        generated.sets,
+        bank,
+      );
+      if (!saved.success) {
+        return { ...generated, success: false, error: saved.error };
+      }
+
+      toast.success(`Generated ${generated.sets.length} question set(s)`, {
+        description: saved.setIds.join(', '),
+      });
+      await reload();
+      return generated;
+    },
+    [bank, existingSetIds, usedIds, reload],
+  );
+
+  return {
+    bank,
+    summary,
+    usedIds,
+    existingSetIds,
+    missingSets: Math.max(0, teamCount - existingSetIds.length),
+    isLoading,
+    importFile,
+    deleteQuestion,
+    generateSets,
+    reload,
+  };
+}
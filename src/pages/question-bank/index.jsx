@@ -0,0 +1,68 @@
+// src/pages/question-bank/index.jsx
+
+import { Library } from 'lucide-react';
+import BankImportCard from './components/BankImportCard';
+import GenerateSetsCard from './components/GenerateSetsCard';
+import BankQuestionTable from './components/BankQuestionTable';
+import { useQuestionBank } from './hooks/useQuestionBank';
+
+/**
+ * Question Bank Page
+ *
+ * Purpose: Keep a reusable pool of tagged questions across events and
+ * generate this event's question sets from it
+ *
+ * The bank lives in its own database node and survives factory resets.
+ * Generated sets are written to question-sets like uploaded ones, so they
+ * can be reviewed and edited on the Questions page before the game.
+ */
+export default function QuestionBank() {
+  const {
+    bank,
+    summary,
+    usedIds,
+    missingSets,
+    isLoading,
+    importFile,
+    deleteQuestion,
+    generateSets,
+  } = useQuestionBank();
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-6xl">
+      {/* Page Header */}
+      <div className="mb-8">
+        <div className="flex items-center gap-3 mb-2">
+          <Library className="w-8 h-8 text-primary" />
+          <h1 className="text-3xl font-bold">Question Bank</h1>
+        </div>
+        <p className="text-muted-foreground">
+          Questions tagged by difficulty and category, kept between events.
+          Generate balanced question sets for this event in one step.
+        </p>
+      </div>
+
+      {isLoading && Object.keys(bank).length === 0 ? (
+        <p className="text-muted-foreground">Loading question bank…</p>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid lg:grid-cols-2 gap-6 items-start">
+            <BankImportCard onImport={importFile} />
+            <GenerateSetsCard
+              available={summary.available}
+              missingSets={missingSets}
+              onGenerate={generateSets}
+            />
+          </div>
+
+          <BankQuestionTable
+            bank={bank}
+            summary={summary}
+            usedIds={usedIds}
+            onDelete={deleteQuestion}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
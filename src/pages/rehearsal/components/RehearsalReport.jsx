@@ -0,0 +1,174 @@
+// src/pages/rehearsal/components/RehearsalReport.jsx
+
+import { Download } from 'lucide-react';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import { Alert, AlertDescription } from '@components/ui/alert';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@components/ui/table';
+import { getTeamStatusMeta } from '@constants/teamStates';
+import { SIMULATION_STATUS } from '../simulator/gameSimulator';
+
+// Most recent actions shown while a run is going (the download has them all)
+const VISIBLE_STEPS = 15;
+
+const STATUS_BADGE = {
+  [SIMULATION_STATUS.RUNNING]: { label: 'Running', variant: 'secondary' },
+  [SIMULATION_STATUS.COMPLETED]: { label: 'Completed', variant: 'default' },
+  [SIMULATION_STATUS.FAILED]: { label: 'Failed', variant: 'destructive' },
+  [SIMULATION_STATUS.CANCELLED]: { label: 'Cancelled', variant: 'outline' },
+};
+
+/**
+ * Format a step's detail as "key: value" pairs
+ * @param {Object} detail
+ * @returns {string}
+ */
+const formatDetail = (detail) =>
+  Object.entries(detail ?? {})
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+
+/**
+ * RehearsalReport Component
+ *
+ * Purpose: Live progress and outcome of a rehearsal run
+ *
+ * Shows the run status, write counts per node, the latest host actions and
+ * (once finished) every team's result. The full report — every action and
+ * every write to game-state and teams — is available as a JSON download.
+ *
+ * @param {Object} props
+ * @param {Object} props.report - From runGameSimulation()
+ * @param {Function} props.onDownload - Downloads the full report
+ */
+export default function RehearsalReport({ report, onDownload }) {
+  const badge = STATUS_BADGE[report.status];
+  const isFinished = report.status !== SIMULATION_STATUS.RUNNING;
+  const recentSteps = report.steps.slice(-VISIBLE_STEPS).reverse();
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center gap-3">
+          <CardTitle>Run Report</CardTitle>
+          <Badge variant={badge.variant}>{badge.label}</Badge>
+          {isFinished && (
+            <Button
+              size="sm"
+              variant="outline"
+              className="ml-auto"
+              onClick={onDownload}>
+              <Download className="w-4 h-4 mr-2" />
+              Download JSON
+            </Button>
+          )}
+        </div>
+        <CardDescription>
+          {report.target} target on the {report.backend} backend ·{' '}
+          {report.behaviour} · {report.stepDelay}ms between actions
+        </CardDescription>
+      </CardHeader>
+
+      <CardContent className="space-y-6">
+        {report.error && (
+          <Alert variant="destructive">
+            <AlertDescription>{report.error}</AlertDescription>
+          </Alert>
+        )}
+
+        {/* Totals */}
+        <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+          <div>
+            <dt className="text-muted-foreground">Actions</dt>
+            <dd className="text-2xl font-semibold">{report.steps.length}</dd>
+          </div>
+          <div>
+            <dt className="text-muted-foreground">Writes</dt>
+            <dd className="text-2xl font-semibold">{report.writes.length}</dd>
+          </div>
+          {report.summary &&
+            Object.entries(report.summary.writeCounts).map(([node, count]) => (
+              <div key={node}>
+                <dt className="text-muted-foreground font-mono">{node}</dt>
+                <dd className="text-2xl font-semibold">{count}</dd>
+              </div>
+            ))}
+          {report.durationMs !== null && (
+            <div>
+              <dt className="text-muted-foreground">Duration</dt>
+              <dd className="text-2xl font-semibold">
+                {(report.durationMs / 1000).toFixed(1)}s
+              </dd>
+            </div>
+          )}
+        </dl>
+
+        {/* Team results */}
+        {report.summary && (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>#</TableHead>
+                <TableHead>Team</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Answered</TableHead>
+                <TableHead className="text-right">Prize</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {report.summary.teams.map((team, index) => (
+                <TableRow key={team.teamId}>
+                  <TableCell>{index + 1}</TableCell>
+                  <TableCell>{team.name}</TableCell>
+                  <TableCell>
+                    {getTeamStatusMeta(team.status).icon}{' '}
+                    {getTeamStatusMeta(team.status).label}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {team.questionsAnswered}
+                  </TableCell>
+                  <TableCell className="text-right font-mono">
+                    Rs.{team.currentPrize.toLocaleString()}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {/* Latest actions */}
+        <div>
+          <h3 className="text-sm font-semibold mb-2">
+            {isFinished ? 'Last actions' : 'Latest actions'}
+          </h3>
+          <ol className="space-y-1 text-xs font-mono">
+            {recentSteps.map((step, index) => (
+              <li
+                key={`${step.at}-${index}`}
+                className={step.error ? 'text-destructive' : undefined}>
+                {new Date(step.at).toLocaleTimeString()} ·{' '}
+                {step.teamName ?? '—'} · {step.action}
+                {formatDetail(step.detail) && ` (${formatDetail(step.detail)})`}
+                {step.error && ` — ${step.error}`}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
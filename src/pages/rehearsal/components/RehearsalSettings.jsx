@@ -0,0 +1,287 @@
+// src/pages/rehearsal/components/RehearsalSettings.jsx
+
+import { useState } from 'react';
+import { Play, Square } from 'lucide-react';
+import { Button } from '@components/ui/button';
+import { Input } from '@components/ui/input';
+import { Label } from '@components/ui/label';
+import { Alert, AlertDescription } from '@components/ui/alert';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@components/ui/card';
+import {
+  DEFAULT_RANDOM_BEHAVIOUR,
+  createRandomBehaviour,
+  createScriptedBehaviour,
+  validateSimulationScript,
+} from '@utils/gameplay/simulationBehaviour';
+import { SIMULATION_TARGET } from '../simulator/gameSimulator';
+
+const SELECT_CLASSES =
+  'border-input dark:bg-input/30 h-9 w-full rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+const TEXTAREA_CLASSES =
+  'border-input dark:bg-input/30 min-h-32 w-full rounded-md border bg-transparent px-3 py-2 font-mono text-xs shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]';
+
+const BEHAVIOUR_MODE = {
+  RANDOM: 'random',
+  SCRIPTED: 'scripted',
+};
+
+const EXAMPLE_SCRIPT = JSON.stringify(
+  {
+    teams: [
+      ['correct', { lifeline: 'fiftyFifty', answer: 'correct' }, 'wrong'],
+      ['correct', 'skip', 'walk-away'],
+    ],
+  },
+  null,
+  2,
+);
+
+const toPercent = (rate) => Math.round(rate * 100);
+
+/**
+ * RehearsalSettings Component
+ *
+ * Purpose: Choose where a rehearsal runs, how the teams play and how fast
+ *
+ * @param {Object} props
+ * @param {string} props.target - SIMULATION_TARGET value
+ * @param {Function} props.onTargetChange - Called with the new target
+ * @param {boolean} props.canRunLive - Live target allowed on this backend
+ * @param {boolean} props.isRunning - A run is in progress
+ * @param {Function} props.onStart - Called with { target, behaviour, stepDelay }
+ * @param {Function} props.onCancel - Stops the current run
+ */
+export default function RehearsalSettings({
+  target,
+  onTargetChange,
+  canRunLive,
+  isRunning,
+  onStart,
+  onCancel,
+}) {
+  const [mode, setMode] = useState(BEHAVIOUR_MODE.RANDOM);
+  const [seed, setSeed] = useState(() => String(Date.now() % 100000));
+  const [correctRate, setCorrectRate] = useState(
+    toPercent(DEFAULT_RANDOM_BEHAVIOUR.correctRate),
+  );
+  const [lifelineRate, setLifelineRate] = useState(
+    toPercent(DEFAULT_RANDOM_BEHAVIOUR.lifelineRate),
+  );
+  const [walkAwayRate, setWalkAwayRate] = useState(
+    toPercent(DEFAULT_RANDOM_BEHAVIOUR.walkAwayRate),
+  );
+  const [script, setScript] = useState(EXAMPLE_SCRIPT);
+  const [stepDelay, setStepDelay] = useState(300);
+  const [errors, setErrors] = useState(null);
+
+  /**
+   * Build the behaviour from the form, or report why it can't be built
+   * @returns {Function|null}
+   */
+  const buildBehaviour = () => {
+    if (mode === BEHAVIOUR_MODE.RANDOM) {
+      return createRandomBehaviour({
+        seed: Number(seed) || 0,
+        correctRate: correctRate / 100,
+        lifelineRate: lifelineRate / 100,
+        walkAwayRate: walkAwayRate / 100,
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(script);
+    } catch (error) {
+      setErrors([`Script is not valid JSON: ${error.message}`]);
+      return null;
+    }
+
+    const validation = validateSimulationScript(parsed);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return null;
+    }
+
+    return createScriptedBehaviour(parsed);
+  };
+
+  const handleStart = () => {
+    setErrors(null);
+    const behaviour = buildBehaviour();
+    if (!behaviour) return;
+
+    onStart({
+      target,
+      behaviour,
+      stepDelay: Math.max(0, Number(stepDelay) || 0),
+    });
+  };
+
+  const rateInput = (id, label, value, onChange) => (
+    <div className="space-y-1.5">
+      <Label htmlFor={id}>{label} (%)</Label>
+      <Input
+        id={id}
+        type="number"
+        min={0}
+        max={100}
+        value={value}
+        disabled={isRunning}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Run Settings</CardTitle>
+        <CardDescription>
+          Every team plays through the real game controls — nobody needs to
+          press a button.
+        </CardDescription>
+      </CardHeader>
+
+      <CardContent className="space-y-6">
+        {/* Target */}
+        <div className="space-y-1.5">
+          <Label htmlFor="rehearsal-target">Run against</Label>
+          <select
+            id="rehearsal-target"
+            className={SELECT_CLASSES}
+            value={target}
+            disabled={isRunning}
+            onChange={(e) => onTargetChange(e.target.value)}>
+            <option value={SIMULATION_TARGET.MEMORY}>
+              In-memory copy (event data is never written)
+            </option>
+            <option value={SIMULATION_TARGET.LIVE} disabled={!canRunLive}>
+              Connected database (emulator only)
+            </option>
+          </select>
+          {target === SIMULATION_TARGET.LIVE && (
+            <p className="text-xs text-muted-foreground">
+              The game must not have started. It is left completed afterwards —
+              reset it before the event.
+            </p>
+          )}
+        </div>
+
+        {/* Behaviour */}
+        <div className="space-y-3">
+          <div className="space-y-1.5">
+            <Label htmlFor="rehearsal-behaviour">Team behaviour</Label>
+            <select
+              id="rehearsal-behaviour"
+              className={SELECT_CLASSES}
+              value={mode}
+              disabled={isRunning}
+              onChange={(e) => setMode(e.target.value)}>
+              <option value={BEHAVIOUR_MODE.RANDOM}>Random (seeded)</option>
+              <option value={BEHAVIOUR_MODE.SCRIPTED}>Scripted</option>
+            </select>
+          </div>
+
+          {mode === BEHAVIOUR_MODE.RANDOM ? (
+            <div className="grid sm:grid-cols-4 gap-4">
+              <div className="space-y-1.5">
+                <Label htmlFor="rehearsal-seed">Seed</Label>
+                <Input
+                  id="rehearsal-seed"
+                  type="number"
+                  value={seed}
+                  disabled={isRunning}
+                  onChange={(e) => setSeed(e.target.value)}
+                />
+              </div>
+              {rateInput(
+                'rehearsal-correct',
+                'Correct',
+                correctRate,
+                setCorrectRate,
+              )}
+              {rateInput(
+                'rehearsal-lifeline',
+                'Lifeline',
+                lifelineRate,
+                setLifelineRate,
+              )}
+              {rateInput(
+                'rehearsal-walk-away',
+                'Walk away',
+                walkAwayRate,
+                setWalkAwayRate,
+              )}
+            </div>
+          ) : (
+            <div className="space-y-1.5">
+              <Label htmlFor="rehearsal-script">Script</Label>
+              <textarea
+                id="rehearsal-script"
+                className={TEXTAREA_CLASSES}
+                value={script}
+                disabled={isRunning}
+                onChange={(e) => setScript(e.target.value)}
+              />
+              <p className="text-xs text-muted-foreground">
+                One list per team in play order. Steps: correct, wrong, skip,
+                walk-away, or{' '}
+                {'{ "lifeline": "fiftyFifty", "answer": "correct" }'}.
+                Unscripted questions are answered correctly.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Pacing */}
+        <div className="space-y-1.5 max-w-xs">
+          <Label htmlFor="rehearsal-delay">Pause between actions (ms)</Label>
+          <Input
+            id="rehearsal-delay"
+            type="number"
+            min={0}
+            step={100}
+            value={stepDelay}
+            disabled={isRunning}
+            onChange={(e) => setStepDelay(e.target.value)}
+          />
+          <p className="text-xs text-muted-foreground">
+            0 plays as fast as the database allows (load check).
+          </p>
+        </div>
+
+        {errors && (
+          <Alert variant="destructive">
+            <AlertDescription>
+              <ul className="list-disc pl-4">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex gap-3">
+          <Button onClick={handleStart} disabled={isRunning}>
+            <Play className="w-4 h-4 mr-2" />
+            {isRunning ? 'Running…' : 'Start Rehearsal'}
+          </Button>
+          {isRunning && (
+            <Button variant="outline" onClick={onCancel}>
+              <Square className="w-4 h-4 mr-2" />
+              Cancel
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
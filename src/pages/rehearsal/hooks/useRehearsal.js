@@ -0,0 +1,88 @@
+// src/pages/rehearsal/hooks/useRehearsal.js
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { downloadTextFile } from '@utils/resultsExport';
+import {
+  runGameSimulation,
+  SIMULATION_STATUS,
+} from '../simulator/gameSimulator';
+
+/**
+ * useRehearsal Hook
+ *
+ * Purpose: Run state for the Rehearsal page
+ *
+ * Starts one simulated game at a time, keeps the live report while it runs
+ * (the report is replaced after every host action), and cancels a run that
+ * is still going when the page unmounts.
+ *
+ * @returns {{
+ *   report: Object|null,
+ *   isRunning: boolean,
+ *   startRun: Function,
+ *   cancelRun: Function,
+ *   downloadReport: Function,
+ * }}
+ */
+export function useRehearsal() {
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  /**
+   * Play a whole simulated game
+   * @param {Object} options - { target, behaviour, stepDelay }
+   */
+  const startRun = useCallback(async ({ target, behaviour, stepDelay }) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsRunning(true);
+    setReport(null);
+
+    const result = await runGameSimulation({
+      target,
+      behaviour,
+      stepDelay,
+      signal: controller.signal,
+      onProgress: setReport,
+    });
+
+    setReport(result);
+    setIsRunning(false);
+    abortRef.current = null;
+
+    if (result.status === SIMULATION_STATUS.COMPLETED) {
+      toast.success('Rehearsal complete', {
+        description: `${result.steps.length} actions, ${result.writes.length} writes in ${(result.durationMs / 1000).toFixed(1)}s`,
+      });
+    } else if (result.status === SIMULATION_STATUS.FAILED) {
+      toast.error('Rehearsal failed', { description: result.error });
+    }
+  }, []);
+
+  const cancelRun = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  const downloadReport = useCallback(() => {
+    if (!report) return;
+
+    const stamp = new Date(report.startedAt)
+      .toISOString()
+      .replace(/[:.]/g, '-')
+      .slice(0, 19);
+    const filename = `rehearsal-${report.target}-${stamp}.json`;
+
+    downloadTextFile(
+      JSON.stringify(report, null, 2),
+      filename,
+      'application/json',
+    );
+    toast.success('Report downloaded', { description: filename });
+  }, [report]);
+
+  return { report, isRunning, startRun, cancelRun, downloadReport };
+}
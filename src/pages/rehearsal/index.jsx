@@ -0,0 +1,85 @@
+// src/pages/rehearsal/index.jsx
+
+import { useEffect, useState } from 'react';
+import { Clapperboard } from 'lucide-react';
+import { Badge } from '@components/ui/badge';
+import { useHostSessionStore } from '@stores/useHostSessionStore';
+import { getDatabaseBackendName } from '@services/database.service';
+import { shouldUseEmulator } from '@utils/firebaseEnvironment';
+import { DATABASE_BACKENDS } from '@constants/connection';
+import HostSessionBanner from '@pages/play/components/HostSessionBanner';
+import RehearsalSettings from './components/RehearsalSettings';
+import RehearsalReport from './components/RehearsalReport';
+import { useRehearsal } from './hooks/useRehearsal';
+import { SIMULATION_TARGET } from './simulator/gameSimulator';
+
+/**
+ * Rehearsal Page
+ *
+ * Purpose: Play a whole game unattended before the event — to check the
+ * setup end to end, or as a load check with no pause between actions
+ *
+ * The in-memory target works anywhere and never writes the event's data.
+ * The live target plays on the connected database and is only offered on
+ * the emulator (or a non-Firebase backend); it joins the host sessions
+ * like /play so it only runs while this tab holds the controller lease.
+ */
+export default function Rehearsal() {
+  const [target, setTarget] = useState(SIMULATION_TARGET.MEMORY);
+  const { report, isRunning, startRun, cancelRun, downloadReport } =
+    useRehearsal();
+  const startHostSession = useHostSessionStore(
+    (state) => state.startHostSession,
+  );
+
+  const backendName = getDatabaseBackendName();
+  const canRunLive =
+    backendName !== DATABASE_BACKENDS.FIREBASE || shouldUseEmulator();
+
+  /**
+   * Register as a host session only for live runs — an in-memory run
+   * controls its own copy and must not take the lease from /play
+   */
+  useEffect(() => {
+    if (target !== SIMULATION_TARGET.LIVE) return undefined;
+
+    const unsubscribeHostSession = startHostSession();
+    return () => unsubscribeHostSession();
+  }, [target, startHostSession]);
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-5xl">
+      {/* Page Header */}
+      <div className="mb-8">
+        <div className="flex items-center gap-3 mb-2">
+          <Clapperboard className="w-8 h-8 text-primary" />
+          <h1 className="text-3xl font-bold">Rehearsal</h1>
+          <Badge variant="outline" className="text-xs font-mono">
+            {backendName}
+          </Badge>
+        </div>
+        <p className="text-muted-foreground">
+          Simulated teams play a whole game through the real game controls.
+          Every write to game-state and teams is recorded in the run report.
+        </p>
+      </div>
+
+      <div className="space-y-6">
+        {target === SIMULATION_TARGET.LIVE && <HostSessionBanner />}
+
+        <RehearsalSettings
+          target={target}
+          onTargetChange={setTarget}
+          canRunLive={canRunLive}
+          isRunning={isRunning}
+          onStart={startRun}
+          onCancel={cancelRun}
+        />
+
+        {report && (
+          <RehearsalReport report={report} onDownload={downloadReport} />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// src/pages/rehearsal/simulator/SimulationHarness.jsx
+
+import { useEffect, useReducer } from 'react';
+import { useGameControls } from '@pages/play/hooks/useGameControls';
+import { useAnswerSelection } from '@pages/play/hooks/useAnswerSelection';
+import { useLifelineManagement } from '@pages/play/hooks/useLifelineManagement';
+
+/**
+ * SimulationHarness Component
+ *
+ * Purpose: Mounts the /play hooks off-screen so the simulator presses the
+ * same buttons the host does
+ *
+ * Renders nothing. After every commit it hands the latest hook values to
+ * `onCommit`, together with `rerender` so the simulator can wait for a
+ * render that has seen the latest store state (handlers close over render
+ * values, e.g. handleLoadQuestion's nextQuestionNumber).
+ *
+ * @param {Object} props
+ * @param {Function} props.onCommit - ({ controls, answers, lifelines, rerender }) => void
+ */
+export default function SimulationHarness({ onCommit }) {
+  const controls = useGameControls();
+  const answers = useAnswerSelection();
+  const lifelines = useLifelineManagement();
+  const [, rerender] = useReducer((count) => count + 1, 0);
+
+  useEffect(() => {
+    onCommit({ controls, answers, lifelines, rerender });
+  });
+
+  return null;
+}
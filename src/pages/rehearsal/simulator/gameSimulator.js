@@ -0,0 +1,557 @@
+// src/pages/rehearsal/simulator/gameSimulator.js
+
+import { createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import {
+  databaseService,
+  DB_PATHS,
+  getDatabaseBackend,
+  getDatabaseBackendName,
+  setDatabaseBackend,
+  createMemoryCopyOfDatabase,
+} from '@services/database.service';
+import { createRecordingBackend } from '@services/backends/recording.backend';
+import { useGameStore } from '@stores/useGameStore';
+import { useTeamsStore } from '@stores/useTeamsStore';
+import { useQuestionsStore } from '@stores/useQuestionsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { usePrizeStore } from '@stores/usePrizeStore';
+import {
+  useHostSessionStore,
+  READ_ONLY_SESSION_ERROR,
+} from '@stores/useHostSessionStore';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import { generatePlayQueue } from '@utils/gameInitialization';
+import { SIMULATED_ANSWER } from '@utils/gameplay/simulationBehaviour';
+import { shouldUseEmulator } from '@utils/firebaseEnvironment';
+import { GAME_STATUS } from '@constants/gameStates';
+import { LIFELINE_TYPE, isTerminalTeamStatus } from '@constants/teamStates';
+import { ANSWER_OPTIONS } from '@constants/config';
+import { CONNECTION_STATUS, DATABASE_BACKENDS } from '@constants/connection';
+import SimulationHarness from './SimulationHarness';
+
+/**
+ * Game Simulator
+ *
+ * Purpose: Play a whole game unattended for rehearsals and load checks
+ *
+ * Drives the real /play hooks (mounted by SimulationHarness) and stores:
+ * initializeGame → startGame → load / push / lifelines / lock → nextTeam
+ * → completeGame, with every team's choices made by a behaviour from
+ * utils/gameplay/simulationBehaviour.
+ *
+ * Targets:
+ * - memory: a throw-away in-memory copy of the setup data (question sets,
+ *   teams, prizes, config). The event's database is never written.
+ * - live: the connected database — only the emulator or a non-Firebase
+ *   backend, only while the game is NOT_STARTED, and only from the
+ *   controlling host session. The game is left COMPLETED afterwards.
+ *
+ * Every write to game-state and teams is captured in the run report
+ * (see createRecordingBackend).
+ */
+
+/**
+ * Where a rehearsal runs
+ * @readonly
+ * @enum {string}
+ */
+export const SIMULATION_TARGET = {
+  MEMORY: 'memory',
+  LIVE: 'live',
+};
+
+/**
+ * Outcome of a run
+ * @readonly
+ * @enum {string}
+ */
+export const SIMULATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Nodes whose writes are reported
+const RECORDED_NODES = [DB_PATHS.GAME_STATE, DB_PATHS.TEAMS];
+
+// Safety net against a team that never reaches a terminal status
+const MAX_ROUNDS_PER_TEAM = 50;
+
+const SKIP_REASON = 'Rehearsal skip';
+
+/**
+ * Check whether a run can start on a target
+ * @param {string} target - SIMULATION_TARGET value
+ * @returns {Promise<{ canRun: boolean, error: string|null }>}
+ */
+export const checkSimulationTarget = async (target) => {
+  if (target === SIMULATION_TARGET.MEMORY) {
+    return { canRun: true, error: null };
+  }
+
+  if (
+    getDatabaseBackendName() === DATABASE_BACKENDS.FIREBASE &&
+    !shouldUseEmulator()
+  ) {
+    return {
+      canRun: false,
+      error:
+        'Live rehearsals only run against the emulator. Use the in-memory copy here.',
+    };
+  }
+
+  const gameState = await databaseService.getGameState();
+  if (
+    (gameState?.gameStatus ?? GAME_STATUS.NOT_STARTED) !==
+    GAME_STATUS.NOT_STARTED
+  ) {
+    return {
+      canRun: false,
+      error:
+        'Reset the game first — a live rehearsal needs a game that has not started.',
+    };
+  }
+
+  if (!useHostSessionStore.getState().isController) {
+    return { canRun: false, error: READ_ONLY_SESSION_ERROR };
+  }
+
+  return { canRun: true, error: null };
+};
+
+/**
+ * Wait `ms` milliseconds (returns early when the run is cancelled)
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const pause = (ms, signal) =>
+  new Promise((resolve) => {
+    if (!ms || signal?.aborted) {
+      resolve();
+      return;
+    }
+
+    const timeout = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timeout);
+      resolve();
+    });
+  });
+
+/**
+ * Mount SimulationHarness in a detached root
+ * `settle()` resolves once a render that has seen the current store state
+ * has committed, so the hook handlers read fresh values.
+ * @returns {{ hooks: Object, settle: Function, unmount: Function }}
+ */
+const mountHarness = () => {
+  const root = createRoot(document.createElement('div'));
+  let latest = null;
+  let waiters = [];
+
+  const onCommit = (hooks) => {
+    latest = hooks;
+    const ready = waiters;
+    waiters = [];
+    ready.forEach((resolve) => resolve());
+  };
+
+  root.render(createElement(SimulationHarness, { onCommit }));
+
+  return {
+    get hooks() {
+      return latest;
+    },
+    settle: () =>
+      new Promise((resolve) => {
+        waiters.push(resolve);
+        latest?.rerender();
+      }),
+    unmount: () => root.unmount(),
+  };
+};
+
+/**
+ * Lifelines the current team can use right now
+ * @param {Object} lifelines - useLifelineManagement() values
+ * @returns {string[]} LIFELINE_TYPE values
+ */
+const getAvailableLifelines = (lifelines) =>
+  [
+    [LIFELINE_TYPE.FIFTY_FIFTY, lifelines.canUseFiftyFifty],
+    [LIFELINE_TYPE.PHONE_A_FRIEND, lifelines.canUsePhone],
+    [LIFELINE_TYPE.AUDIENCE_POLL, lifelines.canUseAudiencePoll],
+    [LIFELINE_TYPE.SWITCH_QUESTION, lifelines.canUseSwitchQuestion],
+  ]
+    .filter(([, canUse]) => canUse)
+    .map(([type]) => type);
+
+/**
+ * Pick the option a simulated team locks
+ * @param {string} answer - SIMULATED_ANSWER.CORRECT or WRONG
+ * @returns {string} Option key (A-D)
+ */
+const pickOption = (answer) => {
+  const { hostQuestion, filteredOptions } = useQuestionsStore.getState();
+  const options = filteredOptions ?? ANSWER_OPTIONS;
+
+  return answer === SIMULATED_ANSWER.CORRECT
+    ? hostQuestion.correctAnswer
+    : options.find((option) => option !== hostQuestion.correctAnswer);
+};
+
+/**
+ * Audience votes leaning towards the correct answer
+ * @returns {Object<string, number>} Votes keyed by lowercase option
+ */
+const simulateVotes = () => {
+  const { hostQuestion, filteredOptions } = useQuestionsStore.getState();
+  const options = filteredOptions ?? ANSWER_OPTIONS;
+
+  return Object.fromEntries(
+    options.map((option, index) => [
+      option.toLowerCase(),
+      option === hostQuestion.correctAnswer ? 60 : 10 + index * 5,
+    ]),
+  );
+};
+
+/**
+ * Run a lifeline through the same hook actions the lifeline dialogs use
+ * @param {string} type - LIFELINE_TYPE value
+ * @param {Object} harness - From mountHarness()
+ * @param {Function} wait - Pacing between host actions
+ */
+const runLifeline = async (type, harness, wait) => {
+  const { lifelines } = harness.hooks;
+  const activate = {
+    [LIFELINE_TYPE.FIFTY_FIFTY]: lifelines.activateFiftyFifty,
+    [LIFELINE_TYPE.PHONE_A_FRIEND]: lifelines.activatePhoneAFriend,
+    [LIFELINE_TYPE.AUDIENCE_POLL]: lifelines.activateAudiencePoll,
+    [LIFELINE_TYPE.SWITCH_QUESTION]: lifelines.activateSwitchQuestion,
+  }[type];
+
+  const result = await activate();
+  if (!result.success) throw new Error(result.error);
+  await harness.settle();
+  await wait();
+
+  if (type === LIFELINE_TYPE.PHONE_A_FRIEND) {
+    const resumeResult = await harness.hooks.lifelines.resumeFromPhoneAFriend();
+    if (!resumeResult.success) throw new Error(resumeResult.error);
+  }
+
+  if (type === LIFELINE_TYPE.AUDIENCE_POLL) {
+    const closeResult =
+      await harness.hooks.lifelines.closeAudiencePoll(simulateVotes());
+    if (!closeResult.success) throw new Error(closeResult.error);
+  }
+
+  await harness.settle();
+};
+
+/**
+ * Point the stores at the active backend's data
+ */
+const reloadStores = async () => {
+  useGameStore.getState().resetGame();
+  useQuestionsStore.getState().clearHostQuestion();
+  await useConfigStore.getState().loadConfig();
+  await usePrizeStore.getState().loadPrizeStructure();
+  await useTeamsStore.getState().syncTeamsFromFirebase();
+  await useGameStore.getState().loadFromFirebase();
+};
+
+/**
+ * Final status and prize of every team, plus write counts per node
+ * @param {Object} report
+ * @returns {Object}
+ */
+const summarize = (report) => {
+  const { teams } = useTeamsStore.getState();
+  const { playQueue } = useGameStore.getState();
+
+  return {
+    gameStatus: useGameStore.getState().gameStatus,
+    teams: playQueue.map((teamId) => ({
+      teamId,
+      name: teams[teamId]?.name ?? teamId,
+      status: teams[teamId]?.status ?? null,
+      currentPrize: teams[teamId]?.currentPrize ?? 0,
+      questionsAnswered: teams[teamId]?.questionsAnswered ?? 0,
+    })),
+    writeCounts: RECORDED_NODES.reduce((counts, node) => {
+      counts[node] = report.writes.filter(
+        ({ path }) => path === node || path.startsWith(`${node}/`),
+      ).length;
+      return counts;
+    }, {}),
+  };
+};
+
+/**
+ * Play one team until it is eliminated, completes or walks away
+ * @param {Object} context
+ */
+const playTeam = async ({
+  teamId,
+  position,
+  harness,
+  behaviour,
+  wait,
+  step,
+  signal,
+}) => {
+  const isTeamDone = () =>
+    isTerminalTeamStatus(useTeamsStore.getState().teams[teamId]?.status);
+
+  for (let round = 0; !isTeamDone(); round += 1) {
+    if (signal?.aborted) return;
+    if (round >= MAX_ROUNDS_PER_TEAM) {
+      throw new Error(`Team ${teamId} did not finish — stopping the run`);
+    }
+
+    const questionNumber = harness.hooks.controls.nextQuestionNumber;
+
+    await harness.hooks.controls.handleLoadQuestion();
+    await harness.settle();
+    step('load-question', { questionNumber });
+    await wait();
+
+    await harness.hooks.controls.handleShowQuestion();
+    await harness.settle();
+    step('push-to-display', { questionNumber });
+    await wait();
+
+    const decision = behaviour({
+      position,
+      questionNumber,
+      availableLifelines: getAvailableLifelines(harness.hooks.lifelines),
+    });
+
+    if (decision.answer === SIMULATED_ANSWER.WALK_AWAY) {
+      await harness.hooks.controls.executeWalkAway();
+      await harness.settle();
+      step('walk-away', { questionNumber });
+      return;
+    }
+
+    if (decision.answer === SIMULATED_ANSWER.SKIP) {
+      await harness.hooks.controls.executeSkipQuestion({
+        reason: SKIP_REASON,
+      });
+      await harness.settle();
+      step('skip-question', { questionNumber });
+      await wait();
+      continue;
+    }
+
+    if (decision.lifeline) {
+      const available = getAvailableLifelines(harness.hooks.lifelines);
+
+      if (available.includes(decision.lifeline)) {
+        await runLifeline(decision.lifeline, harness, wait);
+        step('lifeline', { questionNumber, lifeline: decision.lifeline });
+      } else {
+        step(
+          'lifeline',
+          { questionNumber, lifeline: decision.lifeline },
+          'Not available — answering without it',
+        );
+      }
+    }
+
+    const option = pickOption(decision.answer);
+    harness.hooks.answers.selectAnswer(option);
+    await harness.settle();
+    await harness.hooks.answers.lockAnswer();
+    await harness.settle();
+    step('lock-answer', {
+      questionNumber,
+      option,
+      isCorrect: decision.answer === SIMULATED_ANSWER.CORRECT,
+    });
+    await wait();
+  }
+};
+
+/**
+ * Run a whole simulated game
+ *
+ * Never throws: failures end up in report.status / report.error.
+ *
+ * @param {Object} options
+ * @param {string} options.target - SIMULATION_TARGET value
+ * @param {Function} options.behaviour - From createRandomBehaviour / createScriptedBehaviour
+ * @param {number} [options.stepDelay=0] - Pause between host actions (ms)
+ * @param {AbortSignal} [options.signal] - Cancels the run between actions
+ * @param {Function} [options.onProgress] - Called with the report after every action
+ * @returns {Promise<Object>} Run report
+ */
+export const runGameSimulation = async ({
+  target,
+  behaviour,
+  stepDelay = 0,
+  signal,
+  onProgress,
+}) => {
+  const startedAt = Date.now();
+  const report = {
+    target,
+    backend: getDatabaseBackendName(),
+    behaviour: behaviour.label ?? 'custom',
+    stepDelay,
+    startedAt,
+    finishedAt: null,
+    durationMs: null,
+    status: SIMULATION_STATUS.RUNNING,
+    error: null,
+    steps: [],
+    writes: [],
+    summary: null,
+  };
+
+  const notify = () => onProgress?.({ ...report });
+  const wait = () => pause(stepDelay, signal);
+
+  const step = (action, detail = {}, error = null) => {
+    const { currentTeamId } = useGameStore.getState();
+    report.steps.push({
+      at: Date.now(),
+      teamId: currentTeamId,
+      teamName: useTeamsStore.getState().teams[currentTeamId]?.name ?? null,
+      action,
+      detail,
+      error,
+    });
+    notify();
+  };
+
+  const { canRun, error: targetError } = await checkSimulationTarget(target);
+  if (!canRun) {
+    return {
+      ...report,
+      status: SIMULATION_STATUS.FAILED,
+      error: targetError,
+      finishedAt: Date.now(),
+      durationMs: Date.now() - startedAt,
+    };
+  }
+
+  const originalBackend = getDatabaseBackend();
+  const { isController } = useHostSessionStore.getState();
+  const { status: connectionStatus } = useConnectionStore.getState();
+  const stopListeners = [];
+  let harness = null;
+
+  try {
+    const simulationBackend =
+      target === SIMULATION_TARGET.MEMORY
+        ? await createMemoryCopyOfDatabase()
+        : originalBackend;
+
+    setDatabaseBackend(
+      createRecordingBackend(simulationBackend, {
+        nodes: RECORDED_NODES,
+        onWrite: (write) => report.writes.push(write),
+      }),
+    );
+
+    if (target === SIMULATION_TARGET.MEMORY) {
+      // The copy is local to this tab: it is always the controller, always online
+      useHostSessionStore.setState({ isController: true });
+      useConnectionStore.setState({ status: CONNECTION_STATUS.ONLINE });
+    }
+
+    console.log(`🎬 Rehearsal started (${target}, ${report.behaviour})`);
+
+    await reloadStores();
+    stopListeners.push(
+      useGameStore.getState().startGameListener(),
+      useTeamsStore.getState().startTeamsListener(),
+    );
+
+    const teamsResult = await useTeamsStore.getState().resetAllTeamsProgress();
+    if (!teamsResult.success) throw new Error(teamsResult.error);
+
+    const { sets } = await databaseService.getQuestionSetsMetadata();
+    const queue = generatePlayQueue(
+      Object.values(useTeamsStore.getState().teams),
+      sets ?? [],
+    );
+    if (!queue.success) throw new Error(queue.errors.join(', '));
+
+    const { initializeGame, startGame } = useGameStore.getState();
+    const initResult = await initializeGame(
+      queue.playQueue,
+      queue.questionSetAssignments,
+    );
+    if (!initResult.success) throw new Error(initResult.error);
+    step('initialize-game', { teams: queue.playQueue.length });
+
+    const startResult = await startGame(queue.playQueue[0]);
+    if (!startResult.success) throw new Error(startResult.error);
+    step('start-game');
+
+    harness = mountHarness();
+    await harness.settle();
+
+    for (const [position, teamId] of queue.playQueue.entries()) {
+      await playTeam({
+        teamId,
+        position,
+        harness,
+        behaviour,
+        wait,
+        step,
+        signal,
+      });
+      if (signal?.aborted) break;
+
+      // The last team's outcome completes the game; nextTeam covers the rest
+      if (useGameStore.getState().gameStatus !== GAME_STATUS.COMPLETED) {
+        await harness.hooks.controls.handleNextTeam();
+        await harness.settle();
+        step('next-team');
+      }
+    }
+
+    if (signal?.aborted) {
+      report.status = SIMULATION_STATUS.CANCELLED;
+    } else if (useGameStore.getState().gameStatus !== GAME_STATUS.COMPLETED) {
+      throw new Error('All teams played but the game did not complete');
+    } else {
+      report.status = SIMULATION_STATUS.COMPLETED;
+    }
+  } catch (error) {
+    console.error('Rehearsal failed:', error);
+    report.status = SIMULATION_STATUS.FAILED;
+    report.error = error.message;
+    step('error', {}, error.message);
+  } finally {
+    harness?.unmount();
+    report.summary = summarize(report);
+
+    stopListeners.forEach((unsubscribe) => unsubscribe());
+    setDatabaseBackend(originalBackend);
+
+    if (target === SIMULATION_TARGET.MEMORY) {
+      useHostSessionStore.setState({ isController });
+      useConnectionStore.setState({ status: connectionStatus });
+      // Back to the event's own data
+      await reloadStores();
+    }
+
+    report.finishedAt = Date.now();
+    report.durationMs = report.finishedAt - startedAt;
+    notify();
+    console.log(
+      `🎬 Rehearsal ${report.status}: ${report.steps.length} actions, ${report.writes.length} writes in ${report.durationMs}ms`,
+    );
+  }
+
+  return report;
+};
@@ -0,0 +1,172 @@
+// src/pages/rehearsal/simulator/gameSimulator.test.js
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  databaseService,
+  setDatabaseBackend,
+  createDatabaseBackend,
+  getDatabaseBackend,
+} from '@services/database.service';
+import { useGameStore } from '@stores/useGameStore';
+import { useTeamsStore } from '@stores/useTeamsStore';
+import { useQuestionsStore } from '@stores/useQuestionsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { usePrizeStore } from '@stores/usePrizeStore';
+import {
+  useHostSessionStore,
+  READ_ONLY_SESSION_ERROR,
+} from '@stores/useHostSessionStore';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import {
+  createRandomBehaviour,
+  createScriptedBehaviour,
+} from '@utils/gameplay/simulationBehaviour';
+import { DATABASE_BACKENDS, CONNECTION_STATUS } from '@constants/connection';
+import { GAME_STATUS } from '@constants/gameStates';
+import { TEAM_STATUS, LIFELINE_TYPE } from '@constants/teamStates';
+import { buildQuestionSet, buildTeam } from '@/test/fixtures';
+import {
+  runGameSimulation,
+  SIMULATION_TARGET,
+  SIMULATION_STATUS,
+} from './gameSimulator';
+
+/**
+ * Game Simulator
+ * Runs whole rehearsals on the in-memory backend, which stands in for both
+ * the event's database and the emulator
+ */
+
+const STORES = [
+  useGameStore,
+  useTeamsStore,
+  useQuestionsStore,
+  useConfigStore,
+  usePrizeStore,
+  useHostSessionStore,
+  useConnectionStore,
+];
+
+const TEAM_NAMES = ['Night Owls', 'Early Birds', 'Quiz Whizzes'];
+
+beforeEach(async () => {
+  setDatabaseBackend(createDatabaseBackend(DATABASE_BACKENDS.MEMORY));
+  STORES.forEach((store) => store.setState(store.getInitialState(), true));
+
+  await databaseService.updateConfig({ questionsPerTeam: 3 });
+  for (const [index, name] of TEAM_NAMES.entries()) {
+    await databaseService.saveQuestionSet(
+      buildQuestionSet(`set-${index + 1}`, ['A', 'B', 'C']),
+    );
+    await databaseService.createTeam(buildTeam(name));
+  }
+});
+
+describe('in-memory target', () => {
+  it('plays a whole game without touching the database', async () => {
+    const eventBackend = getDatabaseBackend();
+
+    const report = await runGameSimulation({
+      target: SIMULATION_TARGET.MEMORY,
+      behaviour: createRandomBehaviour({ seed: 7 }),
+    });
+
+    expect(report.status).toBe(SIMULATION_STATUS.COMPLETED);
+    expect(report.summary.gameStatus).toBe(GAME_STATUS.COMPLETED);
+    expect(report.summary.teams).toHaveLength(TEAM_NAMES.length);
+    report.summary.teams.forEach(({ status }) =>
+      expect(status).not.toBe(TEAM_STATUS.WAITING),
+    );
+
+    // Every write landed under game-state or teams and was counted
+    const { writeCounts } = report.summary;
+    expect(writeCounts['game-state']).toBeGreaterThan(0);
+    expect(writeCounts.teams).toBeGreaterThan(0);
+    expect(writeCounts['game-state'] + writeCounts.teams).toBe(
+      report.writes.length,
+    );
+
+    // The event's data is untouched and the stores point back at it
+    expect(getDatabaseBackend()).toBe(eventBackend);
+    expect((await databaseService.getGameState()).gameStatus).toBe(
+      GAME_STATUS.NOT_STARTED,
+    );
+    Object.values(await databaseService.getTeams()).forEach(({ status }) =>
+      expect(status).toBe(TEAM_STATUS.WAITING),
+    );
+    expect(useGameStore.getState().gameStatus).toBe(GAME_STATUS.NOT_STARTED);
+    expect(useHostSessionStore.getState().isController).toBe(false);
+  });
+});
+
+describe('live target', () => {
+  beforeEach(() => {
+    useHostSessionStore.setState({ isController: true });
+    useConnectionStore.setState({ status: CONNECTION_STATUS.ONLINE });
+  });
+
+  it('follows a script of answers, lifelines and walk-aways', async () => {
+    const report = await runGameSimulation({
+      target: SIMULATION_TARGET.LIVE,
+      behaviour: createScriptedBehaviour({
+        teams: [
+          [
+            'correct',
+            { lifeline: LIFELINE_TYPE.FIFTY_FIFTY, answer: 'correct' },
+          ],
+          ['correct', 'walk-away'],
+          ['skip', 'wrong'],
+        ],
+      }),
+    });
+
+    expect(report.status).toBe(SIMULATION_STATUS.COMPLETED);
+    expect(report.summary.teams.map(({ status }) => status)).toEqual([
+      TEAM_STATUS.COMPLETED,
+      TEAM_STATUS.WALKED_AWAY,
+      TEAM_STATUS.ELIMINATED,
+    ]);
+    expect(report.steps.map(({ action }) => action)).toEqual(
+      expect.arrayContaining(['lifeline', 'walk-away', 'skip-question']),
+    );
+
+    // The run played on the connected database
+    expect((await databaseService.getGameState()).gameStatus).toBe(
+      GAME_STATUS.COMPLETED,
+    );
+    expect(
+      report.writes.some(({ path }) =>
+        path.endsWith('lifelines-available/fifty-fifty'),
+      ),
+    ).toBe(true);
+  });
+
+  it('refuses to run from a read-only session', async () => {
+    useHostSessionStore.setState({ isController: false });
+
+    const report = await runGameSimulation({
+      target: SIMULATION_TARGET.LIVE,
+      behaviour: createRandomBehaviour({ seed: 1 }),
+    });
+
+    expect(report).toMatchObject({
+      status: SIMULATION_STATUS.FAILED,
+      error: READ_ONLY_SESSION_ERROR,
+      writes: [],
+    });
+  });
+
+  it('refuses to run over a game that has started', async () => {
+    await databaseService.updateGameState({
+      gameStatus: GAME_STATUS.INITIALIZED,
+    });
+
+    const report = await runGameSimulation({
+      target: SIMULATION_TARGET.LIVE,
+      behaviour: createRandomBehaviour({ seed: 1 }),
+    });
+
+    expect(report.status).toBe(SIMULATION_STATUS.FAILED);
+    expect(report.error).toMatch(/Reset the game first/);
+  });
+});
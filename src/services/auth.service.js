@@ -1,19 +1,74 @@
 // src/services/auth.service.js
 
-import {
-  signInWithEmailAndPassword,
-  signOut,
-  onAuthStateChanged,
-  setPersistence,
-  browserLocalPersistence,
-} from 'firebase/auth';
-import { auth } from '@config/firebase';
+import { DATABASE_BACKEND, DATABASE_BACKENDS } from '@constants/connection';
 
 /**
  * Authentication Service
  * Handles all Firebase Authentication operations
+ *
+ * Firebase Auth (and @config/firebase, which needs a Firebase project) is
+ * loaded on first use. The local database backends (memory, local-storage)
+ * have no Firebase project, so they skip it: the panel starts signed in as
+ * LOCAL_HOST, any email/password signs in again after a logout, and the
+ * session lasts until the page reloads.
  */
 
+/**
+ * Whether hosts sign in with Firebase Auth
+ */
+const USES_FIREBASE_AUTH = DATABASE_BACKEND === DATABASE_BACKENDS.FIREBASE;
+
+/**
+ * Host signed in on the local database backends
+ */
+export const LOCAL_HOST = {
+  uid: 'local-host',
+  email: 'host@localhost',
+  emailVerified: true,
+};
+
+// ============================================================================
+// FIREBASE AUTH (loaded on first use)
+// ============================================================================
+
+let firebaseAuth = null;
+let firebaseAuthLoading = null;
+
+/**
+ * Load the Firebase Auth SDK and the app's Auth instance
+ * @returns {Promise<{ sdk: Object, auth: import('firebase/auth').Auth }>}
+ */
+const loadFirebaseAuth = () => {
+  firebaseAuthLoading ??= Promise.all([
+    import('firebase/auth'),
+    import('@config/firebase'),
+  ]).then(([sdk, { auth }]) => {
+    firebaseAuth = { sdk, auth };
+    return firebaseAuth;
+  });
+  return firebaseAuthLoading;
+};
+
+// ============================================================================
+// LOCAL AUTH (memory / local-storage backends)
+// ============================================================================
+
+let localUser = LOCAL_HOST;
+const localAuthListeners = new Set();
+
+/**
+ * Change the local session and notify onAuthChange() subscribers
+ * @param {Object|null} user
+ */
+const setLocalUser = (user) => {
+  localUser = user;
+  localAuthListeners.forEach((callback) => callback(user));
+};
+
+// ============================================================================
+// AUTH OPERATIONS
+// ============================================================================
+
 /**
  * Login with email and password
  * @param {string} email - User email
@@ -21,11 +76,19 @@ import { auth } from '@config/firebase';
  * @returns {Promise<UserCredential>} User credential object
  */
 export const login = async (email, password) => {
+  if (!USES_FIREBASE_AUTH) {
+    setLocalUser({ ...LOCAL_HOST, email: email || LOCAL_HOST.email });
+    console.log('✅ Local login:', localUser.email);
+    return { success: true, user: localUser, error: null };
+  }
+
   try {
+    const { sdk, auth } = await loadFirebaseAuth();
+
     // Set persistence to LOCAL (session persists across browser restarts)
-    await setPersistence(auth, browserLocalPersistence);
+    await sdk.setPersistence(auth, sdk.browserLocalPersistence);
 
-    const userCredential = await signInWithEmailAndPassword(
+    const userCredential = await sdk.signInWithEmailAndPassword(
       auth,
       email,
       password,
@@ -56,8 +119,14 @@ export const login = async (email, password) => {
  * @returns {Promise<Object>} Success/error object
  */
 export const logout = async () => {
+  if (!USES_FIREBASE_AUTH) {
+    setLocalUser(null);
+    return { success: true, error: null };
+  }
+
   try {
-    await signOut(auth);
+    const { sdk, auth } = await loadFirebaseAuth();
+    await sdk.signOut(auth);
     console.log('✅ Logout successful');
     return {
       success: true,
@@ -74,13 +143,38 @@ export const logout = async () => {
 
 /**
  * Subscribe to authentication state changes
+ * Like Firebase, the callback fires first with the current user.
  * @param {Function} callback - Callback function called when auth state changes
  * @returns {Function} Unsubscribe function
  */
 export const onAuthChange = (callback) => {
-  return onAuthStateChanged(auth, (user) => {
-    callback(user);
-  });
+  if (!USES_FIREBASE_AUTH) {
+    localAuthListeners.add(callback);
+    queueMicrotask(() => {
+      if (localAuthListeners.has(callback)) callback(localUser);
+    });
+    return () => localAuthListeners.delete(callback);
+  }
+
+  let unsubscribe = null;
+  let isCancelled = false;
+
+  loadFirebaseAuth()
+    .then(({ sdk, auth }) => {
+      if (isCancelled) return;
+      unsubscribe = sdk.onAuthStateChanged(auth, (user) => {
+        callback(user);
+      });
+    })
+    .catch((error) => {
+      console.error('❌ Firebase Auth failed to load:', error.message);
+      callback(null);
+    });
+
+  return () => {
+    isCancelled = true;
+    unsubscribe?.();
+  };
 };
 
 /**
@@ -88,7 +182,8 @@ export const onAuthChange = (callback) => {
  * @returns {User|null} Current Firebase user or null
  */
 export const getCurrentUser = () => {
-  return auth.currentUser;
+  if (!USES_FIREBASE_AUTH) return localUser;
+  return firebaseAuth?.auth.currentUser ?? null;
 };
 
 /**
@@ -96,7 +191,7 @@ export const getCurrentUser = () => {
  * @returns {boolean} True if user is logged in
  */
 export const isAuthenticated = () => {
-  return !!auth.currentUser;
+  return !!getCurrentUser();
 };
 
 /**
@@ -104,7 +199,7 @@ export const isAuthenticated = () => {
  * @returns {string|null} User email or null
  */
 export const getUserEmail = () => {
-  return auth.currentUser?.email || null;
+  return getCurrentUser()?.email || null;
 };
 
 /**
@@ -112,7 +207,7 @@ export const getUserEmail = () => {
  * @returns {string|null} User ID or null
  */
 export const getUserId = () => {
-  return auth.currentUser?.uid || null;
+  return getCurrentUser()?.uid || null;
 };
 
 /**
@@ -0,0 +1,105 @@
+// src/services/backends/firebase.backend.js
+
+import {
+  ref,
+  get,
+  set,
+  update,
+  remove,
+  push,
+  onValue,
+  query,
+  orderByChild,
+  limitToLast,
+  serverTimestamp,
+  increment,
+  onDisconnect,
+  runTransaction,
+} from 'firebase/database';
+import { database } from '@config/firebase';
+
+/**
+ * Firebase Database Backend
+ *
+ * Purpose: Realtime Database adapter behind database.service (the default
+ * backend, VITE_DATABASE_BACKEND=firebase)
+ *
+ * Every method takes a slash-separated path ('/' or '' is the root) and
+ * mirrors the matching Firebase SDK call, so database.service never
+ * touches `ref()` or a Database instance directly.
+ *
+ * Backend interface (shared with memory.backend):
+ * - get(path) → Promise<snapshot>
+ * - set(path, value) / update(path, values) / remove(path) → Promise<void>
+ *   (update takes multi-path keys relative to `path`)
+ * - pushKey(path) → new chronological child key
+ * - onValue(path, callback, { orderByChild, limitToLast, onError }) → unsubscribe
+ * - runTransaction(path, updateFn) → Promise<{ committed, snapshot }>
+ * - serverTimestamp() / increment(delta) → write sentinels
+ * - onDisconnectRemove(path) / cancelOnDisconnect(path) → Promise<void>
+ * - onConnectedChange(callback) → unsubscribe
+ *
+ * Snapshots expose `key`, `exists()`, `val()` and `forEach()`.
+ */
+
+/**
+ * Build a reference for a path
+ * @param {string} path - Slash-separated path ('/' or '' for the root)
+ * @returns {import('firebase/database').DatabaseReference}
+ */
+const toRef = (path) => {
+  const trimmed = path.replace(/^\/+|\/+$/g, '');
+  return trimmed ? ref(database, trimmed) : ref(database);
+};
+
+/**
+ * Create the Firebase backend
+ * @returns {Object} Database backend
+ */
+export const createFirebaseBackend = () => ({
+  name: 'firebase',
+
+  get: (path) => get(toRef(path)),
+
+  set: (path, value) => set(toRef(path), value),
+
+  update: (path, values) => update(toRef(path), values),
+
+  remove: (path) => remove(toRef(path)),
+
+  pushKey: (path) => push(toRef(path)).key,
+
+  onValue: (path, callback, options = {}) => {
+    const constraints = [];
+    if (options.orderByChild) {
+      constraints.push(orderByChild(options.orderByChild));
+    }
+    if (options.limitToLast) {
+      constraints.push(limitToLast(options.limitToLast));
+    }
+
+    const target = constraints.length
+      ? query(toRef(path), ...constraints)
+      : toRef(path);
+
+    // onValue's own unsubscribe only detaches this callback, unlike off()
+    return onValue(target, callback, options.onError);
+  },
+
+  runTransaction: (path, updateFn) => runTransaction(toRef(path), updateFn),
+
+  serverTimestamp: () => serverTimestamp(),
+
+  increment: (delta) => increment(delta),
+
+  onDisconnectRemove: (path) => onDisconnect(toRef(path)).remove(),
+
+  cancelOnDisconnect: (path) => onDisconnect(toRef(path)).cancel(),
+
+  onConnectedChange: (callback) =>
+    onValue(ref(database, '.info/connected'), (snapshot) => {
+      callback(snapshot.val() === true);
+    }),
+});
+
+export default createFirebaseBackend;
@@ -0,0 +1,96 @@
+// src/services/backends/lazy.backend.js
+
+import { createPushIdGenerator } from '@services/backends/pushId';
+
+/**
+ * Lazy Database Backend
+ *
+ * Purpose: Stands in for a backend whose module is loaded on first use
+ * (the Firebase backend), so the memory and local-storage backends never
+ * load the Firebase SDK or need a Firebase project
+ *
+ * Writes and reads wait for the backend to load. Listeners attach once it
+ * has loaded (and not at all if unsubscribed before). Before then:
+ * - pushKey() returns an ID from a local push ID generator
+ * - serverTimestamp() / increment() return the Realtime Database wire
+ *   sentinels, which is what the SDK returns too
+ *
+ * If loading fails (e.g. Firebase env vars missing), every call rejects
+ * with that error and listeners receive it through `onError`.
+ */
+
+/**
+ * Wrap a backend loader
+ * @param {string} name - Backend name (DATABASE_BACKENDS value)
+ * @param {Function} loadBackend - () => Promise<backend>
+ * @returns {Object} Database backend
+ */
+export const createLazyBackend = (name, loadBackend) => {
+  let inner = null;
+  let loading = null;
+  const nextPushId = createPushIdGenerator();
+
+  const load = () => {
+    loading ??= loadBackend().then((backend) => {
+      inner = backend;
+      return backend;
+    });
+    return loading;
+  };
+
+  const call =
+    (method) =>
+    async (...args) =>
+      (await load())[method](...args);
+
+  // Attach once loaded; the returned unsubscribe works either side of that
+  const subscribe = (attach, onError) => {
+    let unsubscribe = null;
+    let isCancelled = false;
+
+    load()
+      .then((backend) => {
+        if (!isCancelled) unsubscribe = attach(backend);
+      })
+      .catch((error) => {
+        console.error(`Failed to load the ${name} backend:`, error);
+        onError?.(error);
+      });
+
+    return () => {
+      isCancelled = true;
+      unsubscribe?.();
+    };
+  };
+
+  return {
+    name,
+
+    get: call('get'),
+    set: call('set'),
+    update: call('update'),
+    remove: call('remove'),
+    runTransaction: call('runTransaction'),
+    onDisconnectRemove: call('onDisconnectRemove'),
+    cancelOnDisconnect: call('cancelOnDisconnect'),
+
+    pushKey: (path) => (inner ? inner.pushKey(path) : nextPushId()),
+
+    serverTimestamp: () =>
+      inner ? inner.serverTimestamp() : { '.sv': 'timestamp' },
+
+    increment: (delta) =>
+      inner ? inner.increment(delta) : { '.sv': { increment: delta } },
+
+    onValue: (path, callback, options = {}) =>
+      subscribe(
+        (backend) => backend.onValue(path, callback, options),
+        options.onError,
+      ),
+
+    onConnectedChange: (callback) =>
+      subscribe((backend) => backend.onConnectedChange(callback)),
+  };
+};
+
+export default createLazyBackend;
@@ -0,0 +1,404 @@
+// src/services/backends/memory.backend.js
+
+import { createPushIdGenerator } from '@services/backends/pushId';
+
+/**
+ * In-Memory Database Backend
+ *
+ * Purpose: Offline stand-in for the Realtime Database behind database.service
+ * (VITE_DATABASE_BACKEND=memory or local-storage), for rehearsals and
+ * automated tests that must run without Firebase or the emulator
+ *
+ * Implements the same interface as firebase.backend and follows the
+ * Realtime Database semantics the service relies on:
+ * - null / empty objects are not stored (writing null removes a node)
+ * - multi-path `update()` is applied atomically (listeners fire once)
+ * - serverTimestamp() / increment() sentinels are resolved on write
+ * - `onValue()` fires with the current value, then on every change
+ * - children are ordered by key (push keys sort chronologically), or by a
+ *   child field with `orderByChild`, and can be limited with `limitToLast`
+ * - transactions commit unless the update function returns undefined
+ *
+ * With `storageKey` the tree is saved to localStorage after every write and
+ * reloaded on startup; other tabs of the same browser pick up changes via
+ * the `storage` event, and onDisconnect removals run on `pagehide`.
+ * The connection is always reported as up.
+ */
+
+// Distinguishes "listener has not fired yet" from a null value
+const UNSET = Symbol('unset');
+
+const INTEGER_KEY = /^-?\d{1,10}$/;
+
+/**
+ * Split a slash-separated path into segments ('/' or '' is the root)
+ * @param {string} path
+ * @returns {string[]}
+ */
+const toSegments = (path) => path.split('/').filter(Boolean);
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+const clone = (value) => (value === null ? null : structuredClone(value));
+
+/**
+ * Prepare a value for storage
+ * Resolves server sentinels, drops null children and collapses empty
+ * objects/arrays to null (as the Realtime Database does).
+ * @param {*} value - Value being written
+ * @param {*} current - Value currently stored at the same location
+ * @param {string} path - Location (for error messages)
+ * @returns {*} Stored value, or null to remove the node
+ */
+const normalize = (value, current, path) => {
+  if (value === undefined) {
+    throw new Error(`Cannot write undefined at /${path}`);
+  }
+  if (value === null || typeof value !== 'object') return value;
+
+  if ('.sv' in value) {
+    const sentinel = value['.sv'];
+    if (sentinel === 'timestamp') return Date.now();
+    if (isObject(sentinel) && typeof sentinel.increment === 'number') {
+      return (typeof current === 'number' ? current : 0) + sentinel.increment;
+    }
+    throw new Error(`Unsupported server value at /${path}`);
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item, index) =>
+      normalize(item, current?.[index] ?? null, `${path}/${index}`),
+    );
+    return items.some((item) => item !== null) ? items : null;
+  }
+
+  const normalized = {};
+  Object.keys(value).forEach((key) => {
+    const child = normalize(
+      value[key],
+      current?.[key] ?? null,
+      `${path}/${key}`,
+    );
+    if (child !== null) normalized[key] = child;
+  });
+  return Object.keys(normalized).length ? normalized : null;
+};
+
+/**
+ * Read the value at a location
+ * @param {*} root - Tree root
+ * @param {string[]} segments
+ * @returns {*} Value or null
+ */
+const readAt = (root, segments) =>
+  segments.reduce(
+    (node, key) => (isObject(node) ? (node[key] ?? null) : null),
+    root,
+  );
+
+/**
+ * Return a copy of `node` with `value` written at `segments`
+ * Untouched subtrees keep their identity, so listeners can detect changes
+ * by reference. Parents left empty by a removal are removed too.
+ * @param {*} node - Current subtree
+ * @param {string[]} segments - Path below `node`
+ * @param {*} value - Normalized value (null removes)
+ * @returns {*} New subtree or null
+ */
+const writeAt = (node, [key, ...rest], value) => {
+  if (key === undefined) return value;
+
+  const copy = Array.isArray(node)
+    ? [...node]
+    : isObject(node)
+      ? { ...node }
+      : {};
+  const child = writeAt(copy[key] ?? null, rest, value);
+
+  if (child === null) {
+    if (Array.isArray(copy)) {
+      copy[key] = null;
+      while (copy.length && copy[copy.length - 1] === null) copy.pop();
+      return copy.some((item) => item !== null) ? copy : null;
+    }
+    delete copy[key];
+    return Object.keys(copy).length ? copy : null;
+  }
+
+  copy[key] = child;
+  return copy;
+};
+
+/**
+ * Realtime Database key order: integer keys numerically, then strings
+ */
+const compareKeys = (a, b) => {
+  const aIsInteger = INTEGER_KEY.test(a);
+  const bIsInteger = INTEGER_KEY.test(b);
+
+  if (aIsInteger && bIsInteger) return Number(a) - Number(b);
+  if (aIsInteger) return -1;
+  if (bIsInteger) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Realtime Database value order for orderByChild:
+ * null, false, true, numbers, strings, objects
+ */
+const rankValue = (value) => {
+  if (value === null) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+};
+
+const compareValues = (a, b) => {
+  const rankDifference = rankValue(a) - rankValue(b);
+  if (rankDifference !== 0) return rankDifference;
+  if (typeof a === 'number') return a - b;
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+};
+
+/**
+ * Build a snapshot for a value
+ * @param {string|null} key - Last path segment (null for the root)
+ * @param {*} value - Stored value
+ * @param {Object} [options] - { orderByChild, limitToLast }
+ * @returns {{ key, exists: Function, val: Function, forEach: Function }}
+ */
+const createSnapshot = (key, value, options = {}) => {
+  let children = isObject(value)
+    ? Object.keys(value)
+        .filter((childKey) => value[childKey] !== null)
+        .sort(compareKeys)
+        .map((childKey) => [childKey, value[childKey]])
+    : [];
+
+  if (options.orderByChild) {
+    const childSegments = toSegments(options.orderByChild);
+    children = [...children].sort(
+      ([aKey, aValue], [bKey, bValue]) =>
+        compareValues(
+          readAt(aValue, childSegments),
+          readAt(bValue, childSegments),
+        ) || compareKeys(aKey, bKey),
+    );
+  }
+
+  if (options.limitToLast) {
+    children = children.slice(-options.limitToLast);
+  }
+
+  const isQuery = !!(options.orderByChild || options.limitToLast);
+  const data = isQuery
+    ? children.length
+      ? Object.fromEntries(children)
+      : null
+    : value;
+
+  return {
+    key,
+    exists: () => data !== null,
+    val: () => clone(data),
+    forEach: (action) =>
+      children.some(
+        ([childKey, childValue]) =>
+          action(createSnapshot(childKey, childValue)) === true,
+      ),
+  };
+};
+
+/**
+ * Create an in-memory backend
+ * @param {Object} [options]
+ * @param {Object} [options.initialData] - Tree to start from (kebab-case, as stored)
+ * @param {string} [options.storageKey] - localStorage key to persist the tree under
+ * @returns {Object} Database backend
+ */
+export const createMemoryBackend = ({
+  initialData = null,
+  storageKey,
+} = {}) => {
+  const hasStorage = !!storageKey && typeof localStorage !== 'undefined';
+
+  const loadStoredTree = () => {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('⚠️ Could not read stored database:', error.message);
+      return null;
+    }
+  };
+
+  let root =
+    (hasStorage && loadStoredTree()) ||
+    (initialData ? normalize(initialData, null, '') : null);
+
+  const listeners = new Set();
+  const disconnectRemovals = new Set();
+
+  const nextPushId = createPushIdGenerator();
+
+  const persist = () => {
+    if (!hasStorage) return;
+
+    try {
+      if (root === null) localStorage.removeItem(storageKey);
+      else localStorage.setItem(storageKey, JSON.stringify(root));
+    } catch (error) {
+      console.warn(
+        '⚠️ Could not save database to localStorage:',
+        error.message,
+      );
+    }
+  };
+
+  const deliver = (listener, value) => {
+    listener.last = value;
+    listener.callback(
+      createSnapshot(listener.segments.at(-1) ?? null, value, listener.options),
+    );
+  };
+
+  // Fire every listener whose value changed (by reference, then by content)
+  const notify = () => {
+    listeners.forEach((listener) => {
+      const value = readAt(root, listener.segments);
+      if (value === listener.last) return;
+
+      if (
+        listener.last !== UNSET &&
+        JSON.stringify(value) === JSON.stringify(listener.last)
+      ) {
+        listener.last = value;
+        return;
+      }
+
+      deliver(listener, value);
+    });
+  };
+
+  /**
+   * Apply writes as one change: [segments, value] pairs
+   * Nothing is stored if any value is invalid.
+   */
+  const commit = (writes) => {
+    root = writes.reduce(
+      (tree, [segments, value]) =>
+        writeAt(
+          tree,
+          segments,
+          normalize(value, readAt(tree, segments), segments.join('/')),
+        ),
+      root,
+    );
+
+    persist();
+    notify();
+  };
+
+  if (hasStorage && typeof window !== 'undefined') {
+    // Another tab wrote the tree
+    window.addEventListener('storage', (event) => {
+      if (event.key !== storageKey) return;
+      root = event.newValue ? JSON.parse(event.newValue) : null;
+      notify();
+    });
+
+    window.addEventListener('pagehide', () => {
+      if (!disconnectRemovals.size) return;
+      commit([...disconnectRemovals].map((path) => [toSegments(path), null]));
+    });
+  }
+
+  return {
+    name: hasStorage ? 'local-storage' : 'memory',
+
+    get: async (path) => {
+      const segments = toSegments(path);
+      return createSnapshot(segments.at(-1) ?? null, readAt(root, segments));
+    },
+
+    set: async (path, value) => {
+      commit([[toSegments(path), value]]);
+    },
+
+    update: async (path, values) => {
+      const base = toSegments(path);
+      commit(
+        Object.keys(values).map((key) => [
+          [...base, ...toSegments(key)],
+          values[key],
+        ]),
+      );
+    },
+
+    remove: async (path) => {
+      commit([[toSegments(path), null]]);
+    },
+
+    // Same shape and ordering as Firebase push IDs
+    pushKey: () => nextPushId(),
+
+    onValue: (path, callback, options = {}) => {
+      const listener = {
+        segments: toSegments(path),
+        callback,
+        options,
+        last: UNSET,
+      };
+      listeners.add(listener);
+
+      // First value is delivered asynchronously, like the SDK
+      queueMicrotask(() => {
+        if (listeners.has(listener) && listener.last === UNSET) {
+          deliver(listener, readAt(root, listener.segments));
+        }
+      });
+
+      return () => listeners.delete(listener);
+    },
+
+    runTransaction: async (path, updateFn) => {
+      const segments = toSegments(path);
+      const next = updateFn(clone(readAt(root, segments)));
+
+      if (next !== undefined) commit([[segments, next]]);
+
+      return {
+        committed: next !== undefined,
+        snapshot: createSnapshot(
+          segments.at(-1) ?? null,
+          readAt(root, segments),
+        ),
+      };
+    },
+
+    serverTimestamp: () => ({ '.sv': 'timestamp' }),
+
+    increment: (delta) => ({ '.sv': { increment: delta } }),
+
+    onDisconnectRemove: async (path) => {
+      disconnectRemovals.add(path);
+    },
+
+    cancelOnDisconnect: async (path) => {
+      disconnectRemovals.delete(path);
+    },
+
+    onConnectedChange: (callback) => {
+      let isActive = true;
+      queueMicrotask(() => isActive && callback(true));
+      return () => {
+        isActive = false;
+      };
+    },
+  };
+};
+
+export default createMemoryBackend;
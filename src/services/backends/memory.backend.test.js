@@ -0,0 +1,215 @@
+// src/services/backends/memory.backend.test.js
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMemoryBackend } from '@services/backends/memory.backend';
+
+// Listeners receive their first value in a microtask, like the SDK
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Attach a listener and record every value it receives
+ */
+const listen = (backend, path, options) => {
+  const values = [];
+  backend.onValue(path, (snapshot) => values.push(snapshot.val()), options);
+  return values;
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('memory backend listeners', () => {
+  it('delivers the current value asynchronously, then every change', async () => {
+    const backend = createMemoryBackend({ initialData: { a: 1 } });
+    const values = listen(backend, 'a');
+
+    expect(values).toEqual([]);
+    await flush();
+    expect(values).toEqual([1]);
+
+    await backend.set('a', 2);
+    expect(values).toEqual([1, 2]);
+  });
+
+  it('notifies ancestors and descendants of a write, but not siblings', async () => {
+    const backend = createMemoryBackend({
+      initialData: { teams: { t1: { name: 'A' }, t2: { name: 'B' } } },
+    });
+    const root = listen(backend, '/');
+    const teams = listen(backend, 'teams');
+    const team = listen(backend, 'teams/t1');
+    const name = listen(backend, 'teams/t1/name');
+    const sibling = listen(backend, 'teams/t2');
+    await flush();
+
+    await backend.set('teams/t1/name', 'C');
+
+    expect(root).toHaveLength(2);
+    expect(teams.at(-1)).toEqual({ t1: { name: 'C' }, t2: { name: 'B' } });
+    expect(team.at(-1)).toEqual({ name: 'C' });
+    expect(name).toEqual(['A', 'C']);
+    expect(sibling).toEqual([{ name: 'B' }]);
+
+    await backend.set('teams', { t1: { name: 'D' } });
+
+    expect(name).toEqual(['A', 'C', 'D']);
+    expect(sibling).toEqual([{ name: 'B' }, null]);
+  });
+
+  it('stops delivering after unsubscribe, including the first value', async () => {
+    const backend = createMemoryBackend({ initialData: { a: 1 } });
+    const callback = vi.fn();
+    const unsubscribe = backend.onValue('a', callback);
+
+    unsubscribe();
+    await flush();
+    await backend.set('a', 2);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
+
+describe('memory backend writes', () => {
+  it('applies a multi-path update atomically', async () => {
+    const backend = createMemoryBackend({
+      initialData: { game: { status: 'active', question: 1 } },
+    });
+    const values = listen(backend, 'game');
+    await flush();
+
+    await backend.update('/', {
+      'game/status': 'completed',
+      'game/question': null,
+      'teams/t1/status': 'completed',
+    });
+
+    expect(values).toEqual([
+      { status: 'active', question: 1 },
+      { status: 'completed' },
+    ]);
+    expect((await backend.get('teams/t1/status')).val()).toBe('completed');
+  });
+
+  it('does not apply any path of an update that contains undefined', async () => {
+    const backend = createMemoryBackend({ initialData: { a: 1, b: 1 } });
+
+    await expect(backend.update('/', { a: 2, b: undefined })).rejects.toThrow(
+      'Cannot write undefined at /b',
+    );
+    expect((await backend.get('a')).val()).toBe(1);
+  });
+
+  it('removes empty objects and parents left empty', async () => {
+    const backend = createMemoryBackend({
+      initialData: { teams: { t1: { name: 'A' } } },
+    });
+
+    await backend.set('teams/t1/name', null);
+    expect((await backend.get('teams')).exists()).toBe(false);
+
+    await backend.set('teams/t2', {});
+    expect((await backend.get('/')).val()).toBeNull();
+  });
+
+  it('resolves serverTimestamp and increment on write', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const backend = createMemoryBackend({ initialData: { count: 2 } });
+
+    await backend.update('/', {
+      count: backend.increment(3),
+      missing: backend.increment(1),
+      startedAt: backend.serverTimestamp(),
+    });
+
+    expect((await backend.get('/')).val()).toEqual({
+      count: 5,
+      missing: 1,
+      startedAt: 1700000000000,
+    });
+  });
+});
+
+describe('memory backend transactions', () => {
+  it('commits the returned value', async () => {
+    const backend = createMemoryBackend({ initialData: { status: 'active' } });
+
+    const result = await backend.runTransaction('status', (current) =>
+      current === 'active' ? 'completed' : undefined,
+    );
+
+    expect(result.committed).toBe(true);
+    expect(result.snapshot.val()).toBe('completed');
+  });
+
+  it('aborts without writing or notifying when the update returns undefined', async () => {
+    const backend = createMemoryBackend({ initialData: { status: 'active' } });
+    const values = listen(backend, 'status');
+    await flush();
+
+    const result = await backend.runTransaction('status', () => undefined);
+
+    expect(result.committed).toBe(false);
+    expect(result.snapshot.val()).toBe('active');
+    expect(values).toEqual(['active']);
+  });
+});
+
+describe('memory backend queries', () => {
+  const initialData = {
+    log: {
+      '-b': { action: 'second', timestamp: 20 },
+      '-a': { action: 'third', timestamp: 30 },
+      '-c': { action: 'first', timestamp: 10 },
+    },
+  };
+
+  const keysOf = (snapshot) => {
+    const keys = [];
+    snapshot.forEach((child) => {
+      keys.push(child.key);
+    });
+    return keys;
+  };
+
+  it('orders children by key by default', async () => {
+    const backend = createMemoryBackend({ initialData });
+
+    expect(keysOf(await backend.get('log'))).toEqual(['-a', '-b', '-c']);
+  });
+
+  it('orders by a child field and keeps the last entries', async () => {
+    const backend = createMemoryBackend({ initialData });
+    const snapshots = [];
+    backend.onValue('log', (snapshot) => snapshots.push(snapshot), {
+      orderByChild: 'timestamp',
+      limitToLast: 2,
+    });
+    await flush();
+
+    expect(keysOf(snapshots[0])).toEqual(['-b', '-a']);
+    expect(Object.keys(snapshots[0].val())).toHaveLength(2);
+
+    await backend.set('log/-d', { action: 'fourth', timestamp: 40 });
+
+    expect(keysOf(snapshots.at(-1))).toEqual(['-a', '-d']);
+  });
+
+  it('returns no value for a query over an empty location', async () => {
+    const backend = createMemoryBackend();
+    const values = listen(backend, 'log', { limitToLast: 5 });
+    await flush();
+
+    expect(values).toEqual([null]);
+  });
+});
+
+describe('memory backend push keys', () => {
+  it('generates unique keys that sort in creation order', () => {
+    const backend = createMemoryBackend();
+    const keys = Array.from({ length: 50 }, () => backend.pushKey('log'));
+
+    expect(new Set(keys).size).toBe(50);
+    expect([...keys].sort()).toEqual(keys);
+  });
+});
@@ -0,0 +1,53 @@
+// src/services/backends/pushId.js
+
+/**
+ * Push ID Generator
+ *
+ * Purpose: Chronological child keys with the same shape and ordering as
+ * Firebase push IDs (8 time characters + 12 random characters), for the
+ * backends that cannot ask the SDK for one
+ */
+
+const PUSH_CHARS =
+  '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Create a push ID generator
+ * IDs from one generator sort in creation order, even within a millisecond.
+ * @returns {Function} () => new push ID
+ */
+export const createPushIdGenerator = () => {
+  let lastPushTime = 0;
+  const lastRandomChars = [];
+
+  return () => {
+    let now = Date.now();
+    const isDuplicateTime = now === lastPushTime;
+    lastPushTime = now;
+
+    const timeChars = [];
+    for (let i = 0; i < 8; i += 1) {
+      timeChars.unshift(PUSH_CHARS.charAt(now % 64));
+      now = Math.floor(now / 64);
+    }
+
+    if (!isDuplicateTime) {
+      for (let i = 0; i < 12; i += 1) {
+        lastRandomChars[i] = Math.floor(Math.random() * 64);
+      }
+    } else {
+      let i = 11;
+      for (; i >= 0 && lastRandomChars[i] === 63; i -= 1) {
+        lastRandomChars[i] = 0;
+      }
+      lastRandomChars[i] += 1;
+    }
+
+    return (
+      timeChars.join('') +
+      lastRandomChars.map((index) => PUSH_CHARS.charAt(index)).join('')
+    );
+  };
+};
+
+export default createPushIdGenerator;
@@ -0,0 +1,84 @@
+// src/services/backends/recording.backend.js
+
+/**
+ * Recording Database Backend
+ *
+ * Purpose: Wraps another backend and reports every write under the watched
+ * nodes (rehearsal run reports), then passes the write through unchanged
+ *
+ * Multi-path updates are reported once per key with the full path, so a
+ * single `update()` that touches `game-state` and `teams` produces one
+ * record for each location it writes. Reads, listeners and connection
+ * state are delegated as-is.
+ *
+ * Record shape: { op, path, value, at }
+ * - op: 'set' | 'update' | 'remove' | 'transaction'
+ * - path: full slash-separated path without leading slash
+ * - value: value as written (server sentinels unresolved, null for remove)
+ * - at: Date.now() when the write was issued
+ */
+
+/**
+ * Join a base path and a relative key into a normalized path
+ * @param {string} base
+ * @param {string} [key]
+ * @returns {string}
+ */
+const joinPath = (base, key = '') =>
+  [...base.split('/'), ...key.split('/')].filter(Boolean).join('/');
+
+/**
+ * Whether a path is one of the watched nodes or below one
+ * @param {string} path - Normalized path
+ * @param {string[]} nodes - Watched top-level nodes
+ * @returns {boolean}
+ */
+const isWatched = (path, nodes) =>
+  nodes.some((node) => path === node || path.startsWith(`${node}/`));
+
+/**
+ * Wrap a backend so writes under `nodes` are reported
+ * @param {Object} inner - Backend that performs the writes
+ * @param {Object} options
+ * @param {string[]} options.nodes - Top-level nodes to watch (e.g. ['game-state', 'teams'])
+ * @param {Function} options.onWrite - Called with each write record
+ * @returns {Object} Database backend
+ */
+export const createRecordingBackend = (inner, { nodes, onWrite }) => {
+  const record = (op, path, value) => {
+    if (isWatched(path, nodes)) {
+      onWrite({ op, path, value, at: Date.now() });
+    }
+  };
+
+  return {
+    ...inner,
+
+    set: (path, value) => {
+      record('set', joinPath(path), value);
+      return inner.set(path, value);
+    },
+
+    update: (path, values) => {
+      Object.keys(values).forEach((key) => {
+        record('update', joinPath(path, key), values[key]);
+      });
+      return inner.update(path, values);
+    },
+
+    remove: (path) => {
+      record('remove', joinPath(path), null);
+      return inner.remove(path);
+    },
+
+    runTransaction: async (path, updateFn) => {
+      const result = await inner.runTransaction(path, updateFn);
+      if (result.committed) {
+        record('transaction', joinPath(path), result.snapshot.val());
+      }
+      return result;
+    },
+  };
+};
+
+export default createRecordingBackend;
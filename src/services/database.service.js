@@ -1,27 +1,33 @@
 // src/services/database.service.js
 
-import {
-  ref,
-  set,
-  update,
-  get,
-  remove,
-  onValue,
-  off,
-  serverTimestamp,
-  push,
-} from 'firebase/database';
-import { database } from '@config/firebase';
 import {
   DEFAULT_GAME_STATE,
   DEFAULT_PRIZE_STRUCTURE,
+  DEFAULT_PRIZE_MILESTONES,
   DEFAULT_CONFIG,
+  getDefaultDatabaseStructure,
 } from '@constants/defaultDatabase';
+import { DATABASE_BACKEND, DATABASE_BACKENDS } from '@constants/connection';
+import {
+  isValidTransition,
+  isValidRevertTransition,
+} from '@constants/gameStates';
+import {
+  isValidTeamTransition,
+  isValidTeamRevertTransition,
+} from '@constants/teamStates';
+import { StateTransitionError } from '@utils/gameplay/stateTransitions';
+import { createMemoryBackend } from '@services/backends/memory.backend';
+import { createLazyBackend } from '@services/backends/lazy.backend';
 
 /**
  * Database Service
- * Handles all Firebase Realtime Database operations
+ * Handles all Realtime Database operations
  * Follows the Quiz Competition Database Architecture
+ *
+ * Reads and writes go through a pluggable backend (VITE_DATABASE_BACKEND):
+ * Firebase by default, or an in-memory / localStorage tree for offline
+ * rehearsals and automated tests. See services/backends.
  */
 
 // ============================================================================
@@ -31,10 +37,16 @@ import {
 export const DB_PATHS = {
   ALLOWED_HOSTS: 'allowed-hosts',
   QUESTION_SETS: 'question-sets',
+  QUESTION_BANK: 'question-bank',
   GAME_STATE: 'game-state',
   TEAMS: 'teams',
   PRIZE_STRUCTURE: 'prize-structure',
+  PRIZE_MILESTONES: 'prize-milestones',
   CONFIG: 'config',
+  ARCHIVES: 'archives',
+  GAME_LOG: 'game-log',
+  HOST_SESSIONS: 'host-sessions',
+  GAME_CONTROLLER: 'game-controller',
 };
 
 // ============================================================================
@@ -105,6 +117,8 @@ const convertKeysToKebab = (obj, parentKey = '') => {
 
 /**
  * Recursively convert object keys from kebab-case to camelCase
+ * Team IDs used as questionSetAssignments keys are preserved (push IDs
+ * can contain "-x", which would otherwise be camel-cased)
  * @param {Object|Array|*} obj - Object to convert
  * @returns {Object|Array|*} Object with camelCase keys
  */
@@ -116,11 +130,169 @@ const convertKeysToCamel = (obj) => {
   const converted = {};
   Object.keys(obj).forEach((key) => {
     const camelKey = kebabToCamel(key);
-    converted[camelKey] = convertKeysToCamel(obj[key]);
+    converted[camelKey] =
+      camelKey === 'questionSetAssignments'
+        ? obj[key]
+        : convertKeysToCamel(obj[key]);
   });
   return converted;
 };
 
+// ============================================================================
+// DATABASE BACKEND
+// ============================================================================
+
+const appName = import.meta.env.VITE_APP_NAME || 'wwbam-quiz-host-panel';
+
+/**
+ * Create a database backend
+ * In-memory backends start from the factory defaults, like a freshly
+ * imported initial-db-structure.json.
+ * @param {string} name - DATABASE_BACKENDS value
+ * @returns {Object} Database backend
+ */
+export const createDatabaseBackend = (name) => {
+  const initialData = convertKeysToKebab(getDefaultDatabaseStructure());
+
+  switch (name) {
+    case DATABASE_BACKENDS.MEMORY:
+      return createMemoryBackend({ initialData });
+    case DATABASE_BACKENDS.LOCAL_STORAGE:
+      return createMemoryBackend({
+        initialData,
+        storageKey: `${appName}-database`,
+      });
+    default:
+      // Loaded on first use: @config/firebase needs a Firebase project
+      return createLazyBackend(DATABASE_BACKENDS.FIREBASE, async () => {
+        const { createFirebaseBackend } =
+          await import('@services/backends/firebase.backend');
+        return createFirebaseBackend();
+      });
+  }
+};
+
+let backend = createDatabaseBackend(DATABASE_BACKEND);
+
+/**
+ * Replace the active backend (automated tests, rehearsals)
+ * Listeners attached before the swap stay on the previous backend, so swap
+ * before any store starts listening.
+ * @param {Object} nextBackend - Backend from createDatabaseBackend or a backend factory
+ */
+export const setDatabaseBackend = (nextBackend) => {
+  backend = nextBackend;
+  console.log(`🗄️ Database backend: ${nextBackend.name}`);
+};
+
+/**
+ * Name of the active backend
+ * @returns {string} DATABASE_BACKENDS value
+ */
+export const getDatabaseBackendName = () => backend.name;
+
+/**
+ * The active backend (to wrap it, e.g. with a recording backend)
+ * @returns {Object} Database backend
+ */
+export const getDatabaseBackend = () => backend;
+
+/**
+ * Create an in-memory backend seeded with the setup data of the active one
+ * Question sets, teams, prizes and config are copied; game-state starts
+ * from defaults and the log, archives and host sessions are left out, so
+ * a rehearsal on the copy never touches the event's data.
+ * @returns {Promise<Object>} Memory backend
+ */
+export const createMemoryCopyOfDatabase = async () => {
+  const initialData = convertKeysToKebab(getDefaultDatabaseStructure());
+  const copiedNodes = [
+    DB_PATHS.QUESTION_SETS,
+    DB_PATHS.TEAMS,
+    DB_PATHS.PRIZE_STRUCTURE,
+    DB_PATHS.PRIZE_MILESTONES,
+    DB_PATHS.CONFIG,
+  ];
+
+  for (const node of copiedNodes) {
+    const snapshot = await backend.get(node);
+    if (snapshot.exists()) initialData[node] = snapshot.val();
+  }
+
+  return createMemoryBackend({ initialData });
+};
+
+// ============================================================================
+// CONNECTION & PENDING WRITES
+// ============================================================================
+
+/**
+ * Writes not yet acknowledged by the server
+ * While offline the SDK queues writes locally and their promises stay
+ * pending until the connection comes back.
+ */
+let pendingWriteCount = 0;
+const pendingWriteListeners = new Set();
+
+const notifyPendingWrites = () => {
+  pendingWriteListeners.forEach((listener) => listener(pendingWriteCount));
+};
+
+/**
+ * Count a write as pending until the server acknowledges (or rejects) it
+ * @param {Promise} writePromise - Promise returned by a backend write
+ * @returns {Promise} The same promise
+ */
+const trackPendingWrite = (writePromise) => {
+  pendingWriteCount += 1;
+  notifyPendingWrites();
+
+  const settle = () => {
+    pendingWriteCount -= 1;
+    notifyPendingWrites();
+  };
+  writePromise.then(settle, settle);
+
+  return writePromise;
+};
+
+// Every read and write in this service goes through these wrappers, which
+// use the active backend and track writes. Paths are slash-separated;
+// '/' is the root (multi-path updates).
+const get = (path) => backend.get(path);
+const set = (path, value) => trackPendingWrite(backend.set(path, value));
+const update = (path, values) =>
+  trackPendingWrite(backend.update(path, values));
+const remove = (path) => trackPendingWrite(backend.remove(path));
+const runTransaction = (path, updateFn) =>
+  trackPendingWrite(backend.runTransaction(path, updateFn));
+const onValue = (path, callback, options) =>
+  backend.onValue(path, callback, options);
+const serverTimestamp = () => backend.serverTimestamp();
+const increment = (delta) => backend.increment(delta);
+
+/**
+ * Listen to the client's connection to the Realtime Database
+ * Reports false on startup until the first connection is established.
+ * @param {Function} callback - Called with true (connected) / false
+ * @returns {Function} Unsubscribe function
+ */
+export const onConnectionChange = (callback) => {
+  return backend.onConnectedChange(callback);
+};
+
+/**
+ * Listen to the number of writes still pending acknowledgement
+ * @param {Function} callback - Called with the pending count (immediately, then on change)
+ * @returns {Function} Unsubscribe function
+ */
+export const onPendingWritesChange = (callback) => {
+  pendingWriteListeners.add(callback);
+  callback(pendingWriteCount);
+
+  return () => pendingWriteListeners.delete(callback);
+};
+
 // ============================================================================
 // QUESTION SETS OPERATIONS
 // ============================================================================
@@ -131,7 +303,7 @@ const convertKeysToCamel = (obj) => {
  */
 export const getAllQuestionSets = async () => {
   try {
-    const snapshot = await get(ref(database, DB_PATHS.QUESTION_SETS));
+    const snapshot = await get(DB_PATHS.QUESTION_SETS);
     if (!snapshot.exists()) return null;
 
     const questionSets = snapshot.val();
@@ -156,9 +328,7 @@ export const getAllQuestionSets = async () => {
  */
 export const getQuestionSet = async (setId) => {
   try {
-    const snapshot = await get(
-      ref(database, `${DB_PATHS.QUESTION_SETS}/${setId}`),
-    );
+    const snapshot = await get(`${DB_PATHS.QUESTION_SETS}/${setId}`);
     return snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null;
   } catch (error) {
     console.error('Error fetching question set:', error);
@@ -186,10 +356,7 @@ export const saveQuestionSet = async (questionSet) => {
       lastModified: serverTimestamp(),
     });
 
-    await set(
-      ref(database, `${DB_PATHS.QUESTION_SETS}/${setId}`),
-      kebabQuestionSet,
-    );
+    await set(`${DB_PATHS.QUESTION_SETS}/${setId}`, kebabQuestionSet);
 
     console.log(`✅ Question set saved to Firebase: ${setId}`);
     return { success: true, setId };
@@ -219,7 +386,7 @@ export const updateQuestionSet = async (setId, updates) => {
         kebabUpdates[key];
     });
 
-    await update(ref(database), updatePath);
+    await update('/', updatePath);
     console.log('✅ Question set updated:', setId);
     return { success: true };
   } catch (error) {
@@ -235,7 +402,7 @@ export const updateQuestionSet = async (setId, updates) => {
  */
 export const deleteQuestionSet = async (setId) => {
   try {
-    await remove(ref(database, `${DB_PATHS.QUESTION_SETS}/${setId}`));
+    await remove(`${DB_PATHS.QUESTION_SETS}/${setId}`);
     console.log('✅ Question set deleted:', setId);
     return { success: true };
   } catch (error) {
@@ -251,9 +418,7 @@ export const deleteQuestionSet = async (setId) => {
  */
 export const questionSetExists = async (setId) => {
   try {
-    const snapshot = await get(
-      ref(database, `${DB_PATHS.QUESTION_SETS}/${setId}`),
-    );
+    const snapshot = await get(`${DB_PATHS.QUESTION_SETS}/${setId}`);
     return snapshot.exists();
   } catch (error) {
     console.error('Error checking question set existence:', error);
@@ -288,6 +453,9 @@ export const getQuestionSetsMetadata = async () => {
         totalQuestions: Array.isArray(allSets[id].questions)
           ? allSets[id].questions.length
           : 0,
+        totalReserveQuestions: Array.isArray(allSets[id].reserveQuestions)
+          ? allSets[id].reserveQuestions.length
+          : 0,
         uploadedAt: allSets[id].uploadedAt,
         lastModified: allSets[id].lastModified,
       })),
@@ -308,8 +476,7 @@ export const getQuestionSetsMetadata = async () => {
  * @returns {Function} Unsubscribe function
  */
 export const onQuestionSetsChange = (callback) => {
-  const questionSetsRef = ref(database, DB_PATHS.QUESTION_SETS);
-  onValue(questionSetsRef, (snapshot) => {
+  return onValue(DB_PATHS.QUESTION_SETS, (snapshot) => {
     if (!snapshot.exists()) {
       callback(null);
       return;
@@ -325,8 +492,116 @@ export const onQuestionSetsChange = (callback) => {
 
     callback(convertedSets);
   });
+};
 
-  return () => off(questionSetsRef);
+// ============================================================================
+// QUESTION BANK OPERATIONS
+// ============================================================================
+
+/**
+ * Get every question in the bank
+ * Question IDs are push keys, so each entry is converted on its own.
+ * @returns {Promise<Object>} Bank questions keyed by ID (empty if none)
+ */
+export const getQuestionBank = async () => {
+  try {
+    const snapshot = await get(DB_PATHS.QUESTION_BANK);
+    if (!snapshot.exists()) return {};
+
+    const bank = snapshot.val();
+    const converted = {};
+    Object.keys(bank).forEach((questionId) => {
+      converted[questionId] = {
+        id: questionId,
+        ...convertKeysToCamel(bank[questionId]),
+      };
+    });
+
+    return converted;
+  } catch (error) {
+    console.error('Error fetching question bank:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add questions to the bank in one write
+ * @param {Array<Object>} questions - Bank questions (camelCase), see toBankQuestion()
+ * @returns {Promise<{ success: boolean, count?: number, error?: string }>}
+ */
+export const addQuestionsToBank = async (questions) => {
+  try {
+    const updates = {};
+    questions.forEach((question) => {
+      const questionId = backend.pushKey(DB_PATHS.QUESTION_BANK);
+      updates[`${DB_PATHS.QUESTION_BANK}/${questionId}`] = {
+        ...convertKeysToKebab({ ...question, timesUsed: 0 }),
+        'added-at': serverTimestamp(),
+      };
+    });
+
+    await update('/', updates);
+    console.log(`✅ Added ${questions.length} question(s) to the bank`);
+    return { success: true, count: questions.length };
+  } catch (error) {
+    console.error('Error adding questions to bank:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a question from the bank
+ * Sets already generated from it keep their copy.
+ * @param {string} questionId - Bank question ID
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const deleteBankQuestion = async (questionId) => {
+  try {
+    await remove(`${DB_PATHS.QUESTION_BANK}/${questionId}`);
+    console.log('✅ Bank question deleted:', questionId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting bank question:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Save generated question sets and count the bank questions they use
+ * One multi-path update: every set plus `times-used` / `last-used-at` on
+ * each bank question, so a failed write leaves neither half behind.
+ * @param {Array<Object>} questionSets - From generateQuestionSets() (camelCase)
+ * @param {Object} bank - Bank the sets were generated from (for times used)
+ * @returns {Promise<{ success: boolean, setIds?: string[], error?: string }>}
+ */
+export const saveGeneratedQuestionSets = async (questionSets, bank) => {
+  try {
+    const updates = {};
+
+    questionSets.forEach((questionSet) => {
+      updates[`${DB_PATHS.QUESTION_SETS}/${questionSet.setId}`] =
+        convertKeysToKebab({
+          ...questionSet,
+          uploadedAt: serverTimestamp(),
+          lastModified: serverTimestamp(),
+        });
+
+      questionSet.bankQuestionIds.forEach((questionId) => {
+        const path = `${DB_PATHS.QUESTION_BANK}/${questionId}`;
+        updates[`${path}/times-used`] = (bank[questionId]?.timesUsed ?? 0) + 1;
+        updates[`${path}/last-used-at`] = serverTimestamp();
+      });
+    });
+
+    await update('/', updates);
+
+    const setIds = questionSets.map(({ setId }) => setId);
+    console.log(`✅ Generated question sets saved: ${setIds.join(', ')}`);
+    return { success: true, setIds };
+  } catch (error) {
+    console.error('Error saving generated question sets:', error);
+    return { success: false, error: error.message };
+  }
 };
 
 // ============================================================================
@@ -339,7 +614,7 @@ export const onQuestionSetsChange = (callback) => {
  */
 export const getGameState = async () => {
   try {
-    const snapshot = await get(ref(database, DB_PATHS.GAME_STATE));
+    const snapshot = await get(DB_PATHS.GAME_STATE);
     return snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null;
   } catch (error) {
     console.error('Error fetching game state:', error);
@@ -365,7 +640,7 @@ export const updateGameState = async (updates) => {
     // Add last-updated timestamp
     updatePath[`${DB_PATHS.GAME_STATE}/last-updated`] = serverTimestamp();
 
-    await update(ref(database), updatePath);
+    await update('/', updatePath);
     console.log('✅ Game state updated');
   } catch (error) {
     console.error('Error updating game state:', error);
@@ -373,13 +648,71 @@ export const updateGameState = async (updates) => {
   }
 };
 
+/**
+ * Change game-state/game-status through a transaction
+ *
+ * The move is validated against the server's current status
+ * (GAME_STATE_TRANSITIONS), so two hosts applying conflicting transitions
+ * cannot both succeed — the second one sees the first one's status and is
+ * rejected. `updates` (the rest of the change) are written once the status
+ * has committed.
+ *
+ * @param {string} toStatus - Requested GAME_STATUS value
+ * @param {Object} [updates] - Other game-state fields (camelCase)
+ * @param {Object} [options]
+ * @param {string} [options.from] - Status the game must still be in
+ * @param {boolean} [options.isRevert=false] - Undoing an answer lock
+ *   (GAME_STATE_REVERT_TRANSITIONS)
+ * @returns {Promise<void>}
+ * @throws {StateTransitionError} When the move is illegal from the current status
+ */
+export const transitionGameStatus = async (
+  toStatus,
+  updates = {},
+  { from, isRevert = false } = {},
+) => {
+  const statusPath = `${DB_PATHS.GAME_STATE}/game-status`;
+  const isAllowed = isRevert ? isValidRevertTransition : isValidTransition;
+  let rejectedFrom = null;
+
+  const result = await runTransaction(statusPath, (current) => {
+    // Nothing cached yet — propose the move; the server re-runs this
+    // function with its real value if it differs
+    if (current === null) return toStatus;
+
+    if ((from && current !== from) || !isAllowed(current, toStatus)) {
+      rejectedFrom = current;
+      return undefined; // abort
+    }
+
+    rejectedFrom = null;
+    return toStatus;
+  });
+
+  if (!result.committed) {
+    throw new StateTransitionError({
+      entity: 'game',
+      from: rejectedFrom,
+      to: toStatus,
+    });
+  }
+
+  await updateGameState(updates);
+  console.log(`🔀 Game status → ${toStatus}`);
+};
+
 /**
  * Set current question (without correct answer for public display)
  * @param {Object} question - Question data
  * @param {number} questionNumber - Question number (1-20)
+ * @param {number} [shownAt] - When the question was first shown (time to lock)
  * @returns {Promise<void>}
  */
-export const setCurrentQuestion = async (question, questionNumber) => {
+export const setCurrentQuestion = async (
+  question,
+  questionNumber,
+  shownAt = Date.now(),
+) => {
   try {
     // Remove correct answer before saving to Firebase
     // eslint-disable-next-line no-unused-vars
@@ -392,6 +725,7 @@ export const setCurrentQuestion = async (question, questionNumber) => {
       optionsVisible: true,
       answerRevealed: false,
       correctOption: null,
+      questionShownAt: shownAt,
     });
 
     console.log(`✅ Question ${questionNumber} pushed to display (no answer)`);
@@ -428,6 +762,73 @@ export const revealAnswer = async (
   }
 };
 
+/**
+ * Revert an answer lock
+ *
+ * The statuses go back through guarded transitions (the revert edges of
+ * the state machines), each checked against the status the lock left
+ * behind — if another host has moved the team or game on since, the revert
+ * is rejected and nothing else is written. The team is checked first: any
+ * later move of the game also moves the team. The remaining game-state and
+ * team fields (reveal, prize, question index, history) are then restored in
+ * one atomic write. A timer that was running resumes with the time already
+ * used (the caller folds it into `elapsed`).
+ *
+ * @param {Object} params
+ * @param {string} params.teamId - Team whose lock is reverted
+ * @param {Object} params.gameState - Game-state fields to restore (camelCase)
+ * @param {Object} params.team - Team fields to restore (camelCase)
+ * @param {string} params.lockedGameStatus - Game status the lock left behind
+ * @param {string} params.lockedTeamStatus - Team status the lock left behind
+ * @returns {Promise<void>}
+ * @throws {StateTransitionError} When the team or game has moved on
+ */
+export const revertAnswerLock = async ({
+  teamId,
+  gameState,
+  team,
+  lockedGameStatus,
+  lockedTeamStatus,
+}) => {
+  const { gameStatus, ...gameFields } = gameState;
+  const { status, ...teamFields } = team;
+
+  await transitionTeamStatus(teamId, status, {
+    from: lockedTeamStatus,
+    isRevert: true,
+  });
+  await transitionGameStatus(
+    gameStatus,
+    {},
+    { from: lockedGameStatus, isRevert: true },
+  );
+
+  const updates = {};
+
+  const kebabGameState = convertKeysToKebab(gameFields);
+  Object.keys(kebabGameState).forEach((key) => {
+    updates[`${DB_PATHS.GAME_STATE}/${key}`] = kebabGameState[key];
+  });
+
+  const timer = kebabGameState['question-timer'];
+  if (timer?.status === 'running') {
+    updates[`${DB_PATHS.GAME_STATE}/question-timer`] = {
+      ...timer,
+      'started-at': serverTimestamp(),
+    };
+  }
+  updates[`${DB_PATHS.GAME_STATE}/last-updated`] = serverTimestamp();
+
+  const kebabTeam = convertKeysToKebab(teamFields);
+  Object.keys(kebabTeam).forEach((key) => {
+    updates[`${DB_PATHS.TEAMS}/${teamId}/${key}`] = kebabTeam[key];
+  });
+  updates[`${DB_PATHS.TEAMS}/${teamId}/last-updated`] = serverTimestamp();
+
+  await atomicUpdate(updates);
+  console.log(`↩️ Answer lock reverted for team ${teamId}`);
+};
+
 /**
  * Reset game state to defaults
  * @returns {Promise<void>}
@@ -435,7 +836,7 @@ export const revealAnswer = async (
 export const resetGameState = async () => {
   try {
     const kebabDefaults = convertKeysToKebab(DEFAULT_GAME_STATE);
-    await set(ref(database, DB_PATHS.GAME_STATE), kebabDefaults);
+    await set(DB_PATHS.GAME_STATE, kebabDefaults);
     console.log('✅ Game state reset to defaults');
   } catch (error) {
     console.error('Error resetting game state:', error);
@@ -449,14 +850,11 @@ export const resetGameState = async () => {
  * @returns {Function} Unsubscribe function
  */
 export const onGameStateChange = (callback) => {
-  const gameStateRef = ref(database, DB_PATHS.GAME_STATE);
-  onValue(gameStateRef, (snapshot) => {
+  // Returns the unsubscribe function
+  return onValue(DB_PATHS.GAME_STATE, (snapshot) => {
     const data = snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null;
     callback(data);
   });
-
-  // Return unsubscribe function
-  return () => off(gameStateRef);
 };
 
 // ============================================================================
@@ -469,7 +867,7 @@ export const onGameStateChange = (callback) => {
  */
 export const getTeams = async () => {
   try {
-    const snapshot = await get(ref(database, DB_PATHS.TEAMS));
+    const snapshot = await get(DB_PATHS.TEAMS);
     if (!snapshot.exists()) return null;
 
     const teams = snapshot.val();
@@ -497,7 +895,7 @@ export const getTeams = async () => {
  */
 export const getTeam = async (teamId) => {
   try {
-    const snapshot = await get(ref(database, `${DB_PATHS.TEAMS}/${teamId}`));
+    const snapshot = await get(`${DB_PATHS.TEAMS}/${teamId}`);
     return snapshot.exists()
       ? { id: teamId, ...convertKeysToCamel(snapshot.val()) }
       : null;
@@ -510,12 +908,13 @@ export const getTeam = async (teamId) => {
 /**
  * Create new team
  * @param {Object} teamData - Team data
+ * @param {Object} teamData.lifelinesAvailable - Uses per lifeline (camelCase),
+ *                                               see buildTeamLifelines()
  * @returns {Promise<string>} New team ID
  */
 export const createTeam = async (teamData) => {
   try {
-    const newTeamRef = push(ref(database, DB_PATHS.TEAMS));
-    const teamId = newTeamRef.key;
+    const teamId = backend.pushKey(DB_PATHS.TEAMS);
 
     const team = {
       name: teamData.name,
@@ -525,15 +924,14 @@ export const createTeam = async (teamData) => {
       'current-prize': 0,
       'question-set-id': teamData.questionSetId || null,
       'current-question-index': 0,
-      'lifelines-available': {
-        'phone-a-friend': true,
-        'fifty-fifty': true,
-      },
+      'lifelines-available': convertKeysToKebab(
+        teamData.lifelinesAvailable ?? {},
+      ),
       'questions-answered': 0,
       'created-at': serverTimestamp(),
     };
 
-    await set(newTeamRef, team);
+    await set(`${DB_PATHS.TEAMS}/${teamId}`, team);
     console.log('✅ Team created:', teamId);
     return teamId;
   } catch (error) {
@@ -561,7 +959,7 @@ export const updateTeam = async (teamId, updates) => {
     // Add last-updated timestamp
     updatePath[`${DB_PATHS.TEAMS}/${teamId}/last-updated`] = serverTimestamp();
 
-    await update(ref(database), updatePath);
+    await update('/', updatePath);
     console.log('✅ Team updated:', teamId);
   } catch (error) {
     console.error('Error updating team:', error);
@@ -569,6 +967,52 @@ export const updateTeam = async (teamId, updates) => {
   }
 };
 
+/**
+ * Change teams/{teamId}/status through a transaction
+ * Same guarantees as transitionGameStatus, against TEAM_STATUS_TRANSITIONS.
+ * @param {string} teamId - Team ID
+ * @param {string} toStatus - Requested TEAM_STATUS value
+ * @param {Object} [options]
+ * @param {string} [options.from] - Status the team must still be in
+ * @param {boolean} [options.isRevert=false] - Undoing an answer lock
+ *   (TEAM_STATUS_REVERT_TRANSITIONS)
+ * @returns {Promise<void>}
+ * @throws {StateTransitionError} When the move is illegal from the current status
+ */
+export const transitionTeamStatus = async (
+  teamId,
+  toStatus,
+  { from, isRevert = false } = {},
+) => {
+  const statusPath = `${DB_PATHS.TEAMS}/${teamId}/status`;
+  const isAllowed = isRevert
+    ? isValidTeamRevertTransition
+    : (current) =>
+        current === toStatus || isValidTeamTransition(current, toStatus);
+  let rejectedFrom = null;
+
+  const result = await runTransaction(statusPath, (current) => {
+    if (current === null) return toStatus;
+
+    if ((from && current !== from) || !isAllowed(current, toStatus)) {
+      rejectedFrom = current;
+      return undefined; // abort
+    }
+
+    rejectedFrom = null;
+    return toStatus;
+  });
+
+  if (!result.committed) {
+    throw new StateTransitionError({
+      entity: 'team',
+      entityId: teamId,
+      from: rejectedFrom,
+      to: toStatus,
+    });
+  }
+};
+
 /**
  * Delete team
  * @param {string} teamId - Team ID
@@ -576,7 +1020,7 @@ export const updateTeam = async (teamId, updates) => {
  */
 export const deleteTeam = async (teamId) => {
   try {
-    await remove(ref(database, `${DB_PATHS.TEAMS}/${teamId}`));
+    await remove(`${DB_PATHS.TEAMS}/${teamId}`);
     console.log('✅ Team deleted:', teamId);
   } catch (error) {
     console.error('Error deleting team:', error);
@@ -590,7 +1034,7 @@ export const deleteTeam = async (teamId) => {
  */
 export const deleteAllTeams = async () => {
   try {
-    await set(ref(database, DB_PATHS.TEAMS), {});
+    await set(DB_PATHS.TEAMS, {});
     console.log('✅ All teams deleted from Firebase');
   } catch (error) {
     console.error('Error deleting all teams:', error);
@@ -599,16 +1043,14 @@ export const deleteAllTeams = async () => {
 };
 
 /**
- * Eliminate team
+ * Eliminate team (guarded status transition)
  * @param {string} teamId - Team ID
  * @returns {Promise<void>}
  */
 export const eliminateTeam = async (teamId) => {
   try {
-    await updateTeam(teamId, {
-      status: 'eliminated',
-      eliminatedAt: serverTimestamp(),
-    });
+    await transitionTeamStatus(teamId, 'eliminated');
+    await updateTeam(teamId, { eliminatedAt: serverTimestamp() });
   } catch (error) {
     console.error('Error eliminating team:', error);
     throw error;
@@ -621,8 +1063,7 @@ export const eliminateTeam = async (teamId) => {
  * @returns {Function} Unsubscribe function
  */
 export const onTeamsChange = (callback) => {
-  const teamsRef = ref(database, DB_PATHS.TEAMS);
-  onValue(teamsRef, (snapshot) => {
+  return onValue(DB_PATHS.TEAMS, (snapshot) => {
     if (!snapshot.exists()) {
       callback(null);
       return;
@@ -641,21 +1082,38 @@ export const onTeamsChange = (callback) => {
 
     callback(convertedTeams);
   });
-
-  return () => off(teamsRef);
 };
 
 // ============================================================================
 // PRIZE STRUCTURE OPERATIONS
 // ============================================================================
 
+/**
+ * Firebase drops empty arrays, so "no milestones" is stored as `false`
+ * to tell it apart from a ladder that has never had milestones saved
+ * @param {Array<number>} milestones - Milestone question numbers
+ * @returns {Array<number>|false}
+ */
+const toMilestonesValue = (milestones) =>
+  milestones.length > 0 ? milestones : false;
+
+/**
+ * Read a prize-milestones snapshot value
+ * @param {Array<number>|false|null} value - Raw snapshot value
+ * @returns {Array<number>|null} Milestones, or null if never saved
+ */
+const fromMilestonesValue = (value) => {
+  if (value === null || value === undefined) return null;
+  return Array.isArray(value) ? value : [];
+};
+
 /**
  * Get prize structure
  * @returns {Promise<Array|null>} Prize array or null
  */
 export const getPrizeStructure = async () => {
   try {
-    const snapshot = await get(ref(database, DB_PATHS.PRIZE_STRUCTURE));
+    const snapshot = await get(DB_PATHS.PRIZE_STRUCTURE);
     return snapshot.exists() ? snapshot.val() : null;
   } catch (error) {
     console.error('Error fetching prize structure:', error);
@@ -664,13 +1122,20 @@ export const getPrizeStructure = async () => {
 };
 
 /**
- * Set prize structure
+ * Set prize structure (and its milestones, atomically, when given)
  * @param {Array<number>} prizes - Array of prize values
+ * @param {Array<number>} [milestones] - Milestone question numbers (1-indexed)
  * @returns {Promise<void>}
  */
-export const setPrizeStructure = async (prizes) => {
+export const setPrizeStructure = async (prizes, milestones) => {
   try {
-    await set(ref(database, DB_PATHS.PRIZE_STRUCTURE), prizes);
+    const updates = { [DB_PATHS.PRIZE_STRUCTURE]: prizes };
+
+    if (milestones !== undefined) {
+      updates[DB_PATHS.PRIZE_MILESTONES] = toMilestonesValue(milestones);
+    }
+
+    await update('/', updates);
     console.log('✅ Prize structure set');
   } catch (error) {
     console.error('Error setting prize structure:', error);
@@ -684,8 +1149,7 @@ export const setPrizeStructure = async (prizes) => {
  * @returns {Function} Unsubscribe function
  */
 export const onPrizeStructureChange = (callback) => {
-  const prizeRef = ref(database, DB_PATHS.PRIZE_STRUCTURE);
-  onValue(prizeRef, (snapshot) => {
+  return onValue(DB_PATHS.PRIZE_STRUCTURE, (snapshot) => {
     if (!snapshot.exists()) {
       callback(null);
       return;
@@ -694,8 +1158,31 @@ export const onPrizeStructureChange = (callback) => {
     const prizeStructure = snapshot.val();
     callback(prizeStructure);
   });
+};
 
-  return () => off(prizeRef);
+/**
+ * Get prize milestones
+ * @returns {Promise<Array<number>|null>} Milestone question numbers or null if never saved
+ */
+export const getPrizeMilestones = async () => {
+  try {
+    const snapshot = await get(DB_PATHS.PRIZE_MILESTONES);
+    return fromMilestonesValue(snapshot.val());
+  } catch (error) {
+    console.error('Error fetching prize milestones:', error);
+    throw error;
+  }
+};
+
+/**
+ * Listen to prize milestone changes
+ * @param {Function} callback - Callback receiving milestones array (or null if never saved)
+ * @returns {Function} Unsubscribe function
+ */
+export const onPrizeMilestonesChange = (callback) => {
+  return onValue(DB_PATHS.PRIZE_MILESTONES, (snapshot) => {
+    callback(fromMilestonesValue(snapshot.val()));
+  });
 };
 
 // ============================================================================
@@ -750,15 +1237,17 @@ export const clearLifelineTimer = async () => {
  * Atomic update that:
  * 1. Updates game-state with filtered options
  * 2. Sets active-lifeline to 'fifty-fifty'
- * 3. Marks lifeline as used for team
+ * 3. Spends one of the team's uses of the lifeline
  *
  * @param {string} teamId - Team ID
  * @param {Object} filteredOptionsObj - Filtered options object (e.g., { A: "London", B: "Paris" })
+ * @param {number} [remainingUses=0] - Uses the team has left after this one
  * @returns {Promise<void>}
  */
 export const activateFiftyFiftyLifeline = async (
   teamId,
   filteredOptionsObj,
+  remainingUses = 0,
 ) => {
   try {
     const updates = {};
@@ -766,15 +1255,16 @@ export const activateFiftyFiftyLifeline = async (
     // 1. Update game-state with filtered options
     updates['game-state/current-question/options'] = filteredOptionsObj;
     updates['game-state/active-lifeline'] = 'fifty-fifty';
+    updates['game-state/question-lifelines/fifty-fifty'] = true;
     updates['game-state/last-updated'] = serverTimestamp();
 
-    // 2. Update team lifeline status (mark as used)
+    // 2. Update team lifeline status (one use spent)
     updates[`${DB_PATHS.TEAMS}/${teamId}/lifelines-available/fifty-fifty`] =
-      false;
+      remainingUses;
     updates[`${DB_PATHS.TEAMS}/${teamId}/last-updated`] = serverTimestamp();
 
     // 3. Atomic update
-    await update(ref(database), updates);
+    await update('/', updates);
 
     console.log('✅ 50/50 lifeline activated:', {
       teamId,
@@ -791,26 +1281,31 @@ export const activateFiftyFiftyLifeline = async (
  *
  * Atomic update that:
  * 1. Sets active-lifeline in game-state to 'phone-a-friend'
- * 2. Marks lifeline as used for team
+ * 2. Spends one of the team's uses of the lifeline
  *
  * @param {string} teamId - Team ID
+ * @param {number} [remainingUses=0] - Uses the team has left after this one
  * @returns {Promise<void>}
  */
-export const activatePhoneAFriendLifeline = async (teamId) => {
+export const activatePhoneAFriendLifeline = async (
+  teamId,
+  remainingUses = 0,
+) => {
   try {
     const updates = {};
 
     // 1. Set active lifeline in game-state
     updates['game-state/active-lifeline'] = 'phone-a-friend';
+    updates['game-state/question-lifelines/phone-a-friend'] = true;
     updates['game-state/last-updated'] = serverTimestamp();
 
-    // 2. Update team lifeline status (mark as used)
+    // 2. Update team lifeline status (one use spent)
     updates[`${DB_PATHS.TEAMS}/${teamId}/lifelines-available/phone-a-friend`] =
-      false;
+      remainingUses;
     updates[`${DB_PATHS.TEAMS}/${teamId}/last-updated`] = serverTimestamp();
 
     // 3. Atomic update
-    await update(ref(database), updates);
+    await update('/', updates);
 
     console.log('✅ Phone-a-Friend lifeline activated:', teamId);
   } catch (error) {
@@ -841,6 +1336,271 @@ export const clearActiveLifeline = async () => {
   }
 };
 
+/**
+ * Activate Switch the Question lifeline
+ *
+ * Atomic update that:
+ * 1. Replaces game-state/current-question with the reserve (no correct answer)
+ * 2. Records the reserve in game-state/used-reserve-questions
+ * 3. Sets active-lifeline to 'switch-question' and clears any audience poll
+ * 4. Spends one of the team's uses of the lifeline
+ *
+ * @param {string} teamId - Team ID
+ * @param {Object} switchData
+ * @param {Object} switchData.question - Replacement question (camelCase, may include correctAnswer)
+ * @param {Array<string>} switchData.usedReserveQuestions - Full list of used reserve keys
+ * @param {number} [remainingUses=0] - Uses the team has left after this one
+ * @returns {Promise<void>}
+ */
+export const activateSwitchQuestionLifeline = async (
+  teamId,
+  { question, usedReserveQuestions },
+  remainingUses = 0,
+) => {
+  try {
+    // Remove correct answer before saving to Firebase
+    // eslint-disable-next-line no-unused-vars
+    const { correctAnswer, ...publicQuestion } = question;
+
+    const updates = {};
+
+    // 1. Swap the question on the public display
+    updates['game-state/current-question'] = convertKeysToKebab(publicQuestion);
+    updates['game-state/options-visible'] = true;
+    updates['game-state/used-reserve-questions'] = usedReserveQuestions;
+    updates['game-state/audience-poll'] = null;
+    updates['game-state/active-lifeline'] = 'switch-question';
+    updates['game-state/question-lifelines/switch-question'] = true;
+    updates['game-state/last-updated'] = serverTimestamp();
+
+    // 2. Update team lifeline status (one use spent)
+    updates[`${DB_PATHS.TEAMS}/${teamId}/lifelines-available/switch-question`] =
+      remainingUses;
+    updates[`${DB_PATHS.TEAMS}/${teamId}/last-updated`] = serverTimestamp();
+
+    // 3. Atomic update
+    await update('/', updates);
+
+    console.log('✅ Switch the Question lifeline activated:', {
+      teamId,
+      questionId: question.id,
+    });
+  } catch (error) {
+    console.error('Error activating Switch the Question lifeline:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// QUESTION TIMER OPERATIONS
+// ============================================================================
+
+const QUESTION_TIMER_PATH = `${DB_PATHS.GAME_STATE}/question-timer`;
+
+/**
+ * Start (or restart after a pause) the per-question answer timer
+ *
+ * Writes a server-timestamp start marker plus the time already used, so the
+ * display app can derive the remaining time after a reconnect:
+ *   remaining = duration * 1000 - elapsed - (now - started-at)
+ *
+ * Called from: useGameStore → startQuestionTimer() / resumeGame()
+ *
+ * @param {number} duration - Total time allowed in seconds
+ * @param {number} elapsed - Milliseconds already used before this run (default 0)
+ * @returns {Promise<void>}
+ */
+export const startQuestionTimer = async (duration, elapsed = 0) => {
+  try {
+    const updates = {};
+
+    updates[QUESTION_TIMER_PATH] = {
+      duration,
+      elapsed,
+      'started-at': serverTimestamp(),
+      status: 'running',
+    };
+    updates['game-state/last-updated'] = serverTimestamp();
+
+    await update('/', updates);
+    console.log(`⏱️ Question timer started (${duration}s, ${elapsed}ms used)`);
+  } catch (error) {
+    console.error('Error starting question timer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark the answer timer as expired
+ *
+ * Keeps the node in place so the display can show "time's up" until the
+ * host acts on the expiry prompt.
+ *
+ * @returns {Promise<void>}
+ */
+export const expireQuestionTimer = async () => {
+  try {
+    await update('/', {
+      [`${QUESTION_TIMER_PATH}/status`]: 'expired',
+      'game-state/last-updated': serverTimestamp(),
+    });
+    console.log('⌛ Question timer expired');
+  } catch (error) {
+    console.error('Error expiring question timer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the answer timer (answer locked, question cleared or skipped)
+ *
+ * @returns {Promise<void>}
+ */
+export const clearQuestionTimer = async () => {
+  try {
+    await updateGameState({ questionTimer: null });
+    console.log('⏱️ Question timer cleared');
+  } catch (error) {
+    console.error('Error clearing question timer:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// AUDIENCE POLL OPERATIONS
+// ============================================================================
+
+const AUDIENCE_POLL_PATH = `${DB_PATHS.GAME_STATE}/audience-poll`;
+
+/**
+ * Activate Ask the Audience lifeline (WWBAM Style)
+ *
+ * Atomic update that:
+ * 1. Opens a poll node at game-state/audience-poll with zeroed vote counts
+ * 2. Sets active-lifeline to 'audience-poll'
+ * 3. Spends one of the team's uses of the lifeline
+ *
+ * Only the options currently on screen are polled, so a poll after 50/50
+ * collects votes for the two remaining options only.
+ *
+ * @param {string} teamId - Team ID
+ * @param {Object} pollData
+ * @param {number} pollData.questionNumber - Question being polled (1-20)
+ * @param {Object} pollData.options - Visible options (e.g., { a: "London", b: "Paris" })
+ * @param {number} [remainingUses=0] - Uses the team has left after this one
+ * @returns {Promise<void>}
+ */
+export const activateAudiencePollLifeline = async (
+  teamId,
+  { questionNumber, options },
+  remainingUses = 0,
+) => {
+  try {
+    const optionKeys = Object.keys(options);
+    const votes = Object.fromEntries(optionKeys.map((key) => [key, 0]));
+
+    const updates = {};
+
+    // 1. Open the poll node
+    updates[AUDIENCE_POLL_PATH] = {
+      status: 'open',
+      'team-id': teamId,
+      'question-number': questionNumber,
+      options,
+      votes,
+      results: null,
+      'opened-at': Date.now(),
+      'closed-at': null,
+    };
+    updates['game-state/active-lifeline'] = 'audience-poll';
+    updates['game-state/question-lifelines/audience-poll'] = true;
+    updates['game-state/last-updated'] = serverTimestamp();
+
+    // 2. Update team lifeline status (one use spent)
+    updates[`${DB_PATHS.TEAMS}/${teamId}/lifelines-available/audience-poll`] =
+      remainingUses;
+    updates[`${DB_PATHS.TEAMS}/${teamId}/last-updated`] = serverTimestamp();
+
+    // 3. Atomic update
+    await update('/', updates);
+
+    console.log('✅ Audience poll lifeline activated:', {
+      teamId,
+      options: optionKeys,
+    });
+  } catch (error) {
+    console.error('Error activating audience poll lifeline:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cast a single audience vote from the local voting page
+ *
+ * Uses a server-side increment so simultaneous votes from several devices
+ * never overwrite each other. Database rules only accept the increment
+ * while the poll is open.
+ *
+ * @param {string} option - Option key (a/b/c/d)
+ * @returns {Promise<void>}
+ */
+export const castAudiencePollVote = async (option) => {
+  try {
+    await update(`${AUDIENCE_POLL_PATH}/votes`, {
+      [option]: increment(1),
+    });
+    console.log(`🗳️ Audience vote cast: ${option.toUpperCase()}`);
+  } catch (error) {
+    console.error('Error casting audience vote:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close the audience poll and publish the results
+ *
+ * Writes the final tallies (host-entered or collected from the voting page)
+ * together with the percentages the display app renders. The poll node stays
+ * in game-state until the next question is loaded.
+ *
+ * @param {Object<string, number>} votes - Final vote count per option key
+ * @param {Object<string, number>} results - Percentage per option key
+ * @returns {Promise<void>}
+ */
+export const closeAudiencePoll = async (votes, results) => {
+  try {
+    const updates = {};
+
+    updates[`${AUDIENCE_POLL_PATH}/status`] = 'closed';
+    updates[`${AUDIENCE_POLL_PATH}/votes`] = votes;
+    updates[`${AUDIENCE_POLL_PATH}/results`] = results;
+    updates[`${AUDIENCE_POLL_PATH}/closed-at`] = Date.now();
+    updates['game-state/active-lifeline'] = null;
+    updates['game-state/last-updated'] = serverTimestamp();
+
+    await update('/', updates);
+
+    console.log('✅ Audience poll closed:', results);
+  } catch (error) {
+    console.error('Error closing audience poll:', error);
+    throw error;
+  }
+};
+
+/**
+ * Listen to the audience poll node
+ *
+ * Used by the local voting page, which cannot read the rest of game-state.
+ *
+ * @param {Function} callback - Callback receiving poll data (camelCase) or null
+ * @returns {Function} Unsubscribe function
+ */
+export const onAudiencePollChange = (callback) => {
+  return onValue(AUDIENCE_POLL_PATH, (snapshot) => {
+    callback(snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null);
+  });
+};
+
 // ============================================================================
 // CONFIG OPERATIONS
 // ============================================================================
@@ -851,7 +1611,7 @@ export const clearActiveLifeline = async () => {
  */
 export const getConfig = async () => {
   try {
-    const snapshot = await get(ref(database, DB_PATHS.CONFIG));
+    const snapshot = await get(DB_PATHS.CONFIG);
     return snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null;
   } catch (error) {
     console.error('Error fetching config:', error);
@@ -873,7 +1633,7 @@ export const updateConfig = async (updates) => {
       updatePath[`${DB_PATHS.CONFIG}/${key}`] = kebabUpdates[key];
     });
 
-    await update(ref(database), updatePath);
+    await update('/', updatePath);
     console.log('✅ Config updated');
   } catch (error) {
     console.error('Error updating config:', error);
@@ -881,6 +1641,323 @@ export const updateConfig = async (updates) => {
   }
 };
 
+/**
+ * Listen to configuration changes (host edits from another tab or device)
+ * @param {Function} callback - Called with the config (camelCase) or null
+ * @returns {Function} Unsubscribe function
+ */
+export const onConfigChange = (callback) => {
+  return onValue(DB_PATHS.CONFIG, (snapshot) => {
+    callback(snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null);
+  });
+};
+
+// ============================================================================
+// ARCHIVE OPERATIONS
+// ============================================================================
+
+/**
+ * Convert an event archive to its Firebase shape
+ * Team IDs (push keys) are kept as-is; only field names are converted.
+ * @param {Object} archive - Archive (camelCase), see buildEventArchive()
+ * @returns {Object} Archive with kebab-case keys
+ */
+const archiveToFirebase = ({ teams, prizeMilestones, ...rest }) => {
+  const kebabTeams = {};
+  Object.keys(teams ?? {}).forEach((teamId) => {
+    // eslint-disable-next-line no-unused-vars
+    const { id, ...team } = teams[teamId];
+    kebabTeams[teamId] = convertKeysToKebab(team);
+  });
+
+  return {
+    ...convertKeysToKebab(rest),
+    teams: kebabTeams,
+    'prize-milestones': toMilestonesValue(prizeMilestones ?? []),
+  };
+};
+
+/**
+ * Convert an archive read from Firebase back to camelCase
+ * @param {string} eventId - Archive key
+ * @param {Object} value - Raw snapshot value
+ * @returns {Object} Archive (camelCase) with teams keyed by ID
+ */
+const archiveFromFirebase = (eventId, value) => {
+  const {
+    teams = {},
+    'play-queue': playQueue = [],
+    'question-set-assignments': questionSetAssignments = {},
+    'prize-milestones': prizeMilestones,
+    ...rest
+  } = value;
+
+  const camelTeams = {};
+  Object.keys(teams).forEach((teamId) => {
+    camelTeams[teamId] = { id: teamId, ...convertKeysToCamel(teams[teamId]) };
+  });
+
+  return {
+    ...convertKeysToCamel(rest),
+    eventId,
+    teams: camelTeams,
+    playQueue,
+    questionSetAssignments,
+    prizeMilestones: fromMilestonesValue(prizeMilestones) ?? [],
+  };
+};
+
+/**
+ * Save a completed event to archives/{eventId}
+ * Writing the same eventId again overwrites that archive (idempotent).
+ * @param {string} eventId - Archive key
+ * @param {Object} archive - Archive (camelCase), see buildEventArchive()
+ * @returns {Promise<void>}
+ */
+export const saveArchive = async (eventId, archive) => {
+  try {
+    await set(`${DB_PATHS.ARCHIVES}/${eventId}`, archiveToFirebase(archive));
+    console.log(`✅ Event archived: ${eventId}`);
+  } catch (error) {
+    console.error('Error archiving event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all archived events
+ * @returns {Promise<Object>} Archives keyed by eventId (empty if none)
+ */
+export const getArchives = async () => {
+  try {
+    const snapshot = await get(DB_PATHS.ARCHIVES);
+    if (!snapshot.exists()) return {};
+
+    const archives = snapshot.val();
+    const converted = {};
+    Object.keys(archives).forEach((eventId) => {
+      converted[eventId] = archiveFromFirebase(eventId, archives[eventId]);
+    });
+
+    return converted;
+  } catch (error) {
+    console.error('Error fetching archives:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single archived event
+ * @param {string} eventId - Archive key
+ * @returns {Promise<Object|null>} Archive or null
+ */
+export const getArchive = async (eventId) => {
+  try {
+    const snapshot = await get(`${DB_PATHS.ARCHIVES}/${eventId}`);
+    return snapshot.exists()
+      ? archiveFromFirebase(eventId, snapshot.val())
+      : null;
+  } catch (error) {
+    console.error('Error fetching archive:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// GAME LOG OPERATIONS
+// ============================================================================
+
+/**
+ * Append an entry to the game-log journal
+ * Entries are never updated or removed (the rules only allow creating new
+ * push keys). `timestamp` is set by the server; undefined values are dropped
+ * so before/after snippets can be passed as-is.
+ * @param {Object} entry - Log entry (camelCase): { type, actorUid, teamId, ... }
+ * @returns {Promise<string>} New entry ID
+ */
+export const appendGameLogEntry = async (entry) => {
+  try {
+    const entryId = backend.pushKey(DB_PATHS.GAME_LOG);
+
+    await set(`${DB_PATHS.GAME_LOG}/${entryId}`, {
+      ...convertKeysToKebab(JSON.parse(JSON.stringify(entry))),
+      timestamp: serverTimestamp(),
+    });
+
+    return entryId;
+  } catch (error) {
+    console.error('Error appending game log entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Listen to the most recent game-log entries
+ * @param {Function} callback - Called with entries (camelCase, oldest first)
+ * @param {number} limit - Maximum number of entries to load
+ * @returns {Function} Unsubscribe function
+ */
+export const onGameLogChange = (callback, limit) => {
+  return onValue(
+    DB_PATHS.GAME_LOG,
+    (snapshot) => {
+      const entries = [];
+
+      // Push IDs are kept as-is; only entry fields are converted
+      snapshot.forEach((child) => {
+        entries.push({ id: child.key, ...convertKeysToCamel(child.val()) });
+      });
+
+      callback(entries);
+    },
+    { orderByChild: 'timestamp', limitToLast: limit },
+  );
+};
+
+// ============================================================================
+// HOST SESSIONS & CONTROLLER LEASE
+// ============================================================================
+
+/**
+ * Register a host session in the presence node
+ *
+ * The entry is (re)written every time `.info/connected` turns true and is
+ * removed by the server when the connection drops (onDisconnect), so
+ * host-sessions only ever lists live tabs.
+ *
+ * @param {string} sessionId - Per-tab session ID
+ * @param {Object} session - Session info (camelCase): { uid, email, userAgent }
+ * @param {Function} [onConnectionChange] - Called with true/false on (re)connect/disconnect
+ * @returns {Function} Unregister function (stops listening, removes the entry)
+ */
+export const registerHostSession = (sessionId, session, onConnectionChange) => {
+  const sessionPath = `${DB_PATHS.HOST_SESSIONS}/${sessionId}`;
+
+  const unsubscribe = backend.onConnectedChange(async (isConnected) => {
+    onConnectionChange?.(isConnected);
+
+    if (!isConnected) return;
+
+    try {
+      // Arm the server-side cleanup before announcing the session
+      await backend.onDisconnectRemove(sessionPath);
+      await set(sessionPath, {
+        ...convertKeysToKebab(session),
+        'connected-at': serverTimestamp(),
+      });
+      console.log(`🟢 Host session registered: ${sessionId}`);
+    } catch (error) {
+      console.error('Error registering host session:', error);
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    backend
+      .cancelOnDisconnect(sessionPath)
+      .then(() => remove(sessionPath))
+      .catch((error) =>
+        console.warn('Failed to remove host session:', error.message),
+      );
+  };
+};
+
+/**
+ * Listen to live host sessions
+ * @param {Function} callback - Called with sessions keyed by session ID (camelCase)
+ * @returns {Function} Unsubscribe function
+ */
+export const onHostSessionsChange = (callback) => {
+  return onValue(DB_PATHS.HOST_SESSIONS, (snapshot) => {
+    const sessions = {};
+
+    // Session IDs are kept as-is; only session fields are converted
+    snapshot.forEach((child) => {
+      sessions[child.key] = convertKeysToCamel(child.val());
+    });
+
+    callback(sessions);
+  });
+};
+
+/**
+ * Listen to the primary controller lease
+ * @param {Function} callback - Called with the lease (camelCase) or null
+ * @returns {Function} Unsubscribe function
+ */
+export const onGameControllerChange = (callback) => {
+  return onValue(DB_PATHS.GAME_CONTROLLER, (snapshot) => {
+    callback(snapshot.exists() ? convertKeysToCamel(snapshot.val()) : null);
+  });
+};
+
+/**
+ * Claim the primary controller lease
+ *
+ * Runs as a transaction so two sessions claiming a vacant lease at the same
+ * time cannot both win. Without `force`, the claim is aborted while the
+ * current holder is still one of `activeSessionIds` (a lease whose session
+ * has disconnected counts as vacant). `force` is the explicit "Take over".
+ *
+ * @param {Object} controller - Claiming session (camelCase): { sessionId, uid, email }
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Take the lease from a live holder
+ * @param {string[]} [options.activeSessionIds=[]] - Currently connected session IDs
+ * @returns {Promise<boolean>} Whether the lease is now held by the claimant
+ */
+export const claimGameController = async (
+  controller,
+  { force = false, activeSessionIds = [] } = {},
+) => {
+  try {
+    const result = await runTransaction(DB_PATHS.GAME_CONTROLLER, (current) => {
+      const holderId = current?.['session-id'];
+
+      if (holderId === controller.sessionId) return current;
+
+      if (!force && holderId && activeSessionIds.includes(holderId)) {
+        return undefined; // abort — lease is held by a live session
+      }
+
+      return {
+        ...convertKeysToKebab(controller),
+        'claimed-at': Date.now(),
+      };
+    });
+
+    if (result.committed) {
+      console.log(
+        `🎛️ Game controller ${force ? 'taken over' : 'claimed'}: ${controller.sessionId}`,
+      );
+    }
+
+    return result.committed;
+  } catch (error) {
+    console.error('Error claiming game controller:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// RAW NODES
+// ============================================================================
+
+/**
+ * Listen to a node's stored value as-is (kebab-case keys, no conversion)
+ * Used by the DB viewer to show the actual database format.
+ * @param {string} path - Node path (e.g. DB_PATHS.GAME_STATE)
+ * @param {Function} callback - Called with the raw value or null
+ * @param {Function} [onError] - Called if the listener is cancelled (e.g. permission denied)
+ * @returns {Function} Unsubscribe function
+ */
+export const onRawNodeChange = (path, callback, onError) => {
+  return onValue(
+    path,
+    (snapshot) => callback(snapshot.exists() ? snapshot.val() : null),
+    { onError },
+  );
+};
+
 // ============================================================================
 // FACTORY RESET
 // ============================================================================
@@ -902,8 +1979,9 @@ export const resetDatabaseToDefaults = async () => {
     // 2. Clear teams (set to empty object)
     updates[DB_PATHS.TEAMS] = {};
 
-    // 3. Reset prize structure to defaults
+    // 3. Reset prize structure and milestones to defaults
     updates[DB_PATHS.PRIZE_STRUCTURE] = DEFAULT_PRIZE_STRUCTURE;
+    updates[DB_PATHS.PRIZE_MILESTONES] = DEFAULT_PRIZE_MILESTONES;
 
     // 4. Reset config to defaults (convert to kebab-case)
     const configDefaults = convertKeysToKebab(DEFAULT_CONFIG);
@@ -916,9 +1994,12 @@ export const resetDatabaseToDefaults = async () => {
 
     // NOTE: We clear question-sets during factory reset but preserve allowed-hosts
     // allowed-hosts contains auth UIDs and should persist across resets
+    // question-bank is the long-lived question library and is kept as well
+    // archives (past events) and game-log (the journal) are preserved too,
+    // as are host-sessions and game-controller (live presence)
 
     // Perform atomic update
-    await update(ref(database), updates);
+    await update('/', updates);
 
     console.log('✅ Firebase database reset to factory defaults');
   } catch (error) {
@@ -939,7 +2020,7 @@ export const resetDatabaseToDefaults = async () => {
  */
 export const atomicUpdate = async (updates) => {
   try {
-    await update(ref(database), updates);
+    await update('/', updates);
     console.log('✅ Atomic update completed');
   } catch (error) {
     console.error('Error in atomic update:', error);
@@ -962,11 +2043,19 @@ export const databaseService = {
   getQuestionSetsMetadata,
   onQuestionSetsChange,
 
+  // Question Bank
+  getQuestionBank,
+  addQuestionsToBank,
+  deleteBankQuestion,
+  saveGeneratedQuestionSets,
+
   // Game State
   getGameState,
   updateGameState,
   setCurrentQuestion,
+  transitionGameStatus,
   revealAnswer,
+  revertAnswerLock,
   resetGameState,
   onGameStateChange,
 
@@ -975,6 +2064,7 @@ export const databaseService = {
   getTeam,
   createTeam,
   updateTeam,
+  transitionTeamStatus,
   deleteTeam,
   deleteAllTeams,
   eliminateTeam,
@@ -984,10 +2074,13 @@ export const databaseService = {
   getPrizeStructure,
   setPrizeStructure,
   onPrizeStructureChange,
+  getPrizeMilestones,
+  onPrizeMilestonesChange,
 
   // Config
   getConfig,
   updateConfig,
+  onConfigChange,
 
   // Lifeline Operations
   startLifelineTimer,
@@ -995,6 +2088,40 @@ export const databaseService = {
   activateFiftyFiftyLifeline,
   activatePhoneAFriendLifeline,
   clearActiveLifeline,
+  activateSwitchQuestionLifeline,
+
+  // Question Timer
+  startQuestionTimer,
+  expireQuestionTimer,
+  clearQuestionTimer,
+
+  // Audience Poll
+  activateAudiencePollLifeline,
+  castAudiencePollVote,
+  closeAudiencePoll,
+  onAudiencePollChange,
+
+  // Archives
+  saveArchive,
+  getArchives,
+  getArchive,
+
+  // Game Log
+  appendGameLogEntry,
+  onGameLogChange,
+
+  // Connection
+  onConnectionChange,
+  onPendingWritesChange,
+
+  // Host Sessions
+  registerHostSession,
+  onHostSessionsChange,
+  onGameControllerChange,
+  claimGameController,
+
+  // Raw Nodes
+  onRawNodeChange,
 
   // Factory Reset
   resetDatabaseToDefaults,
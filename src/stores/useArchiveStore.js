@@ -0,0 +1,110 @@
+// src/stores/useArchiveStore.js
+
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import { databaseService } from '@services/database.service';
+import { GAME_STATUS } from '@constants/gameStates';
+import { buildEventArchive } from '@utils/eventArchive';
+
+/**
+ * Archive Store
+ * Saves completed games to the `archives` node and loads them for /history
+ *
+ * Archives are read-only once written. This store does NOT persist to
+ * localStorage - archives are always fetched fresh.
+ */
+export const useArchiveStore = create()(
+  devtools(
+    (set) => ({
+      // ============================================================
+      // STATE
+      // ============================================================
+
+      // Archives keyed by eventId (camelCase)
+      archives: {},
+
+      isLoading: false,
+      isArchiving: false,
+      error: null,
+
+      // ============================================================
+      // ACTIONS
+      // ============================================================
+
+      /**
+       * Archive the current game if it is completed
+       * Reads game state, teams and prizes fresh from Firebase so the archive
+       * matches what every host saw. Call before anything wipes teams or
+       * game-state (uninitialize, factory reset).
+       *
+       * @returns {Promise<{ success: boolean, skipped?: boolean, eventId?: string, error?: string }>}
+       */
+      archiveCompletedGame: async () => {
+        set({ isArchiving: true, error: null });
+
+        try {
+          const gameState = await databaseService.getGameState();
+
+          if (gameState?.gameStatus !== GAME_STATUS.COMPLETED) {
+            set({ isArchiving: false });
+            return { success: true, skipped: true };
+          }
+
+          const [teams, prizeStructure, prizeMilestones] = await Promise.all([
+            databaseService.getTeams(),
+            databaseService.getPrizeStructure(),
+            databaseService.getPrizeMilestones(),
+          ]);
+
+          const archive = buildEventArchive({
+            gameState,
+            teams,
+            prizeStructure,
+            prizeMilestones,
+          });
+
+          await databaseService.saveArchive(archive.eventId, archive);
+
+          set((state) => ({
+            archives: { ...state.archives, [archive.eventId]: archive },
+            isArchiving: false,
+          }));
+
+          console.log(`🗄️ Completed game archived as ${archive.eventId}`);
+          return { success: true, eventId: archive.eventId };
+        } catch (error) {
+          console.error('Failed to archive game:', error);
+          set({ isArchiving: false, error: error.message });
+          return { success: false, error: error.message };
+        }
+      },
+
+      /**
+       * Load all archived events from Firebase
+       * @returns {Promise<{ success: boolean, error?: string }>}
+       */
+      loadArchives: async () => {
+        set({ isLoading: true, error: null });
+
+        try {
+          const archives = await databaseService.getArchives();
+
+          set({ archives, isLoading: false });
+          console.log(
+            `✅ ${Object.keys(archives).length} archived event(s) loaded`,
+          );
+          return { success: true };
+        } catch (error) {
+          console.error('Failed to load archives:', error);
+          set({ isLoading: false, error: error.message });
+          return { success: false, error: error.message };
+        }
+      },
+    }),
+    {
+      name: 'archive-store',
+    },
+  ),
+);
+
+export default useArchiveStore;
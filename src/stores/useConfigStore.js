@@ -0,0 +1,284 @@
+// src/stores/useConfigStore.js
+
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import { databaseService } from '@services/database.service';
+import { DEFAULT_CONFIG } from '@constants/defaultDatabase';
+import { LIFELINE_TYPE, MAX_LIFELINE_USES } from '@constants/teamStates';
+import {
+  ELIMINATION_PRIZE_RULES,
+  TIMER_EXPIRY_ACTIONS,
+  MAX_EVENT_NAME_LENGTH,
+} from '@constants/config';
+
+/**
+ * Check that a locale is accepted by Intl.NumberFormat
+ * @param {string} locale - BCP 47 locale tag (e.g., 'en-IN')
+ * @returns {boolean}
+ */
+const isValidLocale = (locale) => {
+  if (!locale) return false;
+  try {
+    new Intl.NumberFormat(locale);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Config Store
+ * Mirrors the Firebase `config` node and holds host edits before they are saved
+ *
+ * Compiled defaults (DEFAULT_CONFIG) are used until the node is loaded, so
+ * readers such as createTeam always get a complete config.
+ * This store does NOT persist to localStorage - config always fetched fresh
+ */
+export const useConfigStore = create()(
+  devtools(
+    (set, get) => ({
+      // ============================================================
+      // STATE
+      // ============================================================
+
+      // Saved config (camelCase)
+      config: DEFAULT_CONFIG,
+
+      // Config being edited by the host
+      editedConfig: DEFAULT_CONFIG,
+      hasUnsavedChanges: false,
+
+      isLoading: false,
+      isSyncing: false,
+      error: null,
+      lastSyncedAt: null,
+
+      // ============================================================
+      // ACTIONS
+      // ============================================================
+
+      /**
+       * Load config from Firebase (missing keys fall back to DEFAULT_CONFIG)
+       * @returns {Promise<{ success: boolean, error?: string }>}
+       */
+      loadConfig: async () => {
+        set({ isLoading: true, error: null });
+
+        try {
+          const firebaseConfig = await databaseService.getConfig();
+          const config = { ...DEFAULT_CONFIG, ...(firebaseConfig ?? {}) };
+
+          set({
+            config,
+            editedConfig: config,
+            hasUnsavedChanges: false,
+            isLoading: false,
+            lastSyncedAt: Date.now(),
+          });
+
+          console.log('✅ Config loaded from Firebase');
+          return { success: true };
+        } catch (error) {
+          console.error('Failed to load config:', error);
+          set({ isLoading: false, error: error.message });
+          return { success: false, error: error.message };
+        }
+      },
+
+      /**
+       * Load config once if it has not been loaded yet
+       * @returns {Promise<Object>} The current config
+       */
+      ensureConfigLoaded: async () => {
+        if (!get().lastSyncedAt) {
+          await get().loadConfig();
+        }
+        return get().config;
+      },
+
+      /**
+       * Start real-time listener for config changes
+       * Unsaved host edits are kept; only the saved config is refreshed.
+       * @returns {Function} Unsubscribe function
+       */
+      startConfigListener: () => {
+        return databaseService.onConfigChange((firebaseConfig) => {
+          const config = { ...DEFAULT_CONFIG, ...(firebaseConfig ?? {}) };
+
+          set((state) => ({
+            config,
+            editedConfig: state.hasUnsavedChanges ? state.editedConfig : config,
+            lastSyncedAt: Date.now(),
+          }));
+        });
+      },
+
+      /**
+       * Update one edited config value (local only — call saveConfig to persist)
+       * @param {string} key - Config key (camelCase)
+       * @param {*} value - New value
+       */
+      updateConfigValue: (key, value) => {
+        set((state) => ({
+          editedConfig: { ...state.editedConfig, [key]: value },
+          hasUnsavedChanges: true,
+        }));
+      },
+
+      /**
+       * Discard unsaved changes — resets editor back to the saved config
+       */
+      discardChanges: () => {
+        set((state) => ({
+          editedConfig: state.config,
+          hasUnsavedChanges: false,
+        }));
+        console.log('↩️ Config changes discarded');
+      },
+
+      /**
+       * Validate the lifeline section of the edited config
+       * @returns {{ isValid: boolean, errors: string[] }}
+       */
+      validateLifelineConfig: () => {
+        const { lifelineUses, lifelinesEnabled } = get().editedConfig;
+        const errors = [];
+
+        Object.values(LIFELINE_TYPE).forEach((type) => {
+          if (!lifelinesEnabled?.[type]) return;
+
+          const uses = lifelineUses?.[type];
+          if (!Number.isInteger(uses) || uses < 1 || uses > MAX_LIFELINE_USES) {
+            errors.push(
+              `Uses for ${type} must be a whole number from 1 to ${MAX_LIFELINE_USES}`,
+            );
+          }
+        });
+
+        return { isValid: errors.length === 0, errors };
+      },
+
+      /**
+       * Validate the whole edited config (game rules, currency, timer, lifelines)
+       * @returns {{ isValid: boolean, errors: string[] }}
+       */
+      validateConfig: () => {
+        const {
+          eventName = '',
+          questionsPerTeam,
+          minTeams,
+          maxTeams,
+          eliminationPrizeRule,
+          currencySymbol,
+          numberFormatLocale,
+          timerDuration,
+          timerTiers = [],
+          timerExpiryAction,
+        } = get().editedConfig;
+        const errors = [];
+
+        if (eventName.length > MAX_EVENT_NAME_LENGTH) {
+          errors.push(
+            `Event name must be at most ${MAX_EVENT_NAME_LENGTH} characters`,
+          );
+        }
+
+        if (!Number.isInteger(questionsPerTeam) || questionsPerTeam < 1) {
+          errors.push('Questions per set must be a whole number of at least 1');
+        }
+
+        if (!Number.isInteger(minTeams) || minTeams < 1) {
+          errors.push('Minimum teams must be a whole number of at least 1');
+        }
+        if (!Number.isInteger(maxTeams) || maxTeams < minTeams) {
+          errors.push(
+            'Maximum teams must be a whole number of at least the minimum',
+          );
+        }
+
+        if (
+          !Object.values(ELIMINATION_PRIZE_RULES).includes(eliminationPrizeRule)
+        ) {
+          errors.push('Unknown elimination prize rule');
+        }
+
+        if (!currencySymbol?.trim()) {
+          errors.push('Currency symbol is required');
+        }
+        if (!isValidLocale(numberFormatLocale)) {
+          errors.push(`"${numberFormatLocale}" is not a valid number locale`);
+        }
+
+        if (!Number.isInteger(timerDuration) || timerDuration < 1) {
+          errors.push('Default timer duration must be at least 1 second');
+        }
+        timerTiers.forEach((tier, i) => {
+          if (
+            !Number.isInteger(tier.fromQuestion) ||
+            tier.fromQuestion < 1 ||
+            !Number.isInteger(tier.seconds) ||
+            tier.seconds < 1
+          ) {
+            errors.push(
+              `Timer tier ${i + 1} needs a start question and seconds of at least 1`,
+            );
+          }
+        });
+        if (!Object.values(TIMER_EXPIRY_ACTIONS).includes(timerExpiryAction)) {
+          errors.push('Unknown timer expiry action');
+        }
+
+        errors.push(...get().validateLifelineConfig().errors);
+
+        return { isValid: errors.length === 0, errors };
+      },
+
+      /**
+       * Save changed keys of the edited config to Firebase
+       * The first save marks the event as configured, after which Firebase is
+       * the source of truth (see syncConfigWithFirebase).
+       * @returns {Promise<{ success: boolean, error?: string }>}
+       */
+      saveConfig: async () => {
+        const { config, editedConfig: edited } = get();
+        const editedConfig = {
+          ...edited,
+          configuredAt: config.configuredAt ?? Date.now(),
+        };
+
+        const changes = Object.fromEntries(
+          Object.entries(editedConfig).filter(
+            ([key, value]) =>
+              JSON.stringify(value) !== JSON.stringify(config[key]),
+          ),
+        );
+
+        set({ isSyncing: true, error: null });
+
+        try {
+          if (Object.keys(changes).length > 0) {
+            await databaseService.updateConfig(changes);
+          }
+
+          set({
+            config: editedConfig,
+            editedConfig,
+            hasUnsavedChanges: false,
+            isSyncing: false,
+            lastSyncedAt: Date.now(),
+          });
+
+          console.log('✅ Config saved to Firebase:', Object.keys(changes));
+          return { success: true };
+        } catch (error) {
+          console.error('Failed to save config:', error);
+          set({ isSyncing: false, error: error.message });
+          return { success: false, error: error.message };
+        }
+      },
+    }),
+    {
+      name: 'config-store',
+    },
+  ),
+);
@@ -0,0 +1,129 @@
+// src/stores/useConnectionStore.js
+
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import { databaseService } from '@services/database.service';
+import { CONNECTION_STATUS } from '@constants/connection';
+import { toast } from 'sonner';
+
+/**
+ * Connection Store
+ * Firebase connection state (`.info/connected`) and the number of writes
+ * still waiting for server acknowledgement (PRD P7-REQ-007/008)
+ *
+ * While offline the Firebase SDK keeps queued writes and replays them on
+ * reconnect. This store counts the changes queued during an outage and
+ * reports "Reconnected — N changes synced" once they are all acknowledged.
+ *
+ * This store does NOT persist to localStorage.
+ */
+export const useConnectionStore = create()(
+  devtools(
+    (set, get) => ({
+      // ============================================================
+      // STATE
+      // ============================================================
+
+      status: CONNECTION_STATUS.CONNECTING,
+      pendingWrites: 0,
+
+      // Writes queued since the connection dropped, reported on resync
+      offlineBacklog: 0,
+      isResyncing: false,
+
+      // ============================================================
+      // ACTIONS
+      // ============================================================
+
+      /**
+       * Start listening to the connection and pending writes
+       * @returns {Function} Unsubscribe function
+       */
+      startConnectionMonitor: () => {
+        const finishResync = () => {
+          const { offlineBacklog } = get();
+          set({ isResyncing: false, offlineBacklog: 0 });
+
+          toast.success('Reconnected', {
+            description:
+              offlineBacklog > 0
+                ? `${offlineBacklog} change${offlineBacklog === 1 ? '' : 's'} synced`
+                : 'No changes were waiting to sync',
+          });
+          console.log(`🟢 Reconnected — ${offlineBacklog} change(s) synced`);
+        };
+
+        const unsubscribeConnection = databaseService.onConnectionChange(
+          (isConnected) => {
+            const { status, pendingWrites } = get();
+
+            if (isConnected) {
+              const wasOffline = status === CONNECTION_STATUS.OFFLINE;
+              set({ status: CONNECTION_STATUS.ONLINE });
+
+              if (wasOffline) {
+                set({ isResyncing: true });
+                if (pendingWrites === 0) finishResync();
+              }
+              return;
+            }
+
+            // Startup — not connected yet, nothing was lost
+            if (status === CONNECTION_STATUS.CONNECTING) return;
+
+            set({
+              status: CONNECTION_STATUS.OFFLINE,
+              isResyncing: false,
+              offlineBacklog: pendingWrites,
+            });
+
+            toast.error('Connection lost', {
+              description: 'Changes will sync when the connection returns',
+            });
+            console.warn('🔴 Firebase connection lost');
+          },
+        );
+
+        const unsubscribePendingWrites = databaseService.onPendingWritesChange(
+          (pendingWrites) => {
+            const {
+              status,
+              pendingWrites: previous,
+              offlineBacklog,
+              isResyncing,
+            } = get();
+            const added = Math.max(0, pendingWrites - previous);
+
+            set({
+              pendingWrites,
+              offlineBacklog:
+                status === CONNECTION_STATUS.OFFLINE
+                  ? offlineBacklog + added
+                  : offlineBacklog,
+            });
+
+            if (isResyncing && pendingWrites === 0) finishResync();
+          },
+        );
+
+        return () => {
+          unsubscribeConnection();
+          unsubscribePendingWrites();
+        };
+      },
+    }),
+    {
+      name: 'connection-store',
+    },
+  ),
+);
+
+/**
+ * Whether the database connection is currently up
+ * Irreversible host actions (lock answer, next team) wait for this.
+ * @returns {boolean}
+ */
+export const isDatabaseOnline = () =>
+  useConnectionStore.getState().status === CONNECTION_STATUS.ONLINE;
+
+export default useConnectionStore;
@@ -0,0 +1,105 @@
+// src/stores/useGameLogStore.js
+
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import { databaseService } from '@services/database.service';
+import { authService } from '@services/auth.service';
+import { GAME_LOG_VIEW_LIMIT } from '@constants/gameLog';
+
+/**
+ * Game Log Store
+ * Appends state-changing host actions to the `game-log` journal and streams
+ * recent entries to the timeline viewer (/game-log)
+ *
+ * Logging never blocks or fails the action being logged: logEvent() catches
+ * its own errors. This store does NOT persist to localStorage.
+ */
+export const useGameLogStore = create()(
+  devtools(
+    (set) => ({
+      // ============================================================
+      // STATE
+      // ============================================================
+
+      // Most recent entries, oldest first (camelCase)
+      entries: [],
+
+      isLoading: false,
+      error: null,
+
+      // ============================================================
+      // ACTIONS
+      // ============================================================
+
+      /**
+       * Append an entry to the journal
+       * The actor is the signed-in host; the server sets the timestamp.
+       *
+       * @param {string} type - GAME_LOG_ACTION value
+       * @param {Object} [payload]
+       * @param {string|null} [payload.teamId]         - Team the action applies to
+       * @param {number|null} [payload.questionNumber] - Question slot, if any
+       * @param {Object|null} [payload.before]         - State snippet before the action
+       * @param {Object|null} [payload.after]          - State snippet after the action
+       * @param {Object|null} [payload.details]        - Extra context (reason, lifeline, ...)
+       * @returns {Promise<{ success: boolean, error?: string }>}
+       */
+      logEvent: async (
+        type,
+        {
+          teamId = null,
+          questionNumber = null,
+          before = null,
+          after = null,
+          details = null,
+        } = {},
+      ) => {
+        try {
+          await databaseService.appendGameLogEntry({
+            type,
+            actorUid: authService.getUserId(),
+            actorEmail: authService.getUserEmail(),
+            teamId,
+            questionNumber,
+            before,
+            after,
+            details,
+          });
+
+          console.log(`📓 Game log: ${type}`);
+          return { success: true };
+        } catch (error) {
+          console.warn(`⚠️ Failed to write game log entry (${type}):`, error);
+          return { success: false, error: error.message };
+        }
+      },
+
+      /**
+       * Start real-time listener for the most recent journal entries
+       * @returns {Function} Unsubscribe function
+       */
+      startGameLogListener: () => {
+        set({ isLoading: true, error: null });
+
+        return databaseService.onGameLogChange((entries) => {
+          set({ entries, isLoading: false });
+        }, GAME_LOG_VIEW_LIMIT);
+      },
+    }),
+    {
+      name: 'game-log-store',
+    },
+  ),
+);
+
+/**
+ * Append a game log entry from outside React (stores, hooks, event handlers)
+ * Fire-and-forget: the returned promise never rejects.
+ * @param {string} type - GAME_LOG_ACTION value
+ * @param {Object} [payload] - See logEvent()
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const logGameEvent = (type, payload) =>
+  useGameLogStore.getState().logEvent(type, payload);
+
+export default useGameLogStore;
@@ -3,10 +3,19 @@
 import { create } from 'zustand';
 import { databaseService } from '@services/database.service';
 import { devtools, persist } from 'zustand/middleware';
-import { GAME_STATUS } from '@constants/gameStates';
+import { GAME_STATUS, QUESTION_TIMER_STATUS } from '@constants/gameStates';
 import { DEFAULT_GAME_STATE } from '@constants/defaultDatabase';
 import { useQuestionsStore } from './useQuestionsStore';
 import { useTeamsStore } from './useTeamsStore';
+import { useConfigStore } from './useConfigStore';
+import { useArchiveStore } from './useArchiveStore';
+import { logGameEvent } from './useGameLogStore';
+import { assertGameController } from './useHostSessionStore';
+import { isDatabaseOnline } from './useConnectionStore';
+import { GAME_LOG_ACTION } from '@constants/gameLog';
+import { LOCK_UNDO_WINDOW_SECONDS } from '@constants/config';
+import { buildTeamLifelines } from '@constants/teamStates';
+import { assertGameTransition } from '@utils/gameplay/stateTransitions';
 
 const appName = import.meta.env.VITE_APP_NAME || 'wwbam-quiz-host-panel';
 
@@ -45,7 +54,7 @@ export const useGameStore = create()(
         // Game status
         ...DEFAULT_GAME_STATE,
 
-        // 'phone-a-friend' | 'fifty-fifty' | null
+        // 'phone-a-friend' | 'fifty-fifty' | 'audience-poll' | 'switch-question' | null
         activeLifeline: null,
 
         // Data ready flag - true when critical game data is synced from Firebase
@@ -54,6 +63,10 @@ export const useGameStore = create()(
         // Loading state for data sync operations
         isSyncingData: false,
 
+        // Snapshot taken just before the last answer lock (local only, see
+        // captureLockSnapshot) — null when there is nothing to revert
+        lockUndo: null,
+
         // ============================================================
         // DATA READY MANAGEMENT
         // ============================================================
@@ -121,6 +134,7 @@ export const useGameStore = create()(
         setQuestionNumber: (questionNumber) => {
           set({
             currentQuestionNumber: questionNumber,
+            lockUndo: null, // Loading a question ends the undo window
             lastUpdated: Date.now(),
           });
 
@@ -194,31 +208,138 @@ export const useGameStore = create()(
           );
         },
 
+        /**
+         * Start the per-question answer timer
+         * Local state uses the client clock until the listener delivers the
+         * server timestamp written to Firebase.
+         *
+         * @param {number} duration - Total time allowed in seconds
+         * @param {number} elapsed - Milliseconds already used (default 0)
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        startQuestionTimer: async (duration, elapsed = 0) => {
+          try {
+            set({
+              questionTimer: {
+                duration,
+                elapsed,
+                startedAt: Date.now(),
+                status: QUESTION_TIMER_STATUS.RUNNING,
+              },
+              lastUpdated: Date.now(),
+            });
+
+            await databaseService.startQuestionTimer(duration, elapsed);
+            return { success: true };
+          } catch (error) {
+            console.error('Failed to start question timer:', error);
+            return { success: false, error: error.message };
+          }
+        },
+
+        /**
+         * Mark the answer timer as expired (time ran out)
+         * Only the controlling session writes the expiry.
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        expireQuestionTimer: async () => {
+          const { questionTimer } = get();
+          if (!questionTimer) return { success: true };
+
+          try {
+            assertGameController();
+
+            set({
+              questionTimer: {
+                ...questionTimer,
+                status: QUESTION_TIMER_STATUS.EXPIRED,
+              },
+              lastUpdated: Date.now(),
+            });
+
+            await databaseService.expireQuestionTimer();
+            return { success: true };
+          } catch (error) {
+            console.error('Failed to expire question timer:', error);
+            return { success: false, error: error.message };
+          }
+        },
+
+        /**
+         * Stop and remove the answer timer (e.g. answer locked)
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        clearQuestionTimer: async () => {
+          if (!get().questionTimer) return { success: true };
+
+          try {
+            set({ questionTimer: null, lastUpdated: Date.now() });
+            await databaseService.clearQuestionTimer();
+            return { success: true };
+          } catch (error) {
+            console.error('Failed to clear question timer:', error);
+            return { success: false, error: error.message };
+          }
+        },
+
         /**
          * Initialize game
          * Sets up play queue and question set assignments
+         * Applies the lifeline roster (from config) to every queued team
+         * and publishes it for the display
          * Syncs to Firebase and updates local state
          */
         initializeGame: async (playQueue, questionSetAssignments) => {
           try {
             const timestamp = Date.now();
+            const previousStatus = get().gameStatus;
+            assertGameTransition(previousStatus, GAME_STATUS.INITIALIZED);
+
+            const { lifelinesEnabled, lifelineUses, lifelineRule } =
+              await useConfigStore.getState().ensureConfigLoaded();
+            const lifelineRoster = {
+              rule: lifelineRule,
+              uses: buildTeamLifelines(lifelinesEnabled, lifelineUses),
+            };
+
+            // Sync to Firebase (guarded status transition)
+            await databaseService.transitionGameStatus(
+              GAME_STATUS.INITIALIZED,
+              {
+                playQueue,
+                questionSetAssignments,
+                lifelineRoster,
+                initializedAt: timestamp,
+              },
+            );
 
             // Update local state
             set({
               gameStatus: GAME_STATUS.INITIALIZED,
               playQueue,
               questionSetAssignments,
+              lifelineRoster,
               initializedAt: timestamp,
               lastUpdated: timestamp,
               isDataReady: true, // Mark data as ready after initialization
             });
 
-            // Sync to Firebase
-            await databaseService.updateGameState({
-              gameStatus: GAME_STATUS.INITIALIZED,
-              playQueue,
-              questionSetAssignments,
-              initializedAt: timestamp,
+            // Teams start the game with the current roster, even if the
+            // host changed lifeline settings after creating them
+            const { updateTeam } = useTeamsStore.getState();
+            for (const teamId of playQueue) {
+              await updateTeam(teamId, {
+                lifelinesAvailable: lifelineRoster.uses,
+              });
+            }
+
+            logGameEvent(GAME_LOG_ACTION.GAME_INITIALIZED, {
+              before: { gameStatus: previousStatus },
+              after: {
+                gameStatus: GAME_STATUS.INITIALIZED,
+                playQueue,
+                questionSetAssignments,
+              },
             });
 
             console.log('🎲 Game initialized and synced to Firebase');
@@ -226,7 +347,7 @@ export const useGameStore = create()(
             return { success: true };
           } catch (error) {
             console.error('Failed to initialize game:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
@@ -237,6 +358,14 @@ export const useGameStore = create()(
         startGame: async (firstTeamId) => {
           try {
             const timestamp = Date.now();
+            const previousStatus = get().gameStatus;
+            assertGameTransition(previousStatus, GAME_STATUS.ACTIVE);
+
+            // Sync to Firebase (guarded status transition)
+            await databaseService.transitionGameStatus(GAME_STATUS.ACTIVE, {
+              currentTeamId: firstTeamId,
+              startedAt: timestamp,
+            });
 
             // Update local state
             set({
@@ -249,64 +378,123 @@ export const useGameStore = create()(
             // Update team status to ACTIVE in teams store
             await useTeamsStore.getState().updateTeam(firstTeamId, {
               status: 'active',
+              startedAt: timestamp,
             });
 
-            // Sync to Firebase
-            await databaseService.updateGameState({
-              gameStatus: GAME_STATUS.ACTIVE,
-              currentTeamId: firstTeamId,
-              startedAt: timestamp,
+            logGameEvent(GAME_LOG_ACTION.GAME_STARTED, {
+              teamId: firstTeamId,
+              before: { gameStatus: previousStatus },
+              after: {
+                gameStatus: GAME_STATUS.ACTIVE,
+                currentTeamId: firstTeamId,
+              },
             });
 
             console.log('🎮 Game started and synced to Firebase');
             return { success: true };
           } catch (error) {
             console.error('Failed to start game:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
         /**
          * Pause game
+         * A running answer timer is frozen in the same write, with the time
+         * used so far folded into `elapsed`.
          */
         pauseGame: async () => {
           try {
+            const {
+              questionTimer,
+              gameStatus,
+              currentTeamId,
+              currentQuestionNumber,
+            } = get();
+            const pausedTimer =
+              questionTimer?.status === QUESTION_TIMER_STATUS.RUNNING
+                ? {
+                    ...questionTimer,
+                    elapsed:
+                      (questionTimer.elapsed || 0) +
+                      Math.max(0, Date.now() - questionTimer.startedAt),
+                    startedAt: null,
+                    status: QUESTION_TIMER_STATUS.PAUSED,
+                  }
+                : questionTimer;
+
+            assertGameTransition(gameStatus, GAME_STATUS.PAUSED);
+
+            await databaseService.transitionGameStatus(GAME_STATUS.PAUSED, {
+              questionTimer: pausedTimer,
+            });
+
             set({
               gameStatus: GAME_STATUS.PAUSED,
+              questionTimer: pausedTimer,
               lastUpdated: Date.now(),
             });
 
-            await databaseService.updateGameState({
-              gameStatus: GAME_STATUS.PAUSED,
+            logGameEvent(GAME_LOG_ACTION.GAME_PAUSED, {
+              teamId: currentTeamId,
+              questionNumber: currentQuestionNumber,
+              before: { gameStatus, questionTimer },
+              after: {
+                gameStatus: GAME_STATUS.PAUSED,
+                questionTimer: pausedTimer,
+              },
             });
 
             console.log('⏸️ Game paused');
             return { success: true };
           } catch (error) {
             console.error('Failed to pause game:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
         /**
          * Resume game
+         * A paused answer timer restarts from where it was frozen.
          */
         resumeGame: async () => {
           try {
+            const {
+              questionTimer,
+              gameStatus,
+              currentTeamId,
+              currentQuestionNumber,
+            } = get();
+
+            // e.g. a completed game can never be resumed
+            assertGameTransition(gameStatus, GAME_STATUS.ACTIVE);
+
+            await databaseService.transitionGameStatus(GAME_STATUS.ACTIVE);
+
             set({
               gameStatus: GAME_STATUS.ACTIVE,
               lastUpdated: Date.now(),
             });
 
-            await databaseService.updateGameState({
-              gameStatus: GAME_STATUS.ACTIVE,
+            if (questionTimer?.status === QUESTION_TIMER_STATUS.PAUSED) {
+              await get().startQuestionTimer(
+                questionTimer.duration,
+                questionTimer.elapsed,
+              );
+            }
+
+            logGameEvent(GAME_LOG_ACTION.GAME_RESUMED, {
+              teamId: currentTeamId,
+              questionNumber: currentQuestionNumber,
+              before: { gameStatus },
+              after: { gameStatus: GAME_STATUS.ACTIVE },
             });
 
             console.log('▶️ Game resumed');
             return { success: true };
           } catch (error) {
             console.error('Failed to resume game:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
@@ -316,9 +504,10 @@ export const useGameStore = create()(
         completeGame: async () => {
           try {
             const timestamp = Date.now();
+            const { gameStatus, currentTeamId } = get();
+            assertGameTransition(gameStatus, GAME_STATUS.COMPLETED);
 
-            set({
-              gameStatus: GAME_STATUS.COMPLETED,
+            await databaseService.transitionGameStatus(GAME_STATUS.COMPLETED, {
               currentTeamId: null,
               currentQuestion: null,
               questionVisible: false,
@@ -327,10 +516,11 @@ export const useGameStore = create()(
               correctOption: null,
               selectedOption: null,
               optionWasCorrect: null,
-              lastUpdated: timestamp,
+              questionTimer: null,
+              completedAt: timestamp,
             });
 
-            await databaseService.updateGameState({
+            set({
               gameStatus: GAME_STATUS.COMPLETED,
               currentTeamId: null,
               currentQuestion: null,
@@ -340,13 +530,21 @@ export const useGameStore = create()(
               correctOption: null,
               selectedOption: null,
               optionWasCorrect: null,
+              questionTimer: null,
+              completedAt: timestamp,
+              lastUpdated: timestamp,
+            });
+
+            logGameEvent(GAME_LOG_ACTION.GAME_COMPLETED, {
+              before: { gameStatus, currentTeamId },
+              after: { gameStatus: GAME_STATUS.COMPLETED, currentTeamId: null },
             });
 
             console.log('🏁 Game completed and synced to Firebase');
             return { success: true };
           } catch (error) {
             console.error('Failed to complete game:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
@@ -366,6 +564,7 @@ export const useGameStore = create()(
          * The previous team's status should already be set correctly by:
          * - completeTeam() → status: "completed"
          * - eliminateTeam() → status: "eliminated"
+         * - walkAwayTeam() → status: "walked-away"
          * - (no action) → status remains "active" (team didn't finish)
          *
          * Only updates the NEXT team's status to "active".
@@ -411,6 +610,7 @@ export const useGameStore = create()(
 
             await useTeamsStore.getState().updateTeam(nextTeamId, {
               status: 'active',
+              startedAt: timestamp,
             });
 
             console.log(`➡️ Next team ${nextTeamId} set to active`);
@@ -421,6 +621,7 @@ export const useGameStore = create()(
 
             // Reset question state for new team
             set({
+              lockUndo: null,
               currentTeamId: nextTeamId,
               currentQuestionNumber: 0,
               currentQuestion: null,
@@ -430,6 +631,7 @@ export const useGameStore = create()(
               correctOption: null,
               selectedOption: null,
               optionWasCorrect: null,
+              questionTimer: null,
               lastUpdated: timestamp,
             });
 
@@ -444,6 +646,7 @@ export const useGameStore = create()(
               correctOption: null,
               selectedOption: null,
               optionWasCorrect: null,
+              questionTimer: null,
             });
 
             // ============================================================
@@ -454,10 +657,17 @@ export const useGameStore = create()(
             // Their status should already be correct:
             // - "completed" (if they finished all questions)
             // - "eliminated" (if they got eliminated)
+            // - "walked-away" (if they quit with their current prize)
             // - "active" (if host manually skipped them without completing/eliminating)
             //
             // Modifying the status here creates race conditions with Firebase updates
 
+            logGameEvent(GAME_LOG_ACTION.TEAM_ADVANCED, {
+              teamId: nextTeamId,
+              before: { currentTeamId },
+              after: { currentTeamId: nextTeamId },
+            });
+
             console.log(`✅ Moved to next team: ${nextTeamId}`);
 
             // ============================================================
@@ -504,6 +714,157 @@ export const useGameStore = create()(
           }
         },
 
+        /**
+         * Capture the state an answer lock is about to change
+         *
+         * Called by lockAnswer() before anything is written. Keeps the
+         * game-state reveal/completion fields and the team's progress fields
+         * so revertLastLock() can restore them. A running answer timer is
+         * stored with the time used so far folded into `elapsed`.
+         *
+         * @param {string} teamId - Team whose answer is being locked
+         */
+        captureLockSnapshot: (teamId) => {
+          const state = get();
+          const team = useTeamsStore.getState().teams[teamId];
+
+          if (!team) {
+            console.warn(`captureLockSnapshot: Team ${teamId} not found`);
+            return;
+          }
+
+          const lockedAt = Date.now();
+          const { questionTimer } = state;
+          const timerAtLock =
+            questionTimer?.status === QUESTION_TIMER_STATUS.RUNNING
+              ? {
+                  ...questionTimer,
+                  elapsed:
+                    (questionTimer.elapsed || 0) +
+                    Math.max(0, lockedAt - questionTimer.startedAt),
+                  startedAt: null,
+                }
+              : (questionTimer ?? null);
+
+          set({
+            lockUndo: {
+              teamId,
+              questionNumber: state.currentQuestionNumber,
+              lockedAt,
+              expiresAt: lockedAt + LOCK_UNDO_WINDOW_SECONDS * 1000,
+              gameState: {
+                gameStatus: state.gameStatus,
+                currentTeamId: state.currentTeamId,
+                currentQuestion: state.currentQuestion,
+                questionVisible: state.questionVisible,
+                optionsVisible: state.optionsVisible,
+                answerRevealed: state.answerRevealed,
+                correctOption: state.correctOption,
+                selectedOption: state.selectedOption,
+                optionWasCorrect: state.optionWasCorrect,
+                questionTimer: timerAtLock,
+                completedAt: state.completedAt,
+                displayFinalResults: state.displayFinalResults ?? false,
+              },
+              team: {
+                status: team.status,
+                currentPrize: team.currentPrize ?? 0,
+                currentQuestionIndex: team.currentQuestionIndex ?? 0,
+                questionsAnswered: team.questionsAnswered ?? 0,
+                completedAt: team.completedAt ?? null,
+                eliminatedAt: team.eliminatedAt ?? null,
+                prizeBeforeElimination: team.prizeBeforeElimination ?? null,
+                activeLifeline: team.activeLifeline ?? null,
+                history: team.history ?? null,
+              },
+            },
+          });
+        },
+
+        /**
+         * Revert the last answer lock (mis-tap recovery)
+         *
+         * Restores the snapshot from captureLockSnapshot(): clears the
+         * reveal, puts back the team's status, prize, question index and
+         * history, and re-opens the game if the lock completed it. The
+         * statuses go through the guarded revert transitions, so a team or
+         * game another host has moved on since is left alone. Only allowed
+         * from the controlling session while online, within
+         * LOCK_UNDO_WINDOW_SECONDS and before the next question or team is
+         * loaded.
+         *
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        revertLastLock: async () => {
+          const { lockUndo } = get();
+
+          if (!lockUndo) {
+            return { success: false, error: 'No answer lock to revert' };
+          }
+
+          if (Date.now() > lockUndo.expiresAt) {
+            set({ lockUndo: null });
+            return {
+              success: false,
+              error: 'The undo window for the last lock has passed',
+            };
+          }
+
+          try {
+            // Read-only sessions never write; a revert is not queued offline
+            assertGameController();
+            if (!isDatabaseOnline()) {
+              throw new Error(
+                'Connection lost — wait until the connection is back to revert',
+              );
+            }
+
+            const { teamId, gameState, team } = lockUndo;
+            const teamBefore = useTeamsStore.getState().teams[teamId];
+
+            await databaseService.revertAnswerLock({
+              teamId,
+              gameState,
+              team,
+              lockedGameStatus: get().gameStatus,
+              lockedTeamStatus: teamBefore?.status,
+            });
+
+            set({
+              ...gameState,
+              questionTimer:
+                gameState.questionTimer?.status ===
+                QUESTION_TIMER_STATUS.RUNNING
+                  ? { ...gameState.questionTimer, startedAt: Date.now() }
+                  : gameState.questionTimer,
+              lockUndo: null,
+              lastUpdated: Date.now(),
+            });
+
+            // Back to "no answer selected" so the host can select again
+            useQuestionsStore.getState().clearSelectedAnswer();
+
+            logGameEvent(GAME_LOG_ACTION.ANSWER_LOCK_REVERTED, {
+              teamId,
+              questionNumber: lockUndo.questionNumber,
+              before: {
+                status: teamBefore?.status ?? null,
+                currentPrize: teamBefore?.currentPrize ?? 0,
+              },
+              after: { status: team.status, currentPrize: team.currentPrize },
+              details: { gameStatus: gameState.gameStatus },
+            });
+
+            console.log(
+              `↩️ Lock on Q${lockUndo.questionNumber} reverted for ${teamId}`,
+            );
+            return { success: true };
+          } catch (error) {
+            console.error('Failed to revert answer lock:', error);
+            return { success: false, error: error.message, code: error.code };
+          }
+        },
+
         /**
          * Skip the current question.
          *
@@ -521,6 +882,86 @@ export const useGameStore = create()(
          * @returns {Promise<{ success: boolean, error?: string }>}
          */
         skipQuestion: async () => {
+          const result = await get().clearQuestionState();
+
+          if (result.success) {
+            console.log(
+              `⏭️ Question ${get().currentQuestionNumber} skipped — state cleared`,
+            );
+          } else {
+            console.error('Failed to skip question:', result.error);
+          }
+
+          return result;
+        },
+
+        /**
+         * Record a skipped question in game-state/skipped-questions
+         *
+         * When the skip was substituted, the reserve is also added to
+         * usedReserveQuestions in the same write so it is never reused.
+         *
+         * @param {Object} entry
+         * @param {string} entry.teamId         - Team that was playing
+         * @param {number} entry.questionNumber - Slot that was skipped (1-20)
+         * @param {string} entry.questionId     - Skipped question's ID
+         * @param {string} entry.questionSetId  - Set the skipped question came from
+         * @param {string|null} entry.reason    - Host-entered reason
+         * @param {string|null} [reserveKey]    - getReserveQuestionKey() of the substitute
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        logSkippedQuestion: async (entry, reserveKey = null) => {
+          try {
+            const skippedQuestions = [
+              ...get().skippedQuestions,
+              {
+                ...entry,
+                substitutedWith: reserveKey,
+                skippedAt: Date.now(),
+              },
+            ];
+            const usedReserveQuestions = reserveKey
+              ? [...get().usedReserveQuestions, reserveKey]
+              : get().usedReserveQuestions;
+
+            set({ skippedQuestions, usedReserveQuestions });
+
+            await databaseService.updateGameState({
+              skippedQuestions,
+              usedReserveQuestions,
+            });
+
+            logGameEvent(GAME_LOG_ACTION.QUESTION_SKIPPED, {
+              teamId: entry.teamId,
+              questionNumber: entry.questionNumber,
+              before: {
+                questionId: entry.questionId,
+                questionSetId: entry.questionSetId,
+              },
+              after: { substitutedWith: reserveKey },
+              details: { reason: entry.reason },
+            });
+
+            console.log(
+              `📝 Skip logged: Q${entry.questionNumber} (${entry.reason || 'no reason given'})${reserveKey ? ` → ${reserveKey}` : ''}`,
+            );
+            return { success: true };
+          } catch (error) {
+            console.error('Failed to log skipped question:', error);
+            return { success: false, error: error.message };
+          }
+        },
+
+        /**
+         * Clear the current question from local state and the public display.
+         *
+         * Shared by skipQuestion() and the walk-away flow — both retract the
+         * question without revealing an answer. currentQuestionNumber is left
+         * untouched (see skipQuestion for why).
+         *
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        clearQuestionState: async () => {
           try {
             const timestamp = Date.now();
 
@@ -533,6 +974,10 @@ export const useGameStore = create()(
               correctOption: null,
               selectedOption: null,
               optionWasCorrect: null,
+              audiencePoll: null,
+              questionTimer: null,
+              questionShownAt: null,
+              questionLifelines: null,
               lastUpdated: timestamp,
             });
 
@@ -545,14 +990,15 @@ export const useGameStore = create()(
               correctOption: null,
               selectedOption: null,
               optionWasCorrect: null,
+              audiencePoll: null,
+              questionTimer: null,
+              questionShownAt: null,
+              questionLifelines: null,
             });
 
-            console.log(
-              `⏭️ Question ${get().currentQuestionNumber} skipped — state cleared`,
-            );
             return { success: true };
           } catch (error) {
-            console.error('Failed to skip question:', error);
+            console.error('Failed to clear question state:', error);
             return { success: false, error: error.message };
           }
         },
@@ -676,12 +1122,45 @@ export const useGameStore = create()(
 
         /**
          * Uninitialize game (reset to NOT_STARTED)
+         * A completed game is archived first; the reset is aborted if that fails.
          */
         uninitializeGame: async () => {
           try {
             const timestamp = Date.now();
+            const { gameStatus, playQueue } = get();
+            const isStatusChange = gameStatus !== GAME_STATUS.NOT_STARTED;
+
+            if (isStatusChange) {
+              assertGameTransition(gameStatus, GAME_STATUS.NOT_STARTED);
+            }
+
+            // Archive a completed game before its teams and state are wiped
+            const archiveResult = await useArchiveStore
+              .getState()
+              .archiveCompletedGame();
+
+            if (!archiveResult.success) {
+              return {
+                success: false,
+                error: `Could not archive the completed game: ${archiveResult.error}`,
+              };
+            }
+
+            // Sync to Firebase (guarded status transition) before the teams
+            // are reset, so a rejected move leaves everything untouched
+            const { gameStatus: _defaultStatus, ...gameStateDefaults } =
+              DEFAULT_GAME_STATE;
+
+            if (isStatusChange) {
+              await databaseService.transitionGameStatus(
+                GAME_STATUS.NOT_STARTED,
+                gameStateDefaults,
+              );
+            } else {
+              await databaseService.updateGameState(DEFAULT_GAME_STATE);
+            }
 
-            // Reset all teams first
+            // Reset all teams
             const resetTeamsResult = await useTeamsStore
               .getState()
               .resetAllTeamsProgress();
@@ -696,18 +1175,22 @@ export const useGameStore = create()(
             // Reset local state
             set({
               ...DEFAULT_GAME_STATE,
+              lockUndo: null,
               isDataReady: false, // Mark as not ready after uninit
               lastUpdated: timestamp,
             });
 
-            // Sync to Firebase
-            await databaseService.updateGameState(DEFAULT_GAME_STATE);
+            logGameEvent(GAME_LOG_ACTION.GAME_UNINITIALIZED, {
+              before: { gameStatus, playQueue },
+              after: { gameStatus: DEFAULT_GAME_STATE.gameStatus },
+              details: { archivedAs: archiveResult.eventId ?? null },
+            });
 
             console.log('🔄 Game uninitialized and synced to Firebase');
             return { success: true };
           } catch (error) {
             console.error('Failed to uninitialize game:', error);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
@@ -741,7 +1224,15 @@ export const useGameStore = create()(
               optionWasCorrect: gameState.optionWasCorrect ?? null,
               initializedAt: gameState.initializedAt || null,
               startedAt: gameState.startedAt || null,
+              completedAt: gameState.completedAt || null,
               activeLifeline: gameState.activeLifeline || null,
+              audiencePoll: gameState.audiencePoll || null,
+              questionTimer: gameState.questionTimer || null,
+              questionShownAt: gameState.questionShownAt ?? null,
+              questionLifelines: gameState.questionLifelines ?? null,
+              usedReserveQuestions: gameState.usedReserveQuestions || [],
+              skippedQuestions: gameState.skippedQuestions || [],
+              lifelineRoster: gameState.lifelineRoster ?? null,
               lastUpdated: Date.now(),
               isDataReady: true, // Mark as ready after successful load
             });
@@ -762,6 +1253,7 @@ export const useGameStore = create()(
         resetGame: () => {
           set({
             ...DEFAULT_GAME_STATE,
+            lockUndo: null,
             isDataReady: false,
             lastUpdated: Date.now(),
           });
@@ -779,6 +1271,7 @@ export const useGameStore = create()(
         resetAppToFactoryDefaults: async () => {
           try {
             console.log('🏭 Resetting app to factory defaults...');
+            const { gameStatus } = get();
 
             // Reset database to defaults via Firebase service
             // This clears question sets and resets game state in Firebase
@@ -787,6 +1280,11 @@ export const useGameStore = create()(
             // Reset local game store
             get().resetGame();
 
+            logGameEvent(GAME_LOG_ACTION.FACTORY_RESET, {
+              before: { gameStatus },
+              after: { gameStatus: DEFAULT_GAME_STATE.gameStatus },
+            });
+
             console.log('✅ App reset to factory defaults');
             return { success: true };
           } catch (error) {
@@ -873,7 +1371,17 @@ export const useGameStore = create()(
                   optionWasCorrect: firebaseGameState.optionWasCorrect,
                   initializedAt: firebaseGameState.initializedAt,
                   startedAt: firebaseGameState.startedAt,
+                  completedAt: firebaseGameState.completedAt ?? null,
                   activeLifeline: firebaseGameState.activeLifeline || null,
+                  audiencePoll: firebaseGameState.audiencePoll || null,
+                  questionTimer: firebaseGameState.questionTimer || null,
+                  questionShownAt: firebaseGameState.questionShownAt ?? null,
+                  questionLifelines:
+                    firebaseGameState.questionLifelines ?? null,
+                  usedReserveQuestions:
+                    firebaseGameState.usedReserveQuestions || [],
+                  skippedQuestions: firebaseGameState.skippedQuestions || [],
+                  lifelineRoster: firebaseGameState.lifelineRoster ?? null,
                   isDataReady: true, // Mark as ready when receiving Firebase updates
                   lastUpdated: Date.now(),
                   displayFinalResults:
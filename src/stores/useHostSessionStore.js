@@ -0,0 +1,226 @@
+// src/stores/useHostSessionStore.js
+
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import { databaseService } from '@services/database.service';
+import { authService } from '@services/auth.service';
+import { logGameEvent } from '@stores/useGameLogStore';
+import { GAME_LOG_ACTION } from '@constants/gameLog';
+
+const appName = import.meta.env.VITE_APP_NAME || 'wwbam-quiz-host-panel';
+const SESSION_ID_KEY = `${appName}-host-session-id`;
+
+export const READ_ONLY_SESSION_ERROR =
+  'Another host session is controlling the game. Take over to make changes.';
+
+/**
+ * Get this tab's session ID
+ * Kept in sessionStorage so a reload keeps the same session (and lease),
+ * while every other tab or device gets its own.
+ * @returns {string}
+ */
+const getTabSessionId = () => {
+  let sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+  }
+
+  return sessionId;
+};
+
+/**
+ * Whether the lease belongs to a session that is still connected
+ * A lease left behind by a closed or crashed tab counts as vacant.
+ * @param {Object|null} controller - Lease (camelCase)
+ * @param {Object} sessions - Live sessions keyed by session ID
+ * @returns {boolean}
+ */
+const isLeaseHeld = (controller, sessions) =>
+  !!controller?.sessionId && !!sessions[controller.sessionId];
+
+/**
+ * Host Session Store
+ * Presence of open host panels and the "primary controller" lease
+ * (PRD P7-REQ-014)
+ *
+ * Every /play tab registers itself under `host-sessions` (removed by the
+ * server on disconnect). Only the session holding `game-controller` may
+ * drive the game; the others are read-only until they take over. A vacant
+ * lease is claimed automatically by the first live session.
+ *
+ * This store does NOT persist to localStorage.
+ */
+export const useHostSessionStore = create()(
+  devtools(
+    (set, get) => ({
+      // ============================================================
+      // STATE
+      // ============================================================
+
+      sessionId: getTabSessionId(),
+
+      // Live sessions keyed by session ID (camelCase)
+      sessions: {},
+
+      // Current lease: { sessionId, uid, email, claimedAt } or null
+      controller: null,
+
+      // True until the first sessions/controller snapshots arrive
+      isLoading: true,
+
+      isController: false,
+      isClaiming: false,
+      error: null,
+
+      // ============================================================
+      // ACTIONS
+      // ============================================================
+
+      /**
+       * Register this tab and start listening to sessions and the lease
+       * @returns {Function} Unsubscribe function (also unregisters the tab)
+       */
+      startHostSession: () => {
+        const { sessionId } = get();
+        let sessionsLoaded = false;
+        let controllerLoaded = false;
+
+        const sync = () => {
+          if (!sessionsLoaded || !controllerLoaded) return;
+
+          const { sessions, controller } = get();
+          set({
+            isLoading: false,
+            isController:
+              controller?.sessionId === sessionId && !!sessions[sessionId],
+          });
+
+          // Pick up a vacant lease once this tab is registered
+          if (!isLeaseHeld(controller, sessions) && sessions[sessionId]) {
+            get().claimControl();
+          }
+        };
+
+        const unregister = databaseService.registerHostSession(sessionId, {
+          uid: authService.getUserId(),
+          email: authService.getUserEmail(),
+          userAgent: navigator.userAgent,
+        });
+
+        const unsubscribeSessions = databaseService.onHostSessionsChange(
+          (sessions) => {
+            sessionsLoaded = true;
+            set({ sessions });
+            sync();
+          },
+        );
+
+        const unsubscribeController = databaseService.onGameControllerChange(
+          (controller) => {
+            controllerLoaded = true;
+            set({ controller });
+            sync();
+          },
+        );
+
+        console.log(`🖥️ Host session started: ${sessionId}`);
+
+        return () => {
+          unsubscribeSessions();
+          unsubscribeController();
+          unregister();
+          set({
+            sessions: {},
+            controller: null,
+            isLoading: true,
+            isController: false,
+          });
+          console.log(`🖥️ Host session stopped: ${sessionId}`);
+        };
+      },
+
+      /**
+       * Claim the controller lease
+       * @param {Object} [options]
+       * @param {boolean} [options.force=false] - Take it from a live session
+       * @returns {Promise<{ success: boolean, error?: string }>}
+       */
+      claimControl: async ({ force = false } = {}) => {
+        const { sessionId, sessions, isClaiming } = get();
+
+        if (isClaiming) {
+          return { success: false, error: 'A claim is already in progress' };
+        }
+
+        set({ isClaiming: true, error: null });
+
+        try {
+          const committed = await databaseService.claimGameController(
+            {
+              sessionId,
+              uid: authService.getUserId(),
+              email: authService.getUserEmail(),
+            },
+            { force, activeSessionIds: Object.keys(sessions) },
+          );
+
+          set({ isClaiming: false });
+
+          if (!committed) {
+            return {
+              success: false,
+              error: 'Another host session already holds control',
+            };
+          }
+
+          return { success: true };
+        } catch (error) {
+          console.error('Failed to claim game control:', error);
+          set({ isClaiming: false, error: error.message });
+          return { success: false, error: error.message };
+        }
+      },
+
+      /**
+       * Take control from the current controller ("Take over")
+       * The previous controller's tab turns read-only as soon as it sees
+       * the new lease.
+       * @returns {Promise<{ success: boolean, error?: string }>}
+       */
+      takeOverControl: async () => {
+        const previous = get().controller;
+        const result = await get().claimControl({ force: true });
+
+        if (result.success) {
+          logGameEvent(GAME_LOG_ACTION.CONTROL_TAKEN_OVER, {
+            before: previous
+              ? { sessionId: previous.sessionId, email: previous.email }
+              : null,
+            after: { sessionId: get().sessionId },
+          });
+        }
+
+        return result;
+      },
+    }),
+    {
+      name: 'host-session-store',
+    },
+  ),
+);
+
+/**
+ * Throw unless this tab holds the controller lease
+ * Guard for host actions that write game state (useGameControls,
+ * useAnswerSelection).
+ * @throws {Error} READ_ONLY_SESSION_ERROR
+ */
+export const assertGameController = () => {
+  if (!useHostSessionStore.getState().isController) {
+    throw new Error(READ_ONLY_SESSION_ERROR);
+  }
+};
+
+export default useHostSessionStore;
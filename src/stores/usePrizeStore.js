@@ -3,13 +3,28 @@
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
 import { databaseService } from '@services/database.service';
-import { DEFAULT_PRIZE_STRUCTURE } from '@constants/defaultDatabase';
+import {
+  DEFAULT_PRIZE_STRUCTURE,
+  DEFAULT_PRIZE_MILESTONES,
+} from '@constants/defaultDatabase';
+import { useConfigStore } from '@stores/useConfigStore';
 
 const appName = import.meta.env.VITE_APP_NAME || 'wwbam-quiz-host-panel';
 
+/**
+ * Milestones saved before they moved to `prize-milestones` lived in config
+ * @returns {Array<number>} Legacy config.milestoneQuestions or the defaults
+ */
+const getLegacyMilestones = () =>
+  useConfigStore.getState().config.milestoneQuestions ??
+  DEFAULT_PRIZE_MILESTONES;
+
 /**
  * Prize Structure Store
  * Manages prize structure state and Firebase synchronization
+ *
+ * Milestones (1-indexed question numbers) are stored alongside the ladder in
+ * the `prize-milestones` node and edited/saved together with it.
  */
 export const usePrizeStore = create()(
   devtools(
@@ -21,6 +36,8 @@ export const usePrizeStore = create()(
 
         prizeStructure: [],
         editedPrizeStructure: [],
+        milestones: DEFAULT_PRIZE_MILESTONES,
+        editedMilestones: DEFAULT_PRIZE_MILESTONES,
         hasUnsavedChanges: false,
         isLoading: false,
         isSyncing: false,
@@ -32,18 +49,24 @@ export const usePrizeStore = create()(
         // ============================================================
 
         /**
-         * Load prize structure from Firebase
+         * Load prize structure and milestones from Firebase
          */
         loadPrizeStructure: async () => {
           set({ isLoading: true, error: null });
 
           try {
-            const firebasePrizes = await databaseService.getPrizeStructure();
+            const [firebasePrizes, firebaseMilestones] = await Promise.all([
+              databaseService.getPrizeStructure(),
+              databaseService.getPrizeMilestones(),
+            ]);
+            const milestones = firebaseMilestones ?? getLegacyMilestones();
 
             if (firebasePrizes && Array.isArray(firebasePrizes)) {
               set({
                 prizeStructure: firebasePrizes,
                 editedPrizeStructure: [...firebasePrizes],
+                milestones,
+                editedMilestones: [...milestones],
                 isLoading: false,
                 lastSyncedAt: Date.now(),
               });
@@ -52,6 +75,8 @@ export const usePrizeStore = create()(
               set({
                 prizeStructure: DEFAULT_PRIZE_STRUCTURE,
                 editedPrizeStructure: [...DEFAULT_PRIZE_STRUCTURE],
+                milestones: DEFAULT_PRIZE_MILESTONES,
+                editedMilestones: [...DEFAULT_PRIZE_MILESTONES],
                 isLoading: false,
               });
               console.log('📋 No prize structure in Firebase - using default');
@@ -66,18 +91,22 @@ export const usePrizeStore = create()(
         },
 
         /**
-         * Save prize structure to Firebase
+         * Save prize structure and milestones to Firebase
          */
         savePrizeStructure: async () => {
-          const { editedPrizeStructure } = get();
+          const { editedPrizeStructure, editedMilestones } = get();
 
           set({ isSyncing: true, error: null });
 
           try {
-            await databaseService.setPrizeStructure(editedPrizeStructure);
+            await databaseService.setPrizeStructure(
+              editedPrizeStructure,
+              editedMilestones,
+            );
 
             set({
               prizeStructure: [...editedPrizeStructure],
+              milestones: [...editedMilestones],
               hasUnsavedChanges: false,
               isSyncing: false,
               lastSyncedAt: Date.now(),
@@ -100,6 +129,7 @@ export const usePrizeStore = create()(
         loadDefaultStructure: () => {
           set({
             editedPrizeStructure: [...DEFAULT_PRIZE_STRUCTURE],
+            editedMilestones: [...DEFAULT_PRIZE_MILESTONES],
             hasUnsavedChanges: true,
           });
           console.log('📋 Default prize structure loaded into editor');
@@ -109,9 +139,10 @@ export const usePrizeStore = create()(
          * Discard unsaved changes — resets editor back to the last saved structure.
          */
         discardChanges: () => {
-          const { prizeStructure } = get();
+          const { prizeStructure, milestones } = get();
           set({
             editedPrizeStructure: [...prizeStructure],
+            editedMilestones: [...milestones],
             hasUnsavedChanges: false,
           });
           console.log('↩️ Prize structure changes discarded');
@@ -132,6 +163,23 @@ export const usePrizeStore = create()(
           });
         },
 
+        /**
+         * Toggle whether a question is a milestone
+         * @param {number} questionNumber - Question number (1-indexed)
+         */
+        toggleMilestone: (questionNumber) => {
+          const { editedMilestones } = get();
+
+          const newMilestones = editedMilestones.includes(questionNumber)
+            ? editedMilestones.filter((q) => q !== questionNumber)
+            : [...editedMilestones, questionNumber].sort((a, b) => a - b);
+
+          set({
+            editedMilestones: newMilestones,
+            hasUnsavedChanges: true,
+          });
+        },
+
         /**
          * Reset edited structure to saved structure
          * @deprecated Use discardChanges instead
@@ -157,14 +205,21 @@ export const usePrizeStore = create()(
 
         /**
          * Remove a prize level
+         * Milestones above the removed level shift down with their prizes.
          */
         removePrizeLevel: (index) => {
-          const { editedPrizeStructure } = get();
+          const { editedPrizeStructure, editedMilestones } = get();
+          const removedQuestion = index + 1;
           const newStructure = editedPrizeStructure.filter(
             (_, i) => i !== index,
           );
+          const newMilestones = editedMilestones
+            .filter((q) => q !== removedQuestion)
+            .map((q) => (q > removedQuestion ? q - 1 : q));
+
           set({
             editedPrizeStructure: newStructure,
+            editedMilestones: newMilestones,
             hasUnsavedChanges: true,
           });
         },
@@ -181,10 +236,16 @@ export const usePrizeStore = create()(
          * Check if there are unsaved changes
          */
         hasChanges: () => {
-          const { prizeStructure, editedPrizeStructure } = get();
+          const {
+            prizeStructure,
+            editedPrizeStructure,
+            milestones,
+            editedMilestones,
+          } = get();
           return (
             JSON.stringify(prizeStructure) !==
-            JSON.stringify(editedPrizeStructure)
+              JSON.stringify(editedPrizeStructure) ||
+            JSON.stringify(milestones) !== JSON.stringify(editedMilestones)
           );
         },
 
@@ -192,7 +253,7 @@ export const usePrizeStore = create()(
          * Validate prize structure
          */
         validatePrizeStructure: () => {
-          const { editedPrizeStructure } = get();
+          const { editedPrizeStructure, editedMilestones } = get();
 
           const errors = [];
 
@@ -206,6 +267,23 @@ export const usePrizeStore = create()(
             }
           });
 
+          editedMilestones.forEach((questionNumber, index) => {
+            if (
+              !Number.isInteger(questionNumber) ||
+              questionNumber < 1 ||
+              questionNumber > editedPrizeStructure.length
+            ) {
+              errors.push(
+                `Milestone Q${questionNumber} is outside the ${editedPrizeStructure.length}-level ladder`,
+              );
+            } else if (
+              index > 0 &&
+              questionNumber <= editedMilestones[index - 1]
+            ) {
+              errors.push('Milestones must be in ascending order');
+            }
+          });
+
           return {
             isValid: errors.length === 0,
             errors,
@@ -247,11 +325,16 @@ export const usePrizeStore = create()(
           set({ isSyncing: true, error: null });
 
           try {
-            await databaseService.setPrizeStructure(DEFAULT_PRIZE_STRUCTURE);
+            await databaseService.setPrizeStructure(
+              DEFAULT_PRIZE_STRUCTURE,
+              DEFAULT_PRIZE_MILESTONES,
+            );
 
             set({
               prizeStructure: [...DEFAULT_PRIZE_STRUCTURE],
               editedPrizeStructure: [...DEFAULT_PRIZE_STRUCTURE],
+              milestones: [...DEFAULT_PRIZE_MILESTONES],
+              editedMilestones: [...DEFAULT_PRIZE_MILESTONES],
               hasUnsavedChanges: false,
               isSyncing: false,
               lastSyncedAt: Date.now(),
@@ -301,8 +384,26 @@ export const usePrizeStore = create()(
             },
           );
 
+          const unsubscribeMilestones = databaseService.onPrizeMilestonesChange(
+            (firebaseMilestones) => {
+              if (!firebaseMilestones) return;
+
+              if (!get().hasUnsavedChanges) {
+                set({
+                  milestones: firebaseMilestones,
+                  editedMilestones: [...firebaseMilestones],
+                  lastSyncedAt: Date.now(),
+                });
+                console.log('🔄 Prize milestones updated from Firebase');
+              }
+            },
+          );
+
           console.log('✅ Prize structure listener started');
-          return unsubscribe;
+          return () => {
+            unsubscribe();
+            unsubscribeMilestones();
+          };
         },
 
         /**
@@ -316,6 +417,7 @@ export const usePrizeStore = create()(
 
         partialize: (state) => ({
           prizeStructure: state.prizeStructure,
+          milestones: state.milestones,
           lastSyncedAt: state.lastSyncedAt,
         }),
 
@@ -332,6 +434,7 @@ export const usePrizeStore = create()(
             console.log('💰 Prizes: Hydrated from localStorage');
 
             state.editedPrizeStructure = [...state.prizeStructure];
+            state.editedMilestones = [...state.milestones];
             state.hasUnsavedChanges = false;
 
             const hasPrizes =
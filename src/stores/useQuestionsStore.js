@@ -175,6 +175,26 @@ export const useQuestionsStore = create()(
         return { success: true, question };
       },
 
+      /**
+       * Replace the host question in place (Switch the Question lifeline)
+       * Resets selection, validation and 50/50 state for the new question.
+       *
+       * @param {Object} question - Replacement question (includes correct answer)
+       */
+      replaceHostQuestion: (question) => {
+        set({
+          hostQuestion: question,
+          selectedAnswer: null,
+          validationResult: null,
+          filteredOptions: null,
+        });
+
+        console.log(
+          `🔄 Host question replaced: ${question.id}`,
+          `Correct: ${question.correctAnswer}`,
+        );
+      },
+
       /**
        * Get public version of current question (without correct answer)
        * This is what gets pushed to Firebase game-state for public display
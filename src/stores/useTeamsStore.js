@@ -5,11 +5,12 @@ import { devtools, persist } from 'zustand/middleware';
 import {
   TEAM_STATUS,
   DEFAULT_TEAM_STATUS,
-  isValidTeamTransition,
-  LIFELINE_TYPE,
+  buildTeamLifelines,
+  getLifelineUsesLeft,
 } from '@constants/teamStates';
-import { QUESTIONS_PER_SET } from '@constants/config';
 import { databaseService } from '@services/database.service';
+import { useConfigStore } from '@stores/useConfigStore';
+import { assertTeamTransition } from '@utils/gameplay/stateTransitions';
 
 const appName = import.meta.env.VITE_APP_NAME || 'wwbam-quiz-host-panel';
 
@@ -41,16 +42,26 @@ export const useTeamsStore = create()(
 
         /**
          * Add a new team (syncs with Firebase)
+         * Lifelines follow the roster in config (enabled lifelines + uses).
          */
         addTeam: async (teamData) => {
           set({ isLoading: true, error: null });
 
           try {
+            const { lifelinesEnabled, lifelineUses } = await useConfigStore
+              .getState()
+              .ensureConfigLoaded();
+            const lifelinesAvailable = buildTeamLifelines(
+              lifelinesEnabled,
+              lifelineUses,
+            );
+
             // Create team in Firebase first - Firebase generates the ID
             const firebaseTeamId = await databaseService.createTeam({
               name: teamData.name,
               participants: teamData.participants,
               contact: teamData.contact,
+              lifelinesAvailable,
             });
 
             // Use the Firebase-generated ID for local state
@@ -64,10 +75,7 @@ export const useTeamsStore = create()(
               questionSetId: null,
               currentQuestionIndex: 0,
               questionsAnswered: 0,
-              lifelinesAvailable: {
-                [LIFELINE_TYPE.PHONE_A_FRIEND]: true,
-                [LIFELINE_TYPE.FIFTY_FIFTY]: true,
-              },
+              lifelinesAvailable,
               createdAt: Date.now(),
               lastUpdated: Date.now(),
             };
@@ -93,6 +101,11 @@ export const useTeamsStore = create()(
 
         /**
          * Update team data (syncs with Firebase)
+         *
+         * A status change is a guarded transition (TEAM_STATUS_TRANSITIONS):
+         * checked locally, then committed through a Firebase transaction on
+         * teams/{teamId}/status before the other fields are written. An
+         * illegal move returns { success: false, error, code: 'invalid-transition' }.
          */
         updateTeam: async (teamId, updates) => {
           const { teams } = get();
@@ -102,28 +115,21 @@ export const useTeamsStore = create()(
             return { success: false, error: 'Team not found' };
           }
 
-          // Validate status transition if status is being updated
-          if (updates.status) {
-            const currentStatus = teams[teamId].status;
-            const newStatus = updates.status;
-
-            // Only validate if status is actually changing
-            if (currentStatus !== newStatus) {
-              if (!isValidTeamTransition(currentStatus, newStatus)) {
-                console.warn(
-                  `Invalid team status transition: ${currentStatus} -> ${newStatus}`,
-                );
-                return { success: false, error: 'Invalid status transition' };
-              }
-            } else {
-              // Status isn't changing, skip validation
-              console.log(`Team ${teamId} status unchanged: ${currentStatus}`);
-            }
-          }
+          const currentStatus = teams[teamId].status;
+          const isStatusChange =
+            !!updates.status && updates.status !== currentStatus;
 
           set({ isLoading: true, error: null });
 
           try {
+            if (isStatusChange) {
+              assertTeamTransition(teamId, currentStatus, updates.status);
+              await databaseService.transitionTeamStatus(
+                teamId,
+                updates.status,
+              );
+            }
+
             // Sync to Firebase first
             await databaseService.updateTeam(teamId, updates);
 
@@ -148,7 +154,7 @@ export const useTeamsStore = create()(
           } catch (error) {
             console.error('Failed to update team:', error);
             set({ isLoading: false, error: error.message });
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
           }
         },
 
@@ -267,6 +273,35 @@ export const useTeamsStore = create()(
           });
         },
 
+        /**
+         * Append a question result to the team's answer history
+         * Written on every lock, skip, timeout and walk-away so each team has
+         * a question-by-question record (teams/{id}/history).
+         *
+         * @param {string} teamId - Team ID
+         * @param {Object} entry - From buildQuestionHistoryEntry()
+         * @returns {Promise<{ success: boolean, error?: string }>}
+         */
+        recordQuestionResult: async (teamId, entry) => {
+          const team = get().teams[teamId];
+
+          if (!team) {
+            console.warn(`recordQuestionResult: Team ${teamId} not found`);
+            return { success: false, error: 'Team not found' };
+          }
+
+          const result = await get().updateTeam(teamId, {
+            history: [...(team.history ?? []), entry],
+          });
+
+          if (result.success) {
+            console.log(
+              `📝 Q${entry.questionNumber} ${entry.outcome} recorded for ${teamId}`,
+            );
+          }
+          return result;
+        },
+
         /**
          * Advance a team's question index after a skip
          *
@@ -295,8 +330,8 @@ export const useTeamsStore = create()(
           const newQuestionIndex = team.currentQuestionIndex + 1;
 
           // True when there are no more questions left after this skip
-          // (QUESTIONS_PER_SET is imported from @constants/config)
-          const isLastQuestion = newQuestionIndex >= QUESTIONS_PER_SET;
+          const { questionsPerTeam } = useConfigStore.getState().config;
+          const isLastQuestion = newQuestionIndex >= questionsPerTeam;
 
           const result = await get().updateTeam(teamId, {
             currentQuestionIndex: newQuestionIndex,
@@ -315,24 +350,72 @@ export const useTeamsStore = create()(
         /**
          * Eliminate team (wrong answer or quit)
          *
+         * When a final prize is given, the prize held before elimination is
+         * recorded as prizeBeforeElimination so the host can see what the
+         * team fell back from.
+         *
          * @param {string} teamId     - Team ID to eliminate
-         * @param {number} [finalPrize] - Optional consolation prize amount.
+         * @param {number} [finalPrize] - Optional prize the team leaves with
+         *                               (see getEliminationPrize).
          *                               If omitted, currentPrize is left unchanged
          *                               (avoids sending `undefined` to Firebase).
          * @returns {Promise<Object>} Update result
          */
         eliminateTeam: async (teamId, finalPrize) => {
+          const team = get().teams[teamId];
+
           const updates = {
             status: TEAM_STATUS.ELIMINATED,
             eliminatedAt: Date.now(),
             // Only include currentPrize if a value was explicitly provided.
             // Passing `undefined` to Firebase causes a hard rejection error.
-            ...(finalPrize !== undefined && { currentPrize: finalPrize }),
+            ...(finalPrize !== undefined && {
+              currentPrize: finalPrize,
+              prizeBeforeElimination: team?.currentPrize || 0,
+            }),
           };
 
           const result = await get().updateTeam(teamId, updates);
 
-          console.log(`❌ Team eliminated: ${teamId}`);
+          console.log(
+            `❌ Team eliminated: ${teamId}` +
+              (finalPrize !== undefined
+                ? ` (leaves with Rs.${finalPrize})`
+                : ''),
+          );
+
+          return result;
+        },
+
+        /**
+         * Walk away (team quits and banks its current prize)
+         *
+         * The prize is written back explicitly so Firebase holds the banked
+         * amount alongside the `walked-away` status the display app reads.
+         *
+         * @param {string} teamId - Team ID
+         * @returns {Promise<Object>} Update result
+         */
+        walkAwayTeam: async (teamId) => {
+          const team = get().teams[teamId];
+
+          if (!team) {
+            console.warn(`walkAwayTeam: Team ${teamId} not found`);
+            return { success: false, error: 'Team not found' };
+          }
+
+          const bankedPrize = team.currentPrize || 0;
+
+          const result = await get().updateTeam(teamId, {
+            status: TEAM_STATUS.WALKED_AWAY,
+            currentPrize: bankedPrize,
+            walkedAwayAt: Date.now(),
+            activeLifeline: null,
+          });
+
+          console.log(
+            `🚶 Team walked away: ${teamId} (banked Rs.${bankedPrize})`,
+          );
 
           return result;
         },
@@ -424,12 +507,21 @@ export const useTeamsStore = create()(
           return get().getTeamsByStatus(TEAM_STATUS.COMPLETED);
         },
 
+        /**
+         * Get teams that walked away
+         */
+        getWalkedAwayTeams: () => {
+          return get().getTeamsByStatus(TEAM_STATUS.WALKED_AWAY);
+        },
+
         /**
          * Check if team has lifeline available
          */
         hasLifeline: (teamId, lifelineType) => {
           const team = get().getTeam(teamId);
-          return team?.lifelinesAvailable[lifelineType] || false;
+          return (
+            getLifelineUsesLeft(team?.lifelinesAvailable, lifelineType) > 0
+          );
         },
 
         /**
@@ -440,27 +532,36 @@ export const useTeamsStore = create()(
 
           if (!team) return [];
 
-          return Object.entries(team.lifelinesAvailable)
-            .filter(([, available]) => available)
-            .map(([type]) => type);
+          return Object.keys(team.lifelinesAvailable ?? {}).filter(
+            (type) => getLifelineUsesLeft(team.lifelinesAvailable, type) > 0,
+          );
         },
 
         /**
          * Reset team progress (for new game)
+         * Lifelines are rebuilt from the current config roster.
          */
         resetTeamProgress: async (teamId) => {
+          const { lifelinesEnabled, lifelineUses } = await useConfigStore
+            .getState()
+            .ensureConfigLoaded();
+
           return await get().updateTeam(teamId, {
             status: DEFAULT_TEAM_STATUS,
             currentPrize: 0,
             currentQuestionIndex: 0,
             questionsAnswered: 0,
             questionSetId: null,
-            lifelinesAvailable: {
-              [LIFELINE_TYPE.PHONE_A_FRIEND]: true,
-              [LIFELINE_TYPE.FIFTY_FIFTY]: true,
-            },
+            lifelinesAvailable: buildTeamLifelines(
+              lifelinesEnabled,
+              lifelineUses,
+            ),
+            startedAt: null,
+            history: null,
             eliminatedAt: null,
             completedAt: null,
+            walkedAwayAt: null,
+            prizeBeforeElimination: null,
           });
         },
 
@@ -506,6 +607,9 @@ export const useTeamsStore = create()(
               .length,
             completed: teams.filter((t) => t.status === TEAM_STATUS.COMPLETED)
               .length,
+            walkedAway: teams.filter(
+              (t) => t.status === TEAM_STATUS.WALKED_AWAY,
+            ).length,
             totalPrizeDistributed: teams.reduce(
               (sum, t) => sum + (t.currentPrize || 0),
               0,
@@ -0,0 +1,51 @@
+// src/test/fixtures.js
+
+/**
+ * Test Fixtures
+ * Small builders for the data shapes the stores and validators work with
+ */
+
+/**
+ * Build a question in the upload format
+ * @param {number} number - Question number (1-based)
+ * @param {string} [correctAnswer='A'] - A/B/C/D
+ * @returns {Object} Question (camelCase)
+ */
+export const buildQuestion = (number, correctAnswer = 'A') => ({
+  id: `q${number}`,
+  number,
+  text: `Sample question number ${number}?`,
+  options: {
+    A: `Option A${number}`,
+    B: `Option B${number}`,
+    C: `Option C${number}`,
+    D: `Option D${number}`,
+  },
+  correctAnswer,
+});
+
+/**
+ * Build a question set with one question per correct answer
+ * @param {string} setId - Set ID
+ * @param {string[]} correctAnswers - Correct option for each question, in order
+ * @returns {Object} Question set (camelCase)
+ */
+export const buildQuestionSet = (setId, correctAnswers) => ({
+  setId,
+  setName: `Set ${setId}`,
+  totalQuestions: correctAnswers.length,
+  questions: correctAnswers.map((answer, index) =>
+    buildQuestion(index + 1, answer),
+  ),
+});
+
+/**
+ * Build a team in the upload / form format
+ * @param {string} name - Team name
+ * @returns {Object} Team (camelCase)
+ */
+export const buildTeam = (name) => ({
+  name,
+  participants: `${name} Player One, ${name} Player Two`,
+  contact: '+94 77 123 4567',
+});
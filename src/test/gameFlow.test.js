@@ -0,0 +1,307 @@
+// src/test/gameFlow.test.js
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import {
+  databaseService,
+  setDatabaseBackend,
+  createDatabaseBackend,
+} from '@services/database.service';
+import { useGameStore } from '@stores/useGameStore';
+import { useTeamsStore } from '@stores/useTeamsStore';
+import { useQuestionsStore } from '@stores/useQuestionsStore';
+import { useConfigStore } from '@stores/useConfigStore';
+import { usePrizeStore } from '@stores/usePrizeStore';
+import {
+  useHostSessionStore,
+  READ_ONLY_SESSION_ERROR,
+} from '@stores/useHostSessionStore';
+import { useConnectionStore } from '@stores/useConnectionStore';
+import { useAnswerSelection } from '@pages/play/hooks/useAnswerSelection';
+import { generatePlayQueue } from '@utils/gameInitialization';
+import { INVALID_TRANSITION } from '@utils/gameplay/stateTransitions';
+import { DATABASE_BACKENDS, CONNECTION_STATUS } from '@constants/connection';
+import { GAME_STATUS, QUESTION_TIMER_STATUS } from '@constants/gameStates';
+import { TEAM_STATUS } from '@constants/teamStates';
+import { buildQuestionSet, buildTeam } from './fixtures';
+
+/**
+ * Game Flow Integration
+ * Drives the stores and useAnswerSelection through whole games the way
+ * the /play page does, against the in-memory database backend
+ */
+
+const QUESTIONS_PER_TEAM = 3;
+
+const STORES = [
+  useGameStore,
+  useTeamsStore,
+  useQuestionsStore,
+  useConfigStore,
+  usePrizeStore,
+  useHostSessionStore,
+  useConnectionStore,
+];
+
+/**
+ * Seed a fresh database with config, question sets and teams, then
+ * initialize and start the game
+ * @param {string[][]} answerKeys - Correct answers per question set
+ * @returns {Promise<{ playQueue: string[], assignments: Object }>}
+ */
+const setUpGame = async (answerKeys) => {
+  await databaseService.updateConfig({ questionsPerTeam: QUESTIONS_PER_TEAM });
+  await useConfigStore.getState().loadConfig();
+  await usePrizeStore.getState().loadPrizeStructure();
+
+  const questionSets = answerKeys.map((answers, index) =>
+    buildQuestionSet(`set-${index + 1}`, answers),
+  );
+  for (const questionSet of questionSets) {
+    await databaseService.saveQuestionSet(questionSet);
+  }
+
+  const teamIds = [];
+  for (const name of ['Night Owls', 'Early Birds'].slice(
+    0,
+    answerKeys.length,
+  )) {
+    const { teamId } = await useTeamsStore.getState().addTeam(buildTeam(name));
+    teamIds.push(teamId);
+  }
+
+  const { playQueue, questionSetAssignments } = generatePlayQueue(
+    teamIds.map((id) => ({ id })),
+    questionSets,
+  );
+
+  const { initializeGame, startGame } = useGameStore.getState();
+  expect(
+    (await initializeGame(playQueue, questionSetAssignments)).success,
+  ).toBe(true);
+  expect((await startGame(playQueue[0])).success).toBe(true);
+
+  return { playQueue, assignments: questionSetAssignments };
+};
+
+// Answer pickers for playQuestion()
+const correctAnswer = (question) => question.correctAnswer;
+const wrongAnswer = (question) =>
+  ['A', 'B', 'C', 'D'].find((option) => option !== question.correctAnswer);
+
+/**
+ * Load question `number` for the current team and lock an answer
+ * @param {Object} hook - renderHook result for useAnswerSelection
+ * @param {Object} assignments - Question set per team
+ * @param {number} number - Question number (1-based)
+ * @param {Function} pickAnswer - (question) => option to lock
+ */
+const playQuestion = async (hook, assignments, number, pickAnswer) => {
+  const { currentTeamId, setQuestionNumber } = useGameStore.getState();
+  const setId = assignments[currentTeamId];
+
+  await useQuestionsStore.getState().loadQuestionSet(setId);
+
+  let question;
+  act(() => {
+    ({ question } = useQuestionsStore
+      .getState()
+      .loadHostQuestion(setId, number - 1));
+    setQuestionNumber(number);
+  });
+
+  act(() => hook.result.current.selectAnswer(pickAnswer(question)));
+  await act(() => hook.result.current.lockAnswer());
+};
+
+beforeEach(() => {
+  setDatabaseBackend(createDatabaseBackend(DATABASE_BACKENDS.MEMORY));
+  STORES.forEach((store) => store.setState(store.getInitialState(), true));
+
+  // This tab holds the controller lease on a live connection
+  useHostSessionStore.setState({ isController: true });
+  useConnectionStore.setState({ status: CONNECTION_STATUS.ONLINE });
+});
+
+describe('a whole game', () => {
+  it('plays every team to the end and completes the game', async () => {
+    const { playQueue, assignments } = await setUpGame([
+      ['A', 'B', 'C'],
+      ['D', 'C', 'B'],
+    ]);
+    const [firstTeamId, secondTeamId] = playQueue;
+    const hook = renderHook(() => useAnswerSelection());
+
+    // First team answers every question correctly
+    for (let number = 1; number <= QUESTIONS_PER_TEAM; number += 1) {
+      await playQuestion(hook, assignments, number, correctAnswer);
+    }
+
+    expect((await useGameStore.getState().nextTeam()).nextTeamId).toBe(
+      secondTeamId,
+    );
+
+    // Second team gets question 1 right, then question 2 wrong
+    await playQuestion(hook, assignments, 1, correctAnswer);
+    await playQuestion(hook, assignments, 2, wrongAnswer);
+
+    const { teams } = useTeamsStore.getState();
+    expect(teams[firstTeamId]).toMatchObject({
+      status: TEAM_STATUS.COMPLETED,
+      currentPrize: 1500,
+    });
+    expect(teams[secondTeamId]).toMatchObject({
+      status: TEAM_STATUS.ELIMINATED,
+      currentPrize: 0,
+    });
+
+    // Last team out — the game completed on its own
+    expect(useGameStore.getState().gameStatus).toBe(GAME_STATUS.COMPLETED);
+
+    const gameState = await databaseService.getGameState();
+    expect(gameState.gameStatus).toBe(GAME_STATUS.COMPLETED);
+    expect(gameState.currentTeamId ?? null).toBeNull();
+
+    const storedSecondTeam = await databaseService.getTeam(secondTeamId);
+    expect(storedSecondTeam.status).toBe(TEAM_STATUS.ELIMINATED);
+    expect(Object.values(storedSecondTeam.history)).toHaveLength(2);
+  });
+});
+
+describe('guards', () => {
+  it('refuses to lock an answer from a read-only session', async () => {
+    const { playQueue, assignments } = await setUpGame([['A', 'B', 'C']]);
+    const hook = renderHook(() => useAnswerSelection());
+
+    act(() => useHostSessionStore.setState({ isController: false }));
+
+    await expect(
+      playQuestion(hook, assignments, 1, correctAnswer),
+    ).rejects.toThrow(READ_ONLY_SESSION_ERROR);
+    expect(useTeamsStore.getState().teams[playQueue[0]].currentPrize).toBe(0);
+    expect((await databaseService.getGameState()).answerRevealed).toBeFalsy();
+  });
+
+  it('refuses to lock while the connection is down', async () => {
+    const { assignments } = await setUpGame([['A', 'B', 'C']]);
+    const hook = renderHook(() => useAnswerSelection());
+
+    act(() =>
+      useConnectionStore.setState({ status: CONNECTION_STATUS.OFFLINE }),
+    );
+
+    expect(hook.result.current.canLock).toBe(false);
+    await expect(
+      playQuestion(hook, assignments, 1, correctAnswer),
+    ).rejects.toThrow(/Connection lost/);
+  });
+
+  it('leaves timer expiry to the controlling session', async () => {
+    await setUpGame([['A', 'B', 'C']]);
+    const questionTimer = {
+      duration: 30,
+      elapsed: 30000,
+      startedAt: null,
+      status: QUESTION_TIMER_STATUS.RUNNING,
+    };
+    useGameStore.setState({ questionTimer });
+    useHostSessionStore.setState({ isController: false });
+
+    expect(await useGameStore.getState().expireQuestionTimer()).toMatchObject({
+      success: false,
+      error: READ_ONLY_SESSION_ERROR,
+    });
+    expect(useGameStore.getState().questionTimer).toEqual(questionTimer);
+  });
+
+  it('rejects an illegal game status change', async () => {
+    const result = await useGameStore.getState().pauseGame();
+
+    expect(result).toMatchObject({ success: false, code: INVALID_TRANSITION });
+    expect(useGameStore.getState().gameStatus).toBe(GAME_STATUS.NOT_STARTED);
+  });
+
+  it('rejects a game status change another host has overtaken', async () => {
+    await setUpGame([['A', 'B', 'C']]);
+
+    // Another host ended the game; this tab still sees it active
+    await databaseService.transitionGameStatus(GAME_STATUS.COMPLETED);
+    const result = await useGameStore.getState().pauseGame();
+
+    expect(result).toMatchObject({ success: false, code: INVALID_TRANSITION });
+    expect((await databaseService.getGameState()).gameStatus).toBe(
+      GAME_STATUS.COMPLETED,
+    );
+  });
+
+  it('writes no team fields when the server rejects the status', async () => {
+    const { playQueue } = await setUpGame([['A', 'B', 'C']]);
+    const [teamId] = playQueue;
+
+    // Another host uninitialized the team; this tab still sees it active
+    await databaseService.transitionTeamStatus(teamId, TEAM_STATUS.WAITING);
+    const result = await useTeamsStore.getState().eliminateTeam(teamId, 500);
+
+    expect(result).toMatchObject({ success: false, code: INVALID_TRANSITION });
+    expect(await databaseService.getTeam(teamId)).toMatchObject({
+      status: TEAM_STATUS.WAITING,
+      currentPrize: 0,
+    });
+  });
+});
+
+describe('reverting a lock', () => {
+  it('re-opens the game and the team after a game-ending wrong lock', async () => {
+    const { playQueue, assignments } = await setUpGame([['A', 'B', 'C']]);
+    const [teamId] = playQueue;
+    const hook = renderHook(() => useAnswerSelection());
+
+    await playQuestion(hook, assignments, 1, wrongAnswer);
+    expect(useGameStore.getState().gameStatus).toBe(GAME_STATUS.COMPLETED);
+
+    expect((await useGameStore.getState().revertLastLock()).success).toBe(true);
+
+    expect((await databaseService.getGameState()).gameStatus).toBe(
+      GAME_STATUS.ACTIVE,
+    );
+    expect(await databaseService.getTeam(teamId)).toMatchObject({
+      status: TEAM_STATUS.ACTIVE,
+      currentPrize: 0,
+    });
+  });
+
+  it('leaves a team another host has moved on alone', async () => {
+    const { playQueue, assignments } = await setUpGame([['A', 'B', 'C']]);
+    const [teamId] = playQueue;
+    const hook = renderHook(() => useAnswerSelection());
+
+    await playQuestion(hook, assignments, 1, wrongAnswer);
+    await databaseService.transitionTeamStatus(teamId, TEAM_STATUS.WAITING);
+
+    const result = await useGameStore.getState().revertLastLock();
+
+    expect(result).toMatchObject({ success: false, code: INVALID_TRANSITION });
+    expect((await databaseService.getTeam(teamId)).status).toBe(
+      TEAM_STATUS.WAITING,
+    );
+    expect((await databaseService.getGameState()).gameStatus).toBe(
+      GAME_STATUS.COMPLETED,
+    );
+  });
+
+  it('refuses to revert from a read-only session', async () => {
+    const { assignments } = await setUpGame([['A', 'B', 'C']]);
+    const hook = renderHook(() => useAnswerSelection());
+
+    await playQuestion(hook, assignments, 1, wrongAnswer);
+    useHostSessionStore.setState({ isController: false });
+
+    expect(await useGameStore.getState().revertLastLock()).toMatchObject({
+      success: false,
+      error: READ_ONLY_SESSION_ERROR,
+    });
+    expect((await databaseService.getGameState()).gameStatus).toBe(
+      GAME_STATUS.COMPLETED,
+    );
+  });
+});
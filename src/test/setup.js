@@ -0,0 +1,18 @@
+// src/test/setup.js
+
+import { beforeEach } from 'vitest';
+
+/**
+ * Vitest Setup
+ * Runs before every test file (see `test` in vite.config.js)
+ *
+ * - The database service runs on the in-memory backend
+ *   (VITE_DATABASE_BACKEND=memory), so Firebase is never loaded and the
+ *   host is signed in as LOCAL_HOST (auth.service)
+ * - localStorage / sessionStorage start empty for every test
+ */
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+});
@@ -2,26 +2,23 @@
 
 /**
  * Configuration Synchronization Utility
- * Ensures Firebase config node stays in sync with application configuration
- * Handles environment variable overrides and keeps single source of truth
+ * Seeds the Firebase config node from the compiled defaults (including
+ * environment variable overrides) until the event is configured.
+ *
+ * Once the host saves settings on /settings (config.configuredAt is set),
+ * Firebase is the source of truth: sync only fills in keys that are missing
+ * (e.g. added by a newer build) and never overwrites the host's values.
  */
 
 import { DEFAULT_CONFIG } from '@constants/defaultDatabase';
 import { QUESTIONS_PER_SET } from '@constants/config';
 import { getConfig, updateConfig } from '@services/database.service';
-import { auth } from '@config/firebase';
-
-/**
- * Check if user is authenticated
- * @returns {boolean} True if user is authenticated
- */
-const isAuthenticated = () => {
-  return !!auth.currentUser;
-};
+import { useConfigStore } from '@stores/useConfigStore';
+import { authService } from '@services/auth.service';
 
 /**
  * Get current application configuration
- * Reflects the actual runtime config including env var overrides
+ * Reflects the compiled defaults including env var overrides
  * @returns {Object} Current app configuration
  */
 export const getCurrentAppConfig = () => {
@@ -31,6 +28,29 @@ export const getCurrentAppConfig = () => {
   };
 };
 
+/**
+ * Whether the host has saved settings for this event
+ * @param {Object|null} firebaseConfig - Config from Firebase
+ * @returns {boolean}
+ */
+export const isEventConfigured = (firebaseConfig) => {
+  return !!firebaseConfig?.configuredAt;
+};
+
+/**
+ * Find app config keys that are missing from Firebase
+ * @param {Object} firebaseConfig - Config from Firebase
+ * @param {Object} appConfig - Current app config
+ * @returns {Object} Missing keys with their app values
+ */
+export const findMissingConfigKeys = (firebaseConfig, appConfig) => {
+  return Object.fromEntries(
+    Object.entries(appConfig).filter(
+      ([key, value]) => value !== null && firebaseConfig[key] === undefined,
+    ),
+  );
+};
+
 /**
  * Compare two config objects for differences
  * @param {Object} firebaseConfig - Config from Firebase
@@ -39,50 +59,26 @@ export const getCurrentAppConfig = () => {
  */
 export const compareConfigs = (firebaseConfig, appConfig) => {
   const differences = {};
-  let isDifferent = false;
 
-  const primitiveKeys = [
-    'maxTeams',
-    'questionsPerTeam',
-    'timerEnabled',
-    'timerDuration',
-  ];
+  Object.keys(appConfig).forEach((key) => {
+    if (key === 'configuredAt') return;
 
-  primitiveKeys.forEach((key) => {
-    if (firebaseConfig[key] !== appConfig[key]) {
+    if (
+      JSON.stringify(firebaseConfig[key]) !== JSON.stringify(appConfig[key])
+    ) {
       differences[key] = { firebase: firebaseConfig[key], app: appConfig[key] };
-      isDifferent = true;
     }
   });
 
-  const lifelinesMatch =
-    JSON.stringify(firebaseConfig.lifelinesEnabled) ===
-    JSON.stringify(appConfig.lifelinesEnabled);
-  if (!lifelinesMatch) {
-    differences.lifelinesEnabled = {
-      firebase: firebaseConfig.lifelinesEnabled,
-      app: appConfig.lifelinesEnabled,
-    };
-    isDifferent = true;
-  }
-
-  const displayMatch =
-    JSON.stringify(firebaseConfig.displaySettings) ===
-    JSON.stringify(appConfig.displaySettings);
-  if (!displayMatch) {
-    differences.displaySettings = {
-      firebase: firebaseConfig.displaySettings,
-      app: appConfig.displaySettings,
-    };
-    isDifferent = true;
-  }
-
-  return { isDifferent, differences };
+  return { isDifferent: Object.keys(differences).length > 0, differences };
 };
 
 /**
  * Sync Firebase config with current application config
- * Only updates if there are differences. Handles unauthenticated state gracefully.
+ * - No config yet: initialize it with the app config
+ * - Not configured by the host: update it to match the app config
+ * - Configured by the host: only add keys missing from Firebase
+ * Refreshes useConfigStore afterwards. Handles unauthenticated state gracefully.
  * @param {{ silent?: boolean }} options
  * @returns {Promise<Object>} Result with success flag and details
  */
@@ -90,7 +86,7 @@ export const syncConfigWithFirebase = async (options = {}) => {
   const { silent = false } = options;
 
   try {
-    if (!isAuthenticated()) {
+    if (!authService.isAuthenticated()) {
       if (!silent)
         console.log('⏸️  Config sync skipped: User not authenticated');
       return { success: true, action: 'skipped', reason: 'not-authenticated' };
@@ -107,13 +103,34 @@ export const syncConfigWithFirebase = async (options = {}) => {
           '📝 No config in Firebase, initializing with current app config...',
         );
       await updateConfig(currentAppConfig);
+      await useConfigStore.getState().loadConfig();
       return { success: true, action: 'initialized', config: currentAppConfig };
     }
 
+    // Firebase is the source of truth once the host has saved settings
+    if (isEventConfigured(firebaseConfig)) {
+      const missing = findMissingConfigKeys(firebaseConfig, currentAppConfig);
+
+      if (Object.keys(missing).length > 0) {
+        if (!silent)
+          console.log('📝 Adding missing config keys:', Object.keys(missing));
+        await updateConfig(missing);
+      } else if (!silent) {
+        console.log('✅ Firebase config is the source of truth (configured)');
+      }
+
+      await useConfigStore.getState().loadConfig();
+
+      return Object.keys(missing).length > 0
+        ? { success: true, action: 'backfilled', missing }
+        : { success: true, action: 'no-change', config: firebaseConfig };
+    }
+
     const comparison = compareConfigs(firebaseConfig, currentAppConfig);
 
     if (!comparison.isDifferent) {
       if (!silent) console.log('✅ Firebase config is already in sync');
+      await useConfigStore.getState().loadConfig();
       return { success: true, action: 'no-change', config: firebaseConfig };
     }
 
@@ -123,6 +140,7 @@ export const syncConfigWithFirebase = async (options = {}) => {
     }
 
     await updateConfig(currentAppConfig);
+    await useConfigStore.getState().loadConfig();
 
     if (!silent) console.log('✅ Firebase config updated successfully');
 
@@ -0,0 +1,76 @@
+// src/utils/eventArchive.js
+
+/**
+ * Event Archive Utilities
+ * Builds the snapshot saved to archives/{eventId} when a completed game is
+ * reset, and summarizes archives for the /history list.
+ */
+
+import { rankTeams } from '@utils/gameplay/rankings';
+
+/**
+ * Derive a stable archive key for a game
+ * Keyed by initialization time so archiving the same game twice overwrites
+ * the first copy instead of duplicating it.
+ * @param {Object} gameState - Game state (camelCase)
+ * @returns {string} e.g. "event-1735689600000"
+ */
+export const getEventId = (gameState) =>
+  `event-${gameState.initializedAt ?? gameState.startedAt ?? Date.now()}`;
+
+/**
+ * Build the archive snapshot for a completed game
+ * @param {Object} params
+ * @param {Object} params.gameState - Game state (camelCase)
+ * @param {Object} params.teams - Teams keyed by ID (camelCase)
+ * @param {Array<number>} params.prizeStructure - Prize ladder used
+ * @param {Array<number>} params.prizeMilestones - Milestones used
+ * @returns {Object} Archive (camelCase)
+ */
+export const buildEventArchive = ({
+  gameState,
+  teams,
+  prizeStructure,
+  prizeMilestones,
+}) => {
+  const standings = rankTeams(teams).map((team) => ({
+    teamId: team.id,
+    name: team.name,
+    status: team.status,
+    prize: team.currentPrize ?? 0,
+    place: team.place,
+  }));
+
+  return {
+    eventId: getEventId(gameState),
+    initializedAt: gameState.initializedAt ?? null,
+    startedAt: gameState.startedAt ?? null,
+    completedAt: gameState.completedAt ?? gameState.lastUpdated ?? null,
+    archivedAt: Date.now(),
+    teams: teams ?? {},
+    standings,
+    playQueue: gameState.playQueue ?? [],
+    questionSetAssignments: gameState.questionSetAssignments ?? {},
+    prizeStructure: prizeStructure ?? [],
+    prizeMilestones: prizeMilestones ?? [],
+  };
+};
+
+/**
+ * Summarize an archive for list views
+ * @param {Object} archive - Archive (camelCase)
+ * @returns {{ teamCount: number, winners: string[], topPrize: number, totalPrize: number }}
+ */
+export const getArchiveSummary = (archive) => {
+  const standings = archive.standings ?? [];
+  const winners = standings
+    .filter((entry) => entry.place === 1)
+    .map((entry) => entry.name);
+
+  return {
+    teamCount: Object.keys(archive.teams ?? {}).length,
+    winners,
+    topPrize: standings[0]?.prize ?? 0,
+    totalPrize: standings.reduce((sum, entry) => sum + (entry.prize ?? 0), 0),
+  };
+};
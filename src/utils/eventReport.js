@@ -0,0 +1,49 @@
+// src/utils/eventReport.js
+
+/**
+ * Event Report Utilities
+ * Aggregate statistics for the printable summary on /report (PRD P8-REQ-010).
+ */
+
+import { TEAM_STATUS } from '@constants/teamStates';
+
+/**
+ * Compute aggregate statistics from ranked result entries
+ * @param {Array<Object>} entries - From buildResultEntries() (resultsExport.js)
+ * @returns {{
+ *   teamCount: number,
+ *   completedCount: number,
+ *   walkedAwayCount: number,
+ *   eliminatedCount: number,
+ *   totalPaidOut: number,
+ *   averagePrize: number,
+ *   questionsAnswered: number,
+ *   lifelinesUsed: number,
+ * }}
+ */
+export const buildEventStats = (entries) => {
+  const countStatus = (status) =>
+    entries.filter((entry) => entry.status === status).length;
+
+  const totalPaidOut = entries.reduce((sum, entry) => sum + entry.prize, 0);
+
+  return {
+    teamCount: entries.length,
+    completedCount: countStatus(TEAM_STATUS.COMPLETED),
+    walkedAwayCount: countStatus(TEAM_STATUS.WALKED_AWAY),
+    eliminatedCount: countStatus(TEAM_STATUS.ELIMINATED),
+    totalPaidOut,
+    averagePrize:
+      entries.length > 0 ? Math.round(totalPaidOut / entries.length) : 0,
+    questionsAnswered: entries.reduce(
+      (sum, entry) => sum + entry.questionsAnswered,
+      0,
+    ),
+    lifelinesUsed: entries.reduce(
+      (sum, entry) =>
+        sum +
+        Object.values(entry.lifelinesUsed).reduce((a, used) => a + used, 0),
+      0,
+    ),
+  };
+};
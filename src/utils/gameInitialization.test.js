@@ -0,0 +1,159 @@
+// src/utils/gameInitialization.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  shuffleArray,
+  validateCanInitialize,
+  assignQuestionSetsToTeams,
+  generatePlayQueue,
+  getPlayQueuePreview,
+  validatePlayQueueData,
+} from '@utils/gameInitialization';
+
+const teams = [{ id: 'team-1' }, { id: 'team-2' }, { id: 'team-3' }];
+const questionSets = [
+  { setId: 'set-a', setName: 'Set A' },
+  { setId: 'set-b', setName: 'Set B' },
+  { setId: 'set-c', setName: 'Set C' },
+];
+
+describe('shuffleArray', () => {
+  it('returns a new array with the same items', () => {
+    const items = [1, 2, 3, 4, 5];
+    const shuffled = shuffleArray(items);
+
+    expect(shuffled).not.toBe(items);
+    expect([...shuffled].sort()).toEqual(items);
+    expect(items).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('validateCanInitialize', () => {
+  it('passes with a set for every team', () => {
+    expect(validateCanInitialize(teams, questionSets)).toEqual({
+      isValid: true,
+      errors: null,
+    });
+  });
+
+  it('requires teams and question sets', () => {
+    const result = validateCanInitialize([], []);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'At least 1 team is required to initialize the game',
+      'At least 1 question set is required to initialize the game',
+    ]);
+  });
+
+  it('rejects fewer sets than teams', () => {
+    const result = validateCanInitialize(teams, questionSets.slice(0, 2));
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toMatch(/Need 3 sets for 3 teams/);
+  });
+});
+
+describe('assignQuestionSetsToTeams', () => {
+  it('gives every team a different set', () => {
+    const assignments = assignQuestionSetsToTeams(teams, questionSets);
+
+    expect(Object.keys(assignments).sort()).toEqual([
+      'team-1',
+      'team-2',
+      'team-3',
+    ]);
+    expect(new Set(Object.values(assignments)).size).toBe(3);
+  });
+
+  it('returns no assignments without teams', () => {
+    expect(assignQuestionSetsToTeams([], questionSets)).toEqual({});
+  });
+});
+
+describe('generatePlayQueue', () => {
+  it('queues every team once with an assignment each', () => {
+    const result = generatePlayQueue(teams, questionSets);
+
+    expect(result.success).toBe(true);
+    expect([...result.playQueue].sort()).toEqual([
+      'team-1',
+      'team-2',
+      'team-3',
+    ]);
+    expect(
+      validatePlayQueueData(result.playQueue, result.questionSetAssignments)
+        .isValid,
+    ).toBe(true);
+  });
+
+  it('returns the validation errors when it cannot initialize', () => {
+    const result = generatePlayQueue(teams, []);
+
+    expect(result.success).toBe(false);
+    expect(result.playQueue).toEqual([]);
+    expect(result.questionSetAssignments).toEqual({});
+    expect(result.errors).not.toBeNull();
+  });
+});
+
+describe('getPlayQueuePreview', () => {
+  it('lists teams in play order with their set names', () => {
+    const preview = getPlayQueuePreview(
+      ['team-2', 'team-1'],
+      { 'team-1': 'set-a', 'team-2': 'set-b' },
+      {
+        'team-1': { name: 'Alpha', participants: 'Ann, Bob' },
+        'team-2': { name: 'Beta', participants: 'Cat, Dan' },
+      },
+      questionSets,
+    );
+
+    expect(preview).toEqual([
+      {
+        position: 1,
+        teamId: 'team-2',
+        teamName: 'Beta',
+        teamParticipants: 'Cat, Dan',
+        questionSetId: 'set-b',
+        questionSetName: 'Set B',
+      },
+      {
+        position: 2,
+        teamId: 'team-1',
+        teamName: 'Alpha',
+        teamParticipants: 'Ann, Bob',
+        questionSetId: 'set-a',
+        questionSetName: 'Set A',
+      },
+    ]);
+  });
+
+  it('falls back to placeholders for unknown teams and sets', () => {
+    const [item] = getPlayQueuePreview(['ghost'], {}, {}, questionSets);
+
+    expect(item.teamName).toBe('Unknown Team');
+    expect(item.questionSetId).toBeNull();
+    expect(item.questionSetName).toBe('Unknown Set');
+  });
+});
+
+describe('validatePlayQueueData', () => {
+  it('reports teams without an assignment', () => {
+    const result = validatePlayQueueData(['team-1', 'team-2'], {
+      'team-1': 'set-a',
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      '1 team(s) missing question set assignments',
+    ]);
+  });
+
+  it('rejects an empty queue', () => {
+    const result = validatePlayQueueData([], {});
+
+    expect(result.errors).toContain('Play queue cannot be empty');
+    expect(result.errors).toContain('Question set assignments cannot be empty');
+  });
+});
@@ -58,3 +58,87 @@ export function formatTimerDisplay(seconds) {
   const secs = seconds % 60;
   return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
+
+/**
+ * Convert audience poll vote counts into whole-number percentages
+ * Uses the largest remainder method so the percentages always sum to 100
+ *
+ * @param {Object<string, number>} votes - Vote count per option key (e.g. { a: 12, b: 3 })
+ * @returns {Object<string, number>} Percentage per option key (all 0 if no votes)
+ *
+ * @example
+ * calculatePollPercentages({ a: 1, b: 1, c: 1 })
+ * // Returns: { a: 34, b: 33, c: 33 }
+ */
+export function calculatePollPercentages(votes) {
+  const entries = Object.entries(votes || {}).map(([option, count]) => [
+    option,
+    Math.max(0, Number(count) || 0),
+  ]);
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+
+  if (total === 0) {
+    return Object.fromEntries(entries.map(([option]) => [option, 0]));
+  }
+
+  const shares = entries.map(([option, count]) => {
+    const exact = (count / total) * 100;
+    return { option, floor: Math.floor(exact), remainder: exact % 1 };
+  });
+
+  // Hand out the points lost to rounding down, largest remainder first
+  let leftover = 100 - shares.reduce((sum, share) => sum + share.floor, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach((share) => {
+      if (leftover > 0) {
+        share.floor += 1;
+        leftover -= 1;
+      }
+    });
+
+  return Object.fromEntries(shares.map(({ option, floor }) => [option, floor]));
+}
+
+/**
+ * Build the key used to track a reserve question as used
+ * (stored in game-state/used-reserve-questions)
+ *
+ * @param {string} setId - Question set the reserve belongs to
+ * @param {string} questionId - Reserve question ID
+ * @returns {string} Key like "set-1::q23"
+ */
+export function getReserveQuestionKey(setId, questionId) {
+  return `${setId}::${questionId}`;
+}
+
+/**
+ * Find the next unused reserve question matching a difficulty
+ * Reserves are consumed in upload order. Questions without a difficulty
+ * only match reserves without one.
+ *
+ * @param {Object} params
+ * @param {string} params.setId - Question set ID
+ * @param {Array<Object>} params.reserveQuestions - Set's reserve questions
+ * @param {string|undefined} params.difficulty - Difficulty of the question being replaced
+ * @param {Array<string>} params.usedReserveKeys - Keys from getReserveQuestionKey()
+ * @returns {Object|null} Reserve question or null if none left
+ *
+ * @example
+ * findReserveQuestion({ setId: 'set-1', reserveQuestions, difficulty: 'hard', usedReserveKeys: [] })
+ * // Returns: { id: 'q21', difficulty: 'hard', ... }
+ */
+export function findReserveQuestion({
+  setId,
+  reserveQuestions,
+  difficulty,
+  usedReserveKeys = [],
+}) {
+  return (
+    (reserveQuestions ?? []).find(
+      (question) =>
+        (question.difficulty ?? null) === (difficulty ?? null) &&
+        !usedReserveKeys.includes(getReserveQuestionKey(setId, question.id)),
+    ) ?? null
+  );
+}
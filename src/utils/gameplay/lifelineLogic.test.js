@@ -0,0 +1,100 @@
+// src/utils/gameplay/lifelineLogic.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  applyFiftyFifty,
+  calculatePollPercentages,
+  findReserveQuestion,
+  getReserveQuestionKey,
+} from '@utils/gameplay/lifelineLogic';
+
+const OPTIONS = ['A', 'B', 'C', 'D'];
+
+describe('applyFiftyFifty', () => {
+  it('removes two incorrect options and keeps the correct one', () => {
+    for (let i = 0; i < 20; i += 1) {
+      const { removedOptions, remainingOptions } = applyFiftyFifty(
+        OPTIONS,
+        'C',
+      );
+
+      expect(removedOptions).toHaveLength(2);
+      expect(removedOptions).not.toContain('C');
+      expect(remainingOptions).toHaveLength(2);
+      expect(remainingOptions).toContain('C');
+      expect([...removedOptions, ...remainingOptions].sort()).toEqual(OPTIONS);
+    }
+  });
+
+  it('keeps the remaining options in display order', () => {
+    const { remainingOptions } = applyFiftyFifty(OPTIONS, 'D');
+
+    expect(remainingOptions).toEqual(
+      OPTIONS.filter((option) => remainingOptions.includes(option)),
+    );
+  });
+
+  it('throws when there are not enough incorrect options', () => {
+    expect(() => applyFiftyFifty(['A', 'B'], 'A')).toThrow(
+      'Not enough incorrect options to remove',
+    );
+  });
+});
+
+describe('calculatePollPercentages', () => {
+  it('always sums to 100', () => {
+    expect(calculatePollPercentages({ a: 1, b: 1, c: 1 })).toEqual({
+      a: 34,
+      b: 33,
+      c: 33,
+    });
+    expect(calculatePollPercentages({ a: 12, b: 3, c: 0, d: 0 })).toEqual({
+      a: 80,
+      b: 20,
+      c: 0,
+      d: 0,
+    });
+  });
+
+  it('returns zeros without votes', () => {
+    expect(calculatePollPercentages({ a: 0, b: 0 })).toEqual({ a: 0, b: 0 });
+    expect(calculatePollPercentages(null)).toEqual({});
+  });
+});
+
+describe('findReserveQuestion', () => {
+  const reserveQuestions = [
+    { id: 'q21', difficulty: 'easy' },
+    { id: 'q22', difficulty: 'hard' },
+    { id: 'q23', difficulty: 'hard' },
+    { id: 'q24' },
+  ];
+
+  it('returns the first unused reserve of the same difficulty', () => {
+    expect(
+      findReserveQuestion({
+        setId: 'set-1',
+        reserveQuestions,
+        difficulty: 'hard',
+        usedReserveKeys: [getReserveQuestionKey('set-1', 'q22')],
+      }),
+    ).toEqual({ id: 'q23', difficulty: 'hard' });
+  });
+
+  it('matches questions without a difficulty to reserves without one', () => {
+    expect(findReserveQuestion({ setId: 'set-1', reserveQuestions }).id).toBe(
+      'q24',
+    );
+  });
+
+  it('returns null when none are left', () => {
+    expect(
+      findReserveQuestion({
+        setId: 'set-1',
+        reserveQuestions,
+        difficulty: 'easy',
+        usedReserveKeys: ['set-1::q21'],
+      }),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+// src/utils/gameplay/questionHistory.js
+
+import { QUESTION_OUTCOME } from '@constants/teamStates';
+
+/**
+ * Build a team answer-history entry for the question being resolved
+ *
+ * Timing and lifelines come from game-state: `questionShownAt` is set when
+ * the question is first pushed to the display, `questionLifelines` collects
+ * every lifeline activated on it. Both reset when the next question loads.
+ *
+ * @param {Object} params
+ * @param {string} params.outcome - QUESTION_OUTCOME value
+ * @param {Object|null} params.question - Host question ({ id, ... })
+ * @param {string|null} params.selectedOption - Locked option (A-D) or null
+ * @param {string|null} params.correctOption - Correct option (A-D) or null
+ * @param {Object} params.gameState - Game store state
+ * @param {string|null} [params.reason] - Skip reason, if any
+ * @returns {Object} History entry (camelCase)
+ */
+export const buildQuestionHistoryEntry = ({
+  outcome,
+  question,
+  selectedOption = null,
+  correctOption = null,
+  gameState,
+  reason = null,
+}) => {
+  const {
+    currentTeamId,
+    currentQuestionNumber,
+    questionSetAssignments,
+    questionShownAt,
+    questionLifelines,
+  } = gameState;
+  const recordedAt = Date.now();
+
+  return {
+    questionNumber: currentQuestionNumber,
+    questionId: question?.id ?? null,
+    questionSetId: questionSetAssignments?.[currentTeamId] ?? null,
+    selectedOption,
+    correctOption,
+    outcome,
+    lifelinesUsed: questionLifelines ?? null,
+    shownAt: questionShownAt ?? null,
+    recordedAt,
+    timeToLockMs: questionShownAt ? recordedAt - questionShownAt : null,
+    reason,
+  };
+};
+
+/**
+ * Summarize a team's answer history for reports
+ * @param {Array<Object>} history - Team history entries
+ * @returns {Object} Count per QUESTION_OUTCOME value
+ */
+export const countHistoryOutcomes = (history = []) => {
+  const counts = Object.fromEntries(
+    Object.values(QUESTION_OUTCOME).map((outcome) => [outcome, 0]),
+  );
+  history.forEach((entry) => {
+    if (entry.outcome in counts) counts[entry.outcome] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Format a time-to-lock duration, e.g. "42.5s"
+ * @param {number|null} ms
+ * @returns {string}
+ */
+export const formatTimeToLock = (ms) =>
+  ms === null || ms === undefined ? '—' : `${(ms / 1000).toFixed(1)}s`;
@@ -0,0 +1,73 @@
+// src/utils/gameplay/rankings.js
+
+import { TEAM_STATUS } from '@constants/teamStates';
+
+/**
+ * Outcome tier used for ranking — lower ranks higher.
+ * Completed → walked away → eliminated (and anything else last).
+ */
+const OUTCOME_TIER = {
+  [TEAM_STATUS.COMPLETED]: 0,
+  [TEAM_STATUS.WALKED_AWAY]: 1,
+  [TEAM_STATUS.ELIMINATED]: 2,
+};
+
+/**
+ * Get the ranking tier for a team status
+ * @param {string} status - Team status
+ * @returns {number} Tier (0 = best)
+ */
+export const getOutcomeTier = (status) => OUTCOME_TIER[status] ?? 3;
+
+/**
+ * Sort and rank teams for the results leaderboard, supporting shared places.
+ *
+ * Rules:
+ * - Completed teams rank above teams that walked away, which rank above
+ *   eliminated teams
+ * - Within each group, teams are sorted by prize descending
+ * - Teams with equal prize share the same place number
+ * - Teams sharing a place are ordered alphabetically (ascending) by name
+ * - Place numbers skip correctly after ties (e.g. 1, 1, 3, 4…)
+ *
+ * Used by GameCompletedDialog (live results) and event archives (/history).
+ *
+ * @param {Object} teams - Teams object { teamId: teamData }
+ * @returns {Array<{ id, place, ...teamData }>} Sorted and ranked team entries
+ */
+export function rankTeams(teams) {
+  if (!teams) return [];
+
+  const entries = Object.entries(teams).map(([id, team]) => ({ id, ...team }));
+
+  // Primary sort: outcome tier, then prize desc, then name asc
+  entries.sort((a, b) => {
+    const tierDiff = getOutcomeTier(a.status) - getOutcomeTier(b.status);
+    if (tierDiff !== 0) return tierDiff;
+
+    const prizeDiff = (b.currentPrize ?? 0) - (a.currentPrize ?? 0);
+    if (prizeDiff !== 0) return prizeDiff;
+
+    return a.name.localeCompare(b.name);
+  });
+
+  // Assign shared place numbers
+  // Place is 1-based; ties keep the same place, next distinct rank skips accordingly
+  let place = 1;
+  return entries.map((team, index) => {
+    if (index === 0) {
+      return { ...team, place };
+    }
+
+    const prev = entries[index - 1];
+    const sameStatus =
+      getOutcomeTier(team.status) === getOutcomeTier(prev.status);
+    const samePrize = (team.currentPrize ?? 0) === (prev.currentPrize ?? 0);
+
+    if (!sameStatus || !samePrize) {
+      place = index + 1;
+    }
+
+    return { ...team, place };
+  });
+}
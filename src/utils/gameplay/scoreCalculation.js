@@ -29,6 +29,11 @@ import {
   getPrizeByQuestionNumber,
   formatPrize as formatPrizeAmount,
 } from '@constants/prizeStructure';
+import {
+  MILESTONE_QUESTIONS,
+  ELIMINATION_PRIZE_RULE,
+  ELIMINATION_PRIZE_RULES,
+} from '@constants/config';
 
 /**
  * Get prize amount for a specific question number
@@ -52,17 +57,93 @@ export function getPrizeForQuestion(questionNumber, prizeStructure) {
   return getPrizeByQuestionNumber(questionNumber, prizeStructure);
 }
 
+/**
+ * Get the guaranteed prize (safety net) for a team on a given question
+ *
+ * The guaranteed prize is the prize of the highest milestone strictly below
+ * the question being played — i.e. the last milestone the team has passed.
+ *
+ * @param {number} questionNumber - Question currently being played (1-20)
+ * @param {Array<number>} prizeStructure - Prize structure array
+ * @param {Array<number>} [milestones=MILESTONE_QUESTIONS] - Milestones (usePrizeStore.milestones)
+ * @returns {number} Guaranteed prize amount in Rs. (0 before the first milestone)
+ *
+ * @example
+ * getGuaranteedPrize(14, prizeStructure) // milestones [5, 10, 15, 20]
+ * // Returns: prize for question 10
+ *
+ * getGuaranteedPrize(3, prizeStructure)
+ * // Returns: 0 (no milestone passed yet)
+ */
+export function getGuaranteedPrize(
+  questionNumber,
+  prizeStructure,
+  milestones = MILESTONE_QUESTIONS,
+) {
+  const passed = milestones.filter((milestone) => milestone < questionNumber);
+
+  if (passed.length === 0) {
+    return 0;
+  }
+
+  return getPrizeForQuestion(Math.max(...passed), prizeStructure);
+}
+
+/**
+ * Get the prize a team leaves with after a wrong answer
+ *
+ * The milestone rule never pays out more than the team had banked — a team
+ * that skipped past a milestone question without answering it only keeps
+ * what they actually won.
+ *
+ * @param {Object} params
+ * @param {number} params.currentPrize - Prize banked before the wrong answer
+ * @param {number} params.questionNumber - Question answered incorrectly (1-20)
+ * @param {Array<number>} params.prizeStructure - Prize structure array
+ * @param {string} [params.rule=ELIMINATION_PRIZE_RULE] - 'milestone' | 'keep' | 'zero'
+ * @param {Array<number>} [params.milestones=MILESTONE_QUESTIONS] - Milestones (usePrizeStore.milestones)
+ * @returns {number} Prize amount the team keeps
+ *
+ * @example
+ * getEliminationPrize({ currentPrize: 13000, questionNumber: 14, prizeStructure })
+ * // Returns: prize for question 10 (milestone rule)
+ */
+export function getEliminationPrize({
+  currentPrize,
+  questionNumber,
+  prizeStructure,
+  rule = ELIMINATION_PRIZE_RULE,
+  milestones = MILESTONE_QUESTIONS,
+}) {
+  const banked = currentPrize || 0;
+
+  switch (rule) {
+    case ELIMINATION_PRIZE_RULES.KEEP:
+      return banked;
+    case ELIMINATION_PRIZE_RULES.ZERO:
+      return 0;
+    case ELIMINATION_PRIZE_RULES.MILESTONE:
+    default:
+      return Math.min(
+        banked,
+        getGuaranteedPrize(questionNumber, prizeStructure, milestones),
+      );
+  }
+}
+
 /**
  * Format prize amount for display
  * Re-exported from prizeStructure for convenience
  *
  * @param {number} amount - Prize amount
+ * @param {string} [currency] - Currency symbol (config.currencySymbol)
+ * @param {string} [locale] - Number locale (config.numberFormatLocale)
  * @returns {string} Formatted prize (e.g., "Rs.2,500")
  *
  * @example
  * formatPrize(2500)
  * // Returns: "Rs.2,500"
  */
-export function formatPrize(amount) {
-  return formatPrizeAmount(amount);
+export function formatPrize(amount, currency, locale) {
+  return formatPrizeAmount(amount, currency, locale);
 }
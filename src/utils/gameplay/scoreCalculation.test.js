@@ -0,0 +1,83 @@
+// src/utils/gameplay/scoreCalculation.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPrizeForQuestion,
+  getGuaranteedPrize,
+  getEliminationPrize,
+  formatPrize,
+} from '@utils/gameplay/scoreCalculation';
+import { ELIMINATION_PRIZE_RULES } from '@constants/config';
+
+// 500, 1000, …, 10000
+const prizeStructure = Array.from({ length: 20 }, (_, i) => (i + 1) * 500);
+const milestones = [5, 10, 15, 20];
+
+describe('getPrizeForQuestion', () => {
+  it('returns the prize for a 1-based question number', () => {
+    expect(getPrizeForQuestion(1, prizeStructure)).toBe(500);
+    expect(getPrizeForQuestion(20, prizeStructure)).toBe(10000);
+  });
+
+  it('returns 0 before the first question', () => {
+    expect(getPrizeForQuestion(0, prizeStructure)).toBe(0);
+  });
+});
+
+describe('getGuaranteedPrize', () => {
+  it('uses the last milestone strictly below the question', () => {
+    expect(getGuaranteedPrize(14, prizeStructure, milestones)).toBe(5000);
+    expect(getGuaranteedPrize(10, prizeStructure, milestones)).toBe(2500);
+    expect(getGuaranteedPrize(11, prizeStructure, milestones)).toBe(5000);
+  });
+
+  it('returns 0 before the first milestone is passed', () => {
+    expect(getGuaranteedPrize(5, prizeStructure, milestones)).toBe(0);
+  });
+});
+
+describe('getEliminationPrize', () => {
+  const base = { currentPrize: 6500, questionNumber: 14, prizeStructure };
+
+  it('drops to the guaranteed prize under the milestone rule', () => {
+    expect(
+      getEliminationPrize({
+        ...base,
+        rule: ELIMINATION_PRIZE_RULES.MILESTONE,
+        milestones,
+      }),
+    ).toBe(5000);
+  });
+
+  it('never pays more than the team had banked', () => {
+    expect(
+      getEliminationPrize({
+        ...base,
+        currentPrize: 1500,
+        rule: ELIMINATION_PRIZE_RULES.MILESTONE,
+        milestones,
+      }),
+    ).toBe(1500);
+  });
+
+  it('keeps or zeroes the prize under the other rules', () => {
+    expect(
+      getEliminationPrize({ ...base, rule: ELIMINATION_PRIZE_RULES.KEEP }),
+    ).toBe(6500);
+    expect(
+      getEliminationPrize({ ...base, rule: ELIMINATION_PRIZE_RULES.ZERO }),
+    ).toBe(0);
+  });
+});
+
+describe('formatPrize', () => {
+  it('formats with the given currency and locale', () => {
+    expect(formatPrize(2500, 'Rs.', 'en-US')).toBe('Rs.2,500');
+    expect(formatPrize(1000000, '$', 'en-US')).toBe('$1,000,000');
+  });
+
+  it('shows zero for invalid amounts', () => {
+    expect(formatPrize(undefined, 'Rs.', 'en-US')).toBe('Rs.0');
+    expect(formatPrize(NaN, '$', 'en-US')).toBe('$0');
+  });
+});
@@ -0,0 +1,201 @@
+// src/utils/gameplay/simulationBehaviour.js
+
+import { LIFELINE_TYPE } from '@constants/teamStates';
+
+/**
+ * Simulated Team Behaviour
+ *
+ * Purpose: Decide what a simulated team does on each question during a
+ * rehearsal run (see pages/rehearsal/simulator)
+ *
+ * A behaviour is a function called once per question:
+ *   behaviour({ position, questionNumber, availableLifelines })
+ *     → { lifeline: LIFELINE_TYPE value | null, answer: SIMULATED_ANSWER value }
+ *
+ * - position: team's 0-based place in the play queue
+ * - availableLifelines: lifelines the team can use on this question
+ *
+ * Random behaviours are seeded so a run can be repeated exactly; scripted
+ * behaviours replay a fixed plan per team.
+ */
+
+/**
+ * What a simulated team does with the question
+ * @readonly
+ * @enum {string}
+ */
+export const SIMULATED_ANSWER = {
+  CORRECT: 'correct',
+  WRONG: 'wrong',
+  WALK_AWAY: 'walk-away',
+  SKIP: 'skip',
+};
+
+/**
+ * Default odds for random behaviour
+ */
+export const DEFAULT_RANDOM_BEHAVIOUR = {
+  correctRate: 0.85,
+  lifelineRate: 0.2,
+  walkAwayRate: 0.03,
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a random behaviour
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed=Date.now()] - Seed (same seed → same run)
+ * @param {number} [options.correctRate] - Chance of answering correctly (0-1)
+ * @param {number} [options.lifelineRate] - Chance of using a lifeline first (0-1)
+ * @param {number} [options.walkAwayRate] - Chance of walking away instead (0-1)
+ * @returns {Function} Behaviour
+ *
+ * @example
+ * const behaviour = createRandomBehaviour({ seed: 42, correctRate: 0.9 });
+ * behaviour({ position: 0, questionNumber: 1, availableLifelines: ['fiftyFifty'] })
+ * // Returns: { lifeline: null, answer: 'correct' }
+ */
+export function createRandomBehaviour({
+  seed = Date.now(),
+  correctRate = DEFAULT_RANDOM_BEHAVIOUR.correctRate,
+  lifelineRate = DEFAULT_RANDOM_BEHAVIOUR.lifelineRate,
+  walkAwayRate = DEFAULT_RANDOM_BEHAVIOUR.walkAwayRate,
+} = {}) {
+  const random = createSeededRandom(seed);
+
+  const behaviour = ({ questionNumber, availableLifelines = [] }) => {
+    // Nobody walks away before they have won anything
+    if (questionNumber > 1 && random() < walkAwayRate) {
+      return { lifeline: null, answer: SIMULATED_ANSWER.WALK_AWAY };
+    }
+
+    const lifeline =
+      availableLifelines.length > 0 && random() < lifelineRate
+        ? availableLifelines[Math.floor(random() * availableLifelines.length)]
+        : null;
+
+    return {
+      lifeline,
+      answer:
+        random() < correctRate
+          ? SIMULATED_ANSWER.CORRECT
+          : SIMULATED_ANSWER.WRONG,
+    };
+  };
+
+  behaviour.label = `random (seed ${seed})`;
+  return behaviour;
+}
+
+/**
+ * Normalize one scripted step
+ * @param {string|Object} step - 'correct' | 'wrong' | 'walk-away' | 'skip' | { lifeline, answer }
+ * @returns {{ lifeline: string|null, answer: string }}
+ */
+const toDecision = (step) =>
+  typeof step === 'string'
+    ? { lifeline: null, answer: step }
+    : {
+        lifeline: step.lifeline ?? null,
+        answer: step.answer ?? SIMULATED_ANSWER.CORRECT,
+      };
+
+/**
+ * Validate a rehearsal script
+ *
+ * Format: `{ "teams": [[step, ...], ...] }` — one list per play queue
+ * position. A step is an answer ('correct', 'wrong', 'walk-away', 'skip')
+ * or `{ "lifeline": "fiftyFifty", "answer": "correct" }`.
+ *
+ * @param {Object} script - Parsed script
+ * @returns {{ isValid: boolean, errors: string[]|null }}
+ */
+export function validateSimulationScript(script) {
+  const errors = [];
+  const answers = Object.values(SIMULATED_ANSWER);
+  const lifelines = Object.values(LIFELINE_TYPE);
+
+  if (!script || !Array.isArray(script.teams)) {
+    return {
+      isValid: false,
+      errors: ['Script must contain a "teams" array'],
+    };
+  }
+
+  script.teams.forEach((steps, teamIndex) => {
+    if (!Array.isArray(steps)) {
+      errors.push(`Team ${teamIndex + 1}: steps must be an array`);
+      return;
+    }
+
+    steps.forEach((step, stepIndex) => {
+      const label = `Team ${teamIndex + 1}, question ${stepIndex + 1}`;
+
+      if (typeof step !== 'string' && (!step || typeof step !== 'object')) {
+        errors.push(`${label}: step must be a string or an object`);
+        return;
+      }
+
+      const { lifeline, answer } = toDecision(step);
+
+      if (!answers.includes(answer)) {
+        errors.push(
+          `${label}: unknown answer '${answer}' (use ${answers.join(', ')})`,
+        );
+      }
+      if (lifeline !== null && !lifelines.includes(lifeline)) {
+        errors.push(
+          `${label}: unknown lifeline '${lifeline}' (use ${lifelines.join(', ')})`,
+        );
+      }
+    });
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : null,
+  };
+}
+
+/**
+ * Create a scripted behaviour
+ * Teams or questions beyond the script answer correctly.
+ *
+ * @param {Object} script - Script (see validateSimulationScript)
+ * @returns {Function} Behaviour
+ *
+ * @example
+ * const behaviour = createScriptedBehaviour({
+ *   teams: [['correct', { lifeline: 'fiftyFifty', answer: 'wrong' }]],
+ * });
+ * behaviour({ position: 0, questionNumber: 2 })
+ * // Returns: { lifeline: 'fiftyFifty', answer: 'wrong' }
+ */
+export function createScriptedBehaviour(script) {
+  const behaviour = ({ position, questionNumber }) => {
+    const step = script.teams[position]?.[questionNumber - 1];
+    return step === undefined
+      ? { lifeline: null, answer: SIMULATED_ANSWER.CORRECT }
+      : toDecision(step);
+  };
+
+  behaviour.label = 'scripted';
+  return behaviour;
+}
@@ -0,0 +1,146 @@
+// src/utils/gameplay/simulationBehaviour.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  SIMULATED_ANSWER,
+  createRandomBehaviour,
+  createScriptedBehaviour,
+  validateSimulationScript,
+} from '@utils/gameplay/simulationBehaviour';
+import { LIFELINE_TYPE } from '@constants/teamStates';
+
+const ALL_LIFELINES = Object.values(LIFELINE_TYPE);
+
+/**
+ * Ask a behaviour about questions 1..count for one team
+ * @returns {Object[]} Decisions
+ */
+const decide = (behaviour, count, availableLifelines = ALL_LIFELINES) =>
+  Array.from({ length: count }, (_, index) =>
+    behaviour({ position: 0, questionNumber: index + 1, availableLifelines }),
+  );
+
+describe('createRandomBehaviour', () => {
+  it('repeats the same decisions for the same seed', () => {
+    const first = decide(createRandomBehaviour({ seed: 42 }), 30);
+    const second = decide(createRandomBehaviour({ seed: 42 }), 30);
+
+    expect(second).toEqual(first);
+    expect(decide(createRandomBehaviour({ seed: 43 }), 30)).not.toEqual(first);
+  });
+
+  it('follows the configured odds', () => {
+    const always = createRandomBehaviour({
+      seed: 1,
+      correctRate: 1,
+      lifelineRate: 1,
+      walkAwayRate: 0,
+    });
+    const never = createRandomBehaviour({
+      seed: 1,
+      correctRate: 0,
+      lifelineRate: 0,
+      walkAwayRate: 0,
+    });
+
+    decide(always, 10).forEach(({ lifeline, answer }) => {
+      expect(answer).toBe(SIMULATED_ANSWER.CORRECT);
+      expect(ALL_LIFELINES).toContain(lifeline);
+    });
+    decide(never, 10).forEach((decision) =>
+      expect(decision).toEqual({
+        lifeline: null,
+        answer: SIMULATED_ANSWER.WRONG,
+      }),
+    );
+  });
+
+  it('only picks lifelines that are available', () => {
+    const behaviour = createRandomBehaviour({ seed: 5, lifelineRate: 1 });
+
+    decide(behaviour, 10, [LIFELINE_TYPE.FIFTY_FIFTY]).forEach(
+      ({ lifeline, answer }) => {
+        if (answer !== SIMULATED_ANSWER.WALK_AWAY) {
+          expect(lifeline).toBe(LIFELINE_TYPE.FIFTY_FIFTY);
+        }
+      },
+    );
+    decide(behaviour, 10, []).forEach(({ lifeline }) =>
+      expect(lifeline).toBeNull(),
+    );
+  });
+
+  it('never walks away on the first question', () => {
+    const behaviour = createRandomBehaviour({ seed: 9, walkAwayRate: 1 });
+    const [first, second] = decide(behaviour, 2);
+
+    expect(first.answer).not.toBe(SIMULATED_ANSWER.WALK_AWAY);
+    expect(second.answer).toBe(SIMULATED_ANSWER.WALK_AWAY);
+  });
+});
+
+describe('createScriptedBehaviour', () => {
+  const behaviour = createScriptedBehaviour({
+    teams: [
+      ['wrong'],
+      [
+        'correct',
+        { lifeline: LIFELINE_TYPE.AUDIENCE_POLL, answer: 'walk-away' },
+        { lifeline: LIFELINE_TYPE.FIFTY_FIFTY },
+      ],
+    ],
+  });
+
+  it('replays each team’s steps', () => {
+    expect(behaviour({ position: 0, questionNumber: 1 })).toEqual({
+      lifeline: null,
+      answer: SIMULATED_ANSWER.WRONG,
+    });
+    expect(behaviour({ position: 1, questionNumber: 2 })).toEqual({
+      lifeline: LIFELINE_TYPE.AUDIENCE_POLL,
+      answer: SIMULATED_ANSWER.WALK_AWAY,
+    });
+  });
+
+  it('answers correctly wherever the script is silent', () => {
+    const correct = { lifeline: null, answer: SIMULATED_ANSWER.CORRECT };
+
+    expect(behaviour({ position: 0, questionNumber: 2 })).toEqual(correct);
+    expect(behaviour({ position: 5, questionNumber: 1 })).toEqual(correct);
+    expect(behaviour({ position: 1, questionNumber: 3 })).toEqual({
+      lifeline: LIFELINE_TYPE.FIFTY_FIFTY,
+      answer: SIMULATED_ANSWER.CORRECT,
+    });
+  });
+});
+
+describe('validateSimulationScript', () => {
+  it('accepts a well-formed script', () => {
+    expect(
+      validateSimulationScript({
+        teams: [['correct', 'skip', { lifeline: 'phoneAFriend' }], []],
+      }),
+    ).toEqual({ isValid: true, errors: null });
+  });
+
+  it('requires a teams array', () => {
+    expect(validateSimulationScript({}).isValid).toBe(false);
+    expect(validateSimulationScript(null).isValid).toBe(false);
+  });
+
+  it('names every bad step', () => {
+    const { isValid, errors } = validateSimulationScript({
+      teams: [['maybe', { lifeline: 'askTheHost' }], 'correct', [42]],
+    });
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      expect.stringContaining("Team 1, question 1: unknown answer 'maybe'"),
+      expect.stringContaining(
+        "Team 1, question 2: unknown lifeline 'askTheHost'",
+      ),
+      'Team 2: steps must be an array',
+      'Team 3, question 1: step must be a string or an object',
+    ]);
+  });
+});
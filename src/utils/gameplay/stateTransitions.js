@@ -0,0 +1,92 @@
+// src/utils/gameplay/stateTransitions.js
+
+/**
+ * State Transition Utilities
+ *
+ * Purpose: Enforce the game and team state machines
+ * (GAME_STATE_TRANSITIONS / TEAM_STATUS_TRANSITIONS)
+ *
+ * Core Logic:
+ * - StateTransitionError: typed error for an illegal status move
+ * - assertGameTransition / assertTeamTransition: throw it for illegal moves
+ *
+ * Used By:
+ * - database.service transitionGameStatus / transitionTeamStatus
+ *   (checked inside a Firebase transaction against the server value)
+ * - useGameStore / useTeamsStore (fast local check before writing)
+ *
+ * Example Usage:
+ * assertGameTransition('completed', 'active');
+ * // Throws: StateTransitionError "Cannot move game from Completed to Active"
+ */
+
+import { isValidTransition, getGameStateMeta } from '@constants/gameStates';
+import {
+  isValidTeamTransition,
+  getTeamStatusMeta,
+} from '@constants/teamStates';
+
+/**
+ * Error code carried by StateTransitionError (and by store results)
+ */
+export const INVALID_TRANSITION = 'invalid-transition';
+
+/**
+ * Illegal status move for the game or a team
+ *
+ * @property {string} code        - Always INVALID_TRANSITION
+ * @property {'game'|'team'} entity
+ * @property {string|null} entityId - Team ID for team transitions
+ * @property {string|null} from   - Status the move was attempted from
+ * @property {string} to          - Requested status
+ */
+export class StateTransitionError extends Error {
+  constructor({ entity, entityId = null, from, to }) {
+    const label = entity === 'team' ? `team ${entityId}` : 'game';
+    const describe =
+      entity === 'team'
+        ? (status) => getTeamStatusMeta(status).label
+        : (status) => getGameStateMeta(status).label;
+
+    super(
+      `Cannot move ${label} from ${from ? describe(from) : 'unknown'} to ${describe(to)}`,
+    );
+
+    this.name = 'StateTransitionError';
+    this.code = INVALID_TRANSITION;
+    this.entity = entity;
+    this.entityId = entityId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Throw unless the game may move from one status to another
+ * @param {string} from - Current game status
+ * @param {string} to - Requested game status
+ * @throws {StateTransitionError}
+ */
+export const assertGameTransition = (from, to) => {
+  if (!isValidTransition(from, to)) {
+    throw new StateTransitionError({ entity: 'game', from, to });
+  }
+};
+
+/**
+ * Throw unless a team may move from one status to another
+ * @param {string} teamId - Team ID (for the message)
+ * @param {string} from - Current team status
+ * @param {string} to - Requested team status
+ * @throws {StateTransitionError}
+ */
+export const assertTeamTransition = (teamId, from, to) => {
+  if (!isValidTeamTransition(from, to)) {
+    throw new StateTransitionError({
+      entity: 'team',
+      entityId: teamId,
+      from,
+      to,
+    });
+  }
+};
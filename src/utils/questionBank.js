@@ -0,0 +1,531 @@
+// src/utils/questionBank.js
+
+/**
+ * Question Bank Utilities
+ * Validates and imports individually tagged questions into the
+ * question-bank node, and generates balanced question sets from it.
+ */
+
+import {
+  ANSWER_OPTIONS,
+  QUESTIONS_PER_SET,
+  QUESTION_DIFFICULTIES,
+} from '@constants/config';
+import { validateQuestion, validateQuestionSet } from '@utils/validation';
+import { splitReserveQuestions } from '@utils/questionSets';
+import {
+  parseDelimitedText,
+  detectDelimiter,
+  guessColumnMapping,
+  validateColumnMapping,
+  isQuestionSheetFile,
+} from '@utils/questionSheetImport';
+
+/**
+ * Value of `source` on sets written by the generator
+ */
+export const GENERATED_SET_SOURCE = 'question-bank';
+
+/**
+ * Defaults for the set generator form
+ */
+export const DEFAULT_GENERATOR_OPTIONS = {
+  setIdPrefix: 'bank-set',
+  setNamePrefix: 'Question Set',
+  reservesPerDifficulty: 1,
+};
+
+/**
+ * Normalize question text for duplicate checks
+ * @param {string} text
+ * @returns {string} Lowercase, single-spaced, without trailing punctuation
+ */
+export const normalizeQuestionText = (text = '') =>
+  text
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?.!]+$/, '')
+    .trim();
+
+/**
+ * Shape a question (upload, sheet or stored format) as a bank entry
+ * @param {Object} question - Question with text, options, correctAnswer
+ * @param {string} source - Where it came from (file name, set ID, …)
+ * @returns {Object} Bank question (camelCase, options keyed A-D)
+ */
+export const toBankQuestion = (question, source) => ({
+  text: (question.text ?? '').trim(),
+  options: Object.fromEntries(
+    ANSWER_OPTIONS.map((option) => [
+      option,
+      String(
+        question.options?.[option] ??
+          question.options?.[option.toLowerCase()] ??
+          '',
+      ).trim(),
+    ]),
+  ),
+  correctAnswer: String(question.correctAnswer ?? '')
+    .trim()
+    .toUpperCase(),
+  ...(question.difficulty && {
+    difficulty: String(question.difficulty).trim().toLowerCase(),
+  }),
+  ...(question.category && { category: String(question.category).trim() }),
+  source: (question.source ?? source ?? '').trim(),
+});
+
+/**
+ * Validate a bank question
+ * Uses the upload rules for text, options and correct answer; a difficulty,
+ * when present, must be one the Switch the Question reserves can match.
+ *
+ * @param {Object} question - Bank question (camelCase)
+ * @returns {{ isValid: boolean, errors: string[]|null }}
+ */
+export const validateBankQuestion = (question) => {
+  const { errors } = validateQuestion(
+    { ...question, id: 'bank', number: 1 },
+    1,
+  );
+  const allErrors = [...(errors ?? [])];
+
+  if (
+    question.difficulty &&
+    !QUESTION_DIFFICULTIES.includes(question.difficulty)
+  ) {
+    allErrors.push(
+      `Difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`,
+    );
+  }
+
+  return {
+    isValid: allErrors.length === 0,
+    errors: allErrors.length > 0 ? allErrors : null,
+  };
+};
+
+/**
+ * Read a bank import file
+ *
+ * Accepts JSON (an array of questions, or a question set whose questions
+ * and reserves are all taken) and CSV/TSV sheets with recognizable headers
+ * (an optional "source" column is kept). Set columns are ignored — the bank
+ * has no sets. Invalid rows are reported and skipped.
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Used for the format and as the default source
+ * @returns {{ questions: Object[], errors: string[] }}
+ * @throws {Error} If the file cannot be parsed at all
+ */
+export const parseBankImportFile = (text, fileName) => {
+  const entries = isQuestionSheetFile({ name: fileName })
+    ? readSheetEntries(text, fileName)
+    : readJsonEntries(text);
+
+  const questions = [];
+  const errors = [];
+
+  entries.forEach(({ label, question }) => {
+    const bankQuestion = toBankQuestion(question, fileName);
+    const validation = validateBankQuestion(bankQuestion);
+
+    if (validation.isValid) {
+      questions.push(bankQuestion);
+    } else {
+      validation.errors.forEach((error) => errors.push(`${label}: ${error}`));
+    }
+  });
+
+  return { questions, errors };
+};
+
+/**
+ * Questions from a JSON import, labelled by position
+ * @returns {Array<{ label: string, question: Object }>}
+ */
+const readJsonEntries = (text) => {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed)
+    ? parsed
+    : [...(parsed?.questions ?? []), ...(parsed?.reserveQuestions ?? [])];
+
+  if (list.length === 0) {
+    throw new Error(
+      'Expected an array of questions or a question set with questions',
+    );
+  }
+
+  return list.map((question, index) => ({
+    label: `Question ${index + 1}`,
+    question: question ?? {},
+  }));
+};
+
+/**
+ * Questions from a CSV/TSV import, labelled by sheet line
+ * @returns {Array<{ label: string, question: Object }>}
+ */
+const readSheetEntries = (text, fileName) => {
+  const [header, ...rows] = parseDelimitedText(
+    text,
+    detectDelimiter(text, fileName),
+  );
+
+  if (!header || rows.length === 0) {
+    throw new Error('No question rows below the header row');
+  }
+
+  const mapping = guessColumnMapping(header.cells);
+  const { errors } = validateColumnMapping(mapping, { setId: 'bank' });
+  if (errors) {
+    throw new Error(
+      `${errors.join('; ')} (rename the header to Question, A, B, C, D, Correct Answer)`,
+    );
+  }
+
+  const sourceColumn = header.cells.findIndex(
+    (cell) => cell.trim().toLowerCase() === 'source',
+  );
+  const read = (cells, index) =>
+    index == null || index === -1 ? '' : (cells[index] ?? '').trim();
+
+  return rows.map(({ line, cells }) => ({
+    label: `Line ${line}`,
+    question: {
+      text: read(cells, mapping.text),
+      options: Object.fromEntries(
+        ANSWER_OPTIONS.map((option) => [option, read(cells, mapping[option])]),
+      ),
+      correctAnswer: read(cells, mapping.correctAnswer),
+      difficulty: read(cells, mapping.difficulty),
+      category: read(cells, mapping.category),
+      source: read(cells, sourceColumn) || undefined,
+    },
+  }));
+};
+
+/**
+ * Drop questions whose text is already in the bank (or earlier in the list)
+ * @param {Object[]} questions - Questions to add
+ * @param {Object} bank - Current bank, keyed by question ID
+ * @returns {{ questions: Object[], skipped: number }}
+ */
+export const removeBankDuplicates = (questions, bank) => {
+  const seen = new Set(
+    Object.values(bank ?? {}).map((question) =>
+      normalizeQuestionText(question.text),
+    ),
+  );
+
+  const unique = questions.filter((question) => {
+    const key = normalizeQuestionText(question.text);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { questions: unique, skipped: questions.length - unique.length };
+};
+
+/**
+ * Count bank questions by difficulty and category
+ * @param {Object} bank - Bank keyed by question ID
+ * @param {Set<string>} [usedIds] - IDs already in this event's sets
+ * @returns {Object} { total, available, byDifficulty, byCategory }
+ */
+export const summarizeQuestionBank = (bank, usedIds = new Set()) => {
+  const questions = Object.values(bank ?? {});
+  const countBy = (getKey) =>
+    questions.reduce((counts, question) => {
+      const key = getKey(question);
+      counts[key] = (counts[key] ?? 0) + 1;
+      return counts;
+    }, {});
+
+  return {
+    total: questions.length,
+    available: questions.filter(({ id }) => !usedIds.has(id)).length,
+    byDifficulty: countBy(({ difficulty }) => difficulty || 'untagged'),
+    byCategory: countBy(({ category }) => category || 'Uncategorized'),
+  };
+};
+
+/**
+ * Bank question IDs already used by generated sets in question-sets
+ * The sets on hand are this event's sets, so these IDs are not reused.
+ *
+ * @param {Object|Array} questionSets - Question sets (camelCase)
+ * @returns {Set<string>}
+ */
+export const getUsedBankQuestionIds = (questionSets) =>
+  new Set(
+    Object.values(questionSets ?? {}).flatMap(
+      (questionSet) => questionSet?.bankQuestionIds ?? [],
+    ),
+  );
+
+/**
+ * Target difficulty for a question number — the ladder is split into
+ * equal easy → medium → hard bands
+ *
+ * @param {number} number - Question number (1-based)
+ * @param {number} [questionsPerSet=QUESTIONS_PER_SET]
+ * @returns {string} One of QUESTION_DIFFICULTIES
+ *
+ * @example
+ * getDifficultyForQuestion(7, 20) // 'easy'
+ * getDifficultyForQuestion(8, 20) // 'medium'
+ */
+export const getDifficultyForQuestion = (
+  number,
+  questionsPerSet = QUESTIONS_PER_SET,
+) => {
+  const band = Math.floor(
+    ((number - 1) * QUESTION_DIFFICULTIES.length) / questionsPerSet,
+  );
+  return QUESTION_DIFFICULTIES[
+    Math.min(band, QUESTION_DIFFICULTIES.length - 1)
+  ];
+};
+
+/**
+ * Shuffle with an injectable random source (Fisher-Yates)
+ * @returns {Array} New array
+ */
+const shuffle = (list, random) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Pools to draw from for a difficulty, nearest first; untagged last
+ * @returns {string[]}
+ */
+const getFallbackOrder = (difficulty) => {
+  const target = QUESTION_DIFFICULTIES.indexOf(difficulty);
+  return [
+    ...[...QUESTION_DIFFICULTIES].sort(
+      (a, b) =>
+        Math.abs(QUESTION_DIFFICULTIES.indexOf(a) - target) -
+        Math.abs(QUESTION_DIFFICULTIES.indexOf(b) - target),
+    ),
+    '',
+  ];
+};
+
+/**
+ * Take the question from a pool that adds the least-seen category to a set
+ * Pools are ordered least-used first, so ties go to the least-used question.
+ * @returns {Object} The question (removed from the pool)
+ */
+const takeForCategorySpread = (pool, categoryCounts) => {
+  let bestIndex = 0;
+  let bestCount = Infinity;
+
+  pool.forEach((question, index) => {
+    const count = categoryCounts.get(question.category ?? '') ?? 0;
+    if (count < bestCount) {
+      bestCount = count;
+      bestIndex = index;
+    }
+  });
+
+  return pool.splice(bestIndex, 1)[0];
+};
+
+/**
+ * Shape a bank question as a question in a set
+ * @returns {Object} Question (camelCase)
+ */
+const toSetQuestion = (question, number) => ({
+  id: `q${number}`,
+  number,
+  text: question.text,
+  options: question.options,
+  correctAnswer: question.correctAnswer,
+  ...(question.difficulty && { difficulty: question.difficulty }),
+  ...(question.category && { category: question.category }),
+  bankId: question.id,
+});
+
+/**
+ * Next free set IDs for a prefix, e.g. bank-set-01, bank-set-02
+ * @returns {string[]}
+ */
+const getNextSetIds = (prefix, count, existingSetIds) => {
+  const taken = new Set(existingSetIds);
+  const ids = [];
+  for (let n = 1; ids.length < count; n++) {
+    const setId = `${prefix}-${String(n).padStart(2, '0')}`;
+    if (!taken.has(setId)) ids.push(setId);
+  }
+  return ids;
+};
+
+/**
+ * Generate balanced question sets from the bank
+ *
+ * - Difficulty ramp: each question number gets its band's difficulty
+ *   (getDifficultyForQuestion); when a band runs out the nearest
+ *   difficulty is used and a warning says so
+ * - Category spread: each pick favours the category the set has least of
+ * - Fairness: sets pick in snake order (1→N, then N→1) for every question
+ *   number, so scarce questions are shared evenly
+ * - No reuse: every bank question is used at most once across the new sets
+ *   and never if `excludeIds` has it (this event's existing sets)
+ * - Least-used questions are picked first (after category spread), so
+ *   events rotate through the bank
+ * - Reserves: `reservesPerDifficulty` spares per difficulty for Switch the
+ *   Question, best effort
+ *
+ * @param {Object} bank - Bank keyed by question ID (camelCase, with `id`)
+ * @param {Object} options
+ * @param {number} options.setCount - Number of sets to build
+ * @param {number} [options.questionsPerSet=QUESTIONS_PER_SET]
+ * @param {number} [options.reservesPerDifficulty=1]
+ * @param {string} [options.setIdPrefix='bank-set']
+ * @param {string} [options.setNamePrefix='Question Set']
+ * @param {string[]} [options.existingSetIds=[]] - IDs already in question-sets
+ * @param {Set<string>} [options.excludeIds] - Bank IDs that must not be used
+ * @param {Function} [options.random=Math.random] - Random source in [0, 1)
+ * @returns {Object} { success, error, sets, warnings }
+ */
+export const generateQuestionSets = (
+  bank,
+  {
+    setCount,
+    questionsPerSet = QUESTIONS_PER_SET,
+    reservesPerDifficulty = DEFAULT_GENERATOR_OPTIONS.reservesPerDifficulty,
+    setIdPrefix = DEFAULT_GENERATOR_OPTIONS.setIdPrefix,
+    setNamePrefix = DEFAULT_GENERATOR_OPTIONS.setNamePrefix,
+    existingSetIds = [],
+    excludeIds = new Set(),
+    random = Math.random,
+  },
+) => {
+  const fail = (error) => ({ success: false, error, sets: [], warnings: [] });
+
+  if (!Number.isInteger(setCount) || setCount < 1) {
+    return fail('Choose at least 1 set to generate');
+  }
+
+  const candidates = Object.values(bank ?? {}).filter(
+    (question) =>
+      !excludeIds.has(question.id) && validateBankQuestion(question).isValid,
+  );
+
+  const needed = setCount * questionsPerSet;
+  if (candidates.length < needed) {
+    return fail(
+      `Not enough questions: ${setCount} sets of ${questionsPerSet} need ${needed}, the bank has ${candidates.length} unused valid questions`,
+    );
+  }
+
+  // One pool per difficulty ('' = untagged), least-used first
+  const pools = new Map([...QUESTION_DIFFICULTIES, ''].map((key) => [key, []]));
+  shuffle(candidates, random)
+    .sort((a, b) => (a.timesUsed ?? 0) - (b.timesUsed ?? 0))
+    .forEach((question) =>
+      pools
+        .get(
+          QUESTION_DIFFICULTIES.includes(question.difficulty)
+            ? question.difficulty
+            : '',
+        )
+        .push(question),
+    );
+
+  const sets = Array.from({ length: setCount }, () => ({
+    questions: [],
+    reserves: [],
+    categoryCounts: new Map(),
+  }));
+  const substituted = {};
+
+  const pick = (set, difficulty, { exactOnly = false } = {}) => {
+    const order = exactOnly ? [difficulty] : getFallbackOrder(difficulty);
+    const poolKey = order.find((key) => pools.get(key).length > 0);
+    if (poolKey === undefined) return null;
+
+    if (poolKey !== difficulty) {
+      substituted[difficulty] = (substituted[difficulty] ?? 0) + 1;
+    }
+
+    const question = takeForCategorySpread(
+      pools.get(poolKey),
+      set.categoryCounts,
+    );
+    const category = question.category ?? '';
+    set.categoryCounts.set(
+      category,
+      (set.categoryCounts.get(category) ?? 0) + 1,
+    );
+    return question;
+  };
+
+  const snakeOrder = (round) => (round % 2 === 0 ? sets : [...sets].reverse());
+
+  for (let number = 1; number <= questionsPerSet; number++) {
+    const difficulty = getDifficultyForQuestion(number, questionsPerSet);
+    snakeOrder(number - 1).forEach((set) =>
+      set.questions.push(pick(set, difficulty)),
+    );
+  }
+
+  let missingReserves = 0;
+  let round = 0;
+  QUESTION_DIFFICULTIES.forEach((difficulty) => {
+    for (let r = 0; r < reservesPerDifficulty; r++, round++) {
+      snakeOrder(round).forEach((set) => {
+        const reserve = pick(set, difficulty, { exactOnly: true });
+        if (reserve) set.reserves.push(reserve);
+        else missingReserves += 1;
+      });
+    }
+  });
+
+  const setIds = getNextSetIds(setIdPrefix, setCount, existingSetIds);
+  const generated = sets.map(({ questions, reserves }, index) => {
+    const all = [...questions, ...reserves];
+    return {
+      ...splitReserveQuestions(
+        {
+          setId: setIds[index],
+          setName: `${setNamePrefix} ${index + 1}`.trim(),
+          questions: all.map((question, i) => toSetQuestion(question, i + 1)),
+        },
+        questionsPerSet,
+      ),
+      source: GENERATED_SET_SOURCE,
+      bankQuestionIds: all.map(({ id }) => id),
+    };
+  });
+
+  const invalid = generated.find(
+    (questionSet) => !validateQuestionSet(questionSet, questionsPerSet).isValid,
+  );
+  if (invalid) {
+    return fail(
+      `Generated set '${invalid.setId}' did not pass validation — check the set ID prefix`,
+    );
+  }
+
+  const warnings = [
+    ...Object.entries(substituted).map(
+      ([difficulty, count]) =>
+        `${count} ${difficulty} question slot${count === 1 ? ' was' : 's were'} filled with another difficulty — tag more ${difficulty} questions`,
+    ),
+    ...(missingReserves > 0
+      ? [
+          `${missingReserves} reserve question${missingReserves === 1 ? ' is' : 's are'} missing — Switch the Question may run out`,
+        ]
+      : []),
+  ];
+
+  return { success: true, error: null, sets: generated, warnings };
+};
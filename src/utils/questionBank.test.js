@@ -0,0 +1,270 @@
+// src/utils/questionBank.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  GENERATED_SET_SOURCE,
+  toBankQuestion,
+  validateBankQuestion,
+  parseBankImportFile,
+  removeBankDuplicates,
+  getUsedBankQuestionIds,
+  getDifficultyForQuestion,
+  generateQuestionSets,
+} from '@utils/questionBank';
+import { validateQuestionSet } from '@utils/validation';
+import { createSeededRandom } from '@utils/gameplay/simulationBehaviour';
+import { buildQuestion } from '@/test/fixtures';
+
+const CATEGORIES = ['Science', 'History', 'Sport', 'Music'];
+
+/**
+ * Build a bank keyed by ID with `count` questions per difficulty
+ * @returns {Object} Bank (camelCase)
+ */
+const buildBank = (countPerDifficulty, overrides = () => ({})) => {
+  const bank = {};
+  ['easy', 'medium', 'hard'].forEach((difficulty) => {
+    for (let i = 0; i < countPerDifficulty; i++) {
+      const id = `${difficulty}-${i}`;
+      bank[id] = {
+        id,
+        ...toBankQuestion(buildQuestion(i + 1), 'test'),
+        text: `${difficulty} question ${i}?`,
+        difficulty,
+        category: CATEGORIES[i % CATEGORIES.length],
+        timesUsed: 0,
+        ...overrides(id, i),
+      };
+    }
+  });
+  return bank;
+};
+
+const generate = (bank, options) =>
+  generateQuestionSets(bank, {
+    questionsPerSet: 6,
+    random: createSeededRandom(7),
+    ...options,
+  });
+
+describe('toBankQuestion / validateBankQuestion', () => {
+  it('normalizes an uploaded question', () => {
+    const question = toBankQuestion(
+      {
+        ...buildQuestion(1, 'c'),
+        options: { a: ' One ', b: 'Two', c: 'Three', d: 'Four' },
+        difficulty: 'Hard',
+      },
+      'round-1.json',
+    );
+
+    expect(question).toEqual({
+      text: 'Sample question number 1?',
+      options: { A: 'One', B: 'Two', C: 'Three', D: 'Four' },
+      correctAnswer: 'C',
+      difficulty: 'hard',
+      source: 'round-1.json',
+    });
+    expect(validateBankQuestion(question).isValid).toBe(true);
+  });
+
+  it('reuses the upload rules and checks the difficulty', () => {
+    const question = toBankQuestion(
+      { ...buildQuestion(1), difficulty: 'extreme', correctAnswer: 'E' },
+      'x',
+    );
+
+    expect(validateBankQuestion(question).errors).toEqual([
+      'Correct answer must be one of: A, B, C, D',
+      'Difficulty must be one of: easy, medium, hard',
+    ]);
+  });
+});
+
+describe('parseBankImportFile', () => {
+  it('reads a sheet and reports bad rows by line', () => {
+    const { questions, errors } = parseBankImportFile(
+      [
+        'Question,A,B,C,D,Answer,Difficulty,Category,Source',
+        'What is two plus two?,3,4,5,6,B,easy,Maths,Quiz book',
+        'Broken question?,1,,3,4,A,,,',
+      ].join('\n'),
+      'bank.csv',
+    );
+
+    expect(questions).toEqual([
+      {
+        text: 'What is two plus two?',
+        options: { A: '3', B: '4', C: '5', D: '6' },
+        correctAnswer: 'B',
+        difficulty: 'easy',
+        category: 'Maths',
+        source: 'Quiz book',
+      },
+    ]);
+    expect(errors).toEqual(['Line 3: Option B cannot be empty']);
+  });
+
+  it('takes every question of an uploaded set', () => {
+    const { questions } = parseBankImportFile(
+      JSON.stringify({
+        setId: 'set-a',
+        questions: [buildQuestion(1)],
+        reserveQuestions: [buildQuestion(2)],
+      }),
+      'set-a.json',
+    );
+
+    expect(questions).toHaveLength(2);
+    expect(questions[0].source).toBe('set-a.json');
+  });
+
+  it('rejects sheets without the question columns', () => {
+    expect(() =>
+      parseBankImportFile('Question,A,B\nWhat?,1,2', 'bank.csv'),
+    ).toThrow('Choose the column for Option C');
+  });
+});
+
+describe('removeBankDuplicates', () => {
+  it('skips text already in the bank or repeated in the import', () => {
+    const bank = { x: { text: 'What is the capital of France?' } };
+    const { questions, skipped } = removeBankDuplicates(
+      [
+        { text: 'what is the  capital of France' },
+        { text: 'Who wrote Hamlet?' },
+        { text: 'Who wrote Hamlet?' },
+      ],
+      bank,
+    );
+
+    expect(questions).toEqual([{ text: 'Who wrote Hamlet?' }]);
+    expect(skipped).toBe(2);
+  });
+});
+
+describe('getDifficultyForQuestion', () => {
+  it('ramps from easy to hard in equal bands', () => {
+    const ramp = Array.from({ length: 20 }, (_, i) =>
+      getDifficultyForQuestion(i + 1, 20),
+    );
+
+    expect(ramp.slice(0, 7).every((d) => d === 'easy')).toBe(true);
+    expect(ramp.slice(7, 14).every((d) => d === 'medium')).toBe(true);
+    expect(ramp.slice(14).every((d) => d === 'hard')).toBe(true);
+  });
+});
+
+describe('generateQuestionSets', () => {
+  it('builds valid sets with a difficulty ramp and no reuse', () => {
+    const { success, sets, warnings } = generate(buildBank(12), {
+      setCount: 3,
+      existingSetIds: ['bank-set-01'],
+    });
+
+    expect(success).toBe(true);
+    expect(warnings).toEqual([]);
+    expect(sets.map(({ setId }) => setId)).toEqual([
+      'bank-set-02',
+      'bank-set-03',
+      'bank-set-04',
+    ]);
+
+    sets.forEach((questionSet) => {
+      expect(validateQuestionSet(questionSet, 6).isValid).toBe(true);
+      expect(questionSet.source).toBe(GENERATED_SET_SOURCE);
+      expect(questionSet.questions.map((q) => q.difficulty)).toEqual([
+        'easy',
+        'easy',
+        'medium',
+        'medium',
+        'hard',
+        'hard',
+      ]);
+      expect(questionSet.reserveQuestions.map((q) => q.difficulty)).toEqual([
+        'easy',
+        'medium',
+        'hard',
+      ]);
+    });
+
+    const used = sets.flatMap(({ bankQuestionIds }) => bankQuestionIds);
+    expect(new Set(used).size).toBe(used.length);
+    expect(used).toHaveLength(3 * 9);
+  });
+
+  it('spreads categories within a set', () => {
+    const { sets } = generate(buildBank(12), { setCount: 2 });
+
+    sets.forEach(({ questions }) => {
+      const categories = questions.map((q) => q.category);
+      // 6 questions over 4 categories: no category more than twice
+      CATEGORIES.forEach((category) =>
+        expect(
+          categories.filter((c) => c === category).length,
+        ).toBeLessThanOrEqual(2),
+      );
+    });
+  });
+
+  it('prefers least-used questions and skips excluded ones', () => {
+    const bank = buildBank(4, (id, i) => ({
+      timesUsed: i < 2 ? 0 : 5,
+      category: 'Science',
+    }));
+    const { sets } = generate(bank, {
+      setCount: 1,
+      reservesPerDifficulty: 0,
+      excludeIds: new Set(['easy-0']),
+    });
+
+    const used = sets[0].bankQuestionIds;
+    expect(used).not.toContain('easy-0');
+    expect([...used].sort()).toEqual([
+      'easy-1',
+      'easy-2',
+      'hard-0',
+      'hard-1',
+      'medium-0',
+      'medium-1',
+    ]);
+  });
+
+  it('fills short difficulty bands from the nearest one and warns', () => {
+    const bank = buildBank(4);
+    delete bank['hard-0'];
+    delete bank['hard-1'];
+    delete bank['hard-2'];
+
+    const { success, sets, warnings } = generate(bank, { setCount: 1 });
+
+    expect(success).toBe(true);
+    expect(sets[0].questions.slice(4).map((q) => q.difficulty)).toEqual([
+      'hard',
+      'medium',
+    ]);
+    expect(warnings).toEqual([
+      '1 hard question slot was filled with another difficulty — tag more hard questions',
+      '1 reserve question is missing — Switch the Question may run out',
+    ]);
+  });
+
+  it('refuses when the bank is too small', () => {
+    expect(generate(buildBank(2), { setCount: 2 })).toMatchObject({
+      success: false,
+      error:
+        'Not enough questions: 2 sets of 6 need 12, the bank has 6 unused valid questions',
+    });
+  });
+});
+
+describe('getUsedBankQuestionIds', () => {
+  it('collects bank IDs from generated sets', () => {
+    expect(
+      getUsedBankQuestionIds({
+        a: { bankQuestionIds: ['x', 'y'] },
+        b: { questions: [] },
+      }),
+    ).toEqual(new Set(['x', 'y']));
+  });
+});
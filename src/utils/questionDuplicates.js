@@ -0,0 +1,262 @@
+// src/utils/questionDuplicates.js
+
+/**
+ * Question Duplicate Detection
+ * Finds repeated questions across and within question sets, so two teams
+ * are not asked the same thing on the same night.
+ */
+
+import { normalizeQuestionText } from '@utils/questionBank';
+
+/**
+ * Kinds of finding, most serious first
+ */
+export const DUPLICATE_TYPES = {
+  EXACT: 'exact', // Same text once case, spacing and end punctuation are ignored
+  SIMILAR: 'similar', // Mostly the same words
+  SAME_ANSWER: 'same-answer', // Different questions, same correct answer text
+};
+
+/**
+ * Word overlap (0-1) from which two questions count as near-duplicates
+ */
+export const SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Lower overlap that still counts when both questions have the same
+ * correct answer — a reworded question usually keeps its answer
+ */
+export const SAME_ANSWER_SIMILARITY_THRESHOLD = 0.5;
+
+// Too short to compare by words: "Who is he?" would match anything
+const MIN_COMPARABLE_WORDS = 2;
+
+// Words that carry no meaning on their own in a quiz question
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be by did do does for from has have how in is it its ' +
+    'of on or that the this to was were what when where which who whom whose ' +
+    'why with'
+  ).split(' '),
+);
+
+/**
+ * Meaningful words of a question, lowercased and roughly singularized
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+const tokenize = (text = '') =>
+  new Set(
+    text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word && !STOP_WORDS.has(word))
+      .map((word) =>
+        word.length > 3 && word.endsWith('s') && !word.endsWith('ss')
+          ? word.slice(0, -1)
+          : word,
+      ),
+  );
+
+/**
+ * Dice coefficient of two word sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} 0 (no shared words) to 1 (same words)
+ */
+export const getTokenSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared += 1;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * Text of a question's correct option (options may be keyed a-d or A-D)
+ * @param {Object} question
+ * @returns {string}
+ */
+const getCorrectAnswerText = (question) => {
+  const key = question.correctAnswer ?? '';
+  const text =
+    question.options?.[key.toLowerCase()] ?? question.options?.[key] ?? '';
+  return String(text).trim();
+};
+
+/**
+ * Flatten sets into question references
+ * `position` counts the played questions first, then the reserves, which
+ * is the order QuestionSetViewer lists them in.
+ */
+const collectQuestions = (questionSets) =>
+  Object.values(questionSets ?? {}).flatMap((questionSet) => {
+    const questions = questionSet?.questions ?? [];
+    const reserves = questionSet?.reserveQuestions ?? [];
+
+    return [...questions, ...reserves]
+      .map((question, position) => {
+        if (!question?.text) return null;
+
+        const isReserve = position >= questions.length;
+        const answer = getCorrectAnswerText(question);
+        return {
+          ref: {
+            setId: questionSet.setId,
+            setName: questionSet.setName,
+            questionId: question.id,
+            number: isReserve
+              ? position - questions.length + 1
+              : (question.number ?? position + 1),
+            isReserve,
+            position,
+            text: question.text,
+            answer,
+          },
+          textKey: normalizeQuestionText(question.text),
+          answerKey: normalizeQuestionText(answer),
+          words: tokenize(question.text),
+        };
+      })
+      .filter(Boolean);
+  });
+
+/**
+ * Scope of a finding from the sets its questions come from
+ */
+const getScope = (refs) =>
+  new Set(refs.map(({ setId }) => setId)).size > 1 ? 'cross-set' : 'same-set';
+
+/**
+ * Group entries into a Map by key, keeping their order
+ */
+const groupBy = (entries, getKey) =>
+  entries.reduce((groups, entry) => {
+    const key = getKey(entry);
+    groups.set(key, [...(groups.get(key) ?? []), entry]);
+    return groups;
+  }, new Map());
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Find duplicate and near-duplicate questions in a group of question sets
+ *
+ * Reserves are included: Switch the Question can put one on screen.
+ * - exact: same normalized text, one finding per group of copies
+ * - similar: word overlap ≥ SIMILARITY_THRESHOLD, or ≥
+ *   SAME_ANSWER_SIMILARITY_THRESHOLD when the correct answers match;
+ *   one finding per pair
+ * - same-answer: different questions sharing a correct answer text,
+ *   unless every pair in the group was already reported above
+ *
+ * @param {Object|Array} questionSets - Full question sets (camelCase)
+ * @returns {{
+ *   findings: Array<{ id: string, type: string, scope: 'cross-set'|'same-set', similarity?: number, answer?: string, questions: Object[] }>,
+ *   counts: { exact: number, similar: number, sameAnswer: number },
+ *   questionCount: number,
+ * }}
+ *
+ * @example
+ * const { findings } = findDuplicateQuestions(await databaseService.getAllQuestionSets());
+ * findings[0].questions // [{ setId, setName, questionId, number, isReserve, position, text, answer }, …]
+ */
+export const findDuplicateQuestions = (questionSets) => {
+  const entries = collectQuestions(questionSets);
+  const reportedPairs = new Set();
+  const findings = [];
+
+  // Exact copies
+  const byText = groupBy(entries, ({ textKey }) => textKey);
+  byText.forEach((group, textKey) => {
+    if (group.length < 2) return;
+
+    const refs = group.map(({ ref }) => ref);
+    findings.push({
+      id: `exact:${textKey}`,
+      type: DUPLICATE_TYPES.EXACT,
+      scope: getScope(refs),
+      questions: refs,
+    });
+  });
+
+  // Near-duplicates — compare each distinct text once
+  const distinct = [...byText.values()].map((group) => group[0]);
+  const similar = [];
+  distinct.forEach((a, i) => {
+    if (a.words.size < MIN_COMPARABLE_WORDS) return;
+
+    distinct.slice(i + 1).forEach((b) => {
+      if (b.words.size < MIN_COMPARABLE_WORDS) return;
+
+      const similarity = getTokenSimilarity(a.words, b.words);
+      const sameAnswer = a.answerKey !== '' && a.answerKey === b.answerKey;
+      if (
+        similarity >= SIMILARITY_THRESHOLD ||
+        (sameAnswer && similarity >= SAME_ANSWER_SIMILARITY_THRESHOLD)
+      ) {
+        const refs = [...byText.get(a.textKey), ...byText.get(b.textKey)].map(
+          ({ ref }) => ref,
+        );
+        reportedPairs.add(pairKey(a.textKey, b.textKey));
+        similar.push({
+          id: `similar:${pairKey(a.textKey, b.textKey)}`,
+          type: DUPLICATE_TYPES.SIMILAR,
+          scope: getScope(refs),
+          similarity,
+          questions: refs,
+        });
+      }
+    });
+  });
+  similar.sort((a, b) => b.similarity - a.similarity);
+  findings.push(...similar);
+
+  // Repeated correct answers
+  const sameAnswer = [];
+  groupBy(
+    entries.filter(({ answerKey }) => answerKey !== ''),
+    ({ answerKey }) => answerKey,
+  ).forEach((group, answerKey) => {
+    const texts = [...new Set(group.map(({ textKey }) => textKey))];
+    const unreported = texts.some((a, i) =>
+      texts.slice(i + 1).some((b) => !reportedPairs.has(pairKey(a, b))),
+    );
+    if (!unreported) return;
+
+    const refs = group.map(({ ref }) => ref);
+    sameAnswer.push({
+      id: `same-answer:${answerKey}`,
+      type: DUPLICATE_TYPES.SAME_ANSWER,
+      scope: getScope(refs),
+      answer: group[0].ref.answer,
+      questions: refs,
+    });
+  });
+  sameAnswer.sort((a, b) => b.questions.length - a.questions.length);
+  findings.push(...sameAnswer);
+
+  const count = (type) => findings.filter((f) => f.type === type).length;
+  return {
+    findings,
+    counts: {
+      exact: count(DUPLICATE_TYPES.EXACT),
+      similar: count(DUPLICATE_TYPES.SIMILAR),
+      sameAnswer: count(DUPLICATE_TYPES.SAME_ANSWER),
+    },
+    questionCount: entries.length,
+  };
+};
+
+/**
+ * Findings that include a question from the given set
+ * @param {Object} report - findDuplicateQuestions result
+ * @param {string} setId
+ * @returns {Object[]}
+ */
+export const getFindingsForSet = (report, setId) =>
+  (report?.findings ?? []).filter(({ questions }) =>
+    questions.some((ref) => ref.setId === setId),
+  );
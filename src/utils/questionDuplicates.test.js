@@ -0,0 +1,141 @@
+// src/utils/questionDuplicates.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  DUPLICATE_TYPES,
+  findDuplicateQuestions,
+  getFindingsForSet,
+} from '@utils/questionDuplicates';
+import { buildQuestion, buildQuestionSet } from '@/test/fixtures';
+
+/**
+ * Build a question with the given text and correct answer text
+ */
+const question = (number, text, answer) => ({
+  ...buildQuestion(number),
+  text,
+  options: { a: answer, b: 'Other 1', c: 'Other 2', d: 'Other 3' },
+  correctAnswer: 'A',
+});
+
+const set = (setId, questions, reserveQuestions = []) => ({
+  setId,
+  setName: `Set ${setId}`,
+  questions,
+  reserveQuestions,
+});
+
+describe('findDuplicateQuestions', () => {
+  it('finds exact copies across sets, ignoring case and punctuation', () => {
+    const report = findDuplicateQuestions({
+      'set-1': set('set-1', [
+        question(1, 'What is the capital of France?', 'Paris'),
+      ]),
+      'set-2': set('set-2', [
+        question(1, 'Who painted the Mona Lisa?', 'Leonardo da Vinci'),
+        question(2, 'what is the  capital of france', 'Paris'),
+      ]),
+    });
+
+    expect(report.counts).toEqual({ exact: 1, similar: 0, sameAnswer: 0 });
+    expect(report.findings[0]).toMatchObject({
+      type: DUPLICATE_TYPES.EXACT,
+      scope: 'cross-set',
+    });
+    expect(
+      report.findings[0].questions.map(({ setId, number }) => [setId, number]),
+    ).toEqual([
+      ['set-1', 1],
+      ['set-2', 2],
+    ]);
+  });
+
+  it('finds reworded questions by word overlap', () => {
+    const report = findDuplicateQuestions([
+      set('set-1', [
+        question(1, 'Which planet is known as the Red Planet?', 'Mars'),
+        question(2, 'How many legs does a spider have?', 'Eight'),
+      ]),
+      set('set-2', [
+        question(1, 'What planet is called the Red Planet?', 'Mars'),
+        question(2, 'How many legs do spiders have in total?', '8'),
+      ]),
+    ]);
+
+    expect(report.counts).toEqual({ exact: 0, similar: 2, sameAnswer: 0 });
+    const [spiders, mars] = report.findings;
+    // Same words bar "in total": similar on overlap alone
+    expect(spiders.similarity).toBeGreaterThanOrEqual(0.8);
+    // Lower overlap, but the answer matches
+    expect(mars.similarity).toBeLessThan(0.8);
+    expect(mars.questions.map(({ answer }) => answer)).toEqual([
+      'Mars',
+      'Mars',
+    ]);
+  });
+
+  it('does not confuse questions that only share their wording', () => {
+    const report = findDuplicateQuestions([
+      set('set-1', [question(1, 'What is the capital of France?', 'Paris')]),
+      set('set-2', [question(1, 'What is the capital of Spain?', 'Madrid')]),
+    ]);
+
+    expect(report.findings).toEqual([]);
+  });
+
+  it('flags a correct answer repeated within a set, including reserves', () => {
+    const report = findDuplicateQuestions([
+      set(
+        'set-1',
+        [
+          question(1, 'Which city hosts the Louvre?', 'Paris'),
+          question(2, 'Who wrote Hamlet?', 'Shakespeare'),
+        ],
+        [question(3, 'Where did the 2024 Olympics take place?', 'paris')],
+      ),
+    ]);
+
+    expect(report.counts.sameAnswer).toBe(1);
+    expect(report.findings[0]).toMatchObject({
+      type: DUPLICATE_TYPES.SAME_ANSWER,
+      scope: 'same-set',
+      answer: 'Paris',
+    });
+    expect(report.findings[0].questions[1]).toMatchObject({
+      isReserve: true,
+      number: 1,
+      position: 2,
+    });
+  });
+
+  it('does not repeat a shared answer already reported as a duplicate', () => {
+    const report = findDuplicateQuestions([
+      set('set-1', [question(1, 'Who wrote Hamlet?', 'Shakespeare')]),
+      set('set-2', [question(1, 'Who wrote Hamlet', 'Shakespeare')]),
+    ]);
+
+    expect(report.counts).toEqual({ exact: 1, similar: 0, sameAnswer: 0 });
+  });
+
+  it('reports nothing for sets built from the fixtures', () => {
+    const report = findDuplicateQuestions([
+      buildQuestionSet('set-1', ['A', 'B', 'C', 'D']),
+    ]);
+
+    expect(report.findings).toEqual([]);
+    expect(report.questionCount).toBe(4);
+  });
+});
+
+describe('getFindingsForSet', () => {
+  it('keeps the findings that involve a set', () => {
+    const report = findDuplicateQuestions([
+      set('set-1', [question(1, 'Who wrote Hamlet?', 'Shakespeare')]),
+      set('set-2', [question(1, 'Who wrote Hamlet?', 'Shakespeare')]),
+      set('set-3', [question(1, 'Who painted Guernica?', 'Picasso')]),
+    ]);
+
+    expect(getFindingsForSet(report, 'set-2')).toHaveLength(1);
+    expect(getFindingsForSet(report, 'set-3')).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+// src/utils/questionSets.js
+
+/**
+ * Question Set Utilities
+ * Shapes uploaded or edited question sets into what is stored in Firebase
+ */
+
+import { QUESTIONS_PER_SET, ANSWER_OPTIONS } from '@constants/config';
+import { GAME_STATUS } from '@constants/gameStates';
+
+/**
+ * Split an uploaded question set into played questions and reserves
+ *
+ * The first `questionsPerSet` questions are played in order; any extras are
+ * kept as reserve questions for the Switch-the-Question lifeline instead of
+ * being trimmed away.
+ *
+ * @param {Object} questionSet - Question set as uploaded (setId, setName, questions)
+ * @param {number} [questionsPerSet=QUESTIONS_PER_SET] - config.questionsPerTeam
+ * @returns {Object} Question set with questions, reserveQuestions and counts
+ */
+export const splitReserveQuestions = (
+  questionSet,
+  questionsPerSet = QUESTIONS_PER_SET,
+) => {
+  const allQuestions = [
+    ...(questionSet.questions ?? []),
+    ...(questionSet.reserveQuestions ?? []),
+  ];
+
+  const questions = allQuestions.slice(0, questionsPerSet);
+  const reserveQuestions = allQuestions.slice(questionsPerSet);
+
+  return {
+    ...questionSet,
+    questions,
+    reserveQuestions,
+    totalQuestions: questions.length,
+    totalReserveQuestions: reserveQuestions.length,
+  };
+};
+
+/**
+ * Flatten a stored question set into one editable list
+ * Played questions come first, then reserves; option keys are upper-cased
+ * (they are stored as a/b/c/d) and missing fields are filled with blanks.
+ *
+ * @param {Object} questionSet - Question set from the database (or null for a new set)
+ * @returns {Object[]} Questions in play order
+ */
+export const toEditableQuestions = (questionSet) =>
+  [
+    ...(questionSet?.questions ?? []),
+    ...(questionSet?.reserveQuestions ?? []),
+  ].map((question) => ({
+    id: question.id ?? '',
+    text: question.text ?? '',
+    options: Object.fromEntries(
+      ANSWER_OPTIONS.map((option) => [
+        option,
+        question.options?.[option.toLowerCase()] ??
+          question.options?.[option] ??
+          '',
+      ]),
+    ),
+    correctAnswer: question.correctAnswer?.toUpperCase() ?? '',
+    difficulty: question.difficulty ?? '',
+    category: question.category ?? '',
+  }));
+
+/**
+ * Create an empty question with an ID not used in the list
+ * @param {Object[]} questions - Questions already in the set
+ * @returns {Object} Blank question
+ *
+ * @example
+ * createBlankQuestion([{ id: 'q1' }, { id: 'q2' }])
+ * // Returns: { id: 'q3', text: '', options: { A: '', B: '', C: '', D: '' }, ... }
+ */
+export const createBlankQuestion = (questions) => {
+  const usedIds = new Set(questions.map((question) => question.id));
+  let next = questions.length + 1;
+  while (usedIds.has(`q${next}`)) next += 1;
+
+  return {
+    id: `q${next}`,
+    text: '',
+    options: Object.fromEntries(ANSWER_OPTIONS.map((option) => [option, ''])),
+    correctAnswer: '',
+    difficulty: '',
+    category: '',
+  };
+};
+
+/**
+ * Move an item to a new position (drag-and-drop reorder)
+ * @param {Array} list
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @returns {Array} New array
+ */
+export const moveItem = (list, fromIndex, toIndex) => {
+  const next = [...list];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+/**
+ * Build the question set to save from the editor's list
+ * Questions are numbered by position, blank optional fields are dropped and
+ * the list is split into played questions and reserves like an upload.
+ *
+ * @param {Object} draft - { setId, setName, questions }
+ * @param {number} [questionsPerSet=QUESTIONS_PER_SET] - config.questionsPerTeam
+ * @returns {Object} Question set ready for validateQuestionSet / saving
+ */
+export const buildEditedQuestionSet = (
+  { setId, setName, questions },
+  questionsPerSet = QUESTIONS_PER_SET,
+) =>
+  splitReserveQuestions(
+    {
+      setId: setId.trim(),
+      setName: setName.trim(),
+      questions: questions.map(
+        ({ difficulty, category, ...question }, index) => ({
+          ...question,
+          number: index + 1,
+          text: question.text.trim(),
+          ...(difficulty && { difficulty }),
+          ...(category.trim() && { category: category.trim() }),
+        }),
+      ),
+    },
+    questionsPerSet,
+  );
+
+/**
+ * Whether a question set may be edited while a game uses it
+ *
+ * - Assigned to a team in a game that is running (active or paused):
+ *   locked — the host view would drift from what the teams are playing
+ * - Assigned in a game that is initialized or completed: allowed with a
+ *   warning (changes reach the teams who have not played it yet / results)
+ *
+ * @param {string} setId - Question set ID
+ * @param {Object} gameState - { gameStatus, questionSetAssignments }
+ * @returns {{ isAssigned: boolean, isLocked: boolean, message: string|null }}
+ */
+export const getQuestionSetEditLock = (
+  setId,
+  { gameStatus, questionSetAssignments },
+) => {
+  const isAssigned = Object.values(questionSetAssignments ?? {}).includes(
+    setId,
+  );
+
+  if (!isAssigned || gameStatus === GAME_STATUS.NOT_STARTED) {
+    return { isAssigned: false, isLocked: false, message: null };
+  }
+
+  if (gameStatus === GAME_STATUS.ACTIVE || gameStatus === GAME_STATUS.PAUSED) {
+    return {
+      isAssigned: true,
+      isLocked: true,
+      message:
+        'This set is assigned to a team in the game that is being played. Edit it after the game ends.',
+    };
+  }
+
+  return {
+    isAssigned: true,
+    isLocked: false,
+    message:
+      gameStatus === GAME_STATUS.COMPLETED
+        ? 'This set was played in the completed game. Changes do not alter recorded results.'
+        : 'This set is assigned to a team in the initialized game. The team will play the edited questions.',
+  };
+};
@@ -0,0 +1,157 @@
+// src/utils/questionSets.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  splitReserveQuestions,
+  toEditableQuestions,
+  createBlankQuestion,
+  moveItem,
+  buildEditedQuestionSet,
+  getQuestionSetEditLock,
+} from '@utils/questionSets';
+import { validateQuestionSet } from '@utils/validation';
+import { GAME_STATUS } from '@constants/gameStates';
+import { buildQuestion, buildQuestionSet } from '@/test/fixtures';
+
+describe('splitReserveQuestions', () => {
+  it('keeps questions past the set size as reserves', () => {
+    const split = splitReserveQuestions(
+      buildQuestionSet('set-a', ['A', 'B', 'C', 'D', 'A']),
+      3,
+    );
+
+    expect(split.questions.map((q) => q.id)).toEqual(['q1', 'q2', 'q3']);
+    expect(split.reserveQuestions.map((q) => q.id)).toEqual(['q4', 'q5']);
+    expect(split.totalQuestions).toBe(3);
+    expect(split.totalReserveQuestions).toBe(2);
+  });
+});
+
+describe('toEditableQuestions', () => {
+  it('flattens reserves after the played questions with A-D keys', () => {
+    const stored = {
+      questions: [
+        {
+          ...buildQuestion(1, 'b'),
+          options: { a: 'One', b: 'Two', c: 'Three', d: 'Four' },
+          difficulty: 'easy',
+        },
+      ],
+      reserveQuestions: [buildQuestion(2)],
+    };
+
+    expect(toEditableQuestions(stored)).toEqual([
+      {
+        id: 'q1',
+        text: 'Sample question number 1?',
+        options: { A: 'One', B: 'Two', C: 'Three', D: 'Four' },
+        correctAnswer: 'B',
+        difficulty: 'easy',
+        category: '',
+      },
+      expect.objectContaining({ id: 'q2', difficulty: '', category: '' }),
+    ]);
+  });
+
+  it('starts a new set empty', () => {
+    expect(toEditableQuestions(null)).toEqual([]);
+  });
+});
+
+describe('createBlankQuestion', () => {
+  it('picks an unused ID', () => {
+    expect(createBlankQuestion([]).id).toBe('q1');
+    expect(createBlankQuestion([{ id: 'q1' }, { id: 'q3' }]).id).toBe('q4');
+    expect(createBlankQuestion([{ id: 'q2' }]).id).toBe('q3');
+  });
+});
+
+describe('moveItem', () => {
+  it('moves an item without touching the original list', () => {
+    const list = ['a', 'b', 'c', 'd'];
+
+    expect(moveItem(list, 0, 2)).toEqual(['b', 'c', 'a', 'd']);
+    expect(moveItem(list, 3, 1)).toEqual(['a', 'd', 'b', 'c']);
+    expect(list).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('buildEditedQuestionSet', () => {
+  const draft = {
+    setId: ' set-a ',
+    setName: ' Round One ',
+    questions: toEditableQuestions(
+      buildQuestionSet('set-a', ['A', 'B', 'C']),
+    ).map((question, index) =>
+      index === 0
+        ? { ...question, difficulty: 'hard', category: ' Science ' }
+        : question,
+    ),
+  };
+
+  it('renumbers by position and splits reserves', () => {
+    const reordered = { ...draft, questions: moveItem(draft.questions, 2, 0) };
+    const built = buildEditedQuestionSet(reordered, 2);
+
+    expect(built.setId).toBe('set-a');
+    expect(built.setName).toBe('Round One');
+    expect(built.questions.map(({ id, number }) => [id, number])).toEqual([
+      ['q3', 1],
+      ['q1', 2],
+    ]);
+    expect(built.reserveQuestions).toEqual([
+      expect.objectContaining({ id: 'q2', number: 3 }),
+    ]);
+    expect(validateQuestionSet(built, 2).isValid).toBe(true);
+  });
+
+  it('only keeps difficulty and category when they are set', () => {
+    const [first, second] = buildEditedQuestionSet(draft, 3).questions;
+
+    expect(first).toMatchObject({ difficulty: 'hard', category: 'Science' });
+    expect(second).not.toHaveProperty('difficulty');
+    expect(second).not.toHaveProperty('category');
+  });
+});
+
+describe('getQuestionSetEditLock', () => {
+  const assignments = { 'team-1': 'set-a' };
+
+  it('locks a set being played', () => {
+    [GAME_STATUS.ACTIVE, GAME_STATUS.PAUSED].forEach((gameStatus) =>
+      expect(
+        getQuestionSetEditLock('set-a', {
+          gameStatus,
+          questionSetAssignments: assignments,
+        }),
+      ).toMatchObject({ isAssigned: true, isLocked: true }),
+    );
+  });
+
+  it('warns about an assigned set outside play', () => {
+    [GAME_STATUS.INITIALIZED, GAME_STATUS.COMPLETED].forEach((gameStatus) => {
+      const lock = getQuestionSetEditLock('set-a', {
+        gameStatus,
+        questionSetAssignments: assignments,
+      });
+
+      expect(lock).toMatchObject({ isAssigned: true, isLocked: false });
+      expect(lock.message).toEqual(expect.any(String));
+    });
+  });
+
+  it('leaves unassigned sets alone', () => {
+    expect(
+      getQuestionSetEditLock('set-b', {
+        gameStatus: GAME_STATUS.ACTIVE,
+        questionSetAssignments: assignments,
+      }),
+    ).toEqual({ isAssigned: false, isLocked: false, message: null });
+    expect(
+      getQuestionSetEditLock('set-a', {
+        gameStatus: GAME_STATUS.NOT_STARTED,
+        questionSetAssignments: assignments,
+      }).isLocked,
+    ).toBe(false);
+  });
+});
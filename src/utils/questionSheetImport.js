@@ -0,0 +1,337 @@
+// src/utils/questionSheetImport.js
+
+/**
+ * Question Sheet Import Utilities
+ * Turns a CSV/TSV export of a question writers' spreadsheet into question
+ * sets in the upload format: parse, map columns to question fields, group
+ * rows into sets and validate with the upload rules, reporting errors by
+ * line number in the sheet.
+ */
+
+import { ANSWER_OPTIONS, QUESTIONS_PER_SET } from '@constants/config';
+import { validateQuestionSet } from '@utils/validation';
+import { splitReserveQuestions } from '@utils/questionSets';
+
+/**
+ * Question fields a sheet column can be mapped to, in display order
+ * `aliases` are matched against normalized header names (lowercase,
+ * letters and digits only) to guess the mapping.
+ */
+export const SHEET_FIELDS = [
+  {
+    key: 'setId',
+    label: 'Set ID',
+    required: false,
+    aliases: ['setid', 'set', 'questionset'],
+  },
+  {
+    key: 'setName',
+    label: 'Set Name',
+    required: false,
+    aliases: ['setname', 'name', 'settitle'],
+  },
+  {
+    key: 'id',
+    label: 'Question ID',
+    required: false,
+    aliases: ['id', 'questionid', 'qid'],
+  },
+  {
+    key: 'text',
+    label: 'Question Text',
+    required: true,
+    aliases: ['text', 'question', 'questiontext'],
+  },
+  ...ANSWER_OPTIONS.map((option) => ({
+    key: option,
+    label: `Option ${option}`,
+    required: true,
+    aliases: [option.toLowerCase(), `option${option.toLowerCase()}`],
+  })),
+  {
+    key: 'correctAnswer',
+    label: 'Correct Answer',
+    required: true,
+    aliases: ['correctanswer', 'correct', 'answer'],
+  },
+  {
+    key: 'difficulty',
+    label: 'Difficulty',
+    required: false,
+    aliases: ['difficulty', 'level'],
+  },
+  {
+    key: 'category',
+    label: 'Category',
+    required: false,
+    aliases: ['category', 'topic'],
+  },
+];
+
+/**
+ * File extensions accepted as question sheets
+ */
+export const SHEET_EXTENSIONS = ['.csv', '.tsv'];
+
+/**
+ * Whether a file is a question sheet (CSV/TSV) rather than JSON
+ * @param {File|{ name: string }} file
+ * @returns {boolean}
+ */
+export const isQuestionSheetFile = (file) =>
+  SHEET_EXTENSIONS.some((extension) =>
+    file.name.toLowerCase().endsWith(extension),
+  );
+
+/**
+ * Pick the delimiter for a sheet
+ * `.tsv` files are tab-separated; otherwise the header row decides.
+ *
+ * @param {string} text - File contents
+ * @param {string} [fileName='']
+ * @returns {string} ',' or '\t'
+ */
+export const detectDelimiter = (text, fileName = '') => {
+  if (fileName.toLowerCase().endsWith('.tsv')) return '\t';
+
+  const [headerLine = ''] = text.split(/\r?\n/, 1);
+  const tabs = headerLine.split('\t').length;
+  const commas = headerLine.split(',').length;
+  return tabs > commas ? '\t' : ',';
+};
+
+/**
+ * Parse delimited text (RFC 4180 quoting) into rows
+ * Quoted cells may contain delimiters, doubled quotes and line breaks;
+ * blank rows are skipped. Each row keeps the line it starts on so errors
+ * can point at the spreadsheet.
+ *
+ * @param {string} text - File contents
+ * @param {string} [delimiter=',']
+ * @returns {Array<{ line: number, cells: string[] }>}
+ * @throws {Error} If a quoted cell is never closed
+ */
+export const parseDelimitedText = (text, delimiter = ',') => {
+  const rows = [];
+  const source = text.replace(/^\uFEFF/, '');
+
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Line ${quoteLine}: quoted cell is never closed`);
+  }
+  if (cell !== '' || cells.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Normalize a header for alias matching ("Option A" → "optiona")
+ * @param {string} header
+ * @returns {string}
+ */
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {string[]} headers - Header row cells
+ * @returns {Object} { [fieldKey]: columnIndex | null }
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+
+  return Object.fromEntries(
+    SHEET_FIELDS.map(({ key, aliases }) => {
+      const index = normalized.findIndex((header) => aliases.includes(header));
+      return [key, index === -1 ? null : index];
+    }),
+  );
+};
+
+/**
+ * Check a column mapping before rows are converted
+ * Without a set column the whole sheet is one set, so its ID must be given.
+ *
+ * @param {Object} mapping - { [fieldKey]: columnIndex | null }
+ * @param {Object} [defaults] - { setId, setName } used when not mapped
+ * @returns {{ isValid: boolean, errors: string[]|null }}
+ */
+export const validateColumnMapping = (mapping, defaults = {}) => {
+  const errors = SHEET_FIELDS.filter(
+    ({ key, required }) => required && mapping[key] == null,
+  ).map(({ label }) => `Choose the column for ${label}`);
+
+  if (mapping.setId == null && !defaults.setId?.trim()) {
+    errors.push('Choose the Set ID column or enter a set ID for the sheet');
+  }
+
+  const columns = Object.values(mapping).filter((index) => index != null);
+  if (new Set(columns).size !== columns.length) {
+    errors.push('Each column can only be mapped to one field');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : null,
+  };
+};
+
+/**
+ * Read a mapped cell, trimmed
+ * @returns {string}
+ */
+const readCell = (cells, mapping, key) =>
+  mapping[key] == null ? '' : (cells[mapping[key]] ?? '').trim();
+
+/**
+ * Convert one sheet row into a question in the upload format
+ * @param {string[]} cells
+ * @param {Object} mapping
+ * @param {number} number - Position in its set (1-based)
+ * @returns {Object} Question (camelCase)
+ */
+const rowToQuestion = (cells, mapping, number) => {
+  const difficulty = readCell(cells, mapping, 'difficulty').toLowerCase();
+  const category = readCell(cells, mapping, 'category');
+
+  return {
+    id: readCell(cells, mapping, 'id') || `q${number}`,
+    number,
+    text: readCell(cells, mapping, 'text'),
+    options: Object.fromEntries(
+      ANSWER_OPTIONS.map((option) => [
+        option,
+        readCell(cells, mapping, option),
+      ]),
+    ),
+    correctAnswer: readCell(cells, mapping, 'correctAnswer').toUpperCase(),
+    ...(difficulty && { difficulty }),
+    ...(category && { category }),
+  };
+};
+
+/**
+ * Build question sets from sheet rows
+ *
+ * Rows are grouped by the set column (first appearance order), or all go
+ * into the default set when no set column is mapped. Each set is split into
+ * played questions and reserves and validated like a JSON upload; question
+ * errors are reported against the sheet line they came from.
+ *
+ * @param {Array<{ line: number, cells: string[] }>} rows - Data rows (no header)
+ * @param {Object} mapping - { [fieldKey]: columnIndex | null }
+ * @param {Object} [options]
+ * @param {string} [options.setId] - Set ID when no set column is mapped
+ * @param {string} [options.setName] - Set name when no name column is mapped
+ * @param {number} [options.questionsPerSet=QUESTIONS_PER_SET]
+ * @returns {{ isValid: boolean, sets: Object[] }} Each set:
+ *   { questionSet, validation, errors: string[]|null, firstLine }
+ *
+ * @example
+ * buildQuestionSetsFromRows(rows, mapping, { questionsPerSet: 20 })
+ * // Returns: { isValid: false, sets: [{ questionSet: {...}, errors: ['Line 14 (question 3): Option B cannot be empty'], ... }] }
+ */
+export const buildQuestionSetsFromRows = (
+  rows,
+  mapping,
+  { setId = '', setName = '', questionsPerSet = QUESTIONS_PER_SET } = {},
+) => {
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const rowSetId = readCell(row.cells, mapping, 'setId') || setId.trim();
+    if (!groups.has(rowSetId)) groups.set(rowSetId, []);
+    groups.get(rowSetId).push(row);
+  });
+
+  const sets = [...groups.entries()].map(([groupSetId, groupRows]) => {
+    const groupSetName =
+      groupRows
+        .map((row) => readCell(row.cells, mapping, 'setName'))
+        .find(Boolean) ||
+      setName.trim() ||
+      groupSetId;
+
+    const questionSet = splitReserveQuestions(
+      {
+        setId: groupSetId,
+        setName: groupSetName,
+        questions: groupRows.map((row, index) =>
+          rowToQuestion(row.cells, mapping, index + 1),
+        ),
+      },
+      questionsPerSet,
+    );
+
+    const validation = validateQuestionSet(questionSet, questionsPerSet);
+    const errors = [
+      ...(validation.errors ?? []).map((error) =>
+        groupSetId ? `Set ${groupSetId}: ${error}` : error,
+      ),
+      ...(validation.questionErrors ?? []).flatMap(
+        ({ questionNumber, errors: questionErrors }) =>
+          questionErrors.map(
+            (error) =>
+              `Line ${groupRows[questionNumber - 1].line} (question ${questionNumber}): ${error}`,
+          ),
+      ),
+    ];
+
+    return {
+      questionSet,
+      validation,
+      errors: errors.length > 0 ? errors : null,
+      firstLine: groupRows[0].line,
+    };
+  });
+
+  return {
+    isValid:
+      sets.length > 0 && sets.every(({ validation }) => validation.isValid),
+    sets,
+  };
+};
@@ -0,0 +1,199 @@
+// src/utils/questionSheetImport.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectDelimiter,
+  parseDelimitedText,
+  guessColumnMapping,
+  validateColumnMapping,
+  buildQuestionSetsFromRows,
+  isQuestionSheetFile,
+} from '@utils/questionSheetImport';
+
+const HEADER = 'Set ID,Set Name,Question,A,B,C,D,Correct,Difficulty,Category';
+
+/**
+ * Build a sheet row for a question
+ * @returns {string} CSV line
+ */
+const sheetRow = (setId, number, overrides = {}) => {
+  const cells = {
+    setId,
+    setName: `Set ${setId}`,
+    text: `Sample question number ${number}?`,
+    A: `Option A${number}`,
+    B: `Option B${number}`,
+    C: `Option C${number}`,
+    D: `Option D${number}`,
+    correct: 'a',
+    difficulty: 'Easy',
+    category: '',
+    ...overrides,
+  };
+  return Object.values(cells).join(',');
+};
+
+/**
+ * Parse a sheet and build its question sets with the guessed mapping
+ */
+const importSheet = (text, options) => {
+  const [header, ...rows] = parseDelimitedText(text);
+  return buildQuestionSetsFromRows(rows, guessColumnMapping(header.cells), {
+    questionsPerSet: 2,
+    ...options,
+  });
+};
+
+describe('parseDelimitedText', () => {
+  it('handles quoted delimiters, quotes and line breaks', () => {
+    const rows = parseDelimitedText(
+      'text,a\r\n"Which, exactly?","He said ""hi"""\n\n"Two\nlines",x\n',
+    );
+
+    expect(rows).toEqual([
+      { line: 1, cells: ['text', 'a'] },
+      { line: 2, cells: ['Which, exactly?', 'He said "hi"'] },
+      { line: 4, cells: ['Two\nlines', 'x'] },
+    ]);
+  });
+
+  it('reads tab-separated sheets', () => {
+    const text = 'text\ta\nWhat?\tYes';
+
+    expect(detectDelimiter(text)).toBe('\t');
+    expect(detectDelimiter('a,b', 'questions.tsv')).toBe('\t');
+    expect(parseDelimitedText(text, '\t')[1].cells).toEqual(['What?', 'Yes']);
+  });
+
+  it('reports an unclosed quote with its line', () => {
+    expect(() => parseDelimitedText('text\n"never closed')).toThrow(
+      'Line 2: quoted cell is never closed',
+    );
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('matches common header names', () => {
+    expect(guessColumnMapping(HEADER.split(','))).toEqual({
+      setId: 0,
+      setName: 1,
+      id: null,
+      text: 2,
+      A: 3,
+      B: 4,
+      C: 5,
+      D: 6,
+      correctAnswer: 7,
+      difficulty: 8,
+      category: 9,
+    });
+  });
+});
+
+describe('validateColumnMapping', () => {
+  const mapping = guessColumnMapping(HEADER.split(','));
+
+  it('needs the question columns and a set ID', () => {
+    expect(validateColumnMapping(mapping).isValid).toBe(true);
+    expect(
+      validateColumnMapping({ ...mapping, setId: null, B: null }).errors,
+    ).toEqual([
+      'Choose the column for Option B',
+      'Choose the Set ID column or enter a set ID for the sheet',
+    ]);
+    expect(
+      validateColumnMapping({ ...mapping, setId: null }, { setId: 'set-a' })
+        .isValid,
+    ).toBe(true);
+  });
+
+  it('rejects a column mapped twice', () => {
+    expect(validateColumnMapping({ ...mapping, category: 8 }).errors).toEqual([
+      'Each column can only be mapped to one field',
+    ]);
+  });
+});
+
+describe('buildQuestionSetsFromRows', () => {
+  it('splits a sheet into sets by the set column', () => {
+    const { isValid, sets } = importSheet(
+      [
+        HEADER,
+        sheetRow('set-a', 1),
+        sheetRow('set-b', 1),
+        sheetRow('set-a', 2),
+        sheetRow('set-b', 2),
+        sheetRow('set-a', 3, { category: 'Science' }),
+      ].join('\n'),
+    );
+
+    expect(isValid).toBe(true);
+    expect(sets.map(({ questionSet }) => questionSet.setId)).toEqual([
+      'set-a',
+      'set-b',
+    ]);
+
+    const [setA] = sets;
+    expect(setA.questionSet).toMatchObject({
+      setName: 'Set set-a',
+      totalQuestions: 2,
+      totalReserveQuestions: 1,
+    });
+    expect(setA.questionSet.questions[0]).toEqual({
+      id: 'q1',
+      number: 1,
+      text: 'Sample question number 1?',
+      options: {
+        A: 'Option A1',
+        B: 'Option B1',
+        C: 'Option C1',
+        D: 'Option D1',
+      },
+      correctAnswer: 'A',
+      difficulty: 'easy',
+    });
+    expect(setA.questionSet.reserveQuestions[0].category).toBe('Science');
+  });
+
+  it('puts the whole sheet in one set when no set column is mapped', () => {
+    const text = ['Question,A,B,C,D,Answer', 'Q one?,1,2,3,4,B'].join('\n');
+    const { sets } = importSheet(text, {
+      setId: 'single-set',
+      setName: 'Single',
+    });
+
+    expect(sets).toHaveLength(1);
+    expect(sets[0].questionSet).toMatchObject({
+      setId: 'single-set',
+      setName: 'Single',
+    });
+  });
+
+  it('reports question errors by sheet line', () => {
+    const { isValid, sets } = importSheet(
+      [
+        HEADER,
+        sheetRow('set-a', 1),
+        sheetRow('set-b', 1),
+        sheetRow('set-a', 2, { B: '', correct: 'E' }),
+      ].join('\n'),
+    );
+
+    expect(isValid).toBe(false);
+    expect(sets[0].errors).toEqual([
+      'Line 4 (question 2): Option B cannot be empty',
+      'Line 4 (question 2): Correct answer must be one of: A, B, C, D',
+    ]);
+    expect(sets[1].errors).toEqual([
+      'Set set-b: Question set must contain at least 2 questions, found 1',
+    ]);
+  });
+});
+
+describe('isQuestionSheetFile', () => {
+  it('recognizes CSV and TSV files', () => {
+    expect(isQuestionSheetFile({ name: 'Round 1.CSV' })).toBe(true);
+    expect(isQuestionSheetFile({ name: 'sets.tsv' })).toBe(true);
+    expect(isQuestionSheetFile({ name: 'set.json' })).toBe(false);
+  });
+});
@@ -0,0 +1,315 @@
+// src/utils/resultsExport.js
+
+/**
+ * Results Export Utilities
+ * Builds CSV/JSON downloads of final results (PRD P8-REQ-004/005) and of
+ * a single team's question-by-question history (PRD P8-REQ-011).
+ * Ranking matches the on-screen leaderboard (rankTeams).
+ */
+
+import { rankTeams } from '@utils/gameplay/rankings';
+import {
+  getLifelineMeta,
+  getLifelineUsesLeft,
+  DEFAULT_LIFELINE_USES,
+  QUESTION_OUTCOME_META,
+} from '@constants/teamStates';
+
+/**
+ * CSV column headers, in order
+ */
+const CSV_HEADERS = [
+  'Place',
+  'Team',
+  'Participants',
+  'Status',
+  'Questions Answered',
+  'Final Prize',
+  'Lifelines Used',
+  'Started At',
+  'Finished At',
+  'Question Set',
+];
+
+/**
+ * Team report CSV column headers, in order
+ */
+const TEAM_REPORT_CSV_HEADERS = [
+  'Question',
+  'Question ID',
+  'Question Set',
+  'Selected',
+  'Correct Answer',
+  'Outcome',
+  'Lifelines Used',
+  'Time to Lock (s)',
+  'Skip Reason',
+  'Recorded At',
+];
+
+/**
+ * Count lifeline uses spent by a team
+ * @param {Object} lifelinesAvailable - Team's uses left per lifeline
+ * @param {Object} rosterUses - Uses each team started with (lifeline roster)
+ * @returns {Object} Uses spent per lifeline type (only lifelines used)
+ */
+export const getLifelinesUsed = (
+  lifelinesAvailable,
+  rosterUses = DEFAULT_LIFELINE_USES,
+) => {
+  return Object.fromEntries(
+    Object.entries(rosterUses)
+      .map(([type, uses]) => [
+        type,
+        uses - getLifelineUsesLeft(lifelinesAvailable, type),
+      ])
+      .filter(([, used]) => used > 0),
+  );
+};
+
+/**
+ * Build ranked result entries for export
+ * @param {Object} teams - Teams keyed by ID (camelCase)
+ * @param {Object} rosterUses - Uses each team started with (lifeline roster)
+ * @param {Object} [questionSetAssignments={}] - { teamId: setId } from game-state
+ * @returns {Array<Object>} One entry per team, best first
+ */
+export const buildResultEntries = (
+  teams,
+  rosterUses,
+  questionSetAssignments = {},
+) => {
+  return rankTeams(teams).map((team) => ({
+    place: team.place,
+    teamId: team.id,
+    name: team.name,
+    participants: team.participants ?? '',
+    status: team.status,
+    questionsAnswered: team.questionsAnswered ?? 0,
+    prize: team.currentPrize ?? 0,
+    lifelinesUsed: getLifelinesUsed(team.lifelinesAvailable, rosterUses),
+    startedAt: team.startedAt ?? null,
+    finishedAt:
+      team.completedAt ?? team.eliminatedAt ?? team.walkedAwayAt ?? null,
+    questionSetId: questionSetAssignments?.[team.id] ?? null,
+  }));
+};
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Join a header row and data rows into CSV text
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const toCsv = (headers, rows) =>
+  [headers, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\r\n');
+
+/**
+ * Format a timestamp for export
+ * @param {number|null} timestamp
+ * @returns {string} ISO 8601 string, or '' when missing
+ */
+const toIsoString = (timestamp) =>
+  timestamp ? new Date(timestamp).toISOString() : '';
+
+/**
+ * Describe the lifelines a team used, e.g. "50/50; Switch ×2"
+ * @param {Object} lifelinesUsed - Uses spent per lifeline type
+ * @returns {string}
+ */
+export const describeLifelinesUsed = (lifelinesUsed) =>
+  Object.entries(lifelinesUsed)
+    .map(([type, used]) => {
+      const label = getLifelineMeta(type)?.label ?? type;
+      return used > 1 ? `${label} ×${used}` : label;
+    })
+    .join('; ');
+
+/**
+ * Describe the lifelines used on one history entry, e.g. "50/50; Switch"
+ * @param {Object|null} lifelinesUsed - { lifelineType: true }
+ * @returns {string}
+ */
+export const describeEntryLifelines = (lifelinesUsed) =>
+  describeLifelinesUsed(
+    Object.fromEntries(
+      Object.keys(lifelinesUsed ?? {}).map((type) => [type, 1]),
+    ),
+  );
+
+/**
+ * Build the results CSV
+ * @param {Array<Object>} entries - From buildResultEntries()
+ * @returns {string} CSV text with a header row
+ */
+export const buildResultsCsv = (entries) => {
+  const rows = entries.map((entry) => [
+    entry.place,
+    entry.name,
+    entry.participants,
+    entry.status,
+    entry.questionsAnswered,
+    entry.prize,
+    describeLifelinesUsed(entry.lifelinesUsed),
+    toIsoString(entry.startedAt),
+    toIsoString(entry.finishedAt),
+    entry.questionSetId,
+  ]);
+
+  return toCsv(CSV_HEADERS, rows);
+};
+
+/**
+ * Build the results JSON
+ * @param {Object} params
+ * @param {Array<Object>} params.entries - From buildResultEntries()
+ * @param {Object} params.gameState - Game state (camelCase)
+ * @param {Array<number>} params.prizeStructure - Prize ladder
+ * @param {Array<number>} params.prizeMilestones - Milestone questions
+ * @returns {string} Pretty-printed JSON
+ */
+export const buildResultsJson = ({
+  entries,
+  gameState,
+  prizeStructure,
+  prizeMilestones,
+}) => {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      gameStatus: gameState.gameStatus,
+      initializedAt: toIsoString(gameState.initializedAt) || null,
+      startedAt: toIsoString(gameState.startedAt) || null,
+      completedAt: toIsoString(gameState.completedAt) || null,
+      playQueue: gameState.playQueue ?? [],
+      prizeStructure,
+      prizeMilestones,
+      results: entries.map((entry) => ({
+        ...entry,
+        startedAt: toIsoString(entry.startedAt) || null,
+        finishedAt: toIsoString(entry.finishedAt) || null,
+      })),
+    },
+    null,
+    2,
+  );
+};
+
+/**
+ * Build a single team's question-by-question CSV
+ * @param {Array<Object>} history - Team history entries (teams/{id}/history)
+ * @returns {string} CSV text with a header row
+ */
+export const buildTeamReportCsv = (history = []) => {
+  const rows = history.map((entry) => [
+    entry.questionNumber,
+    entry.questionId,
+    entry.questionSetId,
+    entry.selectedOption,
+    entry.correctOption,
+    QUESTION_OUTCOME_META[entry.outcome]?.label ?? entry.outcome,
+    describeEntryLifelines(entry.lifelinesUsed),
+    entry.timeToLockMs != null ? (entry.timeToLockMs / 1000).toFixed(1) : '',
+    entry.reason,
+    toIsoString(entry.recordedAt),
+  ]);
+
+  return toCsv(TEAM_REPORT_CSV_HEADERS, rows);
+};
+
+/**
+ * Build a single team's report JSON
+ * @param {Object} team - Team (camelCase, with id)
+ * @param {string|null} [questionSetId=null] - Set assigned in game-state/question-set-assignments
+ * @returns {string} Pretty-printed JSON
+ */
+export const buildTeamReportJson = (team, questionSetId = null) => {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      team: {
+        id: team.id,
+        name: team.name,
+        participants: team.participants ?? '',
+        status: team.status,
+        questionsAnswered: team.questionsAnswered ?? 0,
+        prize: team.currentPrize ?? 0,
+        questionSetId,
+        startedAt: toIsoString(team.startedAt) || null,
+      },
+      history: (team.history ?? []).map((entry) => ({
+        ...entry,
+        shownAt: toIsoString(entry.shownAt) || null,
+        recordedAt: toIsoString(entry.recordedAt) || null,
+      })),
+    },
+    null,
+    2,
+  );
+};
+
+/**
+ * Local date for export filenames, e.g. "2026-03-14"
+ * @param {Date} date
+ * @returns {string}
+ */
+const toFileDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Results filename for a date, e.g. "results_2026-03-14.csv"
+ * Uses the host's local date.
+ * @param {string} extension - 'csv' | 'json'
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getResultsFilename = (extension, date = new Date()) =>
+  `results_${toFileDate(date)}.${extension}`;
+
+/**
+ * Team report filename, e.g. "team-quiz-wizards_2026-03-14.csv"
+ * @param {string} teamName
+ * @param {string} extension - 'csv' | 'json'
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getTeamReportFilename = (
+  teamName,
+  extension,
+  date = new Date(),
+) => {
+  const slug =
+    teamName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'team';
+  return `team-${slug}_${toFileDate(date)}.${extension}`;
+};
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File contents
+ * @param {string} filename - Download filename
+ * @param {string} type - MIME type
+ */
+export const downloadTextFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,70 @@
+// src/utils/resultsExport.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildResultEntries,
+  buildResultsCsv,
+  buildTeamReportJson,
+} from '@utils/resultsExport';
+import { TEAM_STATUS, DEFAULT_LIFELINE_USES } from '@constants/teamStates';
+import { buildTeam } from '@/test/fixtures';
+
+const teams = {
+  'team-1': {
+    ...buildTeam('Night Owls'),
+    status: TEAM_STATUS.COMPLETED,
+    currentPrize: 1000,
+    questionsAnswered: 3,
+    lifelinesAvailable: { ...DEFAULT_LIFELINE_USES, fiftyFifty: 0 },
+  },
+  'team-2': {
+    ...buildTeam('Early Birds'),
+    status: TEAM_STATUS.ELIMINATED,
+    currentPrize: 0,
+    questionsAnswered: 1,
+    lifelinesAvailable: DEFAULT_LIFELINE_USES,
+  },
+};
+
+describe('buildResultEntries', () => {
+  it('takes each team question set from the game-state assignments', () => {
+    const entries = buildResultEntries(teams, DEFAULT_LIFELINE_USES, {
+      'team-1': 'set-a',
+      'team-2': 'set-b',
+    });
+
+    expect(
+      entries.map(({ teamId, questionSetId }) => [teamId, questionSetId]),
+    ).toEqual([
+      ['team-1', 'set-a'],
+      ['team-2', 'set-b'],
+    ]);
+    expect(entries[0].lifelinesUsed).toEqual({ fiftyFifty: 1 });
+  });
+
+  it('fills the Question Set CSV column', () => {
+    const [, firstRow] = buildResultsCsv(
+      buildResultEntries(teams, DEFAULT_LIFELINE_USES, { 'team-1': 'set-a' }),
+    ).split('\r\n');
+
+    expect(firstRow.split(',').at(-1)).toBe('set-a');
+  });
+
+  it('leaves the set empty for a team without an assignment', () => {
+    const entries = buildResultEntries(teams, DEFAULT_LIFELINE_USES);
+
+    expect(entries.every(({ questionSetId }) => questionSetId === null)).toBe(
+      true,
+    );
+  });
+});
+
+describe('buildTeamReportJson', () => {
+  it('records the question set assigned to the team', () => {
+    const report = JSON.parse(
+      buildTeamReportJson({ id: 'team-1', ...teams['team-1'] }, 'set-a'),
+    );
+
+    expect(report.team.questionSetId).toBe('set-a');
+  });
+});
@@ -9,7 +9,7 @@
  * Features:
  * - Loads sample teams JSON
  * - Loads sample question set JSONs
- * - Trims questions to QUESTIONS_PER_SET from config
+ * - Keeps questions beyond config.questionsPerTeam as reserve questions
  * - Clears existing data first (atomic operation)
  * - Progress callbacks for UI feedback
  * - Comprehensive error handling
@@ -17,7 +17,8 @@
 
 import { databaseService } from '@services/database.service';
 import { useTeamsStore } from '@stores/useTeamsStore';
-import { QUESTIONS_PER_SET } from '@constants/config';
+import { useConfigStore } from '@stores/useConfigStore';
+import { splitReserveQuestions } from '@utils/questionSets';
 
 /**
  * Sample data file paths
@@ -147,25 +148,14 @@ const loadSampleQuestionSets = async (onProgress) => {
 
       const questionSet = await fetchJSON(filePath);
 
-      // Trim questions to QUESTIONS_PER_SET (same as QuestionUploader)
-      const trimmedQuestions = questionSet.questions.slice(
-        0,
-        QUESTIONS_PER_SET,
+      // Keep extras as reserve questions (same as QuestionUploader)
+      const { questionsPerTeam } = useConfigStore.getState().config;
+      const preparedQuestionSet = splitReserveQuestions(
+        questionSet,
+        questionsPerTeam,
       );
 
-      const trimmedQuestionSet = {
-        ...questionSet,
-        questions: trimmedQuestions,
-        totalQuestions: trimmedQuestions.length,
-      };
-
-      if (questionSet.questions.length > QUESTIONS_PER_SET) {
-        console.log(
-          `✂️ Trimmed question set '${questionSet.setId}' from ${questionSet.questions.length} to ${QUESTIONS_PER_SET} questions`,
-        );
-      }
-
-      const result = await databaseService.saveQuestionSet(trimmedQuestionSet);
+      const result = await databaseService.saveQuestionSet(preparedQuestionSet);
 
       if (!result.success) {
         throw new Error(
@@ -28,9 +28,23 @@ import {
 export { MIN_TEAMS, IDEAL_MIN_TEAMS, MAX_TEAMS };
 
 /**
- * Required questions per set
+ * Resolve setup limits from the config node (compiled defaults when missing)
+ * The ideal minimum is capped at the maximum so a small event is not nagged.
+ *
+ * @param {Object} [config={}] - Config from useConfigStore (camelCase)
+ * @returns {{ minTeams: number, idealMinTeams: number, maxTeams: number, questionsPerSet: number }}
  */
-export const REQUIRED_QUESTIONS_PER_SET = QUESTIONS_PER_SET;
+export const getSetupRules = (config = {}) => {
+  const minTeams = config.minTeams ?? MIN_TEAMS;
+  const maxTeams = config.maxTeams ?? MAX_TEAMS;
+
+  return {
+    minTeams,
+    idealMinTeams: Math.max(minTeams, Math.min(IDEAL_MIN_TEAMS, maxTeams)),
+    maxTeams,
+    questionsPerSet: config.questionsPerTeam ?? QUESTIONS_PER_SET,
+  };
+};
 
 /**
  * Validate team object
@@ -91,9 +105,10 @@ export const validateTeam = (team) => {
 /**
  * Validate all teams
  * @param {Object} teamsObject - Teams object from store
+ * @param {Object} [rules=getSetupRules()] - Team limits
  * @returns {Object} Validation summary
  */
-export const validateTeams = (teamsObject) => {
+export const validateTeams = (teamsObject, rules = getSetupRules()) => {
   if (!teamsObject || typeof teamsObject !== 'object') {
     return {
       isValid: false,
@@ -124,9 +139,9 @@ export const validateTeams = (teamsObject) => {
     })
     .filter(Boolean);
 
-  const hasMinimum = count >= MIN_TEAMS;
-  const hasIdeal = count >= IDEAL_MIN_TEAMS;
-  const withinLimit = count <= MAX_TEAMS;
+  const hasMinimum = count >= rules.minTeams;
+  const hasIdeal = count >= rules.idealMinTeams;
+  const withinLimit = count <= rules.maxTeams;
 
   // FIX: Only return allValid: true if we have teams AND they're all valid
   const allValid = count > 0 && invalidTeams.length === 0;
@@ -141,8 +156,8 @@ export const validateTeams = (teamsObject) => {
     errors:
       !hasMinimum || !withinLimit || !allValid
         ? [
-            !hasMinimum && `At least ${MIN_TEAMS} team required`,
-            !withinLimit && `Maximum ${MAX_TEAMS} teams allowed`,
+            !hasMinimum && `At least ${rules.minTeams} team(s) required`,
+            !withinLimit && `Maximum ${rules.maxTeams} teams allowed`,
             !allValid && count === 0 && 'No teams configured',
             !allValid &&
               count > 0 &&
@@ -154,10 +169,17 @@ export const validateTeams = (teamsObject) => {
 
 /**
  * Validate question set metadata
+ * Sets uploaded before questions-per-set was lowered still pass — only the
+ * first `questionsPerSet` questions are played.
+ *
  * @param {Object} questionSet - Question set metadata object
+ * @param {Object} [rules=getSetupRules()] - Setup limits (questionsPerSet)
  * @returns {Object} Validation result
  */
-export const validateQuestionSetMeta = (questionSet) => {
+export const validateQuestionSetMeta = (
+  questionSet,
+  rules = getSetupRules(),
+) => {
   const errors = [];
 
   if (!questionSet) {
@@ -177,9 +199,9 @@ export const validateQuestionSetMeta = (questionSet) => {
     questionSet.totalQuestions ??
     (Array.isArray(questionSet.questions) ? questionSet.questions.length : 0);
 
-  if (questionCount !== QUESTIONS_PER_SET) {
+  if (questionCount < rules.questionsPerSet) {
     errors.push(
-      `Must have exactly ${QUESTIONS_PER_SET} questions (found ${questionCount})`,
+      `Must have at least ${rules.questionsPerSet} questions (found ${questionCount})`,
     );
   }
 
@@ -192,9 +214,10 @@ export const validateQuestionSetMeta = (questionSet) => {
 /**
  * Validate all question sets
  * @param {Array} questionSets - Array of question set metadata
+ * @param {Object} [rules=getSetupRules()] - Setup limits (questionsPerSet)
  * @returns {Object} Validation summary
  */
-export const validateQuestionSets = (questionSets) => {
+export const validateQuestionSets = (questionSets, rules = getSetupRules()) => {
   if (!Array.isArray(questionSets)) {
     return {
       isValid: false,
@@ -210,7 +233,7 @@ export const validateQuestionSets = (questionSets) => {
   // Check each set
   const invalidSets = questionSets
     .map((set) => {
-      const validation = validateQuestionSetMeta(set);
+      const validation = validateQuestionSetMeta(set, rules);
       if (!validation.isValid) {
         return {
           setId: set.setId,
@@ -319,20 +342,70 @@ export const checkSufficientQuestionSets = (teamCount, questionSetCount) => {
   };
 };
 
+/**
+ * Build the duplicate questions check from a findDuplicateQuestions() report
+ * Duplicates are a warning, not a blocker: the host may keep a repeat on
+ * purpose (e.g. a tie-breaker). A repeated answer alone is informational.
+ *
+ * @param {Object} report - findDuplicateQuestions result
+ * @returns {Object} Check item (group: questions)
+ */
+export const checkDuplicateQuestions = (report) => {
+  const { exact, similar, sameAnswer } = report.counts;
+
+  const status =
+    report.questionCount === 0
+      ? 'info'
+      : exact + similar > 0
+        ? 'warning'
+        : sameAnswer > 0
+          ? 'info'
+          : 'pass';
+
+  const message =
+    report.questionCount === 0
+      ? 'No questions to check'
+      : exact + similar > 0
+        ? [
+            exact > 0 && `${exact} duplicated question(s)`,
+            similar > 0 && `${similar} near-duplicate pair(s)`,
+            sameAnswer > 0 && `${sameAnswer} repeated answer(s)`,
+          ]
+            .filter(Boolean)
+            .join(', ')
+        : sameAnswer > 0
+          ? `No duplicate questions; ${sameAnswer} correct answer(s) repeated`
+          : `No duplicates in ${report.questionCount} questions`;
+
+  return {
+    id: 'question-sets-duplicates',
+    label: 'No Duplicate Questions',
+    status,
+    message,
+    details: report.findings,
+    group: 'questions',
+  };
+};
+
 /**
  * Perform complete setup validation
  * @param {Object} teamsObject - Teams object from store
  * @param {Array} questionSets - Question sets metadata array
  * @param {Array} prizeStructure - Prize structure array from Firebase/store
+ * @param {Object} [config={}] - Config from useConfigStore (team limits, questions per set)
+ * @param {Object|null} [duplicateReport=null] - findDuplicateQuestions result; the check is left out until it is loaded
  * @returns {Object} Complete validation result
  */
 export const validateCompleteSetup = (
   teamsObject,
   questionSets,
   prizeStructure = null,
+  config = {},
+  duplicateReport = null,
 ) => {
-  const teamsValidation = validateTeams(teamsObject);
-  const questionSetsValidation = validateQuestionSets(questionSets);
+  const rules = getSetupRules(config);
+  const teamsValidation = validateTeams(teamsObject, rules);
+  const questionSetsValidation = validateQuestionSets(questionSets, rules);
   const prizeValidation = validatePrizeStructure(prizeStructure);
   const sufficiencyCheck = checkSufficientQuestionSets(
     teamsValidation.count,
@@ -373,8 +446,8 @@ export const validateCompleteSetup = (
       label: 'Ideal Team Count',
       status: teamsValidation.hasIdeal ? 'pass' : 'info',
       message: teamsValidation.hasIdeal
-        ? `${teamsValidation.count} teams (ideal: ${IDEAL_MIN_TEAMS}+)`
-        : `${teamsValidation.count} teams (recommended: ${IDEAL_MIN_TEAMS}-${MAX_TEAMS})`,
+        ? `${teamsValidation.count} teams (ideal: ${rules.idealMinTeams}+)`
+        : `${teamsValidation.count} teams (recommended: ${rules.idealMinTeams}-${rules.maxTeams})`,
       details: null,
       group: 'teams',
     },
@@ -418,6 +491,7 @@ export const validateCompleteSetup = (
       details: sufficiencyCheck,
       group: 'questions',
     },
+    ...(duplicateReport ? [checkDuplicateQuestions(duplicateReport)] : []),
     {
       id: 'prizes-configured',
       label: 'Prize Structure Configured',
@@ -0,0 +1,195 @@
+// src/utils/setupValidation.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSetupRules,
+  validateTeams,
+  validateQuestionSets,
+  validatePrizeStructure,
+  checkSufficientQuestionSets,
+  validateCompleteSetup,
+} from '@utils/setupValidation';
+import { findDuplicateQuestions } from '@utils/questionDuplicates';
+import { buildQuestionSet, buildTeam } from '@/test/fixtures';
+
+const config = { minTeams: 2, maxTeams: 4, questionsPerTeam: 3 };
+const rules = getSetupRules(config);
+
+const teams = {
+  'team-1': { id: 'team-1', ...buildTeam('Night Owls') },
+  'team-2': { id: 'team-2', ...buildTeam('Early Birds') },
+};
+
+const questionSets = [
+  buildQuestionSet('set-1', ['A', 'B', 'C']),
+  buildQuestionSet('set-2', ['D', 'C', 'B']),
+];
+
+describe('getSetupRules', () => {
+  it('reads limits from the config node', () => {
+    expect(rules).toEqual({
+      minTeams: 2,
+      idealMinTeams: 4,
+      maxTeams: 4,
+      questionsPerSet: 3,
+    });
+  });
+
+  it('never asks for an ideal count below the minimum', () => {
+    expect(getSetupRules({ minTeams: 8, maxTeams: 12 }).idealMinTeams).toBe(8);
+  });
+});
+
+describe('validateTeams', () => {
+  it('passes a valid roster within the limits', () => {
+    const result = validateTeams(teams, rules);
+
+    expect(result.isValid).toBe(true);
+    expect(result.count).toBe(2);
+    expect(result.hasIdeal).toBe(false);
+  });
+
+  it('reports too few teams and invalid team data', () => {
+    const result = validateTeams(
+      { 'team-1': { id: 'team-1', name: 'Owls', participants: 'A' } },
+      rules,
+    );
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'At least 2 team(s) required',
+      '1 team(s) have invalid data',
+    ]);
+    expect(result.invalidTeams[0].errors).toEqual([
+      'Contact is required',
+      'Participants must be at least 2 characters',
+    ]);
+  });
+
+  it('enforces the maximum', () => {
+    const many = Object.fromEntries(
+      Array.from({ length: 5 }, (_, i) => [
+        `team-${i}`,
+        buildTeam(`Team ${i}`),
+      ]),
+    );
+
+    expect(validateTeams(many, rules).errors).toEqual([
+      'Maximum 4 teams allowed',
+    ]);
+  });
+});
+
+describe('validateQuestionSets', () => {
+  it('uses the configured questions per set', () => {
+    expect(validateQuestionSets(questionSets, rules).isValid).toBe(true);
+
+    const result = validateQuestionSets(questionSets, {
+      ...rules,
+      questionsPerSet: 5,
+    });
+    expect(result.errors).toEqual(['2 set(s) have invalid data']);
+    expect(result.invalidSets[0].errors).toEqual([
+      'Must have at least 5 questions (found 3)',
+    ]);
+  });
+
+  it('requires at least one set', () => {
+    expect(validateQuestionSets([], rules).errors).toEqual([
+      'At least 1 question set required',
+      'No question sets uploaded',
+    ]);
+  });
+});
+
+describe('validatePrizeStructure', () => {
+  it('requires positive, ascending prizes', () => {
+    expect(validatePrizeStructure([500, 1000, 1500])).toMatchObject({
+      isValid: true,
+      minPrize: 500,
+      maxPrize: 1500,
+    });
+    expect(validatePrizeStructure([500, -1, 1500]).errors).toEqual([
+      'All prize values must be positive numbers',
+      'Prize values must be in ascending order',
+    ]);
+    expect(validatePrizeStructure(null).errors).toEqual([
+      'Prize structure not configured',
+    ]);
+  });
+});
+
+describe('checkSufficientQuestionSets', () => {
+  it('needs one set per team', () => {
+    expect(checkSufficientQuestionSets(2, 2).isSufficient).toBe(true);
+    expect(checkSufficientQuestionSets(3, 1)).toMatchObject({
+      isSufficient: false,
+      deficit: 2,
+      message: 'Need 2 more set(s) (1/3)',
+    });
+  });
+
+  it('treats an empty setup as not ready rather than sufficient', () => {
+    expect(checkSufficientQuestionSets(0, 0)).toMatchObject({
+      isSufficient: false,
+      bothZero: true,
+      deficit: 0,
+    });
+  });
+});
+
+describe('validateCompleteSetup', () => {
+  it('is ready when every critical check passes', () => {
+    const result = validateCompleteSetup(
+      teams,
+      questionSets,
+      [500, 1000, 1500],
+      config,
+    );
+
+    expect(result.isReady).toBe(true);
+    expect(result.hasWarnings).toBe(false);
+    expect(result.summary).toMatchObject({
+      teams: 2,
+      questionSets: 2,
+      prizeLevels: 3,
+      totalPrizePool: 3000,
+      criticalIssues: 0,
+    });
+  });
+
+  it('fails the checks that block a game', () => {
+    const result = validateCompleteSetup(teams, [], null, config);
+    const failed = result.checks
+      .filter((check) => check.status === 'fail')
+      .map((check) => check.id);
+
+    expect(result.isReady).toBe(false);
+    expect(failed).toEqual([
+      'question-sets-uploaded',
+      'question-sets-sufficient',
+      'prizes-configured',
+    ]);
+  });
+
+  it('warns about duplicate questions without blocking the game', () => {
+    // The fixture sets share their question texts
+    const result = validateCompleteSetup(
+      teams,
+      questionSets,
+      [500, 1000, 1500],
+      config,
+      findDuplicateQuestions(questionSets),
+    );
+    const check = result.checks.find(
+      ({ id }) => id === 'question-sets-duplicates',
+    );
+
+    expect(result.isReady).toBe(true);
+    expect(result.hasWarnings).toBe(true);
+    expect(check).toMatchObject({
+      status: 'warning',
+      message: '3 duplicated question(s)',
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// src/utils/teamValidation.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateTeamStructure,
+  checkDuplicatesInArray,
+  teamNameExists,
+  validateTeamsJSON,
+  validateTeamFormData,
+} from '@utils/teamValidation';
+import { VALIDATION_ERRORS } from '@constants/validationRules';
+import { buildTeam } from '@/test/fixtures';
+
+const existingTeams = {
+  'team-1': { name: 'Quiz Whizzes' },
+  'team-2': { name: 'Brainiacs' },
+};
+
+describe('validateTeamStructure', () => {
+  it('trims a valid team', () => {
+    const result = validateTeamStructure({
+      name: '  Night Owls ',
+      participants: ' Ann, Bob ',
+      contact: '+94 77 123 4567',
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.team).toEqual({
+      name: 'Night Owls',
+      participants: 'Ann, Bob',
+      contact: '+94 77 123 4567',
+    });
+  });
+
+  it('labels errors with the team position', () => {
+    const { errors } = validateTeamStructure(
+      { name: 'X', participants: 'Ann, Bob', contact: '12-ab' },
+      2,
+    );
+
+    expect(errors).toEqual([
+      'Team 3: Team name must be at least 2 characters',
+      "Team 3: Invalid phone number format for contact '12-ab'",
+    ]);
+  });
+
+  it('reports missing fields', () => {
+    const { errors } = validateTeamStructure({ name: 'Night Owls' });
+
+    expect(errors).toEqual([
+      "Team 1: Missing required field 'participants'",
+      "Team 1: Missing required field 'contact'",
+    ]);
+  });
+});
+
+describe('team name uniqueness', () => {
+  it('finds duplicates within a batch, ignoring case', () => {
+    expect(
+      checkDuplicatesInArray([
+        { name: 'Owls' },
+        { name: 'Hawks' },
+        { name: ' owls' },
+      ]).duplicates,
+    ).toEqual([{ name: ' owls', indices: [0, 2] }]);
+  });
+
+  it('matches existing team names, ignoring case and spacing', () => {
+    expect(teamNameExists(' brainiacs ', existingTeams)).toBe(true);
+    expect(teamNameExists('Night Owls', existingTeams)).toBe(false);
+  });
+});
+
+describe('validateTeamsJSON', () => {
+  it('accepts a batch of new teams', () => {
+    const result = validateTeamsJSON({
+      teams: [buildTeam('Night Owls'), buildTeam('Early Birds')],
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.validCount).toBe(2);
+  });
+
+  it('requires a non-empty teams array', () => {
+    expect(validateTeamsJSON({}).errors).toEqual([
+      'JSON must contain a "teams" array',
+    ]);
+    expect(validateTeamsJSON({ teams: [] }).errors).toEqual([
+      'Teams array cannot be empty',
+    ]);
+  });
+
+  it('rejects duplicates and names already in use', () => {
+    const result = validateTeamsJSON(
+      {
+        teams: [
+          buildTeam('Night Owls'),
+          buildTeam('night owls'),
+          buildTeam('Brainiacs'),
+        ],
+      },
+      existingTeams,
+    );
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      "Duplicate team name 'night owls' found at positions 1 and 2",
+      "Team name 'Brainiacs' already exists in the system (position 3)",
+    ]);
+  });
+
+  it('warns about large batches', () => {
+    const teams = Array.from({ length: 11 }, (_, i) =>
+      buildTeam(`Team ${i + 1}`),
+    );
+
+    expect(validateTeamsJSON({ teams }).warnings).toEqual([
+      'Large batch: 11 teams. Consider uploading in smaller batches.',
+    ]);
+  });
+});
+
+describe('validateTeamFormData', () => {
+  it('reports one error per field', () => {
+    const result = validateTeamFormData({
+      name: '',
+      participants: 'A',
+      contact: '123',
+    });
+
+    expect(result.errors).toEqual({
+      name: VALIDATION_ERRORS.TEAM_NAME_REQUIRED,
+      participants: VALIDATION_ERRORS.PARTICIPANTS_TOO_SHORT,
+      contact: VALIDATION_ERRORS.CONTACT_INVALID,
+    });
+  });
+
+  it('allows a team being edited to keep its own name', () => {
+    const teamData = buildTeam('Brainiacs');
+
+    expect(validateTeamFormData(teamData, existingTeams).errors.name).toBe(
+      VALIDATION_ERRORS.TEAM_NAME_DUPLICATE,
+    );
+    expect(
+      validateTeamFormData(teamData, existingTeams, 'team-2').isValid,
+    ).toBe(true);
+  });
+});
@@ -146,9 +146,13 @@ export const validateQuestion = (question, expectedNumber) => {
 /**
  * Validate an entire question set
  * @param {Object} questionSet - Question set object
+ * @param {number} [questionsPerSet=QUESTIONS_PER_SET] - config.questionsPerTeam
  * @returns {Object} Validation result with detailed errors
  */
-export const validateQuestionSet = (questionSet) => {
+export const validateQuestionSet = (
+  questionSet,
+  questionsPerSet = QUESTIONS_PER_SET,
+) => {
   const errors = [];
 
   if (!questionSet || typeof questionSet !== 'object') {
@@ -182,14 +186,18 @@ export const validateQuestionSet = (questionSet) => {
     };
   }
 
-  if (questionSet.questions.length < QUESTIONS_PER_SET) {
+  if (questionSet.questions.length < questionsPerSet) {
     errors.push(
-      `Question set must contain at least ${QUESTIONS_PER_SET} questions, found ${questionSet.questions.length}`,
+      `Question set must contain at least ${questionsPerSet} questions, found ${questionSet.questions.length}`,
     );
   }
 
-  // Validate only the first QUESTIONS_PER_SET questions
-  const questionsToValidate = questionSet.questions.slice(0, QUESTIONS_PER_SET);
+  // Validate played questions and any reserve questions kept alongside them.
+  // Reserves continue the numbering (21, 22, …) as they appear in the file.
+  const reserveQuestions = Array.isArray(questionSet.reserveQuestions)
+    ? questionSet.reserveQuestions
+    : [];
+  const questionsToValidate = [...questionSet.questions, ...reserveQuestions];
 
   const invalidQuestions = questionsToValidate
     .map((question, index) => {
@@ -209,8 +217,9 @@ export const validateQuestionSet = (questionSet) => {
     isValid: errors.length === 0 && invalidQuestions.length === 0,
     errors: errors.length > 0 ? errors : null,
     questionErrors: invalidQuestions.length > 0 ? invalidQuestions : null,
-    totalQuestions: questionSet.questions.length,
-    validatedQuestions: QUESTIONS_PER_SET,
+    totalQuestions: Math.min(questionSet.questions.length, questionsPerSet),
+    reserveQuestions: Math.max(0, questionsToValidate.length - questionsPerSet),
+    validatedQuestions: questionsToValidate.length,
     invalidCount: invalidQuestions.length,
   };
 };
@@ -223,9 +232,9 @@ export const validateQuestionSet = (questionSet) => {
 export const getValidationSummary = (validationResult) => {
   if (validationResult.isValid) {
     const totalMsg =
-      validationResult.totalQuestions === validationResult.validatedQuestions
-        ? `${validationResult.totalQuestions} questions`
-        : `${validationResult.totalQuestions} questions (first ${validationResult.validatedQuestions} validated)`;
+      validationResult.reserveQuestions > 0
+        ? `${validationResult.totalQuestions} questions + ${validationResult.reserveQuestions} reserve`
+        : `${validationResult.totalQuestions} questions`;
     return `✅ Question set is valid (${totalMsg})`;
   }
 
@@ -0,0 +1,135 @@
+// src/utils/validation.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateAnswer,
+  validateQuestion,
+  validateQuestionSet,
+  getValidationSummary,
+} from '@utils/validation';
+import { buildQuestion, buildQuestionSet } from '@/test/fixtures';
+
+describe('validateAnswer', () => {
+  it('compares answers case-insensitively', () => {
+    expect(validateAnswer('b', 'B')).toEqual({
+      isValid: true,
+      isCorrect: true,
+      selectedAnswer: 'B',
+      correctAnswer: 'B',
+      error: null,
+    });
+    expect(validateAnswer('A', 'C').isCorrect).toBe(false);
+  });
+
+  it('rejects missing or unknown options', () => {
+    expect(validateAnswer('', 'A').error).toBe('Missing answer data');
+    expect(validateAnswer('E', 'A').error).toBe('Invalid selected answer: E');
+    expect(validateAnswer('A', 'Z').error).toBe('Invalid correct answer: Z');
+  });
+});
+
+describe('validateQuestion', () => {
+  it('accepts upper- and lowercase option keys', () => {
+    const question = buildQuestion(1, 'b');
+    const lowercase = {
+      ...question,
+      options: { a: 'One', b: 'Two', c: 'Three', d: 'Four' },
+    };
+
+    expect(validateQuestion(question, 1)).toEqual({
+      isValid: true,
+      errors: null,
+    });
+    expect(validateQuestion(lowercase, 1).isValid).toBe(true);
+  });
+
+  it('reports every problem with a question', () => {
+    const { errors } = validateQuestion(
+      {
+        id: 'q3',
+        number: 4,
+        text: 'Which one?',
+        options: { A: 'One', B: '', C: 'Three' },
+        correctAnswer: 'E',
+      },
+      3,
+    );
+
+    expect(errors).toEqual([
+      'Question number mismatch: expected 3, found 4',
+      'Option B cannot be empty',
+      'Missing option: D',
+      'Correct answer must be one of: A, B, C, D',
+    ]);
+  });
+
+  it('rejects options given as an array', () => {
+    const { errors } = validateQuestion(
+      { ...buildQuestion(1), options: ['One', 'Two', 'Three', 'Four'] },
+      1,
+    );
+
+    expect(errors).toContain(
+      'Options must be an object with keys a/b/c/d or A/B/C/D',
+    );
+  });
+});
+
+describe('validateQuestionSet', () => {
+  it('accepts a full set and counts reserve questions', () => {
+    const questionSet = buildQuestionSet('set-1', ['A', 'B', 'C', 'D', 'A']);
+    const result = validateQuestionSet(questionSet, 4);
+
+    expect(result.isValid).toBe(true);
+    expect(result.totalQuestions).toBe(4);
+    expect(result.reserveQuestions).toBe(1);
+    expect(getValidationSummary(result)).toBe(
+      '✅ Question set is valid (4 questions + 1 reserve)',
+    );
+  });
+
+  it('requires enough questions for the configured set size', () => {
+    const result = validateQuestionSet(buildQuestionSet('set-1', ['A']), 3);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Question set must contain at least 3 questions, found 1',
+    ]);
+  });
+
+  it('rejects malformed set IDs and names', () => {
+    const result = validateQuestionSet(
+      { ...buildQuestionSet('x', ['A']), setName: '' },
+      1,
+    );
+
+    expect(result.errors).toEqual([
+      'Invalid setId format: must be 3-50 alphanumeric characters with hyphens/underscores',
+      'Missing or invalid setName',
+    ]);
+  });
+
+  it('reports question errors by position', () => {
+    const questionSet = buildQuestionSet('set-1', ['A', 'B']);
+    questionSet.questions[1] = { ...questionSet.questions[1], text: '' };
+
+    const result = validateQuestionSet(questionSet, 2);
+
+    expect(result.invalidCount).toBe(1);
+    expect(result.questionErrors).toEqual([
+      {
+        questionNumber: 2,
+        questionId: 'q2',
+        errors: ['Missing required field: text'],
+      },
+    ]);
+    expect(getValidationSummary(result)).toContain('Question 2 (q2):');
+  });
+
+  it('requires a questions array', () => {
+    const result = validateQuestionSet({ setId: 'set-1', setName: 'Set 1' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Questions must be an array']);
+  });
+});
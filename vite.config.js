@@ -112,4 +112,15 @@ export default defineConfig({
     },
     chunkSizeWarningLimit: 1000,
   },
+
+  // Test config (Vitest) — stores run against the in-memory database backend
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+    setupFiles: ['./src/test/setup.js'],
+    env: {
+      VITE_DATABASE_BACKEND: 'memory',
+    },
+    silent: 'passed-only',
+  },
 });